@@ -7,6 +7,8 @@ import { defaultSettings } from "../data/pluginSetting.js";
 import { Drag } from "../components/dragManager.js";
 import { PopupMenu } from "../components/popupMenu.js";
 import { buildSheetsByTemplates, convertOldTablesToNewSheets } from "../index.js";
+import { CellSource } from "./table/cell.js";
+import { hasPieceHashSheets, resolvePieceHashSheets } from "./table/hashSheetsStorage.js";
 import { getRelativePositionOfCurrentCode } from "../utils/codePathProcessing.js";
 import { pushCodeToQueue } from "../components/_fotTest.js";
 import { createProxy, createProxyWithUserSetting } from "../utils/codeProxy.js";
@@ -18,6 +20,8 @@ import {taskTiming} from "../utils/system.js";
 import {updateSelectBySheetStatus} from "../scripts/editor/tableTemplateEditView.js";
 
 let derivedData = {}
+const ROLE_SHEETS_EXTENSION_KEY = 'st_memory_enhancement'
+const roleSheetsWriteTimers = {}
 
 export const APP = applicationFunctionManager
 
@@ -42,9 +46,15 @@ export const USER = {
         return {isSwipe: true, deep}
     },
 
-    // getContextSheets: () => APP.getContext().chatMetadata.sheets,
-    // getRoleSheets: () => APP,
-    // getGlobalSheets: () => APP,
+    /**
+     * 获取当前选中的角色卡，群聊或未选择角色时返回 null
+     * @returns {object|null}
+     */
+    getCurrentCharacter: () => {
+        const context = APP.getContext()
+        if (context.groupId) return null
+        return context.characters?.[context.characterId] ?? null
+    },
     getChatPiece: (deep = 0, direction = 'up') => {
         const chat = APP.getContext().chat;
         if (!chat || chat.length === 0 || deep >= chat.length) return  {piece: null, deep: -1};
@@ -72,6 +82,41 @@ export const USER = {
 }
 
 
+/**
+ * 获取当前角色卡上储存的角色域表格
+ * @returns {object[]|null} 群聊或未选择角色时返回 null
+ */
+function getRoleSheetsData() {
+    const character = USER.getCurrentCharacter()
+    if (!character) return null
+    const extension = character.data?.extensions?.[ROLE_SHEETS_EXTENSION_KEY]
+    if (!Array.isArray(extension?.sheets)) return []
+    return extension.sheets
+}
+
+/**
+ * 将角色域表格写入当前角色卡
+ * @description 内存中的数据立即更新，写入角色卡文件的请求在短时间内会合并为一次
+ * @param {object[]} sheets
+ */
+function writeRoleSheetsData(sheets) {
+    const context = USER.getContext()
+    const character = USER.getCurrentCharacter()
+    if (!character) throw new Error('当前未选择角色，无法将表格保存到角色卡')
+    const characterId = context.characterId
+    if (!character.data) character.data = {}
+    if (!character.data.extensions) character.data.extensions = {}
+    const extension = { ...character.data.extensions[ROLE_SHEETS_EXTENSION_KEY], sheets }
+    character.data.extensions[ROLE_SHEETS_EXTENSION_KEY] = extension
+
+    clearTimeout(roleSheetsWriteTimers[characterId])
+    roleSheetsWriteTimers[characterId] = setTimeout(() => {
+        delete roleSheetsWriteTimers[characterId]
+        Promise.resolve(context.writeExtensionField(characterId, ROLE_SHEETS_EXTENSION_KEY, extension))
+            .catch(e => EDITOR.error('保存角色表格失败', e.message, e))
+    }, 500)
+}
+
 /**
  * @description `BASE` 数据库基础数据管理器
  * @description 该管理器提供了对库的用户数据、模板数据的访问，但不提供对数据的修改
@@ -96,7 +141,8 @@ export const BASE = {
         get(_, target) {
             switch (target) {
                 case 'all':
-
+                    // 聊天域在前，保证原有聊天表格的序号不受角色域、全局域表格影响
+                    return [...BASE.sheetsData.context, ...BASE.sheetsData.role, ...BASE.sheetsData.global];
                 case 'context':
                     if (!USER.getContext().chatMetadata) {
                         USER.getContext().chatMetadata = {};
@@ -106,9 +152,12 @@ export const BASE = {
                     }
                     return USER.getContext().chatMetadata.sheets;
                 case 'global':
-
+                    if (!Array.isArray(USER.getExtensionSettings().table_database_global_sheets)) {
+                        USER.getExtensionSettings().table_database_global_sheets = [];
+                    }
+                    return USER.getExtensionSettings().table_database_global_sheets;
                 case 'role':
-
+                    return getRoleSheetsData() ?? [];
                 default:
                     throw new Error(`Unknown sheetsData target: ${target}`);
             }
@@ -121,53 +170,68 @@ export const BASE = {
                     }
                     USER.getContext().chatMetadata.sheets = value;
                     return true;
-                case 'all':
                 case 'global':
+                    USER.getExtensionSettings().table_database_global_sheets = value;
+                    APP.saveSettingsDebounced();
+                    return true;
                 case 'role':
+                    writeRoleSheetsData(value);
+                    return true;
+                case 'all':
                 default:
                     throw new Error(`Cannot set sheetsData target: ${target}`);
             }
         }
     }),
+    /**
+     * 根据表格的域获取其在 sheetsData 中的储存位置
+     * @param {string} domain 表格的域
+     * @returns {'context'|'role'|'global'}
+     */
+    getSheetsDataTarget(domain) {
+        if (domain === 'role') return 'role'
+        if (domain === 'global') return 'global'
+        return 'context'
+    },
     getChatSheets(process=()=> {}) {
-        DERIVED.any.chatSheetMap = DERIVED.any.chatSheetMap || {}
+        const chatSheetMap = getChatSheetMap()
         const sheets = []
-        BASE.sheetsData.context.forEach(sheet => {
-            if (!DERIVED.any.chatSheetMap[sheet.uid]) {
+        BASE.sheetsData.all.forEach(sheet => {
+            if (!chatSheetMap[sheet.uid]) {
                 const newSheet = new BASE.Sheet(sheet.uid)
-                DERIVED.any.chatSheetMap[sheet.uid] = newSheet
+                chatSheetMap[sheet.uid] = newSheet
             }
-            process(DERIVED.any.chatSheetMap[sheet.uid])
-            sheets.push(DERIVED.any.chatSheetMap[sheet.uid])
+            process(chatSheetMap[sheet.uid])
+            sheets.push(chatSheetMap[sheet.uid])
         })
         return sheets
     },
     getChatSheet(uid){
-        const sheet = DERIVED.any.chatSheetMap[uid]
+        const chatSheetMap = getChatSheetMap()
+        const sheet = chatSheetMap[uid]
         if (!sheet) {
-            if(!BASE.sheetsData.context.some(sheet => sheet.uid === uid)) return null
+            if(!BASE.sheetsData.all.some(sheet => sheet.uid === uid)) return null
             const newSheet = new BASE.Sheet(uid)
-            DERIVED.any.chatSheetMap[uid] = newSheet
+            chatSheetMap[uid] = newSheet
             return newSheet
         }
         return sheet
     },
     createChatSheetByTemp(temp){
-        DERIVED.any.chatSheetMap = DERIVED.any.chatSheetMap || {}
         const newSheet = new BASE.Sheet(temp);
-        DERIVED.any.chatSheetMap[newSheet.uid] = newSheet
+        getChatSheetMap()[newSheet.uid] = newSheet
         return newSheet
     },
     createChatSheet(cols, rows){
         const newSheet = new BASE.Sheet();
         newSheet.createNewSheet(cols, rows, false);
-        DERIVED.any.chatSheetMap[newSheet.uid] = newSheet
+        getChatSheetMap()[newSheet.uid] = newSheet
         return newSheet
     },
     createChatSheetByJson(json){
         const newSheet = new BASE.Sheet();
         newSheet.loadJson(json);
-        DERIVED.any.chatSheetMap[newSheet.uid] = newSheet
+        getChatSheetMap()[newSheet.uid] = newSheet
         return newSheet
     },
     copyHashSheets(hashSheets) {
@@ -179,23 +243,66 @@ export const BASE = {
         return newHashSheet
     },
     applyJsonToChatSheets(json, type ="both") {
-        const newSheets = Object.entries(json).map(([sheetUid, sheetData]) => {
-            if(sheetUid === 'mate') return null
-            const sheet = BASE.getChatSheet(sheetUid);
-            if (sheet) {
-                sheet.loadJson(sheetData)
-                return sheet
-            } else {
-                if(type === 'data') return null
-                else return BASE.createChatSheetByJson(sheetData)
-            }
-        }).filter(Boolean)
-        if(type === 'data') return BASE.saveChatSheets()
-        const oldSheets = BASE.getChatSheets().filter(sheet => !newSheets.some(newSheet => newSheet.uid === sheet.uid))
-        oldSheets.forEach(sheet => sheet.enable = false)
-        console.log("应用表格数据", newSheets, oldSheets)
-        const mergedSheets = [...newSheets, ...oldSheets]
-        BASE.reSaveAllChatSheets(mergedSheets)
+        return BASE.runWithCellProvenance({ source: CellSource.import }, () => {
+            const newSheets = Object.entries(json).map(([sheetUid, sheetData]) => {
+                if(sheetUid === 'mate') return null
+                const sheet = BASE.getChatSheet(sheetUid);
+                if (sheet) {
+                    sheet.loadJson(sheetData)
+                    return sheet
+                } else {
+                    if(type === 'data') return null
+                    else return BASE.createChatSheetByJson(sheetData)
+                }
+            }).filter(Boolean)
+            if(type === 'data') return BASE.saveChatSheets()
+            // 角色域与全局域表格跨聊天共享，不受导入的聊天表格影响
+            const oldSheets = BASE.getChatSheets()
+                .filter(sheet => BASE.getSheetsDataTarget(sheet.domain) === 'context')
+                .filter(sheet => !newSheets.some(newSheet => newSheet.uid === sheet.uid))
+            oldSheets.forEach(sheet => sheet.enable = false)
+            console.log("应用表格数据", newSheets, oldSheets)
+            const mergedSheets = [...newSheets, ...oldSheets]
+            BASE.reSaveAllChatSheets(mergedSheets)
+        })
+    },
+    /**
+     * 在指定的来源信息下执行回调
+     * @description 回调期间新建的单元格均记录该来源，见 createCellProvenance
+     * @param {{source: string, messageIndex?: number, swipeId?: number, template?: string, api?: string, model?: string}} provenance 来源信息
+     * @param {Function} callback
+     * @returns {*} 回调的返回值
+     */
+    runWithCellProvenance(provenance, callback) {
+        const previous = DERIVED.any.cellProvenance
+        DERIVED.any.cellProvenance = provenance
+        try {
+            return callback()
+        } finally {
+            DERIVED.any.cellProvenance = previous
+        }
+    },
+    /**
+     * 以事务方式修改多个表格
+     * @description 回调抛出异常时，所有表格恢复至事务开始前的状态并重新抛出该异常
+     * @param {Sheet[]} sheets 参与事务的表格
+     * @param {Function} callback 执行修改的同步函数
+     * @returns {*} 回调的返回值
+     */
+    runSheetsTransaction(sheets, callback) {
+        const begunSheets = [];
+        try {
+            sheets.forEach(sheet => {
+                sheet.beginTransaction();
+                begunSheets.push(sheet);
+            });
+            const result = callback();
+            begunSheets.forEach(sheet => sheet.commitTransaction());
+            return result;
+        } catch (e) {
+            begunSheets.forEach(sheet => sheet.rollbackTransaction());
+            throw e;
+        }
     },
     saveChatSheets(saveToPiece = true) {
         if(saveToPiece){
@@ -229,7 +336,9 @@ export const BASE = {
         const startIndex = startAtLastest ? chat.length - deep - 1 : deep;
         for (let i = startIndex; i >= 0 && i >= startIndex - cutoff; i--) {
             if (chat[i].is_user === true) continue; // 跳过用户消息
-            if (chat[i].hash_sheets) {
+            if (hasPieceHashSheets(chat[i])) {
+                // 增量储存的片段在此还原出完整的 hash_sheets
+                resolvePieceHashSheets(chat[i], chat)
                 console.log("向上查询表格数据，找到表格数据", chat[i])
                 return { deep: i, piece: chat[i] }
             }
@@ -238,7 +347,7 @@ export const BASE = {
             if (chat[i].dataTable) {
                 // 为了兼容旧系统，将旧数据转换为新的Sheet格式
                 console.log("找到旧表格数据", chat[i])
-                convertOldTablesToNewSheets(chat[i].dataTable, chat[i])
+                BASE.runWithCellProvenance({ source: CellSource.import, messageIndex: i }, () => convertOldTablesToNewSheets(chat[i].dataTable, chat[i]))
                 return { deep: i, piece: chat[i] }
             }
         }
@@ -254,9 +363,27 @@ export const BASE = {
         if (!hashSheets) {
             return [];
         }
+        const chatId = USER.getContext().chatId
         return BASE.getChatSheets((sheet)=>{
+            const target = BASE.getSheetsDataTarget(sheet.domain)
+            if (target !== 'context') {
+                // 角色域与全局域表格跨聊天共享，只有最后一次修改发生在当前聊天时才使用消息中记录的状态
+                const storedSheet = BASE.sheetsData[target].find(s => s.uid === sheet.uid)
+                if (storedSheet?.hashSheet && (!hashSheets[sheet.uid] || storedSheet.lastChatId !== chatId)) {
+                    sheet.hashSheet = storedSheet.hashSheet.map(row => row.map(hash => hash));
+                    sheet.markPositionCacheDirty()
+                    return
+                }
+            }
             if (hashSheets[sheet.uid]) {
                 sheet.hashSheet = hashSheets[sheet.uid].map(row => row.map(hash => hash));
+            } else if (sheet.config?.archiveSource) {
+                // 归档表只在归档时写入消息，消息中没有记录时使用最后保存的状态
+                const storedSheet = BASE.sheetsData[target].find(s => s.uid === sheet.uid)
+                if (storedSheet?.hashSheet) {
+                    sheet.hashSheet = storedSheet.hashSheet.map(row => row.map(hash => hash));
+                    sheet.markPositionCacheDirty()
+                } else sheet.initHashSheet()
             }else sheet.initHashSheet()
         })
     },
@@ -307,6 +434,15 @@ export const EDITOR = {
             return null;
         }
     },
+    // tryBlock 无法捕获异步函数的错误，异步操作使用 tryAsync
+    tryAsync: async (cb, errorMsg, ...args) => {
+        try {
+            return await cb(...args);
+        } catch (e) {
+            EDITOR.error(errorMsg ?? '执行代码块失败', e.message, e);
+            return null;
+        }
+    },
     info: (message, detail = '', timeout = 500) => consoleMessageToEditor.info(message, detail, timeout),
     success: (message, detail = '', timeout = 500) => consoleMessageToEditor.success(message, detail, timeout),
     warning: (message, detail = '', timeout = 2000) => consoleMessageToEditor.warning(message, detail, timeout),
@@ -327,6 +463,20 @@ export const EDITOR = {
 }
 
 
+/**
+ * 获取当前聊天的表格实例缓存
+ * @description 缓存按聊天 id 区分，切换聊天（包括分支与检查点）后从该聊天自己的数据重新加载表格实例，避免不同聊天共用同一实例的 cellHistory
+ * @returns {Object<string, Sheet>}
+ */
+function getChatSheetMap() {
+    const chatId = USER.getContext().chatId
+    if (!DERIVED.any.chatSheetMap || DERIVED.any.chatSheetMapChatId !== chatId) {
+        DERIVED.any.chatSheetMap = {}
+        DERIVED.any.chatSheetMapChatId = chatId
+    }
+    return DERIVED.any.chatSheetMap
+}
+
 /**
  * @description `DerivedData` 项目派生数据管理器
  * @description 该管理器用于管理运行时的派生数据，包括但不限于中间用户数据、系统数据、库数据等
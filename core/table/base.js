@@ -1,17 +1,39 @@
-import {Cell} from "./cell.js";
-import {filterSavingData} from "./utils.js";
+import {Cell, createCellProvenance} from "./cell.js";
+import {checkColumnValue, filterSavingData} from "./utils.js";
 
 const SheetDomain = {
     global: 'global',
     role: 'role',
     chat: 'chat',
 }
+const SheetDomainLabel = {
+    global: '全局',
+    role: '角色',
+    chat: '聊天',
+}
 const SheetType = {
     free: 'free',
     dynamic: 'dynamic',
     fixed: 'fixed',
     static: 'static',
 }
+/**
+ * 各表格类型允许 AI 执行的操作
+ * @description static 对 AI 只读；fixed 只允许更新，不改变行数；dynamic 可增删改行；free 额外允许增删列
+ */
+const SheetTypeAllowedOperations = {
+    free: ['update', 'insert', 'delete', 'insertColumn', 'deleteColumn'],
+    dynamic: ['update', 'insert', 'delete'],
+    fixed: ['update'],
+    static: [],
+}
+const SheetOperationLabel = {
+    update: '更新行',
+    insert: '插入行',
+    delete: '删除行',
+    insertColumn: '插入列',
+    deleteColumn: '删除列',
+}
 const customStyleConfig = {
     mode: 'regex',
     basedOn: 'html',
@@ -22,7 +44,9 @@ const customStyleConfig = {
 
 export class SheetBase {
     SheetDomain = SheetDomain;
+    SheetDomainLabel = SheetDomainLabel;
     SheetType = SheetType;
+    #transaction = null;                        // 事务开始时的快照
 
     constructor() {
         // 以下为基本属性
@@ -37,7 +61,7 @@ export class SheetBase {
         this.triggerSendDeep = 1;               // 用于记录触发发送的深度
 
         // 以下为持久化数据
-        this.cellHistory = [];                  // cellHistory 持久保持，只增不减
+        this.cellHistory = [];                  // cellHistory 持久保持，只增不减，仅在压缩时移除不再被引用的单元格
         this.hashSheet = [];                    // 每回合的 hashSheet 结构，用于渲染出表格
 
         this.config = {
@@ -93,6 +117,37 @@ export class SheetBase {
         // console.log(`标记 Sheet: ${this.name} (${this.uid}) 的 positionCache 为脏`);
     }
 
+    /**
+     * 开始事务
+     * @description 记录当前的 hashSheet 与 cellHistory 长度，回滚时恢复两者；事务期间的修改在提交前不应保存
+     */
+    beginTransaction() {
+        if (this.#transaction) throw new Error(`表格「${this.name}」已处于事务中`);
+        this.#transaction = {
+            hashSheet: this.hashSheet.map(row => row.map(hash => hash)),
+            cellHistoryLength: this.cellHistory.length,
+        };
+    }
+
+    /**
+     * 提交事务，保留事务期间的修改
+     */
+    commitTransaction() {
+        this.#transaction = null;
+    }
+
+    /**
+     * 回滚事务，撤销事务期间新增的单元格并恢复 hashSheet
+     */
+    rollbackTransaction() {
+        if (!this.#transaction) return;
+        const { hashSheet, cellHistoryLength } = this.#transaction;
+        this.cellHistory.splice(cellHistoryLength).forEach(cell => this.cells.delete(cell.uid));
+        this.hashSheet = hashSheet;
+        this.markPositionCacheDirty();
+        this.#transaction = null;
+    }
+
     init(column = 2, row = 2) {
         this.cells = new Map();
         this.cellHistory = [];
@@ -120,8 +175,10 @@ export class SheetBase {
     rebuildHashSheetByValueSheet(valueSheet) {
         const cols = valueSheet[0].length
         const rows = valueSheet.length
+        const provenance = createCellProvenance()
         const newHashSheet = Array.from({ length: rows }, (_, i) => Array.from({ length: cols }, (_, j) => {
             const cell = new Cell(this);
+            cell.provenance = { ...provenance };
             this.cells.set(cell.uid, cell);
             this.cellHistory.push(cell);
             cell.data.value = valueSheet[i][j] || ''; // 设置单元格的值
@@ -223,16 +280,18 @@ export class SheetBase {
     }
     /**
      * 获取表格csv格式的内容
+     * @param {Set<number>} rowFilter 只输出其中的行索引（第 0 行为表头），行号仍为原行号
      * @returns
      */
-    getSheetCSV( removeHeader = true,key = 'value') {
+    getSheetCSV( removeHeader = true,key = 'value', rowFilter = null) {
         if (this.isEmpty()) return '（此表格当前为空）\n'
         console.log("测试获取map", this.cells)
-        const content = this.hashSheet.slice(removeHeader?1:0).map((row, index) => row.map(cellUid => {
+        const startIndex = removeHeader ? 1 : 0
+        const content = this.hashSheet.slice(startIndex).map((row, index) => row.map(cellUid => {
             const cell = this.cells.get(cellUid)
             if (!cell) return ""
             return cell.type === cell.CellType.row_header ? index : cell.data[key]
-        }).join(',')).join('\n');
+        }).join(',')).filter((_, index) => !rowFilter || rowFilter.has(index + startIndex)).join('\n');
         return content + "\n";
     }
     /**
@@ -243,6 +302,151 @@ export class SheetBase {
         return this.hashSheet.length <= 1;
     }
 
+    /**
+     * 检查表格类型是否允许 AI 执行指定操作
+     * @param {'update'|'insert'|'delete'|'insertColumn'|'deleteColumn'} operation
+     * @returns {string} 不允许时返回拒绝原因，允许时返回空字符串
+     */
+    getOperationRejectReason(operation) {
+        const type = SheetTypeAllowedOperations[this.type] ? this.type : SheetType.dynamic;
+        if (SheetTypeAllowedOperations[type].includes(operation)) return '';
+        return `表格「${this.name}」的类型为 ${type}，不允许${SheetOperationLabel[operation] ?? operation}`;
+    }
+
+    /**
+     * 行是否被用户锁定
+     * @description 行锁定记录在行头单元格上，行头单元格不会被编辑，因此锁定状态在单元格修改后仍然保留
+     * @param {number} rowIndex 行索引（第 0 行为表头）
+     * @returns {boolean}
+     */
+    isRowLocked(rowIndex) {
+        if (rowIndex <= 0) return false;
+        return this.cells.get(this.hashSheet[rowIndex]?.[0])?.data?.locked === true;
+    }
+
+    /**
+     * 单元格是否被用户锁定，所在行被锁定时同样视为锁定
+     * @description 单元格锁定记录在单元格数据中，用户编辑单元格时随数据一同复制到新的单元格
+     * @param {number} rowIndex 行索引（第 0 行为表头）
+     * @param {number} colIndex 列索引（第 0 列为行头）
+     * @returns {boolean}
+     */
+    isCellLocked(rowIndex, colIndex) {
+        if (this.isRowLocked(rowIndex)) return true;
+        if (rowIndex <= 0 || colIndex <= 0) return false;
+        return this.cells.get(this.hashSheet[rowIndex]?.[colIndex])?.data?.locked === true;
+    }
+
+    /**
+     * 锁定或解锁行、单元格，锁定的内容不允许 AI 修改或删除
+     * @param {number} rowIndex 行索引（第 0 行为表头）
+     * @param {number} colIndex 列索引，为 0 时锁定整行
+     * @param {boolean} locked
+     * @returns {boolean} 位置无效时返回 false
+     */
+    setLocked(rowIndex, colIndex, locked) {
+        if (rowIndex <= 0 || colIndex < 0) return false;
+        const cell = this.cells.get(this.hashSheet[rowIndex]?.[colIndex]);
+        if (!cell) return false;
+        if (locked) cell.data.locked = true;
+        else delete cell.data.locked;
+        return true;
+    }
+
+    /**
+     * 行是否被用户固定，按相关度选择注入的行时固定的行总会被注入
+     * @param {number} rowIndex 行索引（第 0 行为表头）
+     * @returns {boolean}
+     */
+    isRowPinned(rowIndex) {
+        if (rowIndex <= 0) return false;
+        return this.cells.get(this.hashSheet[rowIndex]?.[0])?.data?.pinned === true;
+    }
+
+    /**
+     * 固定或取消固定行，固定状态与行锁定一样记录在行头单元格上
+     * @param {number} rowIndex 行索引（第 0 行为表头）
+     * @param {boolean} pinned
+     * @returns {boolean} 位置无效时返回 false
+     */
+    setRowPinned(rowIndex, pinned) {
+        if (rowIndex <= 0) return false;
+        const cell = this.cells.get(this.hashSheet[rowIndex]?.[0]);
+        if (!cell) return false;
+        if (pinned) cell.data.pinned = true;
+        else delete cell.data.pinned;
+        return true;
+    }
+
+    /**
+     * 获取锁定的行与单元格
+     * @returns {{rows: number[], cells: number[][]}} rows 为锁定的行索引，cells 为单独锁定的单元格的 [行索引, 列索引]
+     */
+    getLocks() {
+        const locks = { rows: [], cells: [] };
+        for (let rowIndex = 1; rowIndex < this.hashSheet.length; rowIndex++) {
+            if (this.isRowLocked(rowIndex)) {
+                locks.rows.push(rowIndex);
+                continue;
+            }
+            this.hashSheet[rowIndex].forEach((uid, colIndex) => {
+                if (colIndex > 0 && this.cells.get(uid)?.data?.locked === true) locks.cells.push([rowIndex, colIndex]);
+            });
+        }
+        return locks;
+    }
+
+    /**
+     * 按列表头声明的类型校验并转换单元格的值
+     * @param {number} colIndex 列索引（第 0 列为行头）
+     * @param {*} value 待写入的值
+     * @returns {{value: string, status: 'valid'|'coerced'|'rejected', message?: string}}
+     */
+    checkCellValue(colIndex, value) {
+        const header = this.cells.get(this.hashSheet[0]?.[colIndex]);
+        return checkColumnValue(header?.data, value);
+    }
+
+    /**
+     * 获取被设置为主键的列
+     * @returns {number[]} 列索引（第 0 列为行头）
+     */
+    getKeyColumnIndexes() {
+        return (this.hashSheet[0] ?? [])
+            .map((cellUid, colIndex) => colIndex > 0 && this.cells.get(cellUid)?.data?.isKeyColumn ? colIndex : -1)
+            .filter(colIndex => colIndex > 0);
+    }
+
+    /**
+     * 行数据中是否包含全部主键列的值
+     * @param {object} data AI 提供的行数据，键为从 0 开始的列序号
+     * @returns {boolean}
+     */
+    hasKeyValues(data) {
+        const keyColumns = this.getKeyColumnIndexes();
+        if (keyColumns.length === 0 || !data) return false;
+        return keyColumns.every(colIndex => String(data[colIndex - 1] ?? '').trim() !== '');
+    }
+
+    /**
+     * 根据主键查找行
+     * @param {object} data AI 提供的行数据，键为从 0 开始的列序号
+     * @returns {number} hashSheet 中的行索引，未设置主键、缺少主键值或未找到时返回 -1
+     */
+    findRowIndexByKey(data) {
+        if (!this.hasKeyValues(data)) return -1;
+        const keyColumns = this.getKeyColumnIndexes();
+        const keyValues = keyColumns.map(colIndex => String(this.checkCellValue(colIndex, data[colIndex - 1]).value).trim());
+        for (let rowIndex = 1; rowIndex < this.hashSheet.length; rowIndex++) {
+            const matched = keyColumns.every((colIndex, i) => {
+                const cell = this.cells.get(this.hashSheet[rowIndex][colIndex]);
+                return String(cell?.data?.value ?? '').trim() === keyValues[i];
+            });
+            if (matched) return rowIndex;
+        }
+        return -1;
+    }
+
     filterSavingData(key, withHead = false) {
         return filterSavingData(this, key, withHead)
     }
@@ -251,6 +455,57 @@ export class SheetBase {
         return this.hashSheet.length;
     }
 
+    /**
+     * 在表格末尾追加一行，不保存
+     * @description 各值按列类型校验，无法转换的值写入该列的默认值，并与转换过的值一样记录在单元格的 validation 中
+     * @param {string[]} values 各列的值，不含行头
+     * @returns {string[]} 被拒绝的值的原因
+     */
+    appendRow(values) {
+        const lastCell = this.findCellByPosition(this.getRowCount() - 1, 0);
+        lastCell.newAction(lastCell.CellAction.insertDownRow, {}, false);
+        const rejected = [];
+        this.getCellsByRowIndex(this.getRowCount() - 1).forEach((cell, colIndex) => {
+            if (colIndex === 0) return;
+            const value = values[colIndex - 1] ?? '';
+            const checked = this.checkCellValue(colIndex, value);
+            if (checked.status === 'rejected') rejected.push(checked.message);
+            cell.data.value = checked.status === 'rejected' ? this.checkCellValue(colIndex, '').value : checked.value;
+            if (checked.status !== 'valid') cell.data.validation = { status: checked.status, original: value, message: checked.message };
+        });
+        return rejected;
+    }
+
+    /**
+     * 修改一行的值，不保存
+     * @description 锁定的单元格与值未改变的单元格不修改；各值按列类型校验，无法转换的值不写入
+     * @param {number} rowIndex 行索引（第 0 行为表头）
+     * @param {string[]} values 各列的值，不含行头
+     * @returns {string[]} 被拒绝的值的原因
+     */
+    updateRowValues(rowIndex, values) {
+        const rejected = [];
+        this.getCellsByRowIndex(rowIndex).forEach((cell, colIndex) => {
+            if (colIndex === 0 || this.isCellLocked(rowIndex, colIndex)) return;
+            const value = values[colIndex - 1] ?? '';
+            const checked = this.checkCellValue(colIndex, value);
+            if (checked.status === 'rejected') return rejected.push(checked.message);
+            if (String(checked.value) === String(cell.data.value ?? '')) return;
+            const validation = checked.status === 'coerced' ? { status: checked.status, original: value, message: checked.message } : undefined;
+            cell.newAction(cell.CellAction.editCell, { value: checked.value, validation }, false);
+        });
+        return rejected;
+    }
+
+    /**
+     * 行本身或行中的任一单元格是否被锁定
+     * @param {number} rowIndex 行索引（第 0 行为表头）
+     * @returns {boolean}
+     */
+    hasLockedContent(rowIndex) {
+        return this.isRowLocked(rowIndex) || this.hashSheet[rowIndex].some((_, colIndex) => this.isCellLocked(rowIndex, colIndex));
+    }
+
     /**
      * 获取表头数组（兼容旧数据）
      * @returns {string[]} 表头数组
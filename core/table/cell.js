@@ -11,12 +11,73 @@ const CellAction = {
     deleteSelfRow: 'deleteSelfRow',
     clearSheet: 'clearSheet',
 }
+const CellActionOperation = {
+    editCell: 'update',
+    insertLeftColumn: 'insertColumn',
+    insertRightColumn: 'insertColumn',
+    insertUpRow: 'insert',
+    insertDownRow: 'insert',
+    deleteSelfColumn: 'deleteColumn',
+    deleteSelfRow: 'delete',
+}
 const CellType = {
     sheet_origin: 'sheet_origin',
     column_header: 'column_header',
     row_header: 'row_header',
     cell: 'cell',
 }
+/**
+ * 单元格值的来源
+ */
+export const CellSource = {
+    aiInline: 'ai-inline',
+    stepByStep: 'step-by-step',
+    rebuild: 'rebuild',
+    manual: 'manual',
+    import: 'import',
+    archive: 'archive',
+    templateSync: 'template-sync',
+}
+export const CellSourceLabel = {
+    'ai-inline': 'AI回复',
+    'step-by-step': '分步填表',
+    'rebuild': '重整理',
+    'manual': '手动编辑',
+    'import': '导入',
+    'archive': '归档总结',
+    'template-sync': '模板同步',
+}
+
+/**
+ * 生成新单元格的来源信息
+ * @description 来源由 BASE.runWithCellProvenance 设置，未设置时视为手动编辑；未指定消息楼层时取最新的非用户消息
+ * @returns {{source: string, messageIndex: number, swipeId: number, template?: string, protocol?: string, api?: string, model?: string, timestamp: number}}
+ */
+export function createCellProvenance() {
+    const { source = CellSource.manual, messageIndex, swipeId, ...rest } = DERIVED.any.cellProvenance ?? {};
+    const chat = USER.getContext()?.chat ?? [];
+    const index = messageIndex ?? USER.getChatPiece().deep;
+    return {
+        ...rest,
+        source,
+        messageIndex: index,
+        swipeId: swipeId ?? chat[index]?.swipe_id ?? 0,
+        timestamp: Date.now(),
+    };
+}
+
+const cellEditListeners = new Set();
+
+/**
+ * 监听所有表格中的单元格编辑
+ * @description 每次编辑都会生成新的单元格，监听器收到的是编辑后的新单元格与被替换的旧单元格
+ * @param {(cell: Cell, previous: Cell) => void} listener
+ * @returns {Function} 取消监听的函数
+ */
+export function addCellEditListener(listener) {
+    cellEditListeners.add(listener);
+    return () => cellEditListeners.delete(listener);
+}
 
 /**
  * 单元格类，用于管理表格中的单元格数据
@@ -65,8 +126,16 @@ export class Cell {
         return this.parent.cells.get(targetUid);
     }
 
-    newAction(actionName, props, isSave = true) {
-        this.#event(actionName, props, isSave);
+    /**
+     * 执行单元格操作
+     * @param {string} actionName CellAction 中的操作名
+     * @param {object} props 操作参数
+     * @param {boolean} isSave 是否在操作后保存表格
+     * @param {boolean} checkSheetType 是否按表格类型检查操作权限，AI 发起的操作需要检查
+     * @returns {boolean} 操作被表格类型拒绝时返回 false
+     */
+    newAction(actionName, props, isSave = true, checkSheetType = false) {
+        return this.#event(actionName, props, isSave, checkSheetType);
     }
     /* newActions(actionList) {
         for (const action of actionList) {
@@ -174,6 +243,22 @@ export class Cell {
         }
     }
 
+    /**
+     * 记录被拒绝写入的值
+     * @description 仅追加至 cellHistory 以便在单元格历史记录中查看，不会改变表格当前的值
+     * @param {*} value 被拒绝的值
+     * @param {string} message 拒绝原因
+     */
+    recordRejectedValue(value, message) {
+        const cell = new Cell(this.parent);
+        cell.coordUid = this.coordUid;
+        const { validation, ...data } = this.data;
+        cell.data = { ...data, value, validation: { status: 'rejected', original: value, message } };
+        cell.provenance = createCellProvenance();
+        this.parent.cells.set(cell.uid, cell);
+        this.parent.cellHistory.push(cell);
+    }
+
     /** _______________________________________ 以下函数不进行外部调用 _______________________________________ */
     /** _______________________________________ 以下函数不进行外部调用 _______________________________________ */
     /** _______________________________________ 以下函数不进行外部调用 _______________________________________ */
@@ -202,14 +287,22 @@ export class Cell {
         this.element = targetCell.element || null;
         this.targetUid = targetCell.targetUid || '';
         this.data = targetCell.data || {};
+        this.provenance = targetCell.provenance;
         this.element = document.createElement('td');
     }
     #positionInParentCellSheet() {
         return this.parent.positionCache[this.uid] || [-1, -1];
     }
 
-    #event(actionName, props = {}, isSave = true) {
+    #event(actionName, props = {}, isSave = true, checkSheetType = false) {
         const [rowIndex, colIndex] = this.#positionInParentCellSheet();
+        if (checkSheetType && CellActionOperation[actionName]) {
+            const reason = this.parent.getOperationRejectReason?.(CellActionOperation[actionName]);
+            if (reason) {
+                EDITOR.warning('已拒绝表格操作', reason);
+                return false;
+            }
+        }
         switch (actionName) {
             case CellAction.editCell:
                 this.#handleEditCell(props);
@@ -259,6 +352,7 @@ export class Cell {
         }
 
         console.log(`单元格操作: ${actionName} 位置: ${[rowIndex, colIndex]}`);
+        return true;
     }
     #handleEditCell(props = {}) {
         if (!props || Object.keys(props).length === 0) {
@@ -267,19 +361,30 @@ export class Cell {
         }
         let cell = new Cell(this.parent);
         cell.coordUid = this.coordUid;
-        cell.data = { ...this.data, ...props };
+        const { validation, ...data } = this.data;   // 校验标记只属于产生它的那条历史记录
+        cell.data = { ...data, ...props };
+        cell.provenance = createCellProvenance();
         const [rowIndex, colIndex] = this.#positionInParentCellSheet()
         this.parent.cells.set(cell.uid, cell);
         console.log("保存前的 cell", this.parent.cellHistory);
         this.parent.cellHistory.push(cell);
         this.parent.hashSheet[rowIndex][colIndex] = cell.uid;
         this.parent.markPositionCacheDirty();
+        cellEditListeners.forEach(listener => {
+            try {
+                listener(cell, this);
+            } catch (e) {
+                console.error('单元格编辑监听器执行失败', e);
+            }
+        });
     }
 
     #insertRow(targetRowIndex) {
         // 使用Array.from()方法在 hashSheet 中 targetRowIndex + 1 的位置插入新行
+        const provenance = createCellProvenance();
         const newRow = Array.from({ length: this.parent.hashSheet[0].length }, (_, j) => {
             let cell = new Cell(this.parent); // 创建新单元格
+            cell.provenance = { ...provenance };
             if (j === 0) {
                 // 如果是新行的第一个单元格（行头），设置 type 为 row_header
                 cell.type = CellType.row_header;
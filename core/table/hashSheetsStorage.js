@@ -0,0 +1,319 @@
+import { USER } from '../manager.js';
+
+/**
+ * 聊天片段中 hash_sheets 的增量储存
+ * @description 开启增量储存后，带有表格数据的聊天片段只在 `hash_sheets_delta` 中保存相对于上一个带有表格数据的片段的行变化，
+ * 每隔 `hash_sheets_keyframe_interval` 个片段保存一次完整的 `hash_sheets` 作为关键帧
+ * @description 增量片段被读取时会还原出完整的矩阵，以不可枚举的 `hash_sheets` 属性挂在片段上，因此读取方式不变，且不会被写入聊天文件
+ * @description 行以行头单元格的 uid 作为标识，行操作 `ops` 中正数表示从上一片段复制若干行，负数表示跳过上一片段的若干行，数组表示新的行
+ * @description 增量依赖于片段在聊天中的位置，删除消息后需调用 `reencodeChatHashSheets` 按删除前还原的结果重新编码，
+ * 因此加载聊天时通过 `resolveChatHashSheets` 还原所有片段
+ */
+
+const DELTA_KEY = 'hash_sheets_delta';
+export const HashSheetsStorageMode = {
+    full: 'full',
+    delta: 'delta',
+};
+
+/**
+ * 判断聊天片段是否带有表格数据（完整或增量）
+ * @param {Object} piece 单个聊天对象
+ * @returns {boolean}
+ */
+export function hasPieceHashSheets(piece) {
+    return !!(piece && piece.is_user !== true && (piece.hash_sheets || piece[DELTA_KEY]));
+}
+
+function isKeyframe(piece) {
+    return !piece[DELTA_KEY] && !!piece.hash_sheets;
+}
+
+function isSameRow(a, b) {
+    return a.length === b.length && a.every((uid, index) => uid === b[index]);
+}
+
+function pushOp(ops, op) {
+    const last = ops[ops.length - 1];
+    if (typeof op === 'number' && typeof last === 'number' && Math.sign(op) === Math.sign(last)) {
+        ops[ops.length - 1] = last + op;
+    } else {
+        ops.push(op);
+    }
+}
+
+/**
+ * 计算单个表格矩阵相对于上一矩阵的行操作
+ * @param {string[][]} baseMatrix 上一片段中的矩阵
+ * @param {string[][]} matrix 当前矩阵
+ * @returns {(number|string[])[]}
+ */
+function diffRows(baseMatrix, matrix) {
+    const baseIndex = new Map(baseMatrix.map((row, index) => [row[0], index]));
+    const ops = [];
+    let cursor = 0;
+    matrix.forEach(row => {
+        const index = baseIndex.get(row[0]);
+        if (index !== undefined && index >= cursor && isSameRow(baseMatrix[index], row)) {
+            if (index > cursor) pushOp(ops, cursor - index);
+            pushOp(ops, 1);
+            cursor = index + 1;
+        } else {
+            ops.push(row.slice());
+        }
+    });
+    return ops;
+}
+
+function applyRows(baseMatrix, ops) {
+    const matrix = [];
+    let cursor = 0;
+    ops.forEach(op => {
+        if (Array.isArray(op)) {
+            matrix.push(op.slice());
+        } else if (op > 0) {
+            baseMatrix.slice(cursor, cursor + op).forEach(row => matrix.push(row.slice()));
+            cursor += op;
+        } else {
+            cursor -= op;
+        }
+    });
+    return matrix;
+}
+
+/**
+ * 计算 hash_sheets 相对于上一片段的增量
+ * @description 与上一片段相同的表格记为 0，上一片段中不存在的表格保存完整矩阵
+ * @param {Object} baseHashSheets 上一片段的 hash_sheets
+ * @param {Object} hashSheets 当前片段的 hash_sheets
+ * @returns {Object<string, 0|{rows: Array}|{full: string[][]}>}
+ */
+export function encodeHashSheetsDelta(baseHashSheets, hashSheets) {
+    const sheets = {};
+    Object.entries(hashSheets).forEach(([uid, matrix]) => {
+        if (!matrix) return;
+        const baseMatrix = baseHashSheets?.[uid];
+        if (!baseMatrix) {
+            sheets[uid] = { full: matrix.map(row => row.slice()) };
+            return;
+        }
+        const rows = diffRows(baseMatrix, matrix);
+        sheets[uid] = rows.length === 1 && rows[0] === baseMatrix.length && matrix.length === baseMatrix.length ? 0 : { rows };
+    });
+    return sheets;
+}
+
+/**
+ * 将增量应用到上一片段的 hash_sheets 上，还原完整的 hash_sheets
+ * @param {Object} baseHashSheets 上一片段的 hash_sheets
+ * @param {Object} sheets encodeHashSheetsDelta 的结果
+ * @returns {Object}
+ */
+export function applyHashSheetsDelta(baseHashSheets, sheets) {
+    const hashSheets = {};
+    Object.entries(sheets).forEach(([uid, delta]) => {
+        const baseMatrix = baseHashSheets?.[uid] ?? [];
+        if (delta === 0) hashSheets[uid] = baseMatrix.map(row => row.slice());
+        else if (delta.full) hashSheets[uid] = delta.full.map(row => row.slice());
+        else hashSheets[uid] = applyRows(baseMatrix, delta.rows);
+    });
+    return hashSheets;
+}
+
+function setResolvedHashSheets(piece, hashSheets) {
+    Object.defineProperty(piece, 'hash_sheets', { value: hashSheets, writable: true, configurable: true, enumerable: false });
+}
+
+function findPreviousDataIndex(chat, index) {
+    for (let i = index - 1; i >= 0; i--) {
+        if (hasPieceHashSheets(chat[i])) return i;
+    }
+    return -1;
+}
+
+/**
+ * 获取聊天片段完整的 hash_sheets，增量片段会沿链向上还原并缓存在片段上
+ * @param {Object} piece 单个聊天对象
+ * @param {Object[]} chat 聊天记录
+ * @returns {Object|undefined}
+ */
+export function resolvePieceHashSheets(piece, chat = USER.getContext().chat) {
+    if (!piece?.[DELTA_KEY] || Object.prototype.hasOwnProperty.call(piece, 'hash_sheets')) return piece?.hash_sheets;
+    const chain = [piece];
+    let baseHashSheets = {};
+    let index = chat.indexOf(piece);
+    while (index !== -1) {
+        index = findPreviousDataIndex(chat, index);
+        if (index === -1) break;
+        const previous = chat[index];
+        if (Object.prototype.hasOwnProperty.call(previous, 'hash_sheets')) {
+            baseHashSheets = previous.hash_sheets;
+            break;
+        }
+        chain.push(previous);
+    }
+    if (index === -1) console.warn("增量表格数据缺少上一片段，已从空表格开始还原", chain[chain.length - 1]);
+    chain.reverse().forEach(current => {
+        baseHashSheets = applyHashSheetsDelta(baseHashSheets, current[DELTA_KEY].sheets);
+        setResolvedHashSheets(current, baseHashSheets);
+    });
+    return piece.hash_sheets;
+}
+
+/**
+ * 在写入片段的 hash_sheets 前调用
+ * @description 还原该片段及其后依赖它的增量片段，避免修改该片段后后续片段按新的内容还原
+ * @param {Object} piece 将要写入的聊天对象
+ * @param {Object[]} chat 聊天记录
+ */
+export function prepareHashSheetsWrite(piece, chat = USER.getContext().chat) {
+    const index = chat.indexOf(piece);
+    if (index === -1) return;
+    resolvePieceHashSheets(piece, chat);
+    for (let i = index + 1; i < chat.length; i++) {
+        if (!hasPieceHashSheets(chat[i])) continue;
+        if (!chat[i][DELTA_KEY]) break;
+        resolvePieceHashSheets(chat[i], chat);
+    }
+}
+
+function storeAsKeyframe(piece) {
+    const hashSheets = piece.hash_sheets;
+    delete piece[DELTA_KEY];
+    delete piece.hash_sheets;
+    piece.hash_sheets = hashSheets;
+}
+
+function encodePiece(piece, index, chat, interval) {
+    const hashSheets = piece.hash_sheets;
+    const previousIndex = findPreviousDataIndex(chat, index);
+    if (!USER.tableBaseSetting.bool_hash_sheets_delta_storage || !hashSheets || previousIndex === -1) return storeAsKeyframe(piece);
+    const previous = chat[previousIndex];
+    const depth = isKeyframe(previous) ? 1 : (previous[DELTA_KEY]?.depth ?? 0) + 1;
+    if (depth >= interval) return storeAsKeyframe(piece);
+    piece[DELTA_KEY] = { depth, sheets: encodeHashSheetsDelta(resolvePieceHashSheets(previous, chat), hashSheets) };
+    setResolvedHashSheets(piece, hashSheets);
+}
+
+function getKeyframeInterval() {
+    return Math.max(1, Number(USER.tableBaseSetting.hash_sheets_keyframe_interval) || 1);
+}
+
+/**
+ * 在写入片段的 hash_sheets 后调用，按当前储存方式重新编码该片段及其后依赖它的增量片段
+ * @param {Object} piece 已写入的聊天对象
+ * @param {Object[]} chat 聊天记录
+ */
+export function storePieceHashSheets(piece, chat = USER.getContext().chat) {
+    const index = chat.indexOf(piece);
+    if (index === -1) return;
+    const interval = getKeyframeInterval();
+    encodePiece(piece, index, chat, interval);
+    for (let i = index + 1; i < chat.length; i++) {
+        if (!hasPieceHashSheets(chat[i])) continue;
+        if (!chat[i][DELTA_KEY]) break;
+        encodePiece(chat[i], i, chat, interval);
+    }
+}
+
+function copyHashSheets(hashSheets) {
+    return Object.fromEntries(Object.entries(hashSheets).map(([uid, matrix]) => [uid, matrix.map(row => row.slice())]));
+}
+
+/**
+ * 记录片段当前的表格数据属于哪个滑动
+ * @param {Object} piece 已写入的聊天对象
+ */
+export function markHashSheetsSwipe(piece) {
+    piece.hash_sheets_swipe_id = piece.swipe_id ?? 0;
+}
+
+/**
+ * 将片段当前的表格数据保存为其所属滑动的快照
+ * @description 快照保存在 `swipe_info[swipe_id].hash_sheets` 中，以完整矩阵储存；切换滑动前调用
+ * @param {Object} piece 单个聊天对象
+ */
+export function stashSwipeHashSheets(piece) {
+    const owner = piece?.hash_sheets_swipe_id;
+    const info = piece?.swipe_info?.[owner];
+    const hashSheets = resolvePieceHashSheets(piece);
+    if (owner === undefined || !info || !hashSheets) return;
+    info.hash_sheets = copyHashSheets(hashSheets);
+}
+
+/**
+ * 用当前滑动的快照替换片段的表格数据
+ * @param {Object} piece 单个聊天对象
+ * @returns {Object|null} 恢复后的 hash_sheets，当前滑动没有快照时返回 null
+ */
+export function restoreSwipeHashSheets(piece) {
+    const snapshot = piece?.swipe_info?.[piece.swipe_id]?.hash_sheets;
+    if (!snapshot) return null;
+    prepareHashSheetsWrite(piece);
+    piece.hash_sheets = copyHashSheets(snapshot);
+    markHashSheetsSwipe(piece);
+    storePieceHashSheets(piece);
+    return piece.hash_sheets;
+}
+
+/**
+ * 删除片段中的表格数据（完整与增量）
+ * @param {Object} piece 单个聊天对象
+ */
+export function deletePieceHashSheets(piece) {
+    delete piece.hash_sheets;
+    delete piece[DELTA_KEY];
+    delete piece.hash_sheets_swipe_id;
+    piece.swipe_info?.forEach(info => delete info?.hash_sheets);
+}
+
+/**
+ * 还原聊天中所有增量片段的 hash_sheets
+ * @description 加载聊天时调用，删除消息后可按还原的结果重新编码
+ * @param {Object[]} chat 聊天记录
+ */
+export function resolveChatHashSheets(chat = USER.getContext().chat) {
+    chat?.forEach(piece => piece?.[DELTA_KEY] && resolvePieceHashSheets(piece, chat));
+}
+
+/**
+ * 删除消息后重新编码增量片段
+ * @description 被删除片段之后的增量原本相对于被删除的片段编码，需按各片段已还原的 hash_sheets 相对于新的上一片段重新编码；
+ * 被删除的若是关键帧，其后的第一个增量片段会成为新的关键帧
+ * @param {Object[]} chat 聊天记录
+ * @returns {boolean} 是否有片段被重新编码
+ */
+export function reencodeChatHashSheets(chat = USER.getContext().chat) {
+    if (!chat?.some(piece => piece?.[DELTA_KEY])) return false;
+    const indexes = chat.map((piece, index) => hasPieceHashSheets(piece) ? index : -1).filter(index => index !== -1);
+    // 还原结果缓存在片段上，不受删除影响；尚未还原的片段在此处按删除后的链还原，无法保证正确
+    const unresolved = indexes.filter(index => chat[index][DELTA_KEY] && !Object.prototype.hasOwnProperty.call(chat[index], 'hash_sheets'));
+    if (unresolved.length > 0) console.warn("重新编码时部分增量片段尚未还原", unresolved);
+    indexes.forEach(index => resolvePieceHashSheets(chat[index], chat));
+    const interval = getKeyframeInterval();
+    indexes.forEach(index => encodePiece(chat[index], index, chat, interval));
+    return true;
+}
+
+/**
+ * 将当前聊天的表格数据迁移为设置中的储存方式
+ * @description 先还原所有片段，再按顺序重新编码；储存方式记录在 chatMetadata 中，已是目标方式时不做处理
+ * @param {boolean} force 是否在储存方式相同时也重新编码
+ * @returns {boolean} 是否进行了迁移
+ */
+export function migrateChatHashSheets(force = false) {
+    const context = USER.getContext();
+    const chat = context.chat;
+    if (!chat || !context.chatMetadata) return false;
+    const targetMode = USER.tableBaseSetting.bool_hash_sheets_delta_storage ? HashSheetsStorageMode.delta : HashSheetsStorageMode.full;
+    const currentMode = context.chatMetadata.hash_sheets_storage ?? HashSheetsStorageMode.full;
+    if (!force && currentMode === targetMode) return false;
+
+    const indexes = chat.map((piece, index) => hasPieceHashSheets(piece) ? index : -1).filter(index => index !== -1);
+    indexes.forEach(index => resolvePieceHashSheets(chat[index], chat));
+    const interval = getKeyframeInterval();
+    indexes.forEach(index => encodePiece(chat[index], index, chat, interval));
+    context.chatMetadata.hash_sheets_storage = targetMode;
+    console.log("表格数据储存方式迁移完成", currentMode, "→", targetMode, indexes.length);
+    return true;
+}
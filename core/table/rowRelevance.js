@@ -0,0 +1,138 @@
+/**
+ * 表格行与聊天内容的相关度计算
+ * @description 不依赖外部服务：英文与数字按单词切分，中日韩文字按相邻两字切分（单字词保留单字），
+ * 以所有参与计算的行作为语料计算 BM25 分数，再加上关键词覆盖率
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]+/g;
+const WORD_PATTERN = /[a-z0-9\u00c0-\u024f]+/g;
+
+/**
+ * 将文本切分为检索用的词
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeForRelevance(text) {
+    const lower = String(text ?? '').toLowerCase();
+    const terms = lower.match(WORD_PATTERN)?.filter(word => word.length > 1 || /\d/.test(word)) ?? [];
+    (lower.match(CJK_PATTERN) ?? []).forEach(run => {
+        if (run.length === 1) {
+            terms.push(run);
+            return;
+        }
+        for (let i = 0; i < run.length - 1; i++) terms.push(run.slice(i, i + 2));
+    });
+    return terms;
+}
+
+function countTerms(terms) {
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) ?? 0) + 1));
+    return counts;
+}
+
+/**
+ * 计算每一行相对查询文本的相关度
+ * @param {string[]} rowTexts 每一行的全部单元格文本
+ * @param {string} queryText 查询文本，通常为最近的聊天内容
+ * @returns {{bm25: number, overlap: number, score: number}[]} 与 rowTexts 顺序一致，overlap 为行中的词出现在查询中的比例
+ */
+export function scoreRowsByRelevance(rowTexts, queryText) {
+    const queryTerms = new Set(tokenizeForRelevance(queryText));
+    const documents = rowTexts.map(text => countTerms(tokenizeForRelevance(text)));
+    const lengths = documents.map(counts => [...counts.values()].reduce((sum, count) => sum + count, 0));
+    const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (documents.length || 1) || 1;
+    const documentFrequency = new Map();
+    documents.forEach(counts => counts.forEach((_, term) => {
+        if (queryTerms.has(term)) documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1);
+    }));
+
+    return documents.map((counts, index) => {
+        let bm25 = 0;
+        let matched = 0;
+        counts.forEach((frequency, term) => {
+            if (!queryTerms.has(term)) return;
+            matched++;
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+            bm25 += idf * frequency * (BM25_K1 + 1) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengths[index] / averageLength));
+        });
+        const overlap = counts.size > 0 ? matched / counts.size : 0;
+        return { bm25, overlap, score: bm25 + overlap };
+    });
+}
+
+/**
+ * 在 token 预算内选择要注入的行
+ * @description 固定的行总会被选中并计入预算；其余行按分数从高到低选择，分数相同时优先较新的行（行号较大），
+ * 超出所在表格或总预算的行会被跳过，较小的行仍可能被选中
+ * @param {{key: *, group: string, tokens: number, score: number, order: number, pinned?: boolean}[]} rows 候选行，group 为所在表格
+ * @param {{groupBudget?: number, totalBudget?: number}} budgets 每个表格与全部表格的 token 上限，0 或未设置表示不限制
+ * @returns {Set<*>} 选中行的 key
+ */
+export function selectRowsWithinBudget(rows, { groupBudget = 0, totalBudget = 0 } = {}) {
+    const selected = new Set();
+    const groupTokens = new Map();
+    let totalTokens = 0;
+    const take = row => {
+        selected.add(row.key);
+        groupTokens.set(row.group, (groupTokens.get(row.group) ?? 0) + row.tokens);
+        totalTokens += row.tokens;
+    };
+    rows.filter(row => row.pinned).forEach(take);
+    rows.filter(row => !row.pinned)
+        .sort((a, b) => b.score - a.score || b.order - a.order)
+        .forEach(row => {
+            if (groupBudget > 0 && (groupTokens.get(row.group) ?? 0) + row.tokens > groupBudget) return;
+            if (totalBudget > 0 && totalTokens + row.tokens > totalBudget) return;
+            take(row);
+        });
+    return selected;
+}
+
+function hashTerm(term) {
+    let hash = 2166136261;
+    for (let i = 0; i < term.length; i++) {
+        hash ^= term.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * 确定性的文本向量，用于在没有向量服务时测试语义检索流程
+ * @description 将每个词哈希到固定维度上并归一化，相同文本总是得到相同向量，含有相同词的文本相似度更高
+ * @param {string} text
+ * @param {number} dimensions 向量维度
+ * @returns {number[]}
+ */
+export function deterministicEmbedding(text, dimensions = 64) {
+    const vector = new Array(dimensions).fill(0);
+    tokenizeForRelevance(text).forEach(term => {
+        const hash = hashTerm(term);
+        vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+    });
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * 计算两个向量的余弦相似度，维度不同或为零向量时返回 0
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
@@ -1,7 +1,8 @@
 import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../manager.js';
 import { SheetBase } from "./base.js";
-import { cellStyle, filterSavingData } from "./utils.js";
+import { cellStyle, filterSavingData, getColumnTypeHint } from "./utils.js";
 import {Cell} from "./cell.js";
+import { markHashSheetsSwipe, prepareHashSheetsWrite, storePieceHashSheets } from "./hashSheetsStorage.js";
 
 /**
  * 表格类，用于管理表格数据
@@ -60,6 +61,14 @@ export class Sheet extends SheetBase {
                     this.cells.set(cellUid, cell); // 将新创建的单元格添加到 cells 中
                 }
                 const cellElement = cell.initCellRender(rowIndex, colIndex);
+                // 锁定的行在行头、锁定的单元格在单元格内显示锁图标
+                if (cell.data?.locked === true && rowIndex > 0) {
+                    cellElement.classList.add('sheet-cell-locked');
+                    cellElement.insertAdjacentHTML('afterbegin', '<i class="fa-solid fa-lock sheet-cell-lock-icon" title="已锁定，AI 无法修改或删除"></i>');
+                }
+                if (cell.data?.pinned === true && rowIndex > 0 && colIndex === 0) {
+                    cellElement.insertAdjacentHTML('afterbegin', '<i class="fa-solid fa-thumbtack sheet-cell-lock-icon" title="已固定，按相关度选择行时总会发送给AI"></i>');
+                }
                 rowElement.appendChild(cellElement);    // 调用 Cell 的 initCellRender 方法，仍然需要传递 rowIndex, colIndex 用于渲染单元格内容
                 if (cellEventHandler) {
                     cellEventHandler(cell);
@@ -76,22 +85,31 @@ export class Sheet extends SheetBase {
      */
     save(targetPiece = USER.getChatPiece()?.piece, manualSave = false) {
         const sheetDataToSave = this.filterSavingData()
-        sheetDataToSave.template = this.template?.uid;
+        // 从模板创建时 template 为模板对象，从储存的数据加载后为模板 uid
+        sheetDataToSave.template = this.template?.uid ?? this.template ?? undefined;
 
-        let sheets = BASE.sheetsData.context ?? [];
+        // 根据 domain 决定保存的位置，角色域保存至角色卡，全局域保存至插件设置，其余保存至当前对话
+        const target = BASE.getSheetsDataTarget(this.domain);
+        if (target !== 'context') sheetDataToSave.lastChatId = USER.getContext().chatId;
+
+        let sheets = BASE.sheetsData[target] ?? [];
         try {
             if (sheets.some(t => t.uid === sheetDataToSave.uid)) {
                 sheets = sheets.map(t => t.uid === sheetDataToSave.uid ? sheetDataToSave : t);
             } else {
                 sheets.push(sheetDataToSave);
             }
-            BASE.sheetsData.context = sheets;
+            BASE.sheetsData[target] = sheets;
+            this.#removeFromOtherDomains(target);
             if (!targetPiece) {
                 console.log("没用消息能承载hash_sheets数据，不予保存")
                 return this
             }
+            prepareHashSheetsWrite(targetPiece);
             if (!targetPiece.hash_sheets) targetPiece.hash_sheets = {};
             targetPiece.hash_sheets[this.uid] = this.hashSheet?.map(row => row.map(hash => hash));
+            markHashSheetsSwipe(targetPiece);
+            storePieceHashSheets(targetPiece);
             console.log('保存表格数据', targetPiece, this.hashSheet);
             if (!manualSave) USER.saveChat();
             
@@ -102,6 +120,14 @@ export class Sheet extends SheetBase {
         }
     }
 
+    /**
+     * 获取表格所属域的名称，用于在提示词与界面中标明表格来源
+     * @returns {string}
+     */
+    getDomainLabel() {
+        return this.SheetDomainLabel[this.domain] ?? this.SheetDomainLabel.chat;
+    }
+
     /**
      * 创建新的 Sheet 实例
      * @returns {Sheet} - 返回新的 Sheet 实例
@@ -116,15 +142,24 @@ export class Sheet extends SheetBase {
 
     /**
      * 获取表格内容的提示词，可以通过指定['title', 'node', 'headers', 'rows', 'editRules']中的部分，只获取部分内容
+     * @param {Set<number>} selectedRows 要发送的行索引（第 0 行为表头），不传时发送所有行
      * @returns 表格内容提示词
      */
-    getTableText(index, customParts = ['title', 'node', 'headers', 'rows', 'editRules'], eventData) {
+    getTableText(index, customParts = ['title', 'node', 'headers', 'rows', 'editRules'], eventData, selectedRows = null) {
         console.log('获取表格内容提示词', this)
         if (this.triggerSend && this.triggerSendDeep < 1) return ''; // 如果触发深度=0，则不发送，可以用作信息一览表
-        const title = `* ${index}:${this.name}\n`;
+        const domainLabel = this.domain === this.SheetDomain.role || this.domain === this.SheetDomain.global ? `（${this.getDomainLabel()}表格）` : '';
+        const title = `* ${index}:${this.name}${domainLabel}\n`;
         const node = this.source.data.note && this.source.data.note !== '' ? '【说明】' + this.source.data.note + '\n' : '';
-        const headers = "rowIndex," + this.getCellsByRowIndex(0).slice(1).map((cell, index) => index + ':' + cell.data.value).join(',') + '\n';
-        let rows = this.getSheetCSV()
+        const headers = "rowIndex," + this.getCellsByRowIndex(0).slice(1).map((cell, index) => {
+            const typeHint = getColumnTypeHint(cell.data);
+            return index + ':' + cell.data.value + (typeHint ? `(${typeHint})` : '');
+        }).join(',') + '\n';
+        let rows = this.getSheetCSV(true, 'value', selectedRows)
+        const rowCount = this.getRowCount() - 1
+        if (selectedRows && !this.isEmpty() && selectedRows.size < rowCount) {
+            rows += `（只显示了 ${selectedRows.size}/${rowCount} 行，未显示的行仍然存在，请勿重复插入）\n`
+        }
         const editRules = this.#getTableEditRules() + '\n';
         // 新增触发式表格内容发送，检索聊天内容的角色名
         if (eventData && eventData.chat && rows && this.triggerSend) {
@@ -189,6 +224,17 @@ export class Sheet extends SheetBase {
         sheetDataToSave.content = this.getContent(true)
         return sheetDataToSave
     }
+
+    /**
+     * 复制表格，复制出的表格不会登记到当前聊天中，对其的修改不会影响原表格
+     * @returns {Sheet}
+     */
+    clone() {
+        const sheet = new Sheet();
+        sheet.loadJson(this.filterSavingData());
+        sheet.template = this.template;
+        return sheet;
+    }
     /** _______________________________________ 以下函数不进行外部调用 _______________________________________ */
 
     #load(target) {
@@ -196,7 +242,7 @@ export class Sheet extends SheetBase {
             return this;
         }
         if (typeof target === 'string') {
-            let targetSheetData = BASE.sheetsData.context?.find(t => t.uid === target);
+            let targetSheetData = BASE.sheetsData.all?.find(t => t.uid === target);
             if (targetSheetData?.uid) {
                 this.loadJson(targetSheetData)
                 return this;
@@ -218,22 +264,66 @@ export class Sheet extends SheetBase {
             }
         }
     }
+    /**
+     * 表格更换域后，将其从原先的储存位置中移除
+     * @param {string} target 当前的储存位置
+     */
+    #removeFromOtherDomains(target) {
+        ['context', 'role', 'global'].filter(t => t !== target).forEach(t => {
+            const sheets = BASE.sheetsData[t];
+            if (sheets.some(s => s.uid === this.uid)) {
+                BASE.sheetsData[t] = sheets.filter(s => s.uid !== this.uid);
+            }
+        });
+    }
+
     /**
      * 获取表格编辑规则提示词
      * @returns
      */
     #getTableEditRules() {
         const source = this.source;
-        if (this.required && this.isEmpty()) return '【增删改触发条件】\n插入：' + source.data.initNode + '\n'
+        const permission = this.#getTableTypeRules() + this.#getKeyColumnRules();
+        // 只读表格不再发送增删改触发条件
+        if (this.type === this.SheetType.static) return permission
+        if (this.required && this.isEmpty() && this.type !== this.SheetType.fixed) return permission + '【增删改触发条件】\n插入：' + source.data.initNode + '\n'
         else {
-            let editRules = '【增删改触发条件】\n'
-            if (source.data.insertNode) editRules += ('插入：' + source.data.insertNode + '\n')
+            let editRules = permission + '【增删改触发条件】\n'
+            if (source.data.insertNode && !this.getOperationRejectReason('insert')) editRules += ('插入：' + source.data.insertNode + '\n')
             if (source.data.updateNode) editRules += ('更新：' + source.data.updateNode + '\n')
-            if (source.data.deleteNode) editRules += ('删除：' + source.data.deleteNode + '\n')
+            if (source.data.deleteNode && !this.getOperationRejectReason('delete')) editRules += ('删除：' + source.data.deleteNode + '\n')
             return editRules
         }
     }
 
+    /**
+     * 获取主键列的提示词，未设置主键时返回空字符串
+     * @returns {string}
+     */
+    #getKeyColumnRules() {
+        const keyColumns = this.getKeyColumnIndexes();
+        if (keyColumns.length === 0 || this.type === this.SheetType.static) return '';
+        const keyNames = keyColumns.map(colIndex => `${colIndex - 1}:${this.cells.get(this.hashSheet[0][colIndex])?.data.value ?? ''}`).join('、');
+        return `【主键】${keyNames}。请优先使用 upsertRow(tableIndex, data) 按主键更新或插入行，data 中必须包含全部主键列\n`;
+    }
+
+    /**
+     * 获取表格类型对应的操作权限提示词
+     * @returns {string}
+     */
+    #getTableTypeRules() {
+        switch (this.type) {
+            case this.SheetType.static:
+                return '【操作权限】此表格为只读表格，禁止使用 insertRow、updateRow、deleteRow 修改此表格\n'
+            case this.SheetType.fixed:
+                return '【操作权限】此表格行数固定，只允许使用 updateRow 更新已有行，禁止使用 insertRow、deleteRow\n'
+            case this.SheetType.free:
+                return '【操作权限】允许使用 insertRow、updateRow、deleteRow，且允许调整此表格的列\n'
+            default:
+                return '【操作权限】允许使用 insertRow、updateRow、deleteRow\n'
+        }
+    }
+
     /**
      * 初始化hashSheet，只保留表头
      */
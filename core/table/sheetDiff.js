@@ -0,0 +1,265 @@
+/**
+ * 表格差异与合并
+ * @description 表格以 `{header: string[], rows: {key?: string, values: string[]}[]}` 表示，与 getSheetSnapshot 的结果相同，
+ * 也可以由 sheetsToTables 或导出的 JSON 中的 `columns`/`content` 转换而来（见 tableToSheetRows）
+ * @description 行按以下顺序匹配：相同的 `key`（如行头单元格的 uid）、相同的主键列的值、内容相似度不低于阈值
+ */
+
+/**
+ * 将 sheetsToTables 或导出 JSON 格式的表格转换为差异计算所用的格式
+ * @param {{columns?: string[], content?: string[][]}} table
+ * @returns {{header: string[], rows: {values: string[]}[]}}
+ */
+export function tableToSheetRows(table) {
+    return {
+        header: (table?.columns ?? []).map(column => String(column ?? '')),
+        rows: (table?.content ?? []).filter(Boolean).map(row => ({ values: row.map(value => String(value ?? '')) })),
+    };
+}
+
+function getBigrams(text) {
+    const bigrams = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) ?? 0) + 1);
+    }
+    return bigrams;
+}
+
+/**
+ * 计算两个字符串的相似度（Dice 系数）
+ * @returns {number} 0 到 1
+ */
+function textSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    const bigramsA = getBigrams(a);
+    const bigramsB = getBigrams(b);
+    let intersection = 0;
+    bigramsA.forEach((count, bigram) => intersection += Math.min(count, bigramsB.get(bigram) ?? 0));
+    return (2 * intersection) / (a.length + b.length - 2);
+}
+
+/**
+ * 计算两行内容的相似度，为各列相似度的平均值
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number} 0 到 1
+ */
+export function rowSimilarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    if (length === 0) return 1;
+    let total = 0;
+    for (let i = 0; i < length; i++) total += textSimilarity(String(a[i] ?? '').trim(), String(b[i] ?? '').trim());
+    return total / length;
+}
+
+function getKeyValue(values, keyColumns) {
+    const keyValues = keyColumns.map(colIndex => String(values[colIndex] ?? '').trim());
+    return keyValues.every(value => value === '') ? null : JSON.stringify(keyValues);
+}
+
+/**
+ * 匹配两组行
+ * @param {{key?: string, values: string[]}[]} beforeRows
+ * @param {{key?: string, values: string[]}[]} afterRows
+ * @param {{keyColumns?: number[], threshold?: number}} options keyColumns 为主键列在 values 中的索引，threshold 为按内容匹配的最低相似度
+ * @returns {Map<number, number>} afterRows 的索引到 beforeRows 的索引
+ */
+export function matchSheetRows(beforeRows, afterRows, { keyColumns = [], threshold = 0.5 } = {}) {
+    const matches = new Map();
+    const usedBefore = new Set();
+    const tryMatch = (getIdentity) => {
+        const beforeIndex = new Map();
+        beforeRows.forEach((row, index) => {
+            const identity = usedBefore.has(index) ? null : getIdentity(row);
+            if (identity !== null && identity !== undefined && !beforeIndex.has(identity)) beforeIndex.set(identity, index);
+        });
+        afterRows.forEach((row, index) => {
+            if (matches.has(index)) return;
+            const identity = getIdentity(row);
+            const matchedIndex = identity === null || identity === undefined ? undefined : beforeIndex.get(identity);
+            if (matchedIndex === undefined || usedBefore.has(matchedIndex)) return;
+            matches.set(index, matchedIndex);
+            usedBefore.add(matchedIndex);
+        });
+    };
+    tryMatch(row => row.key);
+    if (keyColumns.length > 0) tryMatch(row => getKeyValue(row.values, keyColumns));
+
+    // 剩余的行按相似度从高到低贪心匹配
+    const candidates = [];
+    afterRows.forEach((afterRow, afterIndex) => {
+        if (matches.has(afterIndex)) return;
+        beforeRows.forEach((beforeRow, beforeIndex) => {
+            if (usedBefore.has(beforeIndex)) return;
+            const score = rowSimilarity(beforeRow.values, afterRow.values);
+            if (score >= threshold) candidates.push({ afterIndex, beforeIndex, score });
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score || a.afterIndex - b.afterIndex);
+    candidates.forEach(({ afterIndex, beforeIndex }) => {
+        if (matches.has(afterIndex) || usedBefore.has(beforeIndex)) return;
+        matches.set(afterIndex, beforeIndex);
+        usedBefore.add(beforeIndex);
+    });
+    return matches;
+}
+
+function diffValues(oldValues, newValues) {
+    const cells = [];
+    const length = Math.max(oldValues.length, newValues.length);
+    for (let colIndex = 0; colIndex < length; colIndex++) {
+        const oldValue = oldValues[colIndex] ?? '';
+        const newValue = newValues[colIndex] ?? '';
+        if (oldValue !== newValue) cells.push({ colIndex, oldValue, newValue });
+    }
+    return cells;
+}
+
+/**
+ * 比较两个表格的差异
+ * @param {{rows: {key?: string, values: string[]}[]}} before
+ * @param {{rows: {key?: string, values: string[]}[]}} after
+ * @param {{keyColumns?: number[], threshold?: number}} options 见 matchSheetRows
+ * @returns {{inserted: string[][], deleted: string[][], changed: {values: string[], oldValues: string[], rowIndex: number, oldRowIndex: number, cells: {colIndex: number, oldValue: string, newValue: string}[]}[], insertedIndexes: number[], deletedIndexes: number[]}}
+ * 行索引均为 rows 中的索引
+ */
+export function diffSheets(before, after, options = {}) {
+    const matches = matchSheetRows(before.rows, after.rows, options);
+    const matchedBefore = new Set(matches.values());
+    const diff = { inserted: [], deleted: [], changed: [], insertedIndexes: [], deletedIndexes: [] };
+    after.rows.forEach((row, rowIndex) => {
+        const oldRowIndex = matches.get(rowIndex);
+        if (oldRowIndex === undefined) {
+            diff.inserted.push(row.values);
+            diff.insertedIndexes.push(rowIndex);
+            return;
+        }
+        const oldValues = before.rows[oldRowIndex].values;
+        const cells = diffValues(oldValues, row.values);
+        if (cells.length > 0) diff.changed.push({ values: row.values, oldValues, rowIndex, oldRowIndex, cells });
+    });
+    before.rows.forEach((row, rowIndex) => {
+        if (matchedBefore.has(rowIndex)) return;
+        diff.deleted.push(row.values);
+        diff.deletedIndexes.push(rowIndex);
+    });
+    return diff;
+}
+
+export const MergeChoice = {
+    ours: 'ours',
+    theirs: 'theirs',
+    drop: 'drop',
+};
+
+function isSameValues(a, b) {
+    return !!a && !!b && diffValues(a, b).length === 0;
+}
+
+function mergeValues(base, ours, theirs) {
+    const values = [];
+    const conflictColumns = [];
+    const length = Math.max(base.length, ours.length, theirs.length);
+    for (let colIndex = 0; colIndex < length; colIndex++) {
+        const baseValue = base[colIndex] ?? '';
+        const ourValue = ours[colIndex] ?? '';
+        const theirValue = theirs[colIndex] ?? '';
+        if (ourValue === theirValue || ourValue === baseValue) values.push(theirValue);
+        else if (theirValue === baseValue) values.push(ourValue);
+        else {
+            values.push(theirValue);
+            conflictColumns.push(colIndex);
+        }
+    }
+    return { values, conflictColumns };
+}
+
+/**
+ * 三方合并两个基于同一原始表格修改而来的表格
+ * @description 只有一方修改的单元格自动采用修改后的值，双方修改不同的单元格、一方删除而另一方修改的行记为冲突
+ * @description 每一行给出默认选择 `choice`：存在于双方的行为合并结果，只存在于一方的行默认保留，被一方删除的行默认删除；
+ * 单元格冲突时默认采用 theirs，删除与修改冲突时默认保留修改的一方
+ * @param {{rows: {key?: string, values: string[]}[]}} base 原始表格
+ * @param {{rows: {key?: string, values: string[]}[]}} ours 我方表格（如重整理前的当前表格）
+ * @param {{rows: {key?: string, values: string[]}[]}} theirs 对方表格（如重整理生成的表格）
+ * @param {{keyColumns?: number[], threshold?: number}} options 见 matchSheetRows
+ * @returns {{base: string[]|null, ours: string[]|null, theirs: string[]|null, merged: string[]|null, conflict: boolean, conflictColumns: number[], choice: string}[]}
+ * 按 theirs 的顺序排列，只存在于 ours 的行排在其在 ours 中前一行之后
+ */
+export function mergeSheets(base, ours, theirs, options = {}) {
+    const ourMatches = matchSheetRows(base.rows, ours.rows, options);
+    const theirMatches = matchSheetRows(base.rows, theirs.rows, options);
+    const ourByBase = new Map([...ourMatches].map(([ourIndex, baseIndex]) => [baseIndex, ourIndex]));
+
+    // 双方都新增的行再相互匹配
+    const newOurIndexes = ours.rows.map((_, index) => index).filter(index => !ourMatches.has(index));
+    const newTheirIndexes = theirs.rows.map((_, index) => index).filter(index => !theirMatches.has(index));
+    const newMatches = matchSheetRows(newOurIndexes.map(index => ours.rows[index]), newTheirIndexes.map(index => theirs.rows[index]), options);
+    const ourByNewTheir = new Map([...newMatches].map(([theirPos, ourPos]) => [newTheirIndexes[theirPos], newOurIndexes[ourPos]]));
+
+    const usedOurs = new Set();
+    const result = [];
+    const pushOurRowsAfter = (ourIndex) => {
+        // 紧跟在已加入的 ours 行之后、只存在于 ours 的行
+        for (let i = ourIndex + 1; i < ours.rows.length && !usedOurs.has(i); i++) {
+            const baseIndex = ourMatches.get(i);
+            const hasTheirs = baseIndex !== undefined ? [...theirMatches.values()].includes(baseIndex) : [...ourByNewTheir.values()].includes(i);
+            if (hasTheirs) break;
+            usedOurs.add(i);
+            result.push(createOursOnlyRow(i, baseIndex));
+        }
+    };
+    const createOursOnlyRow = (ourIndex, baseIndex) => {
+        const ourValues = ours.rows[ourIndex].values;
+        if (baseIndex === undefined) {
+            return { base: null, ours: ourValues, theirs: null, merged: ourValues, conflict: false, conflictColumns: [], choice: MergeChoice.ours };
+        }
+        // 对方删除了该行：我方未修改时跟随删除，否则为冲突
+        const baseValues = base.rows[baseIndex].values;
+        const modified = !isSameValues(baseValues, ourValues);
+        return { base: baseValues, ours: ourValues, theirs: null, merged: null, conflict: modified, conflictColumns: [], choice: modified ? MergeChoice.ours : MergeChoice.drop };
+    };
+
+    theirs.rows.forEach((row, theirIndex) => {
+        const baseIndex = theirMatches.get(theirIndex);
+        const ourIndex = baseIndex !== undefined ? ourByBase.get(baseIndex) : ourByNewTheir.get(theirIndex);
+        const baseValues = baseIndex !== undefined ? base.rows[baseIndex].values : null;
+        if (ourIndex === undefined) {
+            // 我方删除了该行：对方未修改时跟随删除，否则为冲突
+            if (baseValues) {
+                const modified = !isSameValues(baseValues, row.values);
+                result.push({ base: baseValues, ours: null, theirs: row.values, merged: null, conflict: modified, conflictColumns: [], choice: modified ? MergeChoice.theirs : MergeChoice.drop });
+            } else {
+                result.push({ base: null, ours: null, theirs: row.values, merged: row.values, conflict: false, conflictColumns: [], choice: MergeChoice.theirs });
+            }
+            return;
+        }
+        usedOurs.add(ourIndex);
+        const ourValues = ours.rows[ourIndex].values;
+        const { values, conflictColumns } = mergeValues(baseValues ?? ourValues, ourValues, row.values);
+        result.push({ base: baseValues, ours: ourValues, theirs: row.values, merged: values, conflict: conflictColumns.length > 0, conflictColumns, choice: MergeChoice.theirs });
+        pushOurRowsAfter(ourIndex);
+    });
+    ours.rows.forEach((_, ourIndex) => {
+        if (usedOurs.has(ourIndex)) return;
+        usedOurs.add(ourIndex);
+        result.push(createOursOnlyRow(ourIndex, ourMatches.get(ourIndex)));
+    });
+    return result;
+}
+
+/**
+ * 根据每一行的选择得到合并后的行
+ * @description choice 为 theirs 时存在合并结果则采用合并结果，否则采用对方的行
+ * @param {Object[]} mergedRows mergeSheets 的结果
+ * @returns {string[][]}
+ */
+export function applyMergeChoices(mergedRows) {
+    return mergedRows.map(row => {
+        if (row.choice === MergeChoice.ours) return row.ours;
+        if (row.choice === MergeChoice.theirs) return row.merged ?? row.theirs;
+        return null;
+    }).filter(Boolean);
+}
@@ -0,0 +1,372 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../manager.js';
+
+/**
+ * 表格模板包
+ * @description 用于分享表格模板及相关提示词的文件格式。导入时先识别旧格式并逐版本迁移到当前版本，再按 JSON Schema 校验。
+ * - 版本 0：旧版「导出表格预设」直接导出的插件设置，模板位于 tableStructure 中
+ * - 版本 1：聊天表格导出的 `{mate: {type: 'chatSheets', version: 1}}`，只取其中的表格结构
+ * - 版本 2：当前格式，模板的自定义样式保存在 config.customStyles 中
+ */
+
+export const TEMPLATE_PACKAGE_FORMAT = 'st-memory-enhancement/template-package';
+export const TEMPLATE_PACKAGE_VERSION = 2;
+
+// 在模板包中单独保存、不计入 settings 的设置项
+const PACKAGED_SETTING_KEYS = ['tableStructure', 'rebuild_message_template_list', 'step_by_step_user_prompt', 'step_by_step_edit_protocol', 'updateIndex'];
+
+const stringSchema = { type: 'string' };
+
+const templateItemSchema = {
+    type: 'object',
+    required: ['uid', 'name', 'columns'],
+    properties: {
+        uid: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1 },
+        type: { enum: ['free', 'dynamic', 'fixed', 'static'] },
+        enable: { type: 'boolean' },
+        required: { type: 'boolean' },
+        tochat: { type: 'boolean' },
+        triggerSend: { type: 'boolean' },
+        triggerSendDeep: { type: 'integer', minimum: 0 },
+        data: {
+            type: 'object',
+            description: '表格说明与初始化、插入、删除、更新提示词',
+            properties: { note: stringSchema, initNode: stringSchema, insertNode: stringSchema, deleteNode: stringSchema, updateNode: stringSchema },
+        },
+        columns: {
+            type: 'array',
+            minItems: 1,
+            description: '列的表头单元格数据，value 为列名',
+            items: { type: 'object', required: ['value'], properties: { value: stringSchema } },
+        },
+        config: {
+            type: 'object',
+            properties: { customStyles: { type: 'object', description: '自定义样式，键为样式名' } },
+        },
+    },
+    additionalProperties: false,
+};
+
+export const templatePackageSchema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `${TEMPLATE_PACKAGE_FORMAT}.schema.json`,
+    title: '表格模板包',
+    type: 'object',
+    required: ['format', 'version', 'templates'],
+    properties: {
+        format: { const: TEMPLATE_PACKAGE_FORMAT },
+        version: { type: 'integer', const: TEMPLATE_PACKAGE_VERSION },
+        name: stringSchema,
+        exportedAt: stringSchema,
+        templates: { type: 'array', items: templateItemSchema },
+        rebuildTemplates: {
+            type: 'object',
+            description: '表格总结模板，键为模板名',
+            additionalProperties: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { type: 'string', minLength: 1 }, system_prompt: stringSchema, user_prompt_begin: stringSchema },
+            },
+        },
+        stepByStep: {
+            type: 'object',
+            properties: { userPrompt: stringSchema, editProtocol: { enum: ['tableEdit', 'json', 'tools'] } },
+            additionalProperties: false,
+        },
+        settings: { type: 'object', description: '其他插件设置' },
+    },
+    additionalProperties: false,
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * 按 JSON Schema 校验数据
+ * @description 只实现模板包 Schema 用到的关键字：type、const、enum、required、properties、additionalProperties、items、minimum、minItems、minLength
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path 错误信息中的位置
+ * @returns {string[]} 错误信息，为空表示校验通过
+ */
+export function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    const actualType = typeOf(value);
+    if (schema.type && !(actualType === schema.type || (schema.type === 'number' && actualType === 'integer'))) {
+        return [`${path}：应为 ${schema.type}，实际为 ${actualType}`];
+    }
+    if ('const' in schema && value !== schema.const) errors.push(`${path}：应为 ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}：应为 ${schema.enum.join('、')} 之一`);
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) errors.push(`${path}：不能小于 ${schema.minimum}`);
+    if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) errors.push(`${path}：不能为空`);
+    if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}：至少需要 ${schema.minItems} 项`);
+        if (schema.items) value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+    if (actualType === 'object') {
+        (schema.required ?? []).filter(key => !(key in value)).forEach(key => errors.push(`${path}：缺少 ${key}`));
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties?.[key] ?? schema.additionalProperties;
+            if (childSchema === false) errors.push(`${path}：不支持的字段 ${key}`);
+            else if (childSchema && typeof childSchema === 'object') errors.push(...validateSchema(child, childSchema, `${path}.${key}`));
+        });
+    }
+    return errors;
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 生成新的模板 uid
+ * @returns {string}
+ */
+export function newTemplateUid() {
+    return `template_${SYSTEM.generateRandomString(8)}`;
+}
+
+/**
+ * 识别模板包的版本
+ * @param {Object} data
+ * @returns {number}
+ */
+export function getTemplatePackageVersion(data) {
+    if (data?.format === TEMPLATE_PACKAGE_FORMAT) return Number(data.version);
+    if (data?.mate?.type === 'chatSheets') return 1;
+    return 0;
+}
+
+/**
+ * 旧版插件设置中的表格结构转换为模板，与 initTableStructureToTemplate 的转换一致
+ */
+function tableStructureToItem(structure) {
+    return {
+        uid: newTemplateUid(),
+        name: String(structure.tableName ?? ''),
+        type: 'dynamic',
+        enable: structure.enable !== false,
+        required: !!structure.Required,
+        tochat: structure.tochat !== false,
+        triggerSend: !!structure.triggerSend,
+        triggerSendDeep: Math.max(0, Math.floor(Number(structure.triggerSendDeep) || 1)),
+        data: {
+            note: structure.note ?? '',
+            initNode: structure.initNode ?? '',
+            insertNode: structure.insertNode ?? '',
+            deleteNode: structure.deleteNode ?? '',
+            updateNode: structure.updateNode ?? '',
+        },
+        columns: (structure.columns ?? []).map(column => ({ value: String(column) })),
+        config: clone(structure.config) ?? {},
+    };
+}
+
+/**
+ * 聊天表格导出数据中的表格转换为模板，只保留表头
+ */
+function chatSheetToItem(sheetData) {
+    const { note, initNode, insertNode, deleteNode, updateNode } = sheetData.sourceData ?? {};
+    return {
+        uid: newTemplateUid(),
+        name: String(sheetData.name ?? '').replace('表格', '模板'),
+        type: sheetData.type ?? 'dynamic',
+        enable: sheetData.enable !== false,
+        required: !!sheetData.required,
+        tochat: sheetData.tochat !== false,
+        triggerSend: !!sheetData.triggerSend,
+        triggerSendDeep: Math.max(0, Math.floor(Number(sheetData.triggerSendDeep) || 1)),
+        data: Object.fromEntries(Object.entries({ note, initNode, insertNode, deleteNode, updateNode }).filter(([, value]) => value !== undefined)),
+        columns: (sheetData.content?.[0] ?? []).slice(1).map(value => ({ value: String(value ?? '') })),
+        config: clone(sheetData.config) ?? {},
+    };
+}
+
+const migrations = {
+    0: data => {
+        const notes = ['已将旧版插件设置转换为模板包'];
+        const settings = Object.fromEntries(Object.entries(data).filter(([key]) => !PACKAGED_SETTING_KEYS.includes(key) && key in USER.tableBaseDefaultSettings));
+        const ignored = Object.keys(data).filter(key => !PACKAGED_SETTING_KEYS.includes(key) && !(key in USER.tableBaseDefaultSettings));
+        if (ignored.length > 0) notes.push(`忽略了无法识别的设置项：${ignored.join('、')}`);
+        const stepByStep = {};
+        if (typeof data.step_by_step_user_prompt === 'string') stepByStep.userPrompt = data.step_by_step_user_prompt;
+        if (data.step_by_step_edit_protocol) stepByStep.editProtocol = data.step_by_step_edit_protocol;
+        return {
+            notes,
+            data: {
+                format: TEMPLATE_PACKAGE_FORMAT,
+                version: 2,
+                templates: Array.isArray(data.tableStructure) ? data.tableStructure.map(tableStructureToItem) : [],
+                ...(data.rebuild_message_template_list ? { rebuildTemplates: clone(data.rebuild_message_template_list) } : {}),
+                ...(Object.keys(stepByStep).length > 0 ? { stepByStep } : {}),
+                ...(Object.keys(settings).length > 0 ? { settings: clone(settings) } : {}),
+            },
+        };
+    },
+    1: data => {
+        const sheets = Object.entries(data).filter(([key]) => key !== 'mate').map(([, sheetData]) => sheetData);
+        return {
+            notes: ['已将聊天表格数据转换为模板包，只导入表格结构，不导入表格中的行'],
+            data: { format: TEMPLATE_PACKAGE_FORMAT, version: 2, templates: sheets.map(chatSheetToItem) },
+        };
+    },
+};
+
+/**
+ * 将导入的数据迁移到当前版本并校验
+ * @param {Object} data 导入的 JSON 数据
+ * @returns {{package: Object|null, version: number, notes: string[], errors: string[]}} errors 不为空时 package 为 null
+ */
+export function migrateTemplatePackage(data) {
+    if (typeOf(data) !== 'object') return { package: null, version: NaN, notes: [], errors: ['文件内容不是 JSON 对象'] };
+    const version = getTemplatePackageVersion(data);
+    if (!Number.isInteger(version) || version < 0) return { package: null, version, notes: [], errors: [`无法识别的模板包版本：${data.version}`] };
+    if (version > TEMPLATE_PACKAGE_VERSION) {
+        return { package: null, version, notes: [], errors: [`该模板包由更新版本的插件导出（版本 ${version}），请先更新插件`] };
+    }
+    const notes = [];
+    let current = data;
+    let currentVersion = version;
+    while (currentVersion < TEMPLATE_PACKAGE_VERSION) {
+        const result = migrations[currentVersion](current);
+        current = result.data;
+        notes.push(...result.notes);
+        currentVersion = current.version;
+    }
+    const errors = validateSchema(current, templatePackageSchema);
+    const uids = current.templates?.map(item => item.uid) ?? [];
+    uids.filter((uid, index) => uids.indexOf(uid) !== index).forEach(uid => errors.push(`$.templates：模板 uid 重复 ${uid}`));
+    return { package: errors.length === 0 ? current : null, version, notes, errors };
+}
+
+/**
+ * 将模板转换为模板包中的模板
+ * @param {SheetTemplate} template
+ * @returns {Object}
+ */
+export function templateToPackageItem(template) {
+    return {
+        uid: template.uid,
+        name: template.name,
+        type: template.type,
+        enable: template.enable !== false,
+        required: !!template.required,
+        tochat: template.tochat !== false,
+        triggerSend: !!template.triggerSend,
+        triggerSendDeep: Math.max(0, Math.floor(Number(template.triggerSendDeep) || 0)),
+        data: clone(template.source.data) ?? {},
+        columns: template.getCellsByRowIndex(0).slice(1).map(cell => ({ ...clone(cell.data), value: String(cell.data.value ?? '') })),
+        config: clone(template.config) ?? {},
+    };
+}
+
+/**
+ * 由模板包中的模板创建模板，不保存
+ * @param {Object} item 模板包中的模板
+ * @param {string} uid 使用的 uid，默认为包中的 uid
+ * @returns {SheetTemplate}
+ */
+export function packageItemToTemplate(item, uid = item.uid) {
+    const template = new BASE.SheetTemplate();
+    template.createNewTemplate(item.columns.length + 1, 1, false);
+    template.uid = uid;
+    template.name = item.name;
+    template.type = item.type ?? template.type;
+    template.enable = item.enable ?? true;
+    template.required = item.required ?? false;
+    template.tochat = item.tochat ?? true;
+    template.triggerSend = item.triggerSend ?? false;
+    template.triggerSendDeep = item.triggerSendDeep ?? 1;
+    template.config = { ...template.config, ...clone(item.config) };
+    Object.assign(template.source.data, clone(item.data));
+    item.columns.forEach((column, index) => Object.assign(template.findCellByPosition(0, index + 1).data, clone(column)));
+    return template;
+}
+
+/**
+ * 创建模板包
+ * @param {{name?: string, templateUids?: string[], rebuildTemplates?: boolean, stepByStep?: boolean, settings?: Object}} options
+ * templateUids 为要导出的模板，默认为全部模板；settings 为要一并导出的其他设置，其中的表格结构、总结模板与分步填表提示词会被忽略
+ * @returns {Object}
+ */
+export function createTemplatePackage({ name, templateUids, rebuildTemplates = true, stepByStep = true, settings } = {}) {
+    const templates = BASE.templates
+        .filter(data => !templateUids || templateUids.includes(data.uid))
+        .map(data => templateToPackageItem(new BASE.SheetTemplate(data.uid)));
+    const data = {
+        format: TEMPLATE_PACKAGE_FORMAT,
+        version: TEMPLATE_PACKAGE_VERSION,
+        ...(name ? { name } : {}),
+        exportedAt: new Date().toISOString(),
+        templates,
+    };
+    if (rebuildTemplates) data.rebuildTemplates = clone(USER.tableBaseSetting.rebuild_message_template_list ?? {});
+    if (stepByStep) {
+        data.stepByStep = {
+            userPrompt: USER.tableBaseSetting.step_by_step_user_prompt ?? '',
+            editProtocol: USER.tableBaseSetting.step_by_step_edit_protocol ?? 'tableEdit',
+        };
+    }
+    const otherSettings = Object.fromEntries(Object.entries(settings ?? {}).filter(([key]) => !PACKAGED_SETTING_KEYS.includes(key)));
+    if (Object.keys(otherSettings).length > 0) data.settings = clone(otherSettings);
+    return data;
+}
+
+/**
+ * 查找模板包中与现有模板冲突的模板
+ * @description uid 相同或名称相同均视为冲突，uid 相同时优先按 uid 对应
+ * @param {Object} templatePackage
+ * @returns {{item: Object, existing: Object, reason: 'uid'|'name'}[]} existing 为现有模板的保存数据
+ */
+export function findTemplateConflicts(templatePackage) {
+    const templates = BASE.templates;
+    return templatePackage.templates.map(item => {
+        const sameUid = templates.find(data => data.uid === item.uid);
+        if (sameUid) return { item, existing: sameUid, reason: 'uid' };
+        const sameName = templates.find(data => data.name === item.name);
+        return sameName ? { item, existing: sameName, reason: 'name' } : null;
+    }).filter(Boolean);
+}
+
+/**
+ * 检查模板包中的插件设置
+ * @description 只接受当前版本存在、且值的类型与默认值相同的设置项，整数与小数视为同一类型
+ * @param {Object} settings 模板包的 settings
+ * @returns {{valid: Object, rejected: string[]}} rejected 为不会导入的设置项及原因
+ */
+export function checkPackageSettings(settings = {}) {
+    const valid = {};
+    const rejected = [];
+    const typeName = value => typeOf(value) === 'integer' ? 'number' : typeOf(value);
+    Object.entries(settings).forEach(([key, value]) => {
+        if (!(key in USER.tableBaseDefaultSettings)) {
+            rejected.push(`${key}：无法识别的设置项`);
+            return;
+        }
+        const expected = typeName(USER.tableBaseDefaultSettings[key]);
+        const actual = typeName(value);
+        if (actual !== expected) {
+            rejected.push(`${key}：应为 ${expected}，实际为 ${actual}`);
+            return;
+        }
+        valid[key] = clone(value);
+    });
+    return { valid, rejected };
+}
+
+/**
+ * 获取不与现有模板重名的名称
+ * @param {string} name
+ * @param {string[]} names 已使用的名称
+ * @returns {string}
+ */
+export function getUniqueName(name, names) {
+    if (!names.includes(name)) return name;
+    let counter = 1;
+    while (names.includes(`${name} (${counter})`)) counter++;
+    return `${name} (${counter})`;
+}
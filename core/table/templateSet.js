@@ -0,0 +1,203 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../manager.js';
+import { getUniqueName } from './templatePackage.js';
+
+/**
+ * 模板集
+ * @description 模板集是模板库中一组模板的命名组合，保存在 table_template_sets 中。
+ * 模板集可绑定到角色或群聊，新聊天创建表格时使用当前角色或群聊绑定的模板集，没有绑定时使用已启用的模板
+ */
+
+export const TemplateSetOwnerType = {
+    character: 'character',
+    group: 'group',
+};
+
+const TemplateSetOwnerTypeLabel = {
+    character: '角色',
+    group: '群聊',
+};
+
+/**
+ * 获取所有模板集
+ * @returns {{uid: string, name: string, templateUids: string[], bindings: {type: string, id: string, name: string}[]}[]}
+ */
+export function getTemplateSets() {
+    let sets = USER.getSettings().table_template_sets;
+    if (!Array.isArray(sets)) {
+        sets = [];
+        USER.getSettings().table_template_sets = sets;
+    }
+    return sets;
+}
+
+/**
+ * @param {string} uid
+ * @returns {Object|null}
+ */
+export function getTemplateSet(uid) {
+    return getTemplateSets().find(set => set.uid === uid) ?? null;
+}
+
+/**
+ * 获取模板编辑器中正在编辑的模板集
+ * @returns {Object|null}
+ */
+export function getActiveTemplateSet() {
+    return getTemplateSet(USER.getSettings().table_active_template_set);
+}
+
+/**
+ * 设置正在编辑的模板集，之后在模板编辑器中选择的模板会同步到该模板集
+ * @param {string} uid 传入空字符串时不编辑任何模板集
+ * @returns {string[]|null} 模板集中仍存在的模板 uid
+ */
+export function setActiveTemplateSet(uid) {
+    const set = getTemplateSet(uid);
+    USER.getSettings().table_active_template_set = set?.uid ?? '';
+    USER.saveSettings();
+    return set ? getExistingTemplateUids(set) : null;
+}
+
+/**
+ * 将模板编辑器中选择的模板同步到正在编辑的模板集
+ * @param {string[]} templateUids
+ */
+export function syncActiveTemplateSet(templateUids) {
+    const set = getActiveTemplateSet();
+    if (set) set.templateUids = [...templateUids];
+}
+
+function getExistingTemplateUids(set) {
+    const uids = new Set(BASE.templates.map(template => template.uid));
+    return set.templateUids.filter(uid => uids.has(uid));
+}
+
+/**
+ * 新建模板集
+ * @param {string} name
+ * @param {string[]} templateUids
+ * @returns {Object}
+ */
+export function createTemplateSet(name, templateUids = []) {
+    const sets = getTemplateSets();
+    const set = {
+        uid: `template_set_${SYSTEM.generateRandomString(8)}`,
+        name: getUniqueName(name.trim() || '新模板集', sets.map(s => s.name)),
+        templateUids: [...templateUids],
+        bindings: [],
+    };
+    sets.push(set);
+    USER.saveSettings();
+    return set;
+}
+
+/**
+ * 重命名模板集
+ * @param {string} uid
+ * @param {string} name
+ * @returns {Object}
+ */
+export function renameTemplateSet(uid, name) {
+    const set = getTemplateSet(uid);
+    if (!set) throw new Error('未找到对应的模板集');
+    name = name.trim();
+    if (!name) throw new Error('模板集名称不能为空');
+    if (name === set.name) return set;
+    set.name = getUniqueName(name, getTemplateSets().filter(s => s !== set).map(s => s.name));
+    USER.saveSettings();
+    return set;
+}
+
+/**
+ * 复制模板集，副本与原模板集使用相同的模板，但不复制绑定
+ * @param {string} uid
+ * @returns {Object}
+ */
+export function cloneTemplateSet(uid) {
+    const set = getTemplateSet(uid);
+    if (!set) throw new Error('未找到对应的模板集');
+    return createTemplateSet(`${set.name} 副本`, set.templateUids);
+}
+
+/**
+ * 删除模板集，模板本身不会被删除
+ * @param {string} uid
+ */
+export function deleteTemplateSet(uid) {
+    USER.getSettings().table_template_sets = getTemplateSets().filter(set => set.uid !== uid);
+    if (USER.getSettings().table_active_template_set === uid) USER.getSettings().table_active_template_set = '';
+    USER.saveSettings();
+}
+
+/**
+ * 获取当前聊天所属的角色或群聊
+ * @returns {{type: string, id: string, name: string}|null}
+ */
+export function getCurrentChatOwner() {
+    const context = USER.getContext();
+    if (context.groupId) {
+        const group = context.groups?.find(g => g.id === context.groupId);
+        return { type: TemplateSetOwnerType.group, id: String(context.groupId), name: group?.name ?? String(context.groupId) };
+    }
+    const character = USER.getCurrentCharacter();
+    if (!character?.avatar) return null;
+    return { type: TemplateSetOwnerType.character, id: character.avatar, name: character.name };
+}
+
+/**
+ * @param {{type: string, name: string}} owner
+ * @returns {string}
+ */
+export function getOwnerLabel(owner) {
+    return `${TemplateSetOwnerTypeLabel[owner.type] ?? owner.type}：${owner.name}`;
+}
+
+const isSameOwner = (a, b) => a.type === b.type && a.id === b.id;
+
+/**
+ * 将模板集绑定到角色或群聊，每个角色或群聊只能绑定一个模板集
+ * @param {string} uid
+ * @param {{type: string, id: string, name: string}} owner
+ */
+export function bindTemplateSet(uid, owner) {
+    const set = getTemplateSet(uid);
+    if (!set) throw new Error('未找到对应的模板集');
+    if (!owner) throw new Error('当前没有选择角色或群聊');
+    getTemplateSets().forEach(s => s.bindings = s.bindings.filter(binding => !isSameOwner(binding, owner)));
+    set.bindings.push({ ...owner });
+    USER.saveSettings();
+}
+
+/**
+ * 解除模板集与角色或群聊的绑定
+ * @param {string} uid
+ * @param {{type: string, id: string}} owner
+ */
+export function unbindTemplateSet(uid, owner) {
+    const set = getTemplateSet(uid);
+    if (!set) return;
+    set.bindings = set.bindings.filter(binding => !isSameOwner(binding, owner));
+    USER.saveSettings();
+}
+
+/**
+ * 获取角色或群聊绑定的模板集
+ * @param {{type: string, id: string}|null} owner 默认为当前聊天所属的角色或群聊
+ * @returns {Object|null}
+ */
+export function getBoundTemplateSet(owner = getCurrentChatOwner()) {
+    if (!owner) return null;
+    return getTemplateSets().find(set => set.bindings.some(binding => isSameOwner(binding, owner))) ?? null;
+}
+
+/**
+ * 获取新聊天用于创建表格的模板
+ * @description 当前角色或群聊绑定了模板集时使用模板集中的模板，否则使用已启用的模板
+ * @returns {{templates: Object[], set: Object|null}}
+ */
+export function getTemplatesForNewChat() {
+    const set = getBoundTemplateSet();
+    if (!set) return { templates: BASE.templates.filter(template => template.enable !== false), set: null };
+    const templates = set.templateUids.map(uid => BASE.templates.find(template => template.uid === uid)).filter(Boolean);
+    return { templates, set };
+}
@@ -5,6 +5,7 @@ export const cellStyle = `
     .sheet-header-cell-top { font-weight: bold }
     .sheet-header-cell-left { font-weight: bold }
     .sheet-cell-other { min-width: 50px; border: 1px dashed var(--SmartThemeEmColor); }
+    .sheet-cell-lock-icon { font-size: 0.7em; margin-right: 3px; opacity: 0.7; }
 `
 
 // Helper function to convert column index to letter (A, B, C...)
@@ -53,3 +54,132 @@ export function filterSavingData(sheet, key=["uid", "name", "domain", "type", "e
     const rr = JSON.parse(JSON.stringify(r));
     return rr;
 }
+
+export const ColumnDataType = {
+    text: 'text',
+    integer: 'integer',
+    number: 'number',
+    boolean: 'boolean',
+    enum: 'enum',
+    date: 'date',
+}
+const booleanTrueValues = ['是', 'true', 'yes', 'y', '1', '对', '真', '√']
+const booleanFalseValues = ['否', 'false', 'no', 'n', '0', '错', '假', '×']
+
+/**
+ * 解析列定义中的可选值，支持使用 `|`、`、`、`,`、`，`、`/` 分隔
+ * @param {string} options
+ * @returns {string[]}
+ */
+export function parseColumnOptions(options) {
+    if (!options) return []
+    return String(options).split(/[|、,，/]/).map(option => option.trim()).filter(Boolean)
+}
+
+function parseColumnBound(bound) {
+    if (bound === undefined || bound === null || String(bound).trim() === '') return null
+    const num = Number(bound)
+    return Number.isFinite(num) ? num : null
+}
+
+/**
+ * 根据列表头中声明的类型校验并转换单元格的值
+ * @param {object} columnData 列表头单元格的 data，包含 columnDataType、columnMin、columnMax、columnOptions、columnDefault
+ * @param {*} value 待写入的值
+ * @returns {{value: string, status: 'valid'|'coerced'|'rejected', message?: string}}
+ */
+export function checkColumnValue(columnData = {}, value) {
+    const type = columnData?.columnDataType || ColumnDataType.text
+    const raw = value === undefined || value === null ? '' : String(value).trim()
+    const reject = (message) => ({ value: raw, status: 'rejected', message })
+    const result = (newValue, message = '') => {
+        if (message) return { value: newValue, status: 'coerced', message }
+        if (newValue !== raw) return { value: newValue, status: 'coerced', message: '已规范化格式' }
+        return { value: newValue, status: 'valid' }
+    }
+
+    if (type === ColumnDataType.text) return { value: value ?? '', status: 'valid' }
+    if (raw === '') {
+        const defaultValue = columnData.columnDefault ?? ''
+        if (String(defaultValue) !== '') return result(String(defaultValue), '值为空，已使用默认值')
+        return result('')
+    }
+
+    switch (type) {
+        case ColumnDataType.integer:
+        case ColumnDataType.number: {
+            const num = Number(raw.replace(/\s/g, ''))
+            if (!Number.isFinite(num)) return reject(`“${raw}”不是有效的数字`)
+            const messages = []
+            let newValue = num
+            if (type === ColumnDataType.integer && !Number.isInteger(num)) {
+                newValue = Math.round(num)
+                messages.push('已取整')
+            }
+            const min = parseColumnBound(columnData.columnMin)
+            const max = parseColumnBound(columnData.columnMax)
+            if (min !== null && newValue < min) {
+                newValue = min
+                messages.push(`小于最小值 ${min}，已修正`)
+            }
+            if (max !== null && newValue > max) {
+                newValue = max
+                messages.push(`大于最大值 ${max}，已修正`)
+            }
+            return result(String(newValue), messages.join('，'))
+        }
+        case ColumnDataType.boolean: {
+            const lower = raw.toLowerCase()
+            if (booleanTrueValues.includes(lower)) return result('是')
+            if (booleanFalseValues.includes(lower)) return result('否')
+            return reject(`“${raw}”不是有效的布尔值（是/否）`)
+        }
+        case ColumnDataType.enum: {
+            const options = parseColumnOptions(columnData.columnOptions)
+            if (options.length === 0 || options.includes(raw)) return result(raw)
+            const matched = options.find(option => option.toLowerCase() === raw.toLowerCase())
+            if (matched) return result(matched)
+            return reject(`“${raw}”不在可选值（${options.join('|')}）中`)
+        }
+        case ColumnDataType.date: {
+            const match = raw.match(/^(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})\s*日?(?:[\sT]+(\d{1,2})\s*[:：]\s*(\d{2}))?$/)
+            if (!match) return reject(`“${raw}”不是有效的日期（YYYY-MM-DD）`)
+            const [, year, month, day, hour, minute] = match
+            const date = new Date(Number(year), Number(month) - 1, Number(day))
+            if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) return reject(`“${raw}”不是有效的日期`)
+            if (hour !== undefined && (Number(hour) > 23 || Number(minute) > 59)) return reject(`“${raw}”不是有效的时间`)
+            let newValue = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`
+            if (hour !== undefined) newValue += ` ${hour.padStart(2, '0')}:${minute}`
+            return result(newValue)
+        }
+        default:
+            return { value: value ?? '', status: 'valid' }
+    }
+}
+
+/**
+ * 获取列类型的提示词说明，用于告知 AI 该列的取值要求
+ * @param {object} columnData 列表头单元格的 data
+ * @returns {string} 文本类型返回空字符串
+ */
+export function getColumnTypeHint(columnData = {}) {
+    const min = parseColumnBound(columnData?.columnMin)
+    const max = parseColumnBound(columnData?.columnMax)
+    const range = min !== null && max !== null ? ` ${min}~${max}` : min !== null ? ` ≥${min}` : max !== null ? ` ≤${max}` : ''
+    switch (columnData?.columnDataType) {
+        case ColumnDataType.integer:
+            return `整数${range}`
+        case ColumnDataType.number:
+            return `数字${range}`
+        case ColumnDataType.boolean:
+            return '是|否'
+        case ColumnDataType.enum: {
+            const options = parseColumnOptions(columnData.columnOptions)
+            return options.length > 0 ? `可选值 ${options.join('|')}` : ''
+        }
+        case ColumnDataType.date:
+            return '日期 YYYY-MM-DD'
+        default:
+            return ''
+    }
+}
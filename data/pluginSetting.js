@@ -75,10 +75,21 @@ export async function filterTableDataPopup(originalData, title, warning) {
     // 插件设置
     waitingRegister.isAiReadTable = '#table_init_base';
     waitingRegister.isAiWriteTable = '#table_init_base';
+    waitingRegister.bool_table_edit_preview = '#table_init_base';
+    waitingRegister.bool_compact_cell_history_on_load = '#table_init_base';
+    waitingRegister.cell_history_recent_window = '#table_init_base';
+    waitingRegister.bool_hash_sheets_delta_storage = '#table_init_base';
+    waitingRegister.hash_sheets_keyframe_interval = '#table_init_base';
     // 注入设置
     waitingRegister.injection_mode = '#table_init_injection';
     waitingRegister.deep = '#table_init_injection';
+    waitingRegister.table_prompt_token_budget = '#table_init_injection';
     waitingRegister.message_template = '#table_init_injection';
+    waitingRegister.bool_relevance_injection = '#table_init_injection';
+    waitingRegister.relevance_context_messages = '#table_init_injection';
+    waitingRegister.relevance_sheet_token_budget = '#table_init_injection';
+    waitingRegister.relevance_total_token_budget = '#table_init_injection';
+    waitingRegister.relevance_retrieval_backend = '#table_init_injection';
     // 重新整理表格设置
     waitingRegister.confirm_before_execution = '#table_init_refresh_template';
     waitingRegister.use_main_api = '#table_init_refresh_template';
@@ -95,6 +106,7 @@ export async function filterTableDataPopup(originalData, title, warning) {
     // 双步设置
     waitingRegister.step_by_step = '#table_init_step';
     waitingRegister.step_by_step_use_main_api = '#table_init_step';
+    waitingRegister.step_by_step_edit_protocol = '#table_init_step';
     waitingRegister.bool_silent_refresh = '#table_init_step';
     // 前端表格
     waitingRegister.isTableToChat = '#table_init_to_chat';
@@ -140,6 +152,16 @@ export const defaultSettings = await switchLanguage('__defaultSettings__', {
     isAiReadTable: true,
     // 是否写表
     isAiWriteTable: true,
+    // 应用AI的表格编辑前是否预览确认
+    bool_table_edit_preview: false,
+    // 加载聊天时是否压缩单元格历史记录
+    bool_compact_cell_history_on_load: false,
+    // 压缩时保留最近多少楼内产生的全部历史单元格
+    cell_history_recent_window: 10,
+    // 是否以增量方式储存每条消息的表格数据
+    bool_hash_sheets_delta_storage: false,
+    // 增量储存时每隔多少条带表格数据的消息保存一次完整数据
+    hash_sheets_keyframe_interval: 20,
     // 预留
     updateIndex:3,
     /**
@@ -151,6 +173,18 @@ export const defaultSettings = await switchLanguage('__defaultSettings__', {
     injection_mode: 'deep_system',
     // 注入深度
     deep: 2,
+    // 注入的表格提示词 token 上限，超出时压缩优先级低的表格，0 为不限制
+    table_prompt_token_budget: 0,
+    // 是否按与最近聊天内容的相关度选择注入的行
+    bool_relevance_injection: false,
+    // 计算相关度时参考最近多少条消息
+    relevance_context_messages: 6,
+    // 按相关度选择时每个表格注入的 token 上限，0 为不限制
+    relevance_sheet_token_budget: 500,
+    // 按相关度选择时所有表格注入的 token 上限，0 为不限制
+    relevance_total_token_budget: 2000,
+    // 按相关度选择时的检索方式：lexical 关键词、sillytavern 酒馆向量存储、endpoint 自定义向量接口
+    relevance_retrieval_backend: 'lexical',
     message_template: `# dataTable 说明
   ## 用途
   - dataTable是 CSV 格式表格，存储数据和状态，是你生成下文的重要参考。
@@ -178,6 +212,9 @@ export const defaultSettings = await switchLanguage('__defaultSettings__', {
   -在某个表格中更新行时，使用updateRow函数：
   updateRow(tableIndex:number, rowIndex:number, data:{[colIndex:number]:string|number})
   例如：updateRow(0, 0, {3: "惠惠"})
+  -表格设置了【主键】时，使用upsertRow函数按主键更新行，不存在该主键的行时会自动插入：
+  upsertRow(tableIndex:number, data:{[colIndex:number]:string|number})
+  例如：upsertRow(1, {0: "悠悠", 2: "开朗活泼"})
   </OperateRule>
 
   # 重要操作原则 (必须遵守)
@@ -291,6 +328,9 @@ export const defaultSettings = await switchLanguage('__defaultSettings__', {
     - 在某个表格中更新行时，使用updateRow函数：
       updateRow(tableIndex:number, rowIndex:number, data:{[colIndex:number]:string|number})
       例如：updateRow(0, 0, {3: "惠惠"})
+    - 表格设置了【主键】时，使用upsertRow函数按主键更新行，不存在该主键的行时会自动插入：
+      upsertRow(tableIndex:number, data:{[colIndex:number]:string|number})
+      例如：upsertRow(1, {0: "悠悠", 2: "开朗活泼"})
     </OperateRule>
 
     # 重要操作原则 (必须遵守)
@@ -338,6 +378,8 @@ export const defaultSettings = await switchLanguage('__defaultSettings__', {
     }
 ]
 `,
+    // 分步填表的指令格式：tableEdit 标签、JSON（response_format）或 JSON（函数调用）
+    step_by_step_edit_protocol: 'tableEdit',
     // 双步跳过整理后的确认弹窗
     bool_silent_refresh: false,
     // 分步填表读取的上下文层数
@@ -10,8 +10,22 @@ import { initRefreshTypeSelector } from './scripts/runtime/absoluteRefresh.js';
 import {refreshTempView, updateTableContainerPosition} from "./scripts/editor/tableTemplateEditView.js";
 import { refreshContextView } from "./scripts/editor/chatSheetsDataView.js";
 import { functionToBeRegistered } from "./services/debugs.js";
-import { parseLooseDict, replaceUserTag } from "./utils/stringUtil.js";
+import { runTestsInDebugMode } from "./services/testSuites.js";
+import { replaceUserTag } from "./utils/stringUtil.js";
+import { parseTableEditText } from "./utils/tableEditParser.js";
+import { diffSheetSnapshots, getSheetSnapshot, openTableEditPreviewPopup } from "./scripts/editor/tableEditPreview.js";
 import {executeTranslation} from "./services/translate.js";
+import { CellSource } from "./core/table/cell.js";
+import { compactCellHistoryOnChatLoad } from "./scripts/runtime/cellHistoryCompaction.js";
+import { offerTemplateSyncOnChatLoad } from "./scripts/editor/templateSyncView.js";
+import { migrateChatHashSheets, reencodeChatHashSheets, resolveChatHashSheets, restoreSwipeHashSheets, stashSwipeHashSheets } from "./core/table/hashSheetsStorage.js";
+import { initBranchTableState } from "./scripts/runtime/branchTableState.js";
+import { archiveOverflowingSheets } from "./scripts/runtime/sheetArchive.js";
+import { prepareRelevanceSelection, selectRelevantSheetRows } from "./scripts/runtime/relevanceInjection.js";
+import { initRowEmbedding } from "./scripts/runtime/rowEmbedding.js";
+import { buildSheetsPromptWithinBudget, getPromptSheets } from "./scripts/runtime/promptBudget.js";
+import { getTemplatesForNewChat } from "./core/table/templateSet.js";
+import { normalizeCellText } from "./scripts/runtime/structuredTableEdit.js";
 
 
 console.log("______________________记忆插件：开始加载______________________")
@@ -23,25 +37,6 @@ const editErrorInfo = {
     functionNameError: false,
 }
 
-/**
- * 修复值中不正确的转义单引号
- * @param {*} value
- * @returns
- */
-function fixUnescapedSingleQuotes(value) {
-    if (typeof value === 'string') {
-        return value.replace(/\\'/g, "'");
-    }
-    if (typeof value === 'object' && value !== null) {
-        for (const key in value) {
-            if (Object.prototype.hasOwnProperty.call(value, key)) {
-                value[key] = fixUnescapedSingleQuotes(value[key]);
-            }
-        }
-    }
-    return value;
-}
-
 /**
  * 通过表格索引查找表格结构
  * @param {number} index 表格索引
@@ -65,9 +60,10 @@ function checkPrototype(dataTable) {
 export function buildSheetsByTemplates(targetPiece) {
     BASE.sheetsData.context = [];
     // USER.getChatPiece().hash_sheets = {};
-    const templates = BASE.templates
+    // 角色或群聊绑定了模板集时使用模板集中的模板
+    const { templates, set } = getTemplatesForNewChat()
+    if (set) console.log(`[Memory Enhancement] 使用绑定的模板集「${set.name}」创建表格`)
     templates.forEach(template => {
-        if(template.enable === false) return
 
         // 检查 template 结构
         if (!template || !template.hashSheet || !Array.isArray(template.hashSheet) || template.hashSheet.length === 0 || !Array.isArray(template.hashSheet[0]) || !template.cellHistory || !Array.isArray(template.cellHistory)) {
@@ -92,16 +88,34 @@ export function buildSheetsByTemplates(targetPiece) {
 export function convertOldTablesToNewSheets(oldTableList, targetPiece) {
     //USER.getChatPiece().hash_sheets = {};
     const sheets = []
+    const getValueSheet = oldTable => [oldTable.columns, ...oldTable.content].map(row => ['', ...row])
+    const getTargetSheet = oldTable => {
+        const targetSheetUid = BASE.sheetsData.context.find(sheet => sheet.name === oldTable.tableName)?.uid
+        return targetSheetUid ? BASE.getChatSheet(targetSheetUid) : null
+    }
+
+    // 先以事务方式重建所有已存在的表格，任一表格重建失败时全部恢复，之后再统一保存
+    const existingTables = oldTableList.map(oldTable => ({ oldTable, targetSheet: getTargetSheet(oldTable) })).filter(({ targetSheet }) => targetSheet)
+    BASE.runSheetsTransaction(existingTables.map(({ targetSheet }) => targetSheet), () => {
+        existingTables.forEach(({ oldTable, targetSheet }) => {
+            targetSheet.rebuildHashSheetByValueSheet(getValueSheet(oldTable))
+            // 重建会生成新的单元格，重新标记锁定的行与单元格
+            oldTable.lockedRows?.forEach(rowIndex => targetSheet.setLocked(rowIndex + 1, 0, true))
+            oldTable.lockedCells?.forEach(position => {
+                const [rowIndex, colIndex] = position.split('-').map(Number)
+                targetSheet.setLocked(rowIndex + 1, colIndex + 1, true)
+            })
+        })
+    })
+
     for (const oldTable of oldTableList) {
-        const valueSheet = [oldTable.columns, ...oldTable.content].map(row => ['', ...row])
+        const valueSheet = getValueSheet(oldTable)
         const cols = valueSheet[0].length
         const rows = valueSheet.length
-        const targetSheetUid = BASE.sheetsData.context.find(sheet => sheet.name === oldTable.tableName)?.uid
-        if (targetSheetUid) {
-            // 如果表格已存在，则更新表格数据
-            const targetSheet = BASE.getChatSheet(targetSheetUid)
+        const targetSheet = existingTables.find(item => item.oldTable === oldTable)?.targetSheet
+        if (targetSheet) {
+            // 如果表格已存在，则保存已更新的表格数据
             console.log("表格已存在，更新表格数据", targetSheet)
-            targetSheet.rebuildHashSheetByValueSheet(valueSheet)
             targetSheet.save(targetPiece)
             addOldTablePrompt(targetSheet)
             sheets.push(targetSheet)
@@ -175,8 +189,8 @@ export function findNextChatWhitTableData(startIndex, isIncludeStartIndex = fals
  * 搜寻最后一个含有表格数据的消息，并生成提示词
  * @returns 生成的完整提示词
  */
-export function initTableData(eventData) {
-    const allPrompt = USER.tableBaseSetting.message_template.replace('{{tableData}}', getTablePrompt(eventData))
+export function initTableData(eventData, isInjection = false) {
+    const allPrompt = USER.tableBaseSetting.message_template.replace('{{tableData}}', getTablePrompt(eventData, false, isInjection))
     const promptContent = replaceUserTag(allPrompt)  //替换所有的<user>标签
     console.log("完整提示", promptContent)
     return promptContent
@@ -184,69 +198,55 @@ export function initTableData(eventData) {
 
 /**
  * 获取表格相关提示词
+ * @param {boolean} isInjection 是否为生成回复时注入的提示词，开启相关度选择时只注入选中的行，并遵守表格提示词 token 上限
  * @returns {string} 表格相关提示词
  */
-export function getTablePrompt(eventData, isPureData = false) {
+export function getTablePrompt(eventData, isPureData = false, isInjection = false) {
     const lastSheetsPiece = BASE.getReferencePiece()
     if(!lastSheetsPiece) return ''
     console.log("获取到的参考表格数据", lastSheetsPiece)
-    return getTablePromptByPiece(lastSheetsPiece, isPureData)
+    return getTablePromptByPiece(lastSheetsPiece, isPureData, isInjection)
 }
 
 /**
  * 通过piece获取表格相关提示词
  * @param {Object} piece 聊天片段
+ * @param {boolean} isInjection 是否为生成回复时注入的提示词，填表与整理表格时需要完整的表格，不做相关度选择与 token 上限压缩
  * @returns {string} 表格相关提示词
  */
-export function getTablePromptByPiece(piece, isPureData = false) {
+export function getTablePromptByPiece(piece, isPureData = false, isInjection = false) {
     const {hash_sheets} = piece
-    const sheets = BASE.hashSheetsToSheets(hash_sheets)
-        .filter(sheet => sheet.enable)
-        .filter(sheet => sheet.sendToContext !== false);
+    const sheets = getPromptSheets(hash_sheets)
     console.log("构建提示词时的信息 (已过滤)", hash_sheets, sheets)
     const customParts = isPureData ? ['title', 'headers', 'rows'] : ['title', 'node', 'headers', 'rows', 'editRules'];
-    const sheetDataPrompt = sheets.map((sheet, index) => sheet.getTableText(index, customParts, piece)).join('\n')
-    return sheetDataPrompt
+    if (!isInjection) return sheets.map((sheet, index) => sheet.getTableText(index, customParts, piece)).join('\n')
+    const selection = USER.tableBaseSetting.bool_relevance_injection ? selectRelevantSheetRows(sheets) : null
+    return buildSheetsPromptWithinBudget(sheets, customParts, piece, selection).text
 }
 
 /**
  * 将匹配到的整体字符串转化为单个语句的数组
+ * @description 解析失败的语句会被跳过，并提示其所在的行列号
  * @param {string[]} matches 匹配到的整体字符串
  * @returns 单条执行语句数组
  */
 function handleTableEditTag(matches) {
-    const functionRegex = /(updateRow|insertRow|deleteRow)\(/g;
-    let A = [];
-    let match;
-    let positions = [];
+    const A = [];
     matches.forEach(input => {
-        while ((match = functionRegex.exec(input)) !== null) {
-            positions.push({
-                index: match.index,
-                name: match[1].replace("Row", "") // 转换成 update/insert/delete
+        const { statements, errors, warnings } = parseTableEditText(input);
+        warnings.forEach(w => console.warn(`tableEdit 第${w.line}行第${w.column}列：${w.message}`));
+        errors.forEach(e => {
+            console.warn('tableEdit 语句解析失败', e);
+            EDITOR.warning(`tableEdit 第${e.line}行第${e.column}列：${e.message}`, `已跳过语句：${e.source}`);
+        });
+        statements.forEach(statement => {
+            A.push({
+                type: statement.type,
+                param: statement.args,
+                index: statement.index,
+                length: statement.length
             });
-        }
-
-        // 合并函数片段和位置
-        for (let i = 0; i < positions.length; i++) {
-            const start = positions[i].index;
-            const end = i + 1 < positions.length ? positions[i + 1].index : input.length;
-            const fullCall = input.slice(start, end);
-            const lastParenIndex = fullCall.lastIndexOf(")");
-
-            if (lastParenIndex !== -1) {
-                const sliced = fullCall.slice(0, lastParenIndex); // 去掉最后一个 )
-                const argsPart = sliced.slice(sliced.indexOf("(") + 1);
-                const args = argsPart.match(/("[^"]*"|\{.*\}|[0-9]+)/g)?.map(s => s.trim());
-                if(!args) continue
-                A.push({
-                    type: positions[i].name,
-                    param: args,
-                    index: positions[i].index,
-                    length: end - start
-                });
-            }
-        }
+        });
     });
     return A;
 }
@@ -306,9 +306,7 @@ export function parseTableEditTag(piece, mesIndex = -1, ignoreCheck = false) {
     const { piece: prePiece } = mesIndex === -1 ? BASE.getLastSheetsPiece(1) : BASE.getLastSheetsPiece(mesIndex - 1, 1000, false)
     const sheets = BASE.hashSheetsToSheets(prePiece.hash_sheets).filter(sheet => sheet.enable)
     console.log("执行指令时的信息", sheets)
-    for (const EditAction of sortActions(tableEditActions)) {
-        executeAction(EditAction, sheets)
-    }
+    if (!executeActionsInTransaction(sortActions(tableEditActions), sheets, getInlineProvenance(piece))) return false
     sheets.forEach(sheet => sheet.save(piece, true))
     console.log("聊天模板：", BASE.sheetsData.context)
     console.log("获取到的表格数据", prePiece)
@@ -316,31 +314,73 @@ export function parseTableEditTag(piece, mesIndex = -1, ignoreCheck = false) {
     return true
 }
 
+/**
+ * 预览并确认回复中的表格编辑标签
+ * @description 先在复制的表格上预演所有指令，用户逐条确认后只将接受的指令写入聊天片段
+ * @param {*} piece 单个聊天对象
+ */
+export async function previewTableEditTag(piece) {
+    const { matches } = getTableEditTag(piece.mes)
+    if (!isTableEditStrChanged(piece, matches)) return false
+    const tableEditActions = handleTableEditTag(matches)
+    tableEditActions.forEach((action, index) => tableEditActions[index].action = classifyParams(formatParams(action.param)))
+    console.log("解析到的表格编辑指令", tableEditActions)
+
+    const { piece: prePiece } = BASE.getLastSheetsPiece(1)
+    const approvedActions = await confirmTableEditActions(sortActions(tableEditActions), BASE.hashSheetsToSheets(prePiece.hash_sheets).filter(sheet => sheet.enable))
+
+    // 等待确认期间表格实例可能已被其他操作重新加载，因此重新获取
+    const sheets = BASE.hashSheetsToSheets(prePiece.hash_sheets).filter(sheet => sheet.enable)
+    if (!executeActionsInTransaction(approvedActions, sheets, getInlineProvenance(piece))) return false
+    sheets.forEach(sheet => sheet.save(piece, true))
+    console.log("已应用确认后的表格编辑指令", approvedActions)
+    return true
+}
+
+/**
+ * 获取回复内表格编辑标签产生的单元格来源
+ * @param {*} piece 包含编辑标签的聊天对象
+ */
+function getInlineProvenance(piece) {
+    const messageIndex = USER.getContext().chat.indexOf(piece)
+    return { source: CellSource.aiInline, messageIndex: messageIndex === -1 ? undefined : messageIndex, api: 'main' }
+}
+
 /**
  * 直接通过编辑指令字符串执行操作
  * @param {string[]} matches 编辑指令字符串
+ * @param {Object} provenance 新单元格的来源信息，默认为分步填表
  */
-export function executeTableEditActions(matches, referencePiece) {
+export async function executeTableEditActions(matches, referencePiece, provenance) {
     const tableEditActions = handleTableEditTag(matches)
     tableEditActions.forEach((action, index) => tableEditActions[index].action = classifyParams(formatParams(action.param)))
     console.log("解析到的表格编辑指令", tableEditActions)
+    return applyTableEditActions(tableEditActions, provenance)
+}
 
+/**
+ * 将已解析的编辑指令应用到当前表格并保存到最新的聊天片段
+ * @description tableEdit 标签与结构化 JSON 输出解析得到的指令共用此执行器
+ * @param {{type: string, action: {tableIndex: number, rowIndex?: number, data?: Object}}[]} tableEditActions 编辑指令
+ * @param {Object} provenance 新单元格的来源信息
+ */
+export async function applyTableEditActions(tableEditActions, provenance = { source: CellSource.stepByStep }) {
     // 核心修复：不再信任传入的 referencePiece.hash_sheets，而是直接从 BASE 获取当前激活的、唯一的 Sheet 实例。
     const sheets = BASE.getChatSheets().filter(sheet => sheet.enable)
     if (!sheets || sheets.length === 0) {
-        console.error("executeTableEditActions: 未找到任何启用的表格实例，操作中止。");
+        console.error("applyTableEditActions: 未找到任何启用的表格实例，操作中止。");
         return false;
     }
 
     console.log("执行指令时的信息 (来自 BASE.getChatSheets)", sheets)
-    for (const EditAction of sortActions(tableEditActions)) {
-        executeAction(EditAction, sheets)
-    }
+    const sortedActions = sortActions(tableEditActions)
+    const approvedActions = USER.tableBaseSetting.bool_table_edit_preview ? await confirmTableEditActions(sortedActions, sheets) : sortedActions
+    if (!executeActionsInTransaction(approvedActions, sheets, provenance)) return false
     
     // 核心修复：确保修改被保存到当前最新的聊天片段中。
     const { piece: currentPiece } = USER.getChatPiece();
     if (!currentPiece) {
-        console.error("executeTableEditActions: 无法获取当前聊天片段，保存操作失败。");
+        console.error("applyTableEditActions: 无法获取当前聊天片段，保存操作失败。");
         return false;
     }
     sheets.forEach(sheet => sheet.save(currentPiece, true))
@@ -350,10 +390,44 @@ export function executeTableEditActions(matches, referencePiece) {
     return true // 返回 true 表示成功
 }
 
+/**
+ * 以事务方式执行一组指令
+ * @description 任一指令抛出异常时撤销本组指令对所有表格的修改，避免表格停留在执行了一半的状态
+ * @param {Object[]} tableEditActions 已排序的编辑指令
+ * @param {Sheet[]} sheets 要执行指令的表格
+ * @param {Object} provenance 新单元格的来源信息
+ * @returns {boolean} 是否全部执行成功
+ */
+function executeActionsInTransaction(tableEditActions, sheets, provenance = { source: CellSource.aiInline }) {
+    try {
+        BASE.runWithCellProvenance(provenance, () => BASE.runSheetsTransaction(sheets, () => {
+            for (const EditAction of tableEditActions) {
+                executeAction(EditAction, sheets)
+            }
+        }))
+        return true
+    } catch (error) {
+        console.error("执行表格编辑指令失败，已回滚", error, tableEditActions)
+        EDITOR.error("执行表格编辑指令失败，本次修改已全部撤销", error.message, error)
+        return false
+    }
+}
+
+/**
+ * 拒绝AI的表格编辑操作
+ * @description 预演时只收集拒绝原因，由预览弹窗显示，实际执行时再提示
+ * @param {string[]|null} rejections 预演时收集拒绝原因的数组
+ */
+function rejectEditAction(rejections, title, detail) {
+    if (rejections) rejections.push(`${title}：${detail}`)
+    else EDITOR.warning(title, detail)
+}
+
 /**
  * 执行单个action指令
+ * @param {string[]|null} rejections 预演时传入，收集被拒绝的原因而不提示，也不记录至单元格历史
  */
-function executeAction(EditAction, sheets) {
+function executeAction(EditAction, sheets, rejections = null) {
     const action = EditAction.action
     const sheet = sheets[action.tableIndex]
     if (!sheet) {
@@ -361,32 +435,82 @@ function executeAction(EditAction, sheets) {
         return -1;
     }
 
-    // 在所有操作前，深度清理一次action.data
-    if (action.data) {
-        action.data = fixUnescapedSingleQuotes(action.data);
+    // 按主键定位行：upsert 命中已有行时转为更新，主键重复的插入合并至已有行
+    if (EditAction.type === 'upsert' || EditAction.type === 'insert') {
+        const keyRowIndex = sheet.findRowIndexByKey(action.data)
+        if (keyRowIndex > 0) {
+            if (EditAction.type === 'insert') console.log("主键重复，插入操作合并至已有行", keyRowIndex, EditAction)
+            return executeAction({ ...EditAction, type: 'update', action: { ...action, rowIndex: keyRowIndex - 1 } }, sheets, rejections)
+        }
+        if (EditAction.type === 'upsert') {
+            if (sheet.getKeyColumnIndexes().length === 0) {
+                rejectEditAction(rejections, '已拒绝AI的表格编辑操作', `表格「${sheet.name}」未设置主键列，无法执行 upsertRow`)
+                return -1
+            }
+            if (!sheet.hasKeyValues(action.data)) {
+                rejectEditAction(rejections, '已拒绝AI的表格编辑操作', `upsertRow 缺少表格「${sheet.name}」的主键列数据`)
+                return -1
+            }
+            return executeAction({ ...EditAction, type: 'insert' }, sheets, rejections)
+        }
+    }
+
+    // 根据表格类型检查操作权限，被拒绝的操作记录至调试日志
+    const rejectReason = sheet.getOperationRejectReason(EditAction.type)
+    if (rejectReason) {
+        rejectEditAction(rejections, '已拒绝AI的表格编辑操作', rejectReason)
+        console.warn("表格类型不允许该操作", rejectReason, EditAction);
+        return -1;
     }
+
     switch (EditAction.type) {
         case 'update':
             // 执行更新操作
             const rowIndex = action.rowIndex ? parseInt(action.rowIndex):0
-            if(rowIndex >= sheet.getRowCount()-1) return executeAction({...EditAction, type:'insert'}, sheets)
+            if(rowIndex >= sheet.getRowCount()-1) return executeAction({...EditAction, type:'insert'}, sheets, rejections)
             if(!action?.data) return
             Object.entries(action.data).forEach(([key, value]) => {
                 const cell = sheet.findCellByPosition(rowIndex + 1, parseInt(key) + 1)
                 if (!cell) return -1
-                cell.newAction(cell.CellAction.editCell, { value }, false)
+                // 锁定的单元格不写入新值，被拒绝的值记录至单元格历史
+                if (sheet.isCellLocked(rowIndex + 1, parseInt(key) + 1)) {
+                    if (String(value) === String(cell.data.value ?? '')) return
+                    if (!rejections) cell.recordRejectedValue(value, '单元格已锁定')
+                    rejectEditAction(rejections, '已拒绝修改锁定的内容', `${sheet.name}：第${rowIndex}行第${parseInt(key)}列已锁定`)
+                    console.warn("拒绝修改锁定的单元格", sheet.name, rowIndex, key, value, EditAction)
+                    return
+                }
+                // 按列类型校验AI写入的值，无法转换的值不写入表格，仅记录至单元格历史
+                const checked = sheet.checkCellValue(parseInt(key) + 1, value)
+                if (checked.status === 'rejected') {
+                    if (!rejections) cell.recordRejectedValue(value, checked.message)
+                    rejectEditAction(rejections, '已拒绝不符合列类型的值', `${sheet.name}：${checked.message}`)
+                    return
+                }
+                const validation = checked.status === 'coerced' ? { status: checked.status, original: value, message: checked.message } : undefined
+                cell.newAction(cell.CellAction.editCell, { value: checked.value, validation }, false, true)
             })
             break
         case 'insert': {
             // 执行插入操作
             const cell = sheet.findCellByPosition(sheet.getRowCount() - 1, 0)
-            cell.newAction(cell.CellAction.insertDownRow, {}, false)
+            if (!cell.newAction(cell.CellAction.insertDownRow, {}, false, true)) return -1
             const lastestRow = sheet.getRowCount() - 1
             const cells = sheet.getCellsByRowIndex(lastestRow)
             if(!cells || !action.data) return
             cells.forEach((cell, index) => {
                 if (index === 0) return 
-                cell.data.value = action.data[index - 1]
+                const value = action.data[index - 1]
+                const checked = sheet.checkCellValue(index, value)
+                if (checked.status === 'rejected') {
+                    // 新行无旧值可保留，写入默认值并在单元格历史中标记
+                    cell.data.value = sheet.checkCellValue(index, '').value
+                    cell.data.validation = { status: checked.status, original: value, message: checked.message }
+                    rejectEditAction(rejections, '已拒绝不符合列类型的值', `${sheet.name}：${checked.message}`)
+                    return
+                }
+                cell.data.value = checked.value
+                if (checked.status === 'coerced') cell.data.validation = { status: checked.status, original: value, message: checked.message }
             })
         }
             break
@@ -395,10 +519,16 @@ function executeAction(EditAction, sheets) {
             const deleteRow = parseInt(action.rowIndex) + 1
             const cell = sheet.findCellByPosition(deleteRow, 0)
             if (!cell) return -1
-            cell.newAction(cell.CellAction.deleteSelfRow, {}, false)
+            // 含有锁定内容的行不允许删除
+            if (sheet.hasLockedContent(deleteRow)) {
+                rejectEditAction(rejections, '已拒绝删除锁定的内容', `${sheet.name}：第${deleteRow - 1}行含有锁定的内容`)
+                console.warn("拒绝删除锁定的行", sheet.name, deleteRow - 1, EditAction)
+                return -1
+            }
+            cell.newAction(cell.CellAction.deleteSelfRow, {}, false, true)
             break
     }
-    console.log("执行表格编辑操作", EditAction)
+    if (!rejections) console.log("执行表格编辑操作", EditAction)
     return 1
 }
 
@@ -413,6 +543,7 @@ function sortActions(actions) {
     const priority = {
         update: 0,
         insert: 1,
+        upsert: 1,
         delete: 2
     };
     return actions.sort((a, b) => (priority[a.type] === 2 && priority[b.type] === 2) ? (b.action.rowIndex - a.action.rowIndex) : (priority[a.type] - priority[b.type]));
@@ -420,25 +551,39 @@ function sortActions(actions) {
 
 /**
  * 格式化参数
- * @description 将参数数组中的字符串转换为数字或对象
- * @param {string[]} paramArray
+ * @description 将数字字符串转换为数字，并将对象中的值统一为单元格文本
+ * @param {*[]} paramArray 解析器输出的参数值
  * @returns
  */
 function formatParams(paramArray) {
     return paramArray.map(item => {
-        const trimmed = item.trim();
-        if (!isNaN(trimmed) && trimmed !== "") {
-            return Number(trimmed);
+        if (typeof item === 'string') {
+            const trimmed = item.trim();
+            if (!isNaN(trimmed) && trimmed !== "") {
+                return Number(trimmed);
+            }
+            return trimmed;
         }
-        if (trimmed.startsWith("{") && trimmed.endsWith("}")) {
-            return parseLooseDict(trimmed);
+        if (item && typeof item === 'object' && !Array.isArray(item)) {
+            return formatEditData(item);
         }
-
-        // 其他情况都返回字符串
-        return trimmed;
+        return item;
     });
 }
 
+/**
+ * 将编辑数据中的值转换为单元格文本
+ * @param {Object} data 列索引到值的映射
+ * @returns {Object}
+ */
+function formatEditData(data) {
+    const result = {};
+    for (const key in data) {
+        result[key] = normalizeCellText(data[key]);
+    }
+    return result;
+}
+
 /**
  * 分类参数
  * @param {string[]} param 参数
@@ -473,9 +618,40 @@ function executeTableEditTag(chat, mesIndex = -1, ignoreCheck = false) {
 
 /**
  * 干运行获取插入action的插入位置和表格插入更新内容
+ * @description 在复制的表格上按顺序执行指令，记录每条指令造成的单元格变化，不会修改原表格
+ * @param {Object[]} tableEditActions 已排序的编辑指令
+ * @param {Sheet[]} sheets 要预演的表格
+ * @returns {{EditAction: Object, sheet: Sheet, header: string[], diff: Object, result: number, rejections: string[]}[]} 每条指令的执行结果、差异与被拒绝的原因
  */
-function dryRunExecuteTableEditTag() {
-    // TODO 使用新的Sheet系统处理表格编辑
+function dryRunExecuteTableEditTag(tableEditActions, sheets) {
+    const clonedSheets = sheets.map(sheet => sheet.clone())
+    return tableEditActions.map(EditAction => {
+        const sheet = clonedSheets[EditAction.action.tableIndex]
+        if (!sheet) return { EditAction, sheet, header: [], diff: null, result: -1, rejections: [] }
+        const before = getSheetSnapshot(sheet)
+        const rejections = []
+        let result
+        try {
+            // 单条指令出错时只撤销该指令，继续预演后续指令
+            result = BASE.runSheetsTransaction(clonedSheets, () => executeAction(EditAction, clonedSheets, rejections))
+        } catch (error) {
+            console.error("预演表格编辑指令失败", error, EditAction)
+            result = -1
+        }
+        const after = getSheetSnapshot(sheet)
+        return { EditAction, sheet, header: after.header, diff: diffSheetSnapshots(before, after), result, rejections }
+    })
+}
+
+/**
+ * 预演编辑指令并由用户逐条确认
+ * @param {Object[]} tableEditActions 已排序的编辑指令
+ * @param {Sheet[]} sheets 要执行指令的表格
+ * @returns {Promise<Object[]>} 用户接受的指令
+ */
+async function confirmTableEditActions(tableEditActions, sheets) {
+    if (tableEditActions.length === 0) return tableEditActions
+    return openTableEditPreviewPopup(tableEditActions, actions => dryRunExecuteTableEditTag(actions, sheets))
 }
 
 /**
@@ -530,11 +706,15 @@ function getMesRole() {
  */
 async function onChatCompletionPromptReady(eventData) {
     try {
+        // 使用向量检索时，需要在同步构建提示词之前计算各行的相似度
+        if (USER.tableBaseSetting.isExtensionAble === true && USER.tableBaseSetting.isAiReadTable === true && eventData.dryRun !== true) {
+            await prepareRelevanceSelection()
+        }
         // 优先处理分步填表模式
         if (USER.tableBaseSetting.step_by_step === true) {
             // 仅当插件和AI读表功能开启时才注入
             if (USER.tableBaseSetting.isExtensionAble === true && USER.tableBaseSetting.isAiReadTable === true) {
-                const tableData = getTablePrompt(eventData, true); // 获取纯净数据
+                const tableData = getTablePrompt(eventData, true, true); // 获取纯净数据
                 if (tableData) { // 确保有内容可注入
                     const finalPrompt = `以下是通过表格记录的当前场景信息以及历史记录信息，你需要以此为参考进行思考：\n${tableData}`;
                     if (USER.tableBaseSetting.deep === 0) {
@@ -557,7 +737,7 @@ async function onChatCompletionPromptReady(eventData) {
         }
 
         console.log("生成提示词前", USER.getContext().chat)
-        const promptContent = initTableData(eventData)
+        const promptContent = initTableData(eventData, true)
         if (USER.tableBaseSetting.deep === 0)
             eventData.chat.push({ role: getMesRole(), content: promptContent })
         else
@@ -577,10 +757,10 @@ function getMacroPrompt() {
     try {
         if (USER.tableBaseSetting.isExtensionAble === false || USER.tableBaseSetting.isAiReadTable === false) return ""
         if (USER.tableBaseSetting.step_by_step === true) {
-            const promptContent = replaceUserTag(getTablePrompt(undefined, true))
+            const promptContent = replaceUserTag(getTablePrompt(undefined, true, true))
             return `以下是通过表格记录的当前场景信息以及历史记录信息，你需要以此为参考进行思考：\n${promptContent}`
         }
-        const promptContent = initTableData()
+        const promptContent = initTableData(undefined, true)
         return promptContent
     }catch (error) {
         EDITOR.error(`记忆插件：宏提示词注入失败\n原因：`, error.message, error);
@@ -595,10 +775,10 @@ function getMacroTablePrompt() {
     try {
         if (USER.tableBaseSetting.isExtensionAble === false || USER.tableBaseSetting.isAiReadTable === false) return ""
         if(USER.tableBaseSetting.step_by_step === true){
-            const promptContent = replaceUserTag(getTablePrompt(undefined, true))
+            const promptContent = replaceUserTag(getTablePrompt(undefined, true, true))
             return promptContent
         }
-        const promptContent = replaceUserTag(getTablePrompt())
+        const promptContent = replaceUserTag(getTablePrompt(undefined, false, true))
         return promptContent
     }catch (error) {
         EDITOR.error(`记忆插件：宏提示词注入失败\n原因：`, error.message, error);
@@ -661,13 +841,18 @@ async function onMessageEdited(this_edit_mes_id) {
 async function onMessageReceived(chat_id) {
     if (USER.tableBaseSetting.isExtensionAble === false) return
     if (USER.tableBaseSetting.step_by_step === true && USER.getContext().chat.length > 2) {
+        // 分步填表成功后会在 manualSummaryChat 中归档超出限制的行
         TableTwoStepSummary("auto");  // 请勿使用await，否则会导致主进程阻塞引起的连锁bug
     } else {
         if (USER.tableBaseSetting.isAiWriteTable === false) return
         const chat = USER.getContext().chat[chat_id];
         console.log("收到消息", chat_id)
         try {
-            handleEditStrInMessage(chat)
+            if (USER.tableBaseSetting.bool_table_edit_preview) {
+                await previewTableEditTag(chat)
+                updateSystemMessageTableStatus()
+            } else handleEditStrInMessage(chat)
+            await archiveOverflowingSheets()
         } catch (error) {
             EDITOR.error("记忆插件：表格自动更改失败\n原因：", error.message, error)
         }
@@ -731,14 +916,50 @@ async function onChatChanged() {
     }
 }
 
+/**
+ * 删除消息后重新编码增量储存的表格数据，再刷新视图
+ */
+async function onMessageDeleted() {
+    try {
+        if (reencodeChatHashSheets()) USER.saveChat()
+    } catch (error) {
+        EDITOR.error("记忆插件：删除消息后更新表格数据失败\n原因：", error.message, error)
+    }
+    await onChatChanged()
+}
+
+/**
+ * 加载聊天时将表格数据迁移为设置中的储存方式（完整或增量）
+ */
+function migrateHashSheetsOnChatLoad() {
+    try {
+        if (migrateChatHashSheets()) USER.saveChat()
+        // 还原所有增量片段，删除消息后才能按删除前的内容重新编码
+        resolveChatHashSheets()
+    } catch (error) {
+        EDITOR.error("记忆插件：迁移表格数据储存方式失败\n原因：", error.message, error)
+    }
+}
 
 /**
  * 滑动切换消息事件
  */
 async function onMessageSwiped(chat_id) {
-    if (USER.tableBaseSetting.isExtensionAble === false || USER.tableBaseSetting.isAiWriteTable === false) return
+    if (USER.tableBaseSetting.isExtensionAble === false) return
     const chat = USER.getContext().chat[chat_id];
     console.log("滑动切换消息", chat)
+    try {
+        // 先保存切换前滑动的表格，已有快照的滑动直接恢复，无需重新解析或再次请求模型
+        stashSwipeHashSheets(chat)
+        if (restoreSwipeSheets(chat)) {
+            USER.saveChat()
+            updateSheetsView()
+            return
+        }
+    } catch (error) {
+        EDITOR.error("记忆插件：恢复滑动的表格失败\n原因：", error.message, error)
+    }
+    if (USER.tableBaseSetting.isAiWriteTable === false) return
     if (!chat.swipe_info[chat.swipe_id]) return
     try {
         handleEditStrInMessage(chat)
@@ -749,6 +970,21 @@ async function onMessageSwiped(chat_id) {
     updateSheetsView()
 }
 
+/**
+ * 将当前滑动的表格快照恢复到消息上
+ * @param {*} chat 单个聊天对象
+ * @returns {boolean} 该滑动是否有快照
+ */
+function restoreSwipeSheets(chat) {
+    const hashSheets = restoreSwipeHashSheets(chat)
+    if (!hashSheets) return false
+    // 同步表格实例与保存的表格状态
+    const sheets = BASE.hashSheetsToSheets(hashSheets).filter(sheet => hashSheets[sheet.uid])
+    sheets.forEach(sheet => sheet.save(chat, true))
+    console.log("已恢复滑动的表格快照", chat.swipe_id, sheets)
+    return true
+}
+
 /**
  * 恢复指定层数的表格
  */
@@ -869,17 +1105,23 @@ jQuery(async () => {
     })
 
     initAppHeaderTableDrawer().then();  // 初始化表格编辑器
+    initRowEmbedding()    // 单元格编辑后为其建立向量索引
     functionToBeRegistered()    // 注册用于调试的各种函数
+    runTestsInDebugMode()    // 调试模式下运行全部测试
 
     executeTranslation(); // 执行翻译函数
 
     // 监听主程序事件
     APP.eventSource.on(APP.event_types.MESSAGE_RECEIVED, onMessageReceived);
     APP.eventSource.on(APP.event_types.CHAT_COMPLETION_PROMPT_READY, onChatCompletionPromptReady);
+    APP.eventSource.on(APP.event_types.CHAT_CHANGED, migrateHashSheetsOnChatLoad);
+    APP.eventSource.on(APP.event_types.CHAT_CHANGED, initBranchTableState);
     APP.eventSource.on(APP.event_types.CHAT_CHANGED, onChatChanged);
+    APP.eventSource.on(APP.event_types.CHAT_CHANGED, compactCellHistoryOnChatLoad);
+    APP.eventSource.on(APP.event_types.CHAT_CHANGED, offerTemplateSyncOnChatLoad);
     APP.eventSource.on(APP.event_types.MESSAGE_EDITED, onMessageEdited);
     APP.eventSource.on(APP.event_types.MESSAGE_SWIPED, onMessageSwiped);
-    APP.eventSource.on(APP.event_types.MESSAGE_DELETED, onChatChanged);
+    APP.eventSource.on(APP.event_types.MESSAGE_DELETED, onMessageDeleted);
 
     
     console.log("______________________记忆插件：加载完成______________________")
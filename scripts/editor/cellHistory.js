@@ -1,5 +1,7 @@
 import {BASE, DERIVED, EDITOR, SYSTEM, USER} from '../../core/manager.js';
 import {refreshContextView} from "./chatSheetsDataView.js";
+import {CellSourceLabel} from "../../core/table/cell.js";
+import {TableEditProtocolLabel} from "../runtime/structuredTableEdit.js";
 
 const histories = `
 <style>
@@ -66,6 +68,19 @@ const histories = `
 }
 .history-cell-timestamp {
 }
+.history-cell-validation {
+    display: block;
+    font-size: 12px;
+    color: var(--SmartThemeQuoteColor);
+}
+.history-cell-validation.rejected {
+    color: rgb(211, 39, 39);
+}
+.history-cell-provenance {
+    display: block;
+    font-size: 12px;
+    color: var(--SmartThemeEmColor);
+}
 </style>
 
 <div class="cell-history">
@@ -138,6 +153,23 @@ async function reloadCellHistory(cell, historyCell, container) {
     }
 }
 
+/**
+ * 将单元格的来源信息格式化为文本
+ * @param {Object} provenance cell.provenance
+ * @returns {string}
+ */
+function formatProvenance(provenance) {
+    if (!provenance) return '';
+    const parts = [CellSourceLabel[provenance.source] ?? provenance.source];
+    if (provenance.messageIndex !== undefined && provenance.messageIndex >= 0) parts.push(`第${provenance.messageIndex}楼`);
+    if (provenance.swipeId) parts.push(`滑动#${provenance.swipeId}`);
+    if (provenance.template) parts.push(`模板 ${provenance.template}`);
+    if (provenance.protocol) parts.push(`指令格式 ${TableEditProtocolLabel[provenance.protocol] ?? provenance.protocol}`);
+    if (provenance.api) parts.push(provenance.model ? `${provenance.api} API（${provenance.model}）` : `${provenance.api} API`);
+    if (provenance.timestamp) parts.push(new Date(provenance.timestamp).toLocaleString());
+    return `[来源] ${parts.join(' · ')}`;
+}
+
 function updateCellHistoryData(container, cell) {
     const { piece, deep } = BASE.getLastSheetsPiece();
     const sheetsData = BASE.sheetsData.context;
@@ -177,6 +209,14 @@ function updateCellHistoryData(container, cell) {
         // 创建历史条目
         const historyItem = $('<div class="history-cell-item"></div>');
         const valueElement = $(`<div class="history-cell-value">${historyCell.data.value}</div>`);
+        const validation = historyCell.data.validation;
+        if (validation) {
+            const label = validation.status === 'rejected' ? '已拒绝，未写入表格' : `已修正，原值“${validation.original ?? ''}”`;
+            valueElement.append($(`<small class="history-cell-validation ${validation.status}"></small>`).text(`[${label}] ${validation.message ?? ''}`));
+        }
+        if (historyCell.provenance) {
+            valueElement.append($('<small class="history-cell-provenance"></small>').text(formatProvenance(historyCell.provenance)));
+        }
         const actionElement = $(`<div class="history-cell-action"></div>`);
         const timestampElement = $(`<div class="history-cell-timestamp">${historyCell.uid.slice(-4)}</div>`);
         const indexElement = $(`<div class="history-cell-index">${selfHistory.length - index}/${selfHistory.length}</div>`);
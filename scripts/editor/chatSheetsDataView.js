@@ -5,8 +5,13 @@ import { rebuildSheets } from "../runtime/absoluteRefresh.js";
 import { openTableHistoryPopup } from "./tableHistory.js";
 import { PopupMenu } from "../../components/popupMenu.js";
 import { openTableStatisticsPopup } from "./tableStatistics.js";
+import { openTableArchivePopup } from "./tableArchiveView.js";
+import { openWorldInfoBridgePopup } from "./worldInfoBridgeView.js";
 import { openCellHistoryPopup } from "./cellHistory.js";
 import { openSheetStyleRendererPopup } from "./sheetStyleEditor.js";
+import { deletePieceHashSheets } from "../../core/table/hashSheetsStorage.js";
+import { compareSheetFiles, downloadTextFile, exportSheetsAsFile, openSheetExportPopup, openSheetImportPopup } from "./sheetImportExport.js";
+import { detectSheetFileFormat, parseSheetFile, SheetFileFormat } from "../../utils/sheetFormats.js";
 
 let tablePopup = null
 let copyTableData = null
@@ -79,8 +84,8 @@ async function importTable(mesId, viewSheetsContainer) {
     // 1. 创建一个 input 元素，类型设置为 'file'，用于文件选择
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
-    // 设置 accept 属性，限制只能选择 JSON 文件，提高用户体验
-    fileInput.accept = '.json';
+    // 设置 accept 属性，限制可选择的文件类型，提高用户体验
+    fileInput.accept = '.json,.csv,.tsv,.md,.markdown,.xml,.xls,.txt';
 
     // 2. 添加事件监听器，监听文件选择的变化 (change 事件)
     fileInput.addEventListener('change', function (event) {
@@ -98,6 +103,14 @@ async function importTable(mesId, viewSheetsContainer) {
             // 4. 定义 FileReader 的 onload 事件处理函数
             // 当文件读取成功后，会触发 onload 事件
             reader.onload = async function (loadEvent) {
+                // CSV、Markdown 与 XML 电子表格按列名映射到当前表格
+                if (detectSheetFileFormat(file.name, loadEvent.target.result) !== SheetFileFormat.json) {
+                    const sheets = DERIVED.any.renderingSheets?.filter(sheet => sheet.enable) ?? []
+                    if (sheets.length === 0) return EDITOR.error("导入失败：当前对话没有可导入的表格")
+                    const tables = parseSheetFile(file.name, loadEvent.target.result)
+                    if (await openSheetImportPopup(tables, sheets)) await renderSheetsDOM()
+                    return
+                }
                 const button = { text: '导入模板及数据', result: 3 }
                 const popup = new EDITOR.Popup("请选择导入的部分", EDITOR.POPUP_TYPE.CONFIRM, '', { okButton: "导入模板及数据", cancelButton: "取消"});
                 const result = await popup.show()
@@ -124,32 +137,29 @@ async function importTable(mesId, viewSheetsContainer) {
  * @param {Array} tables 所有表格数据
  */
 async function exportTable() {
-    const jsonTables = getTableJson({type:'chatSheets', version: 1})
-    if(!jsonTables) return
-    const bom = '\uFEFF';
-    const blob = new Blob([bom + JSON.stringify(jsonTables)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const downloadLink = document.createElement('a');
-    downloadLink.href = url;
-    downloadLink.download = 'table_data.json'; // 默认文件名
-    document.body.appendChild(downloadLink); // 必须添加到 DOM 才能触发下载
-    downloadLink.click();
-    document.body.removeChild(downloadLink); // 下载完成后移除
-
-    URL.revokeObjectURL(url); // 释放 URL 对象
+    if (!DERIVED.any.renderingSheets || DERIVED.any.renderingSheets.length === 0) {
+        EDITOR.warning('当前表格没有数据，无法导出');
+        return;
+    }
+    const choice = await openSheetExportPopup(DERIVED.any.renderingSheets.filter(sheet => sheet.enable))
+    if (!choice) return
+    if (choice.format !== SheetFileFormat.json) return exportSheetsAsFile(choice.sheets, choice.format)
 
+    const jsonTables = getTableJson({type:'chatSheets', version: 1}, choice.sheets)
+    if(!jsonTables) return
+    downloadTextFile(JSON.stringify(jsonTables), 'table_data.json', 'application/json');
     EDITOR.success('已导出');
 }
 
 /**
  * 获取表格Json数据
+ * @param {Sheet[]} sheets 要导出的表格，默认为所有启用的表格
  */
-function getTableJson(mate) {
-    if (!DERIVED.any.renderingSheets || DERIVED.any.renderingSheets.length === 0) {
+function getTableJson(mate, sheets = DERIVED.any.renderingSheets?.filter(sheet => sheet.enable)) {
+    if (!sheets || sheets.length === 0) {
         EDITOR.warning('当前表格没有数据，无法导出');
         return;
     }
-    const sheets = DERIVED.any.renderingSheets.filter(sheet => sheet.enable)
     // const csvTables = sheets.map(sheet => "SHEET-START" + sheet.uid + "\n" + sheet.getSheetCSV(false) + "SHEET-END").join('\n')
     const jsonTables = {}
     sheets.forEach(sheet => {
@@ -169,9 +179,7 @@ async function clearTable(mesId, viewSheetsContainer) {
     const confirmation = await EDITOR.callGenericPopup('清空当前对话的所有表格数据，并重置历史记录，该操作无法回退，是否继续？', EDITOR.POPUP_TYPE.CONFIRM, '', { okButton: "继续", cancelButton: "取消" });
     if (confirmation) {
         await USER.getContext().chat.forEach((piece => {
-            if (piece.hash_sheets) {
-                delete piece.hash_sheets
-            }
+            deletePieceHashSheets(piece)
             if (piece.dataTable) delete piece.dataTable
         }))
         setTimeout(() => {
@@ -438,6 +446,8 @@ function cellClickEvent(cell) {
             menu.add('<i class="fa fa-arrow-up"></i> 向上插入行', () => handleAction(cell, cell.CellAction.insertUpRow));
             menu.add('<i class="fa fa-arrow-down"></i> 向下插入行', () => handleAction(cell, cell.CellAction.insertDownRow));
             menu.add('<i class="fa fa-trash-alt"></i> 删除行', () => handleAction(cell, cell.CellAction.deleteSelfRow), menu.ItemType.warning)
+            menu.add(cell.parent.isRowLocked(rowIndex) ? '<i class="fa-solid fa-lock-open"></i> 解锁行' : '<i class="fa-solid fa-lock"></i> 锁定行', () => toggleLock(cell));
+            menu.add(cell.parent.isRowPinned(rowIndex) ? '<i class="fa-solid fa-thumbtack"></i> 取消固定行' : '<i class="fa-solid fa-thumbtack"></i> 固定行（总是发送）', () => togglePin(cell));
         } else if (rowIndex === 0) {
             menu.add('<i class="fa fa-i-cursor"></i> 编辑该列', async () => await cellDataEdit(cell));
             menu.add('<i class="fa fa-arrow-left"></i> 向左插入列', () => handleAction(cell, cell.CellAction.insertLeftColumn));
@@ -446,6 +456,9 @@ function cellClickEvent(cell) {
         } else {
             menu.add('<i class="fa fa-i-cursor"></i> 编辑该单元格', async () => await cellDataEdit(cell));
             menu.add('<i class="fa-solid fa-clock-rotate-left"></i> 单元格历史记录', async () => await cellHistoryView(cell));
+            if (!cell.parent.isRowLocked(rowIndex)) {
+                menu.add(cell.data.locked === true ? '<i class="fa-solid fa-lock-open"></i> 解锁单元格' : '<i class="fa-solid fa-lock"></i> 锁定单元格', () => toggleLock(cell));
+            }
         }
 
         // 设置弹出菜单后的一些非功能性派生操作，这里必须使用setTimeout，否则会导致菜单无法正常显示
@@ -494,6 +507,31 @@ function cellClickEvent(cell) {
     })
 }
 
+/**
+ * 锁定或解锁单元格所在的行（行头单元格）或单元格本身
+ * @param {Cell} cell
+ */
+function toggleLock(cell) {
+    const sheet = cell.parent
+    const [rowIndex, colIndex] = cell.position
+    const locked = colIndex === 0 ? sheet.isRowLocked(rowIndex) : cell.data.locked === true
+    if (!sheet.setLocked(rowIndex, colIndex, !locked)) return
+    sheet.save()
+    refreshContextView();
+}
+
+/**
+ * 固定或取消固定单元格所在的行
+ * @param {Cell} cell 行头单元格
+ */
+function togglePin(cell) {
+    const sheet = cell.parent
+    const [rowIndex] = cell.position
+    if (!sheet.setRowPinned(rowIndex, !sheet.isRowPinned(rowIndex))) return
+    sheet.save()
+    refreshContextView();
+}
+
 function handleAction(cell, action) {
     cell.newAction(action)
     refreshContextView();
@@ -510,6 +548,13 @@ export async function renderEditableSheetsDOM(_sheets, _viewSheetsContainer, _ce
         sheetContainer.style.overflowX = 'none'
         sheetContainer.style.overflowY = 'auto'
         sheetTitleText.innerText = `#${index} ${sheet.name}`
+        if (sheet.domain === sheet.SheetDomain.role || sheet.domain === sheet.SheetDomain.global) {
+            const domainTag = document.createElement('small')
+            domainTag.innerText = ` [${sheet.getDomainLabel()}]`
+            domainTag.title = sheet.domain === sheet.SheetDomain.role ? '该表格储存于当前角色卡，在该角色的所有聊天中共享' : '该表格储存于用户数据中，在所有聊天中共享'
+            domainTag.style.color = 'var(--SmartThemeEmColor)'
+            sheetTitleText.appendChild(domainTag)
+        }
 
         let sheetElement = null
 
@@ -606,6 +651,14 @@ async function initTableView(mesId) {
     $(document).on('click', '#dataTable_history_button', function () {
         EDITOR.tryBlock(openTableHistoryPopup, "打开表格历史失败")
     })
+    // 点击打开归档搜索
+    $(document).on('click', '#table_archive_button', function () {
+        EDITOR.tryAsync(openTableArchivePopup, "打开归档搜索失败")
+    })
+    // 点击打开世界书同步
+    $(document).on('click', '#table_world_info_button', async function () {
+        if (await EDITOR.tryAsync(openWorldInfoBridgePopup, "打开世界书同步失败")) await renderSheetsDOM()
+    })
     // 点击清空表格按钮
     $(document).on('click', '#clear_table_button', function () {
         EDITOR.tryBlock(clearTable, "清空表格失败", userTableEditInfo.chatIndex, viewSheetsContainer);
@@ -629,6 +682,10 @@ async function initTableView(mesId) {
     $(document).on('click', '#import_table_button', function () {
         EDITOR.tryBlock(importTable, "导入表格失败", userTableEditInfo.chatIndex, viewSheetsContainer);
     })
+    // 点击对比表格文件按钮
+    $(document).on('click', '#compare_table_files_button', function () {
+        EDITOR.tryAsync(compareSheetFiles, "对比表格文件失败");
+    })
     // 点击导出表格按钮
     $(document).on('click', '#export_table_button', function () {
         EDITOR.tryBlock(exportTable, "导出表格失败");
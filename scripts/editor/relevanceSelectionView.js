@@ -0,0 +1,59 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { previewStyle } from './tableEditPreview.js';
+
+const selectionStyle = `
+<style>
+.relevance-selection-row.unselected td {
+    opacity: 0.5;
+}
+.relevance-selection-row.selected td {
+    background-color: rgba(40, 167, 69, 0.2);
+}
+.relevance-selection-query {
+    max-height: 100px;
+    overflow-y: auto;
+    white-space: pre-wrap;
+    color: var(--SmartThemeEmColor);
+}
+</style>
+`;
+
+/**
+ * 打开上一次生成时按相关度选择行的结果
+ * @description 选中的行高亮显示，未选中的行半透明；分数为 BM25 分数与关键词覆盖率之和，使用向量检索时为语义相似度
+ */
+export async function openRelevanceSelectionPopup() {
+    const selection = DERIVED.any.lastRelevanceSelection;
+    if (!selection) return EDITOR.info('还没有按相关度选择过行，请开启该功能后生成一次回复');
+
+    const container = $(`<div class="table-edit-preview">${previewStyle}${selectionStyle}</div>`);
+    container.append($('<h3>上次生成时选择的行</h3>'));
+    container.append($('<small></small>').text(`${new Date(selection.timestamp).toLocaleString()}，参考的聊天内容：`));
+    container.append($('<div class="relevance-selection-query"></div>').text(selection.queryText));
+
+    selection.sheets.forEach(({ name, header, rows }) => {
+        const selectedRows = rows.filter(row => row.selected);
+        const tokens = selectedRows.reduce((sum, row) => sum + row.tokens, 0);
+        const element = $('<div class="table-edit-preview-item"></div>');
+        element.append($('<b></b>').text(`${name}（${selectedRows.length}/${rows.length} 行，约 ${tokens} tokens）`));
+        const table = $('<table></table>');
+        const headRow = $('<tr></tr>');
+        ['行', '分数', ...header].forEach(text => headRow.append($('<th></th>').text(text)));
+        table.append(headRow);
+        rows.forEach(row => {
+            const tr = $(`<tr class="relevance-selection-row ${row.selected ? 'selected' : 'unselected'}"></tr>`);
+            const indexCell = $('<td></td>').text(row.rowIndex - 1);
+            if (row.pinned) indexCell.append(' <i class="fa-solid fa-thumbtack" title="已固定"></i>');
+            tr.append(indexCell);
+            const detail = `BM25 ${row.bm25.toFixed(2)}，关键词覆盖率 ${(row.overlap * 100).toFixed(0)}%${row.semantic !== undefined ? `，语义相似度 ${row.semantic.toFixed(3)}` : ''}`;
+            tr.append($('<td></td>').text(row.score.toFixed(2)).attr('title', detail));
+            row.values.forEach(value => tr.append($('<td></td>').text(value)));
+            table.append(tr);
+        });
+        element.append(table);
+        container.append(element);
+    });
+
+    const popup = new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.TEXT, '', { large: true, wide: true, allowVerticalScrolling: true });
+    await popup.show();
+}
@@ -0,0 +1,351 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { CellSource } from '../../core/table/cell.js';
+import { matchColumns, SheetFileExtension, SheetFileFormat, toCSV, toMarkdown, toSpreadsheetML } from '../../utils/sheetFormats.js';
+import { tableToSheetRows } from '../../core/table/sheetDiff.js';
+import { previewStyle } from './tableEditPreview.js';
+import { openSheetComparePopup } from './sheetMergeView.js';
+
+const PREVIEW_ROWS = 5;
+
+const ImportMode = {
+    append: 'append',
+    replace: 'replace',
+};
+
+const importStyle = `
+<style>
+.sheet-import-options {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 5px 10px;
+}
+.sheet-import-options select {
+    width: auto;
+    margin: 0;
+}
+.sheet-import-mapping select {
+    width: 100%;
+    margin: 0;
+    font-size: 0.9em;
+}
+</style>
+`;
+
+/**
+ * 下载文本文件
+ * @param {string} content 文件内容
+ * @param {string} fileName 文件名
+ * @param {string} type MIME 类型
+ */
+export function downloadTextFile(content, fileName, type) {
+    const bom = '\uFEFF';
+    const blob = new Blob([bom + content], { type });
+    const url = URL.createObjectURL(blob);
+    const downloadLink = document.createElement('a');
+    downloadLink.href = url;
+    downloadLink.download = fileName;
+    document.body.appendChild(downloadLink); // 必须添加到 DOM 才能触发下载
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+    URL.revokeObjectURL(url);
+}
+
+function toFileTable(sheet) {
+    return { name: sheet.name, rows: [sheet.getHeader(), ...sheet.getContent()] };
+}
+
+function safeFileName(name) {
+    return String(name).replace(/[\\/:*?"<>|]/g, '_').trim() || 'table';
+}
+
+/**
+ * 打开导出选项弹窗
+ * @param {Sheet[]} sheets 可导出的表格
+ * @returns {Promise<{format: string, sheets: Sheet[]}|null>} 取消时返回 null
+ */
+export async function openSheetExportPopup(sheets) {
+    const container = $(`
+<div class="table-edit-preview">
+    ${previewStyle}${importStyle}
+    <h3>导出表格</h3>
+    <div class="sheet-import-options">
+        <label>格式</label>
+        <select class="sheet-export-format">
+            <option value="${SheetFileFormat.json}">插件数据（JSON，含模板设置）</option>
+            <option value="${SheetFileFormat.csv}">CSV（每个表格一个文件）</option>
+            <option value="${SheetFileFormat.markdown}">Markdown 表格</option>
+            <option value="${SheetFileFormat.spreadsheetML}">Excel 工作簿（XML 电子表格，每个表格一个工作表）</option>
+        </select>
+    </div>
+    <div class="sheet-export-sheets"></div>
+</div>`);
+    const list = container.find('.sheet-export-sheets');
+    sheets.forEach((sheet, index) => {
+        const label = $('<label class="checkbox_label"></label>');
+        label.append($('<input type="checkbox" checked>').attr('data-index', index));
+        label.append($('<span></span>').text(`${sheet.name}（${sheet.getRowCount() - 1} 行）`));
+        list.append(label);
+    });
+
+    const popup = new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.CONFIRM, '', { wide: true, allowVerticalScrolling: true, okButton: "导出", cancelButton: "取消" });
+    await popup.show();
+    if (!popup.result) return null;
+    const selected = list.find('input:checked').map((_, input) => sheets[Number($(input).attr('data-index'))]).get();
+    if (selected.length === 0) {
+        EDITOR.warning('没有选择要导出的表格');
+        return null;
+    }
+    return { format: container.find('.sheet-export-format').val(), sheets: selected };
+}
+
+/**
+ * 将表格导出为 CSV、Markdown 或 SpreadsheetML 文件
+ * @param {Sheet[]} sheets
+ * @param {string} format SheetFileFormat 中除 json 外的值
+ */
+export function exportSheetsAsFile(sheets, format) {
+    const tables = sheets.map(toFileTable);
+    switch (format) {
+        case SheetFileFormat.csv:
+            tables.forEach(table => downloadTextFile(toCSV(table.rows), `${safeFileName(table.name)}.${SheetFileExtension.csv}`, 'text/csv'));
+            break;
+        case SheetFileFormat.markdown:
+            downloadTextFile(toMarkdown(tables), `table_data.${SheetFileExtension.markdown}`, 'text/markdown');
+            break;
+        case SheetFileFormat.spreadsheetML:
+            downloadTextFile(toSpreadsheetML(tables), `table_data.${SheetFileExtension.spreadsheetML}`, 'application/vnd.ms-excel');
+            break;
+        default:
+            throw new Error(`不支持的导出格式：${format}`);
+    }
+    EDITOR.success('已导出');
+}
+
+/**
+ * 获取导入方案中按列映射后的行
+ */
+function getMappedRows(plan) {
+    const rows = plan.hasHeader ? plan.table.rows.slice(1) : plan.table.rows;
+    return rows.map(row => plan.mapping.map(sourceIndex => sourceIndex === -1 ? '' : String(row[sourceIndex] ?? '')));
+}
+
+function getSourceHeader(plan) {
+    const width = Math.max(...plan.table.rows.map(row => row.length));
+    return Array.from({ length: width }, (_, index) => plan.hasHeader && plan.table.rows[0][index] ? plan.table.rows[0][index] : `第 ${index + 1} 列`);
+}
+
+function resetMapping(plan) {
+    if (!plan.sheet) return plan.mapping = [];
+    const targetHeader = plan.sheet.getHeader();
+    plan.mapping = plan.hasHeader
+        ? matchColumns(plan.table.rows[0], targetHeader)
+        : targetHeader.map((_, index) => index < getSourceHeader(plan).length ? index : -1);
+}
+
+function renderImportPlan(element, plan, sheets) {
+    element.empty();
+    const options = $('<div class="sheet-import-options"></div>');
+    options.append($('<b></b>').text(`${plan.table.name || '未命名表格'}（${plan.table.rows.length - (plan.hasHeader ? 1 : 0)} 行）`));
+    const targetSelect = $('<select></select>').append($('<option value="">（不导入）</option>'));
+    sheets.forEach((sheet, index) => targetSelect.append($('<option></option>').val(index).text(`导入到：${sheet.name}`)));
+    targetSelect.val(plan.sheet ? String(sheets.indexOf(plan.sheet)) : '');
+    const modeSelect = $(`<select>
+        <option value="${ImportMode.append}">追加到表格末尾</option>
+        <option value="${ImportMode.replace}">替换表格中未锁定的行</option>
+    </select>`).val(plan.mode);
+    const headerCheckbox = $('<label class="checkbox_label"><input type="checkbox"><span>首行为表头</span></label>');
+    headerCheckbox.find('input').prop('checked', plan.hasHeader);
+    options.append(targetSelect, modeSelect, headerCheckbox);
+    element.append(options);
+
+    targetSelect.on('change', () => {
+        plan.sheet = targetSelect.val() === '' ? null : sheets[Number(targetSelect.val())];
+        resetMapping(plan);
+        renderImportPlan(element, plan, sheets);
+    });
+    modeSelect.on('change', () => plan.mode = modeSelect.val());
+    headerCheckbox.find('input').on('change', function () {
+        plan.hasHeader = this.checked;
+        resetMapping(plan);
+        renderImportPlan(element, plan, sheets);
+    });
+    element.toggleClass('disabled', !plan.sheet);
+    if (!plan.sheet) return;
+
+    // 目标表格的每一列选择来源列，下方预览映射后的前几行
+    const sourceHeader = getSourceHeader(plan);
+    const table = $('<table class="sheet-import-mapping"></table>');
+    const headRow = $('<tr></tr>');
+    const mappingRow = $('<tr></tr>');
+    plan.sheet.getHeader().forEach((name, colIndex) => {
+        headRow.append($('<th></th>').text(name));
+        const select = $('<select></select>').append($('<option value="-1">（留空）</option>'));
+        sourceHeader.forEach((sourceName, sourceIndex) => select.append($('<option></option>').val(sourceIndex).text(sourceName)));
+        select.val(String(plan.mapping[colIndex]));
+        select.toggleClass('redWarningText', plan.mapping[colIndex] === -1);
+        select.on('change', () => {
+            plan.mapping[colIndex] = Number(select.val());
+            renderImportPlan(element, plan, sheets);
+        });
+        mappingRow.append($('<td></td>').append(select));
+    });
+    table.append(headRow, mappingRow);
+    const mappedRows = getMappedRows(plan);
+    mappedRows.slice(0, PREVIEW_ROWS).forEach(values => {
+        const tr = $('<tr class="table-edit-preview-row inserted"></tr>');
+        values.forEach(value => tr.append($('<td></td>').text(value)));
+        table.append(tr);
+    });
+    element.append(table);
+    if (mappedRows.length > PREVIEW_ROWS) element.append($('<small></small>').text(`…… 另有 ${mappedRows.length - PREVIEW_ROWS} 行`));
+    const unusedColumns = sourceHeader.filter((_, index) => !plan.mapping.includes(index));
+    if (unusedColumns.length > 0) element.append($('<small style="display: block;"></small>').text(`未导入的来源列：${unusedColumns.join('、')}`));
+    const keyNames = plan.sheet.getKeyColumnIndexes().map(colIndex => plan.sheet.getHeader()[colIndex - 1]);
+    if (keyNames.length > 0) element.append($('<small style="display: block;"></small>').text(`主键列：${keyNames.join('、')}，主键与已有行相同的行会更新该行而不是追加`));
+}
+
+/**
+ * 按导入方案写入表格
+ * @description 所有表格在同一事务中修改，锁定的行在替换时保留；目标表格设置了主键列时，主键与已有行相同的行更新该行而不是追加，
+ * 写入的值均按列类型校验
+ * @returns {{inserted: number, updated: number, rejected: string[]}} 追加与更新的行数，以及被拒绝的值的原因
+ */
+function applyImportPlans(plans) {
+    const { piece } = USER.getChatPiece();
+    if (!piece) throw new Error('表格数据没有记录载体，请聊过一轮后再试');
+    const sheets = [...new Set(plans.map(plan => plan.sheet))];
+    const result = { inserted: 0, updated: 0, rejected: [] };
+    BASE.runWithCellProvenance({ source: CellSource.import }, () => BASE.runSheetsTransaction(sheets, () => {
+        sheets.forEach(sheet => {
+            if (!plans.some(plan => plan.sheet === sheet && plan.mode === ImportMode.replace)) return;
+            for (let rowIndex = sheet.getRowCount() - 1; rowIndex > 0; rowIndex--) {
+                if (sheet.hasLockedContent(rowIndex)) continue;
+                const cell = sheet.findCellByPosition(rowIndex, 0);
+                cell.newAction(cell.CellAction.deleteSelfRow, {}, false);
+            }
+        });
+        plans.forEach(plan => getMappedRows(plan).forEach(values => {
+            const rowIndex = plan.sheet.findRowIndexByKey(values);
+            if (rowIndex === -1) {
+                result.rejected.push(...plan.sheet.appendRow(values));
+                result.inserted++;
+            } else {
+                result.rejected.push(...plan.sheet.updateRowValues(rowIndex, values));
+                result.updated++;
+            }
+        }));
+    }));
+    sheets.forEach(sheet => sheet.save(piece, true));
+    USER.saveChat();
+    return result;
+}
+
+/**
+ * 打开导入预览弹窗，将文件中的表格按列名映射到当前聊天的表格
+ * @description 与当前表格同名的表格会自动选择为导入目标，列按列名自动匹配，均可在弹窗中调整
+ * @param {{name: string, rows: string[][]}[]} tables 从文件中解析出的表格
+ * @param {Sheet[]} sheets 当前聊天中的表格
+ * @returns {Promise<boolean>} 是否完成导入
+ */
+export async function openSheetImportPopup(tables, sheets) {
+    if (tables.length === 0) {
+        EDITOR.warning('文件中没有找到表格数据');
+        return false;
+    }
+    const plans = tables.map(table => {
+        const plan = {
+            table,
+            sheet: sheets.find(sheet => sheet.name.trim() === table.name.trim()) ?? (tables.length === 1 && sheets.length === 1 ? sheets[0] : null),
+            mode: ImportMode.append,
+            hasHeader: true,
+            mapping: [],
+        };
+        resetMapping(plan);
+        return plan;
+    });
+
+    const container = $(`<div class="table-edit-preview">${previewStyle}${importStyle}<h3>导入表格</h3></div>`);
+    container.append($('<small></small>').text('为文件中的每个表格选择导入目标，并为目标表格的每一列选择对应的来源列。'));
+    plans.forEach(plan => {
+        const element = $('<div class="table-edit-preview-item"></div>');
+        renderImportPlan(element, plan, sheets);
+        container.append(element);
+    });
+
+    const popup = new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.CONFIRM, '', { large: true, wide: true, allowVerticalScrolling: true, okButton: "导入", cancelButton: "取消" });
+    await popup.show();
+    if (!popup.result) return false;
+    const selectedPlans = plans.filter(plan => plan.sheet);
+    if (selectedPlans.length === 0) {
+        EDITOR.info('没有选择导入目标，未导入任何内容');
+        return false;
+    }
+    const { inserted, updated, rejected } = applyImportPlans(selectedPlans);
+    EDITOR.success(updated > 0 ? `已导入 ${inserted + updated} 行，其中 ${updated} 行按主键更新了已有的行` : `已导入 ${inserted} 行`);
+    if (rejected.length > 0) EDITOR.warning(`已拒绝 ${rejected.length} 个不符合列类型的值`, [...new Set(rejected)].join('\n'));
+    return true;
+}
+
+function selectJsonFiles() {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.multiple = true;
+        input.addEventListener('change', event => resolve([...event.target.files]));
+        input.click();
+    });
+}
+
+/**
+ * 将导出的 JSON 中的表格转换为差异计算所用的格式
+ * @description 导出的 content 包含表头行与行头列
+ */
+function exportedSheetToRows(table) {
+    const content = table.content ?? [];
+    return tableToSheetRows({ columns: content[0]?.slice(1) ?? [], content: content.slice(1).map(row => row.slice(1)) });
+}
+
+/**
+ * 选择两个导出的表格 JSON 文件并对比其中的表格
+ * @description 修改时间较早的文件作为对比基准，表格按 uid 匹配，其次按表名匹配
+ */
+export async function compareSheetFiles() {
+    const files = await selectJsonFiles();
+    if (files.length !== 2) {
+        if (files.length > 0) EDITOR.warning('请同时选择两个导出的表格 JSON 文件');
+        return;
+    }
+    files.sort((a, b) => a.lastModified - b.lastModified);
+    const [before, after] = await Promise.all(files.map(async file => {
+        const json = JSON.parse(await file.text());
+        if (json?.mate?.type !== 'chatSheets') throw new Error(`${file.name} 不是导出的表格数据`);
+        return Object.entries(json).filter(([key]) => key !== 'mate').map(([, table]) => table);
+    }));
+
+    const unmatchedAfter = [...after];
+    const takeMatch = (table) => {
+        const index = unmatchedAfter.findIndex(other => other.uid === table.uid);
+        const matchedIndex = index !== -1 ? index : unmatchedAfter.findIndex(other => other.name === table.name);
+        return matchedIndex === -1 ? null : unmatchedAfter.splice(matchedIndex, 1)[0];
+    };
+    const pairs = before.map(table => [table, takeMatch(table)]);
+    unmatchedAfter.forEach(table => pairs.push([null, table]));
+
+    const chatSheets = BASE.getChatSheets();
+    const tables = pairs.map(([beforeTable, afterTable]) => {
+        const beforeRows = beforeTable ? exportedSheetToRows(beforeTable) : null;
+        const afterRows = afterTable ? exportedSheetToRows(afterTable) : null;
+        const sheet = chatSheets.find(sheet => sheet.uid === (afterTable ?? beforeTable).uid);
+        return {
+            name: (afterTable ?? beforeTable).name,
+            header: (afterRows ?? beforeRows).header,
+            before: beforeRows,
+            after: afterRows,
+            // 导出的数据不包含列设置，主键列取自当前聊天中的同一表格
+            keyColumns: sheet?.getKeyColumnIndexes().map(colIndex => colIndex - 1) ?? [],
+        };
+    });
+    await openSheetComparePopup(tables, { before: files[0].name, after: files[1].name, title: '对比表格文件' });
+}
@@ -0,0 +1,147 @@
+import { EDITOR } from '../../core/manager.js';
+import { MergeChoice, applyMergeChoices, diffSheets, mergeSheets } from '../../core/table/sheetDiff.js';
+import { isEmptyDiff, previewStyle, renderDiffTable } from './tableEditPreview.js';
+
+const mergeStyle = `
+<style>
+.sheet-merge-row.conflict td {
+    background-color: rgba(211, 39, 39, 0.15);
+}
+.sheet-merge-row.dropped td:not(.sheet-merge-choice) {
+    opacity: 0.5;
+    text-decoration: line-through;
+}
+.sheet-merge-choice select {
+    min-width: 80px;
+    margin: 0;
+}
+.sheet-merge-legend {
+    color: var(--SmartThemeEmColor);
+}
+</style>
+`;
+
+/**
+ * 获取一行在指定选择下显示的值
+ */
+function getChoiceValues(row, choice) {
+    if (choice === MergeChoice.ours) return row.ours;
+    if (choice === MergeChoice.theirs) return row.merged ?? row.theirs;
+    return row.ours ?? row.theirs ?? row.base;
+}
+
+function renderMergeRow(row, labels) {
+    const tr = $('<tr class="sheet-merge-row"></tr>');
+    const select = $('<select class="text_pole"></select>');
+    if (row.ours) select.append($('<option></option>').val(MergeChoice.ours).text(labels.ours));
+    if (row.theirs) select.append($('<option></option>').val(MergeChoice.theirs).text(labels.theirs));
+    select.append($('<option></option>').val(MergeChoice.drop).text('删除'));
+    select.val(row.choice);
+
+    const render = () => {
+        const choice = select.val();
+        row.choice = choice;
+        tr.toggleClass('conflict', row.conflict).toggleClass('dropped', choice === MergeChoice.drop);
+        tr.children('td:not(.sheet-merge-choice)').remove();
+        const values = getChoiceValues(row, choice) ?? [];
+        // 与另一方不同的单元格显示另一方的值
+        const otherValues = choice === MergeChoice.ours ? row.theirs : row.ours;
+        values.forEach((value, colIndex) => {
+            const td = $('<td class="table-edit-preview-cell"></td>');
+            const otherValue = otherValues?.[colIndex];
+            if (choice !== MergeChoice.drop && otherValue !== undefined && otherValue !== value) {
+                td.addClass('changed');
+                td.append($('<span class="table-edit-preview-old"></span>').text(otherValue));
+                td.append(' → ');
+            }
+            td.append($('<span></span>').text(value));
+            tr.append(td);
+        });
+    };
+    select.on('change', render);
+    tr.append($('<td class="sheet-merge-choice"></td>').append(select));
+    render();
+    return { tr, select, render };
+}
+
+/**
+ * 打开三方合并弹窗，逐行选择保留哪一方的内容
+ * @param {{name: string, header: string[], base: Object, ours: Object, theirs: Object, keyColumns?: number[]}[]} tables 要合并的表格，base/ours/theirs 的格式见 sheetDiff.js
+ * @param {{ours?: string, theirs?: string, title?: string, okButton?: string}} labels 双方的名称与弹窗文本
+ * @returns {Promise<string[][][]|null>} 与 tables 顺序一致的合并后的行，取消时返回 null
+ */
+export async function openSheetMergePopup(tables, labels = {}) {
+    labels = { ours: '旧表', theirs: '新表', title: '合并表格', okButton: '应用合并结果', ...labels };
+    const merges = tables.map(table => mergeSheets(table.base, table.ours, table.theirs, { keyColumns: table.keyColumns ?? [] }));
+    const container = $(`<div class="table-edit-preview">${previewStyle}${mergeStyle}</div>`);
+    container.append($('<h3></h3>').text(labels.title));
+    container.append($('<small class="sheet-merge-legend"></small>').text(`逐行选择保留${labels.ours}或${labels.theirs}的内容，红色为双方修改冲突的行，划线的值为另一方的内容。`));
+
+    const toolbar = $('<div class="table-edit-preview-toolbar"></div>');
+    const useTheirs = $('<div class="menu_button"></div>').text(`全部采用${labels.theirs}`);
+    const useOurs = $('<div class="menu_button"></div>').text(`全部保留${labels.ours}`);
+    toolbar.append(useTheirs, useOurs);
+    container.append(toolbar);
+
+    const rowViews = [];
+    tables.forEach((table, tableIndex) => {
+        const element = $('<div class="table-edit-preview-item"></div>');
+        const conflicts = merges[tableIndex].filter(row => row.conflict).length;
+        element.append($('<b></b>').text(`${table.name}${conflicts > 0 ? `（${conflicts} 处冲突）` : ''}`));
+        const htmlTable = $('<table></table>');
+        const headRow = $('<tr></tr>').append($('<th></th>').text('采用'));
+        table.header.forEach(name => headRow.append($('<th></th>').text(name)));
+        htmlTable.append(headRow);
+        merges[tableIndex].forEach(row => {
+            const view = renderMergeRow(row, labels);
+            rowViews.push({ row, ...view });
+            htmlTable.append(view.tr);
+        });
+        element.append(htmlTable);
+        container.append(element);
+    });
+    const selectAll = (side) => rowViews.forEach(({ row, select, render }) => {
+        select.val(row[side] ? side : MergeChoice.drop);
+        render();
+    });
+    useTheirs.on('click', () => selectAll(MergeChoice.theirs));
+    useOurs.on('click', () => selectAll(MergeChoice.ours));
+
+    const popup = new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.CONFIRM, '', { large: true, wide: true, allowVerticalScrolling: true, okButton: labels.okButton, cancelButton: "取消" });
+    await popup.show();
+    if (!popup.result) return null;
+    return merges.map(applyMergeChoices);
+}
+
+function describeCompareResult(table, diff, labels) {
+    if (!table.before) return `仅存在于${labels.after}`;
+    if (!table.after) return `仅存在于${labels.before}`;
+    return [
+        diff.inserted.length > 0 ? `新增 ${diff.inserted.length} 行` : '',
+        diff.deleted.length > 0 ? `删除 ${diff.deleted.length} 行` : '',
+        diff.changed.length > 0 ? `修改 ${diff.changed.length} 行` : '',
+    ].filter(Boolean).join('，') || '无差异';
+}
+
+/**
+ * 打开表格对比弹窗，显示两组表格之间新增、删除与修改的行
+ * @param {{name: string, header: string[], before: Object|null, after: Object|null, keyColumns?: number[]}[]} tables 要对比的表格，before/after 的格式见 sheetDiff.js，只存在于一方时另一方为 null
+ * @param {{before?: string, after?: string, title?: string}} labels 双方的名称与弹窗标题
+ */
+export async function openSheetComparePopup(tables, labels = {}) {
+    labels = { before: '旧表', after: '新表', title: '对比表格', ...labels };
+    const container = $(`<div class="table-edit-preview">${previewStyle}${mergeStyle}</div>`);
+    container.append($('<h3></h3>').text(labels.title));
+    container.append($('<small class="sheet-merge-legend"></small>').text(`以${labels.before}为基准对比${labels.after}，绿色为新增的行，红色为删除的行，修改的单元格同时显示${labels.before}中的值。`));
+    if (tables.length === 0) container.append($('<p></p>').text('双方都没有表格数据'));
+
+    tables.forEach(table => {
+        const diff = diffSheets(table.before ?? { rows: [] }, table.after ?? { rows: [] }, { keyColumns: table.keyColumns ?? [] });
+        const element = $('<div class="table-edit-preview-item"></div>');
+        element.append($('<b></b>').text(`${table.name}（${describeCompareResult(table, diff, labels)}）`));
+        if (!isEmptyDiff(diff)) element.append(renderDiffTable(table.header, diff));
+        container.append(element);
+    });
+
+    await new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.TEXT, '', { large: true, wide: true, allowVerticalScrolling: true }).show();
+}
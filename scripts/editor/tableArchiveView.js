@@ -0,0 +1,97 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { archiveOverflowingSheets, searchArchivedRows } from '../runtime/sheetArchive.js';
+
+const archiveStyle = `
+<style>
+.table-archive {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    text-align: left;
+}
+.table-archive-toolbar {
+    display: flex;
+    align-items: center;
+    gap: 5px;
+}
+.table-archive-toolbar input {
+    flex: 1;
+    margin: 0;
+}
+.table-archive-sheet table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 0.9em;
+}
+.table-archive-sheet th,
+.table-archive-sheet td {
+    padding: 2px 5px;
+    border: 1px solid rgba(255, 255, 255, 0.2);
+}
+.table-archive-match {
+    background-color: rgba(255, 193, 7, 0.25);
+}
+</style>
+`;
+
+function renderArchiveResults(container, query) {
+    container.empty();
+    const results = searchArchivedRows(query);
+    if (results.length === 0) {
+        container.append($('<small></small>').text('当前聊天中还没有归档表，可在表格模板的归档设置中开启自动归档'));
+        return;
+    }
+    const keyword = query.trim().toLowerCase();
+    results.forEach(({ sheet, header, rows }) => {
+        const element = $('<div class="table-archive-sheet"></div>');
+        element.append($('<h4></h4>').text(`${sheet.name}（${rows.length} 行）`));
+        if (rows.length === 0) {
+            container.append(element);
+            return;
+        }
+        const table = $('<table></table>');
+        const headRow = $('<tr></tr>');
+        header.forEach(name => headRow.append($('<th></th>').text(name)));
+        table.append(headRow);
+        rows.forEach(values => {
+            const tr = $('<tr></tr>');
+            values.forEach(value => {
+                const td = $('<td></td>').text(value);
+                if (keyword && String(value).toLowerCase().includes(keyword)) td.addClass('table-archive-match');
+                tr.append(td);
+            });
+            table.append(tr);
+        });
+        element.append(table);
+        container.append(element);
+    });
+}
+
+/**
+ * 打开归档搜索弹窗
+ * @description 归档表不发送给AI，只能在此处查看与搜索
+ */
+export async function openTableArchivePopup() {
+    const container = $(`
+<div class="table-archive">
+    ${archiveStyle}
+    <h3>归档搜索</h3>
+    <div class="table-archive-toolbar">
+        <input type="text" class="text_pole table-archive-search" placeholder="搜索归档的内容">
+        <div class="menu_button menu_button_icon table-archive-run"><i class="fa-solid fa-box-archive"></i>立即归档</div>
+    </div>
+    <div class="table-archive-results"></div>
+</div>`);
+    const input = container.find('.table-archive-search');
+    const results = container.find('.table-archive-results');
+    input.on('input', () => renderArchiveResults(results, input.val()));
+    container.find('.table-archive-run').on('click', () => EDITOR.tryAsync(async () => {
+        const archived = await archiveOverflowingSheets(false);
+        if (archived === 0) EDITOR.info('没有超出归档策略限制的表格');
+        renderArchiveResults(results, input.val());
+    }, "归档表格失败"));
+    renderArchiveResults(results, '');
+
+    const popup = new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.TEXT, '', { large: true, wide: true, allowVerticalScrolling: true });
+    await popup.show();
+}
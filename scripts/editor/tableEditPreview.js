@@ -0,0 +1,209 @@
+import { EDITOR } from '../../core/manager.js';
+import { diffSheets } from '../../core/table/sheetDiff.js';
+
+const ActionLabel = {
+    insert: '插入行',
+    update: '更新行',
+    delete: '删除行',
+    upsert: '插入或更新行',
+};
+
+export const previewStyle = `
+<style>
+.table-edit-preview {
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+    text-align: left;
+}
+.table-edit-preview-toolbar {
+    display: flex;
+    gap: 5px;
+}
+.table-edit-preview-item {
+    padding: 5px;
+    border-radius: 5px;
+    background-color: rgba(0, 0, 0, 0.2);
+}
+.table-edit-preview-item.disabled {
+    opacity: 0.5;
+}
+.table-edit-preview-item table {
+    width: 100%;
+    margin-top: 5px;
+    border-collapse: collapse;
+    font-size: 0.9em;
+}
+.table-edit-preview-item th,
+.table-edit-preview-item td {
+    padding: 2px 5px;
+    border: 1px solid rgba(255, 255, 255, 0.2);
+}
+.table-edit-preview-row.inserted td {
+    background-color: rgba(40, 167, 69, 0.3);
+}
+.table-edit-preview-row.deleted td {
+    background-color: rgba(211, 39, 39, 0.3);
+    text-decoration: line-through;
+}
+.table-edit-preview-cell.changed {
+    background-color: rgba(255, 193, 7, 0.25);
+}
+.table-edit-preview-rejections {
+    margin: 5px 0 0;
+    padding-left: 20px;
+    color: var(--SmartThemeQuoteColor);
+}
+.table-edit-preview-old {
+    color: var(--SmartThemeEmColor);
+    text-decoration: line-through;
+}
+</style>
+`;
+
+/**
+ * 获取表格当前内容的快照
+ * @description 以行头单元格的 uid 作为行标识，该单元格不会被编辑，因此在插入、删除行后仍可对应
+ * @param {Sheet} sheet
+ * @param {string[][]} hashSheet 单元格 uid 矩阵，默认为表格当前的矩阵，也可以是该表格在之前某一楼层的矩阵
+ * @returns {{header: string[], rows: {key: string, values: string[]}[]}}
+ */
+export function getSheetSnapshot(sheet, hashSheet = sheet.hashSheet) {
+    const getValue = uid => sheet.cells.get(uid)?.data?.value ?? '';
+    return {
+        header: hashSheet[0].slice(1).map(getValue),
+        rows: hashSheet.slice(1).map(row => ({ key: row[0], values: row.slice(1).map(getValue) })),
+    };
+}
+
+/**
+ * 比较两个表格快照的差异
+ * @description 快照中的行只按行标识匹配，不按内容相似度匹配
+ * @param {{rows: {key: string, values: string[]}[]}} before
+ * @param {{rows: {key: string, values: string[]}[]}} after
+ * @returns {{inserted: string[][], deleted: string[][], changed: {values: string[], cells: {colIndex: number, oldValue: string, newValue: string}[]}[]}}
+ */
+export function diffSheetSnapshots(before, after) {
+    return diffSheets(before, after, { threshold: Infinity });
+}
+
+/**
+ * 将表格快照的差异渲染为表格，修改的单元格同时显示旧值
+ * @param {string[]} header 表头
+ * @param {Object} diff diffSheetSnapshots 的结果
+ * @returns {jQuery}
+ */
+export function renderDiffTable(header, diff) {
+    const table = $('<table></table>');
+    const headRow = $('<tr></tr>');
+    header.forEach(name => headRow.append($('<th></th>').text(name)));
+    table.append(headRow);
+
+    const appendRow = (values, className, changedCells = []) => {
+        const tr = $(`<tr class="table-edit-preview-row ${className}"></tr>`);
+        values.forEach((value, colIndex) => {
+            const td = $('<td class="table-edit-preview-cell"></td>');
+            const changed = changedCells.find(c => c.colIndex === colIndex);
+            if (changed) {
+                td.addClass('changed');
+                td.append($('<span class="table-edit-preview-old"></span>').text(changed.oldValue));
+                td.append(' → ');
+            }
+            td.append($('<span></span>').text(value));
+            tr.append(td);
+        });
+        table.append(tr);
+    };
+    diff.changed.forEach(row => appendRow(row.values, 'changed', row.cells));
+    diff.inserted.forEach(values => appendRow(values, 'inserted'));
+    diff.deleted.forEach(values => appendRow(values, 'deleted'));
+    return table;
+}
+
+export function isEmptyDiff(diff) {
+    return !diff || (diff.inserted.length === 0 && diff.deleted.length === 0 && diff.changed.length === 0);
+}
+
+/**
+ * 渲染单条操作的预演结果
+ * @param {jQuery} element 操作的预览容器
+ * @param {{header: string[], diff: Object, result: number, rejections: string[]}} item 干运行的结果
+ * @param {boolean} dependent 是否为在拒绝了前面的操作后重新预演的结果
+ */
+function renderPreviewItemBody(element, { header, diff, result, rejections = [] }, dependent) {
+    element.empty();
+    if (result === -1) {
+        element.append($('<small></small>').text(dependent ? '拒绝前面的操作后该操作无法执行，不会被应用' : '该操作无法执行，已被拒绝'));
+    } else if (isEmptyDiff(diff)) {
+        element.append($('<small></small>').text(dependent ? '拒绝前面的操作后该操作不会改变表格内容' : '该操作不会改变表格内容'));
+    } else {
+        element.append(renderDiffTable(header, diff));
+    }
+    // 被拒绝的内容只在弹窗中列出，应用时才会提示并记录至单元格历史
+    if (rejections.length > 0) {
+        const list = $('<ul class="table-edit-preview-rejections"></ul>');
+        rejections.forEach(rejection => list.append($('<li></li>').text(rejection)));
+        element.append(list);
+    }
+}
+
+/**
+ * 打开表格编辑预览弹窗，逐条确认是否应用AI的表格编辑操作
+ * @description 后面的操作可能依赖前面操作的结果（如插入后的行号），因此每次勾选变化时按接受的操作重新预演，
+ * 弹窗中显示的始终是实际会应用的结果
+ * @param {Object[]} tableEditActions 已排序的编辑指令
+ * @param {(actions: Object[]) => {EditAction: Object, sheet: Sheet, header: string[], diff: Object, result: number, rejections: string[]}[]} dryRun 按顺序预演指令
+ * @returns {Promise<Object[]>} 用户接受且可以执行的操作，取消时返回空数组
+ */
+export async function openTableEditPreviewPopup(tableEditActions, dryRun) {
+    const container = $(`<div class="table-edit-preview">${previewStyle}<h3>确认AI的表格编辑</h3></div>`);
+    const toolbar = $('<div class="table-edit-preview-toolbar"></div>');
+    const selectAll = $('<div class="menu_button">全选</div>');
+    const selectNone = $('<div class="menu_button">全不选</div>');
+    toolbar.append(selectAll, selectNone);
+    container.append(toolbar);
+
+    const items = dryRun(tableEditActions).map((initial, index) => {
+        const { EditAction, sheet, diff, result } = initial;
+        const available = result !== -1 && !isEmptyDiff(diff);
+        const element = $(`<div class="table-edit-preview-item ${available ? '' : 'disabled'}"></div>`);
+        const label = $('<label class="checkbox_label"></label>');
+        const checkbox = $('<input type="checkbox">').prop('checked', available).prop('disabled', !available);
+        const rowText = EditAction.action.rowIndex !== undefined ? ` 第${EditAction.action.rowIndex}行` : '';
+        const title = `#${index + 1} ${sheet?.name ?? `表格${EditAction.action.tableIndex}`}：${ActionLabel[EditAction.type] ?? EditAction.type}${rowText}`;
+        label.append(checkbox, $('<span></span>').text(title));
+        const body = $('<div></div>');
+        element.append(label, body);
+        container.append(element);
+        return { initial, current: initial, element, checkbox, body };
+    });
+
+    const render = () => {
+        const approved = items.filter(item => item.checkbox.prop('checked'));
+        const results = dryRun(approved.map(item => item.initial.EditAction));
+        approved.forEach((item, index) => item.current = results[index]);
+        let rejectedBefore = false;
+        items.forEach(item => {
+            const checked = item.checkbox.prop('checked');
+            if (!checked) item.current = item.initial;
+            item.element.toggleClass('disabled', !checked);
+            renderPreviewItemBody(item.body, item.current, checked && rejectedBefore);
+            if (!checked && !item.checkbox.prop('disabled')) rejectedBefore = true;
+        });
+    };
+    items.forEach(item => item.checkbox.on('change', render));
+    selectAll.on('click', () => {
+        items.forEach(item => !item.checkbox.prop('disabled') && item.checkbox.prop('checked', true));
+        render();
+    });
+    selectNone.on('click', () => {
+        items.forEach(item => item.checkbox.prop('checked', false));
+        render();
+    });
+    render();
+
+    const popup = new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.CONFIRM, '', { large: true, wide: true, allowVerticalScrolling: true, okButton: "应用选中的操作", cancelButton: "全部拒绝" });
+    await popup.show();
+    if (!popup.result) return [];
+    return items.filter(item => item.checkbox.prop('checked') && item.current.result !== -1).map(item => item.initial.EditAction);
+}
@@ -1,5 +1,7 @@
 import {BASE, DERIVED, EDITOR, SYSTEM, USER} from '../../core/manager.js';
 import {getColumnLetter} from "../../core/table/utils.js";
+import {getBranchInfo, loadParentBranchSheets} from "../runtime/branchTableState.js";
+import {diffSheetSnapshots, getSheetSnapshot, isEmptyDiff, previewStyle, renderDiffTable} from "./tableEditPreview.js";
 // import { deleteRow, insertRow, updateRow } from "../oldTableActions.js";
 // import JSON5 from '../../utils/json5.min.mjs'
 
@@ -104,9 +106,19 @@ const histories = `
     text-align: center;
     padding: 10px;
 }
+.history-toolbar {
+    display: flex;
+    justify-content: flex-end;
+}
 </style>
 <div class="table-history">
     <h3>表格单元格历史记录</h3>
+    <div class="history-toolbar">
+        <div class="menu_button_icon menu_button interactable gap5" id="compare_parent_branch_button" tabindex="0" style="display: none">
+            <i class="fa-solid fa-code-compare"></i>
+            <span>与父分支比较表格</span>
+        </div>
+    </div>
     <div class="history-tabs">
         <!-- 动态生成tabs -->
     </div>
@@ -238,6 +250,44 @@ async function updateTableHistoryData(container) {
     });
 }
 
+/**
+ * 打开与父分支的表格比较弹窗
+ * @description 以父聊天最新的表格为旧值、当前分支最新的表格为新值显示差异，按表格 uid 对应
+ */
+async function openCompareParentBranchPopup() {
+    let parent;
+    try {
+        parent = await loadParentBranchSheets();
+    } catch (error) {
+        EDITOR.error('读取父分支的表格失败', error.message, error);
+        return;
+    }
+    if (!parent) return EDITOR.info('当前聊天不是分支或检查点');
+
+    const { piece } = BASE.getLastSheetsPiece();
+    const branchSheets = BASE.hashSheetsToSheets(piece?.hash_sheets).filter(sheet => BASE.getSheetsDataTarget(sheet.domain) === 'context');
+    const container = $(`<div class="table-edit-preview">${previewStyle}<h3>与父分支比较表格</h3></div>`);
+    container.append($('<small></small>').text(`父分支：${parent.parentChatId}`));
+
+    const appendItem = (title, content) => {
+        const item = $('<div class="table-edit-preview-item"></div>');
+        item.append($('<b></b>').text(title), content);
+        container.append(item);
+    };
+    branchSheets.forEach(sheet => {
+        const parentSheet = parent.sheets.find(s => s.uid === sheet.uid);
+        if (!parentSheet) return appendItem(sheet.name, $('<small></small>').text('仅存在于当前分支'));
+        const after = getSheetSnapshot(sheet);
+        const diff = diffSheetSnapshots(parentSheet.snapshot, after);
+        appendItem(sheet.name, isEmptyDiff(diff) ? $('<small></small>').text('与父分支相同') : renderDiffTable(after.header, diff));
+    });
+    parent.sheets.filter(s => !branchSheets.some(sheet => sheet.uid === s.uid))
+        .forEach(s => appendItem(s.name, $('<small></small>').text('仅存在于父分支')));
+
+    const popup = new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.TEXT, '', { large: true, wide: true, allowVerticalScrolling: true });
+    await popup.show();
+}
+
 /**
  * 打开表格编辑历史记录弹窗
  * */
@@ -245,6 +295,10 @@ export async function openTableHistoryPopup(){
     const tableHistoryPopup = new EDITOR.Popup(histories, EDITOR.POPUP_TYPE.TEXT, '', { large: true, wide: true, allowVerticalScrolling: false });
     const historyContainer = $(tableHistoryPopup.dlg)[0];
 
+    const compareButton = $(historyContainer).find('#compare_parent_branch_button');
+    compareButton.toggle(!!(getBranchInfo()?.parentChatId ?? USER.getContext().chatMetadata?.main_chat));
+    compareButton.on('click', () => openCompareParentBranchPopup());
+
     updateTableHistoryData(historyContainer);
     tableHistoryPopup.show();
 }
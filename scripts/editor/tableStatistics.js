@@ -1,5 +1,7 @@
 import {BASE, DERIVED, EDITOR, SYSTEM, USER} from '../../core/manager.js';
-import {estimateTokenCount} from "../settings/standaloneAPI.js";
+import {getTokenCounterName} from "../../services/tokenCounter.js";
+import {buildSheetsPromptWithinBudget, getPromptSheets, getSheetPromptPriority, SheetBudgetMode} from "../runtime/promptBudget.js";
+import {compactCellHistory, discardCellHistoryBackup, getCellHistoryBackupInfo, restoreCellHistoryBackup} from "../runtime/cellHistoryCompaction.js";
 
 const statistics = `
 <style>
@@ -19,6 +21,21 @@ const statistics = `
 .stat-value {
     font-weight: 600;
 }
+.table-statistics-budget {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 0.9em;
+}
+.table-statistics-budget th,
+.table-statistics-budget td {
+    padding: 2px 5px;
+    border: 1px solid rgba(255, 255, 255, 0.2);
+}
+.table-statistics-header {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 5px;
+}
 </style>
 <div class="table-statistics">
     <div id="dialogue_popup_text">
@@ -26,7 +43,15 @@ const statistics = `
         <div class="table-statistics-header">
             <div class="menu_button_icon menu_button interactable gap5" id="clear_table_statistics_button" tabindex="0">
                 <i class="fa-solid fa-broom"></i>
-                <span>清理不在对话树的历史单元</a>
+                <span>压缩不再被引用的历史单元格</span>
+            </div>
+            <div class="menu_button_icon menu_button interactable gap5" id="restore_cell_history_backup_button" tabindex="0">
+                <i class="fa-solid fa-rotate-left"></i>
+                <span>从备份恢复</span>
+            </div>
+            <div class="menu_button_icon menu_button interactable gap5" id="discard_cell_history_backup_button" tabindex="0">
+                <i class="fa-solid fa-trash"></i>
+                <span>删除备份</span>
             </div>
         </div>
         <div class="table-statistics-content">
@@ -42,8 +67,8 @@ async function updataTableStatisticsData(container) {
     if (!piece || !piece.hash_sheets) return;
     const sheets = BASE.hashSheetsToSheets(piece.hash_sheets);
     const cellHistories = sheetsData.map(sheet => sheet.cellHistory);
-    const sheetDataPrompt = sheets.map((sheet, index) => sheet.getTableText(index)).join('\n')
-    const sheetsValueCount = estimateTokenCount(sheetDataPrompt);
+    const budgetResult = buildSheetsPromptWithinBudget(getPromptSheets(piece.hash_sheets), ['title', 'node', 'headers', 'rows', 'editRules'], piece);
+    const sheetsValueCount = budgetResult.sheets.reduce((sum, entry) => sum + entry.fullTokens, 0);
     const lastChangeFloor = `${deep}/${USER.getContext().chat.length - 1}`;
 
     // 定义要显示的统计数据
@@ -51,9 +76,13 @@ async function updataTableStatisticsData(container) {
         { label: '已开启表格数量', value: sheets.length },
         { label: '历史总单元格数量', value: cellHistories.reduce((acc, cellHistory) => acc + cellHistory.length, 0) },
         { label: '历史数据总大小', value: `${(JSON.stringify(sheetsData).length / 1024).toFixed(2)} KB` },
-        { label: '当前表格模糊计算的Token数', value: Math.round(sheetsValueCount * 0.6) },
+        { label: `当前表格提示词Token数（${getTokenCounterName()}）`, value: sheetsValueCount },
+        { label: '表格提示词Token上限', value: budgetResult.budget > 0 ? `${budgetResult.budget}，压缩后为 ${budgetResult.total}` : '不限制' },
         { label: '当前表格最后一次修改位置', value: lastChangeFloor }
     ];
+    const backupInfo = await getCellHistoryBackupInfo();
+    statsData.push({ label: '压缩备份（保存在浏览器中）', value: backupInfo ? `${backupInfo.passes} 次压缩，${backupInfo.cells} 个单元格，${(backupInfo.size / 1024).toFixed(2)} KB` : '无' });
+    $(container).find('#restore_cell_history_backup_button, #discard_cell_history_backup_button').toggle(!!backupInfo);
 
     // 获取内容容器
     const contentContainer = $(container).find('.table-statistics-content');
@@ -69,52 +98,72 @@ async function updataTableStatisticsData(container) {
         statItem.append(statValue);
         contentContainer.append(statItem);
     });
+    contentContainer.append(renderBudgetBreakdown(budgetResult));
 }
 
-async function clearTableStatisticsButton(statisticsContainer) {
-    const chat = USER.getContext().chat;
-    if (!chat || chat.length === 0) return;
-
-    const messageHashSheets = JSON.parse(JSON.stringify(USER.getContext().chat
-        .filter(message => message.hash_sheets)
-        .map(message => message.hash_sheets)));
-    let hashList = []
-    messageHashSheets.forEach(hashSheets => {
-        Object.entries(hashSheets).forEach(([sheetId, sheet]) => {
-            hashList = [...hashList, ...sheet.map(row => row.flat()).flat()]
-        })
+/**
+ * 渲染各表格注入提示词的 token 明细
+ * @description 相关度选择依赖生成时的聊天内容，此处按注入全部行计算
+ */
+function renderBudgetBreakdown(budgetResult) {
+    const modeLabels = {
+        [SheetBudgetMode.full]: '完整',
+        [SheetBudgetMode.truncated]: '省略部分行',
+        [SheetBudgetMode.summarized]: '仅保留概要',
+    };
+    const table = $('<table class="table-statistics-budget"></table>');
+    const headRow = $('<tr></tr>');
+    ['表格', '优先级', 'Token数', '注入Token数', '注入行数', '状态'].forEach(text => headRow.append($('<th></th>').text(text)));
+    table.append(headRow);
+    budgetResult.sheets.forEach(({ sheet, fullTokens, tokens, shownRows, totalRows, mode }) => {
+        const tr = $('<tr></tr>');
+        [sheet.name, getSheetPromptPriority(sheet), fullTokens, tokens, `${shownRows}/${totalRows}`, modeLabels[mode]]
+            .forEach(text => tr.append($('<td></td>').text(text)));
+        table.append(tr);
     });
-    const filterDuplicateMap = new Set(hashList);
+    return $('<div class="stat-item" style="flex-direction: column; gap: 5px;"></div>')
+        .append($('<div class="stat-label">各表格注入明细</div>'))
+        .append(table);
+}
 
-    const sheetsData = BASE.sheetsData.context;
-    const cellHistories = sheetsData.map(sheet => sheet.cellHistory);
-    let cellHistoryHashNum = 0;
-    let lastCellHistoryHashNum = 0;
-    cellHistories.forEach((cellHistory, index) => {
-        cellHistory.forEach((cell, cellIndex) => {
-            lastCellHistoryHashNum++
-            if (cell && cell.uid && filterDuplicateMap.has(cell.uid)) {
-                cellHistoryHashNum++;
-                delete cell.CellAction;
-                delete cell.CellType;
-                delete cell.bridge;
-            } else {
-                cellHistories[index].splice(cellIndex, 1);
-            }
-        })
-    })
+async function clearTableStatisticsButton(statisticsContainer) {
+    const recentWindow = USER.tableBaseSetting.cell_history_recent_window ?? 0;
+    const confirmation = await EDITOR.callGenericPopup(`将移除所有消息（含滑动记录）均不再引用、且不在最近 ${recentWindow} 楼内产生的历史单元格。移除的单元格会备份在当前浏览器中（最多保留最近 5 次压缩），可随时恢复。是否继续？`, EDITOR.POPUP_TYPE.CONFIRM, '', { okButton: "继续", cancelButton: "取消" });
+    if (!confirmation) return;
+    let result;
+    try {
+        result = await compactCellHistory(recentWindow);
+    } catch (e) {
+        EDITOR.error('压缩历史单元格失败', e.message, e);
+        return;
+    }
+    if (!result) return;
+    updataTableStatisticsData(statisticsContainer);
+    if (result.removed === 0) {
+        EDITOR.info(`没有可以压缩的历史单元格, 有效单元格数量: ${result.kept}`);
+        return;
+    }
+    EDITOR.success(`压缩历史单元格完成, 移除 ${result.removed} 个, 保留 ${result.kept} 个, 聊天文件减小 ${(result.savedBytes / 1024).toFixed(2)} KB`);
+}
 
-    setTimeout(() => {
-        if (lastCellHistoryHashNum === cellHistoryHashNum) {
-            updataTableStatisticsData(statisticsContainer);
-            EDITOR.success(`清理历史单元格操作完成, 有效单元格数量: ${cellHistoryHashNum}`);
-            USER.saveChat()
-            return;
-        } else {
-            EDITOR.info(`本轮清理单元格数量: ${lastCellHistoryHashNum - cellHistoryHashNum}`);
-            clearTableStatisticsButton(statisticsContainer)
-        }
-    }, 0)
+async function restoreCellHistoryBackupButton(statisticsContainer) {
+    let restored;
+    try {
+        restored = await restoreCellHistoryBackup();
+    } catch (e) {
+        EDITOR.error('从备份恢复失败', e.message, e);
+        return;
+    }
+    updataTableStatisticsData(statisticsContainer);
+    EDITOR.success(`已从备份恢复 ${restored} 个历史单元格`);
+}
+
+async function discardCellHistoryBackupButton(statisticsContainer) {
+    const confirmation = await EDITOR.callGenericPopup('删除备份后，被压缩的历史单元格将无法恢复。是否继续？', EDITOR.POPUP_TYPE.CONFIRM, '', { okButton: "删除", cancelButton: "取消" });
+    if (!confirmation) return;
+    await discardCellHistoryBackup();
+    updataTableStatisticsData(statisticsContainer);
+    EDITOR.success('已删除历史单元格备份');
 }
 
 /**
@@ -129,6 +178,8 @@ export async function openTableStatisticsPopup(){
     clearButton.on('click', () => {
         clearTableStatisticsButton(statisticsContainer)
     });
+    $(statisticsContainer).find('#restore_cell_history_backup_button').on('click', () => restoreCellHistoryBackupButton(statisticsContainer));
+    $(statisticsContainer).find('#discard_cell_history_backup_button').on('click', () => discardCellHistoryBackupButton(statisticsContainer));
 
     updataTableStatisticsData(statisticsContainer);
 
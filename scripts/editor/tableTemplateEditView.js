@@ -4,6 +4,10 @@ import { PopupMenu } from '../../components/popupMenu.js';
 import { Form } from '../../components/formManager.js';
 import { openSheetStyleRendererPopup } from "./sheetStyleEditor.js";
 import { compareDataDiff } from "../../utils/utility.js";
+import { ArchiveStrategy, getArchivePolicy, isArchiveSheet } from "../runtime/sheetArchive.js";
+import { syncActiveTemplateSet } from "../../core/table/templateSet.js";
+import { initTemplateSetControls, refreshTemplateSetControls } from "./templateSetView.js";
+import { openTemplateSyncPopup } from "./templateSyncView.js";
 
 let drag = null;
 let currentPopupMenu = null;
@@ -25,14 +29,22 @@ const formConfigs = {
         fields: [
             { label: '列标题', type: 'text', dataKey: 'value' },
             { label: '不允许值重复', type: 'checkbox', dataKey: 'valueIsOnly' },
+            { label: '设为主键（AI 可使用 upsertRow 按主键更新或插入行）', type: 'checkbox', dataKey: 'isKeyColumn' },
             {
                 label: '数据类型', type: 'select', dataKey: 'columnDataType',
                 options: [
                     { value: 'text', text: '文本' },
-                    // { value: 'number', text: '数字' },
-                    // { value: 'option', text: '选项' },
+                    { value: 'integer', text: '整数' },
+                    { value: 'number', text: '数字' },
+                    { value: 'boolean', text: '布尔（是/否）' },
+                    { value: 'enum', text: '选项' },
+                    { value: 'date', text: '日期' },
                 ]
             },
+            { label: '最小值', type: 'number', dataKey: 'columnMin' },
+            { label: '最大值', type: 'number', dataKey: 'columnMax' },
+            { label: '可选值', description: '(仅对选项类型生效，使用 | 分隔)', type: 'text', dataKey: 'columnOptions' },
+            { label: '默认值', description: '(AI 未填写该列时使用)', type: 'text', dataKey: 'columnDefault' },
             { label: '列描述', description: '', type: 'textarea', rows: 4, dataKey: 'columnNote' },
         ],
     },
@@ -56,21 +68,21 @@ const formConfigs = {
         formTitle: "编辑表格属性",
         formDescription: "设置表格的域、类型和名称。",
         fields: [
-            /* {
-                label: '默认保存位置', type: 'select', dataKey: 'domain',
+            {
+                label: '保存位置', type: 'select', dataKey: 'domain',
                 options: [
-                    // { value: 'global', text: `<i class="fa-solid fa-earth-asia"></i> Global（该模板储存于用户数据中）` },
-                    // { value: 'role', text: `<i class="fa-solid fa-user-tag"></i> Role（该模板储存于当前所选角色）` },
-                    { value: 'chat', text: `<i class="fa-solid fa-comment"></i> Chat（该模板储存于当前对话）` },
+                    { value: 'chat', text: `<i class="fa-solid fa-comment"></i> Chat（该表格储存于当前对话）` },
+                    { value: 'role', text: `<i class="fa-solid fa-user-tag"></i> Role（该表格储存于当前所选角色，在该角色的所有聊天中共享）` },
+                    { value: 'global', text: `<i class="fa-solid fa-earth-asia"></i> Global（该表格储存于用户数据中，在所有聊天中共享）` },
                 ],
-            }, */
+            },
             {
                 label: '类型', type: 'select', dataKey: 'type',
                 options: [
-                    // { value: 'free', text: `<i class="fa-solid fa-table"></i> Free（AI 可以任意修改此表格）` },
+                    { value: 'free', text: `<i class="fa-solid fa-table"></i> Free（AI 可以任意修改此表格）` },
                     { value: 'dynamic', text: `<i class="fa-solid fa-arrow-down-wide-short"></i> Dynamic（AI 可进行插入列外的所有操作）` },
-                    // { value: 'fixed', text: `<i class="fa-solid fa-thumbtack"></i> Fixed（AI 无法删除或插入行与列）` },
-                    // { value: 'static', text: `<i class="fa-solid fa-link"></i> Static（该表对 AI 为只读）` }
+                    { value: 'fixed', text: `<i class="fa-solid fa-thumbtack"></i> Fixed（AI 只能更新已有行，无法删除或插入行与列）` },
+                    { value: 'static', text: `<i class="fa-solid fa-link"></i> Static（该表对 AI 为只读）` }
                 ],
             },
             { label: '表格名', type: 'text', dataKey: 'name' },
@@ -78,12 +90,31 @@ const formConfigs = {
             { label: '是否必填', type: 'checkbox', dataKey: 'required' },
             { label: '是否触发发送', type: 'checkbox', dataKey: 'triggerSend', },
             { label: '触发发送深度', type: 'number', dataKey: 'triggerSendDeep' },
+            { label: '提示词优先级', type: 'number', dataKey: 'promptPriority', description: '(表格提示词超出 token 上限时，优先级低的表格先被压缩)' },
             { label: '初始化提示词', type: 'textarea', rows: 4, dataKey: 'initNode', description: '（当该表格为必填，且表格为空时，会发送此提示词催促AI填表）' },
             { label: '插入提示词', type: 'textarea', rows: 4, dataKey: 'insertNode', description: '' },
             { label: '删除提示词', type: 'textarea', rows: 4, dataKey: 'deleteNode', description: '' },
             { label: '更新提示词', type: 'textarea', rows: 4, dataKey: 'updateNode', description: '' },
         ],
     },
+    archiveConfig: {
+        formTitle: "编辑表格归档策略",
+        formDescription: "表格超出限制后，多出的行会交给AI总结并写入总结表，原始行移入不发送给AI的归档表，可在归档搜索中查看。锁定的行不会被归档。",
+        fields: [
+            { label: '启用自动归档', type: 'checkbox', dataKey: 'archiveEnabled' },
+            { label: '最大行数（0 为不限制）', type: 'number', dataKey: 'archiveMaxRows' },
+            { label: '最大 token 数（0 为不限制）', type: 'number', dataKey: 'archiveMaxTokens' },
+            {
+                label: '归档哪些行', type: 'select', dataKey: 'archiveStrategy',
+                options: [
+                    { value: 'oldest', text: '最早的行' },
+                    { value: 'importance', text: '重要度列数值最低的行' },
+                ],
+            },
+            { label: '重要度列', type: 'select', dataKey: 'archiveImportanceColumn', options: [] },
+            { label: '总结表', type: 'select', dataKey: 'archiveSummarySheet', description: '(使用表格总结/整理所选的API生成总结)', options: [] },
+        ],
+    },
 };
 
 
@@ -100,7 +131,7 @@ async function updateDropdownElement() {
     for (const t of templates) {
         const optionElement = document.createElement('option');
         optionElement.value = t.uid;
-        optionElement.textContent = t.name;
+        optionElement.textContent = scope === 'chat' && t.domain && t.domain !== 'chat' ? `${t.name}（${t.getDomainLabel()}）` : t.name;
         dropdownElement.appendChild(optionElement);
     }
 
@@ -120,7 +151,7 @@ function updateSelect2Dropdown() {
 }
 
 function initChatScopeSelectedSheets() {
-    const newSelectedSheets = BASE.sheetsData.context.map(sheet => sheet.enable ? sheet.uid : null).filter(Boolean)
+    const newSelectedSheets = BASE.sheetsData.all.map(sheet => sheet.enable ? sheet.uid : null).filter(Boolean)
     USER.getContext().chatMetadata.selected_sheets = newSelectedSheets
     return newSelectedSheets
 }
@@ -214,7 +245,7 @@ function bindSheetSetting(sheet, index) {
     const settingButton = $(`<i class="menu_button menu_button_icon fa-solid fa-wrench" style="cursor: pointer; height: 28px; width: 28px;" title="编辑表格属性"></i>`);
     settingButton.on('click', async () => {
         const initialData = {
-            domain: sheet.domain,
+            domain: sheet.domain || 'chat',
             type: sheet.type,
             name: sheet.name,
             note: sheet.data.note,
@@ -224,9 +255,15 @@ function bindSheetSetting(sheet, index) {
             updateNode: sheet.data.updateNode,
             required: sheet.required,
             triggerSend: sheet.triggerSend,
-            triggerSendDeep: sheet.triggerSendDeep
+            triggerSendDeep: sheet.triggerSendDeep,
+            promptPriority: sheet.config.promptPriority ?? 0,
         };
-        const formInstance = new Form(formConfigs.sheetConfig, initialData);
+        // 保存位置仅对聊天表格有效，模板始终储存于用户数据中
+        const formConfig = {
+            ...formConfigs.sheetConfig,
+            fields: formConfigs.sheetConfig.fields.filter(field => scope === 'chat' || field.dataKey !== 'domain'),
+        }
+        const formInstance = new Form(formConfig, initialData);
         const popup = new EDITOR.Popup(formInstance.renderForm(), EDITOR.POPUP_TYPE.CONFIRM, '', { okButton: "保存", allowVerticalScrolling: true, cancelButton: "取消" });
 
         await popup.show();
@@ -237,28 +274,47 @@ function bindSheetSetting(sheet, index) {
             // 将比较数据差异的结果更新至表格
             Object.keys(diffData).forEach(key => {
                 console.log(key)
-                if (['domain', 'type', 'name', 'required', 'triggerSend'].includes(key) && diffData[key] != null) {
+                if (key === 'domain' && diffData[key] === 'role' && !USER.getCurrentCharacter()) {
+                    EDITOR.warning('当前未选择角色（或处于群聊中），无法将表格保存到角色卡');
+                } else if (['domain', 'type', 'name', 'required', 'triggerSend'].includes(key) && diffData[key] != null) {
                     console.log("对比成功将更新" + key)
                     sheet[key] = diffData[key];
-                    if (key === 'name') needRerender = true
+                    if (key === 'name' || key === 'domain') needRerender = true
                 } else if (['note', 'initNode', 'insertNode', 'deleteNode', 'updateNode'].includes(key) && diffData[key] != null) {
                     sheet.data[key] = diffData[key];
                 } else if (['triggerSendDeep'].includes(key) && diffData[key] != null) {
                     console.log("对比成功将更新" + key)
                     sheet[key] = Math.max(0, Math.floor(diffData[key]));
+                } else if (key === 'promptPriority' && diffData[key] != null) {
+                    sheet.config.promptPriority = Math.floor(Number(diffData[key]) || 0);
                 }
             })
             sheet.save()
-            if (needRerender) refreshTempView()
+            if (needRerender) {
+                refreshTempView()
+                if (scope === 'chat') BASE.refreshContextView()
+            }
         }
     });
 
+    // 表格归档设置按钮
+    const archiveButton = $(`<i class="menu_button menu_button_icon fa-solid fa-box-archive" style="cursor: pointer; height: 28px; width: 28px;" title="编辑表格归档策略"></i>`);
+    archiveButton.on('click', async () => {
+        await openArchivePolicyPopup(sheet);
+    })
+
     // 表格自定义样式按钮
     const styleButton = $(`<i class="menu_button menu_button_icon fa-solid fa-wand-magic-sparkles" style="cursor: pointer; height: 28px; width: 28px;" title="编辑表格显示样式"></i>`);
     styleButton.on('click', async () => {
         await openSheetStyleRendererPopup(sheet);
     })
-    const nameSpan = $(`<span style="margin-left: 0px;">#${index} ${sheet.name ? sheet.name : 'Unnamed Table'}</span>`);
+    // 将模板修改同步到当前聊天的表格
+    const syncButton = $(`<i class="menu_button menu_button_icon fa-solid fa-arrows-rotate" style="cursor: pointer; height: 28px; width: 28px;" title="同步模板修改到当前聊天"></i>`);
+    syncButton.on('click', async () => {
+        await openTemplateSyncPopup([sheet.uid]);
+    })
+    const domainTag = scope === 'chat' && sheet.domain && sheet.domain !== 'chat' ? ` [${sheet.getDomainLabel()}]` : '';
+    const nameSpan = $(`<span style="margin-left: 0px;">#${index} ${sheet.name ? sheet.name : 'Unnamed Table'}${domainTag}</span>`);
 
     // 新增：发送到上下文的复选框
     const sendToContextCheckbox = $(`
@@ -277,12 +333,60 @@ function bindSheetSetting(sheet, index) {
     titleBar.appendChild(settingButton[0]);
     // titleBar.appendChild(originButton[0]);
     titleBar.appendChild(styleButton[0]);
+    titleBar.appendChild(archiveButton[0]);
+    if (scope === 'global') titleBar.appendChild(syncButton[0]);
     titleBar.appendChild(nameSpan[0]);
     titleBar.appendChild(sendToContextCheckbox[0]);
 
     return titleBar;
 }
 
+/**
+ * 编辑表格的归档策略
+ * @description 总结表与重要度列的选项在打开时根据当前的表格与表头生成
+ */
+async function openArchivePolicyPopup(sheet) {
+    const policy = getArchivePolicy(sheet)
+    const initialData = {
+        archiveEnabled: policy.enabled,
+        archiveMaxRows: policy.maxRows,
+        archiveMaxTokens: policy.maxTokens,
+        archiveStrategy: policy.strategy,
+        archiveImportanceColumn: String(policy.importanceColumn),
+        archiveSummarySheet: policy.summarySheet,
+    }
+    const formConfig = {
+        ...formConfigs.archiveConfig,
+        fields: formConfigs.archiveConfig.fields.map(field => {
+            if (field.dataKey === 'archiveImportanceColumn') {
+                return { ...field, options: [{ value: '', text: '（不使用）' }, ...sheet.getHeader().map((name, index) => ({ value: String(index), text: name || `第${index + 1}列` }))] }
+            }
+            if (field.dataKey === 'archiveSummarySheet') {
+                return { ...field, options: [{ value: '', text: '（不总结，只移入归档表）' }, ...getSheets().filter(s => s !== sheet).map(s => ({ value: s.uid, text: s.name }))] }
+            }
+            return field
+        }),
+    }
+    const formInstance = new Form(formConfig, initialData);
+    const popup = new EDITOR.Popup(formInstance.renderForm(), EDITOR.POPUP_TYPE.CONFIRM, '', { okButton: "保存", allowVerticalScrolling: true, cancelButton: "取消" });
+    await popup.show();
+    if (!popup.result) return
+
+    const result = formInstance.result()
+    sheet.config.archive = {
+        enabled: result.archiveEnabled === true,
+        maxRows: Math.max(0, Math.floor(Number(result.archiveMaxRows) || 0)),
+        maxTokens: Math.max(0, Math.floor(Number(result.archiveMaxTokens) || 0)),
+        strategy: result.archiveStrategy || ArchiveStrategy.oldest,
+        importanceColumn: result.archiveImportanceColumn ?? '',
+        summarySheet: result.archiveSummarySheet ?? '',
+    }
+    if (sheet.config.archive.strategy === ArchiveStrategy.importance && sheet.config.archive.importanceColumn === '') {
+        EDITOR.warning('未选择重要度列，将按最早的行归档')
+    }
+    sheet.save()
+}
+
 async function templateCellDataEdit(cell) {
     const initialData = { ...cell.data };
     const formInstance = new Form(formConfigs[cell.type], initialData);
@@ -394,12 +498,14 @@ function setSelectedSheetUids(selectedSheets) {
         USER.getContext().chatMetadata.selected_sheets = selectedSheets;
     } else {
         USER.getSettings().table_selected_sheets = selectedSheets;
+        syncActiveTemplateSet(selectedSheets)
     }
     updateSheetStatusBySelect()
 }
 
 function getSheets() {
-    return scope === 'chat' ? BASE.getChatSheets() : BASE.templates
+    // 归档表只能在归档搜索中查看，不在此处显示，避免被启用后发送给AI
+    return scope === 'chat' ? BASE.getChatSheets().filter(sheet => !isArchiveSheet(sheet)) : BASE.templates
 }
 
 
@@ -422,8 +528,8 @@ async function updateDragTables() {
 
         let sheetDataExists;
         if (scope === 'chat') {
-            // 检查 uid 是否存在于 BASE.sheetsData.context
-            sheetDataExists = BASE.sheetsData.context?.some(sheetData => sheetData.uid === uid);
+            // 检查 uid 是否存在于当前对话可用的表格中（包括角色域与全局域）
+            sheetDataExists = BASE.sheetsData.all?.some(sheetData => sheetData.uid === uid);
         } else {
             // 检查 uid 是否存在于 BASE.templates
             sheetDataExists = BASE.templates?.some(templateData => templateData.uid === uid);
@@ -464,6 +570,11 @@ async function updateDragTables() {
 
 }
 
+function updateTemplateSetControls() {
+    $(table_editor_container).find('#template_set_controls').toggle(scope === 'global')
+    if (scope === 'global') refreshTemplateSetControls()
+}
+
 export function updateTableContainerPosition() {
     const windowHeight = window.innerHeight;
     const contentContainer = table_editor_container.querySelector('#contentContainer');
@@ -481,6 +592,7 @@ export function updateTableContainerPosition() {
 export async function refreshTempView(ignoreGlobal = false) {
     if (ignoreGlobal && scope === 'global') return
     console.log("刷新表格模板视图")
+    updateTemplateSetControls()
     await updateDropdownElement()
     initializeSelect2Dropdown(dropdownElement);
     await updateDragTables();
@@ -507,6 +619,14 @@ async function initTableEdit(mesId) {
     contentContainer.addEventListener('mouseenter', updateTableContainerPosition);
     contentContainer.addEventListener('focus', updateTableContainerPosition);
 
+    // 模板集只在全局域中编辑
+    initTemplateSetControls(table_editor_container.querySelector('#template_set_controls'), async (templateUids) => {
+        setSelectedSheetUids(templateUids)
+        USER.saveSettings()
+        await refreshTempView()
+    })
+    updateTemplateSetControls()
+
     $(scopeSelect).val(scope).on('change', async function () {
         scope = $(this).val();
         console.log("切换到", scope)
@@ -536,6 +656,10 @@ async function initTableEdit(mesId) {
         $(dropdownElement).val([...currentSelectedValues, newTemplateUid]).trigger("change", [true]);
         updateSelectedSheetUids()
     });
+    $(document).on('click', '#sync_table_template_button', async function () {
+        if (scope === 'chat') return EDITOR.info('请在全局域中修改模板后同步到当前聊天')
+        await openTemplateSyncPopup(getSelectedSheetUids())
+    });
     $(document).on('click', '#import_table_template_button', function () {
 
     })
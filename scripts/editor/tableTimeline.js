@@ -0,0 +1,230 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { hasPieceHashSheets, resolvePieceHashSheets } from '../../core/table/hashSheetsStorage.js';
+import { getSheetSnapshot } from './tableEditPreview.js';
+import { openSheetComparePopup } from './sheetMergeView.js';
+
+const timelineStyle = `
+<style>
+.table-timeline {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    padding: 5px 5px 150px 0;
+}
+.table-timeline-controls {
+    display: flex;
+    align-items: center;
+    gap: 5px;
+}
+.table-timeline-controls input[type="range"] {
+    flex: 1;
+}
+.table-timeline-info {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    flex-wrap: wrap;
+    gap: 5px;
+}
+.table-timeline-sheet table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 0.9em;
+}
+.table-timeline-sheet th,
+.table-timeline-sheet td {
+    padding: 2px 5px;
+    border: 1px solid rgba(255, 255, 255, 0.2);
+}
+.table-timeline-cell.changed {
+    background-color: rgba(255, 193, 7, 0.25);
+}
+</style>
+`;
+
+let timelineView = null;
+let selectedPosition = -1;
+
+/**
+ * 获取当前聊天中所有带有表格数据的消息楼层
+ * @returns {number[]}
+ */
+function getTableBearingIndexes() {
+    const chat = USER.getContext().chat ?? [];
+    return chat.map((piece, index) => hasPieceHashSheets(piece) ? index : -1).filter(index => index !== -1);
+}
+
+/**
+ * 渲染单个表格在某一楼层时的内容
+ * @description 单元格每次修改都会生成新的 uid，因此不在上一楼层矩阵中的 uid 即为发生变化的单元格
+ * @param {Sheet} sheet 表格实例，仅用于读取单元格的值
+ * @param {string[][]} hashSheet 该楼层的单元格 uid 矩阵
+ * @param {string[][]|undefined} previousHashSheet 上一个带有表格数据的楼层中的矩阵
+ * @returns {jQuery}
+ */
+function renderTimelineSheet(sheet, hashSheet, previousHashSheet) {
+    const previousUids = new Set(previousHashSheet?.flat() ?? []);
+    const getValue = uid => sheet.cells.get(uid)?.data?.value ?? '';
+    const container = $('<div class="table-timeline-sheet"></div>');
+    container.append($('<h4></h4>').text(sheet.name));
+    const table = $('<table></table>');
+    const headRow = $('<tr></tr>');
+    hashSheet[0].slice(1).forEach(uid => headRow.append($('<th></th>').text(getValue(uid))));
+    table.append(headRow);
+    hashSheet.slice(1).forEach(row => {
+        const tr = $('<tr></tr>');
+        row.slice(1).forEach(uid => {
+            const td = $('<td class="table-timeline-cell"></td>').text(getValue(uid));
+            if (previousHashSheet && !previousUids.has(uid)) td.addClass('changed');
+            tr.append(td);
+        });
+        table.append(tr);
+    });
+    if (hashSheet.length <= 1) table.append($('<tr></tr>').append($(`<td colspan="${hashSheet[0].length - 1}"></td>`).text('（空）')));
+    container.append(table);
+    return container;
+}
+
+/**
+ * 渲染时间线中选中楼层的表格
+ */
+function renderSelectedPosition() {
+    const indexes = getTableBearingIndexes();
+    const info = timelineView.find('.table-timeline-position');
+    const sheetsContainer = timelineView.find('.table-timeline-sheets').empty();
+    const slider = timelineView.find('.table-timeline-slider');
+    if (indexes.length === 0) {
+        slider.prop('disabled', true);
+        info.text('当前聊天中没有表格数据');
+        return;
+    }
+    selectedPosition = selectedPosition === -1 ? indexes.length - 1 : Math.min(selectedPosition, indexes.length - 1);
+    slider.prop('disabled', false).attr('max', indexes.length - 1).val(selectedPosition);
+
+    const chat = USER.getContext().chat;
+    const messageIndex = indexes[selectedPosition];
+    const hashSheets = resolvePieceHashSheets(chat[messageIndex], chat) ?? {};
+    const previousHashSheets = selectedPosition > 0 ? resolvePieceHashSheets(chat[indexes[selectedPosition - 1]], chat) : null;
+    info.text(`第 ${messageIndex} 楼（${selectedPosition + 1}/${indexes.length}）${selectedPosition === indexes.length - 1 ? ' · 最新' : ''}`);
+
+    BASE.getChatSheets().forEach(sheet => {
+        const hashSheet = hashSheets[sheet.uid];
+        if (!hashSheet || hashSheet.length === 0) return;
+        sheetsContainer.append(renderTimelineSheet(sheet, hashSheet, previousHashSheets?.[sheet.uid]));
+    });
+}
+
+/**
+ * 将时间线中选中楼层的表格恢复为当前表格
+ * @description 恢复后的状态保存到最新的消息中，原有的单元格历史不受影响
+ */
+async function restoreSelectedPosition() {
+    const indexes = getTableBearingIndexes();
+    const messageIndex = indexes[selectedPosition];
+    if (messageIndex === undefined) return;
+    const { piece: currentPiece } = USER.getChatPiece();
+    if (!currentPiece) return EDITOR.error("表格数据没有记录载体，请聊过一轮后再试");
+    const confirmation = await EDITOR.callGenericPopup(`将第 ${messageIndex} 楼的表格恢复为当前表格，是否继续？`, EDITOR.POPUP_TYPE.CONFIRM, '', { okButton: "恢复", cancelButton: "取消" });
+    if (!confirmation) return;
+
+    const hashSheets = BASE.copyHashSheets(resolvePieceHashSheets(USER.getContext().chat[messageIndex]) ?? {});
+    const sheets = BASE.getChatSheets().filter(sheet => hashSheets[sheet.uid]);
+    BASE.runSheetsTransaction(sheets, () => sheets.forEach(sheet => {
+        sheet.hashSheet = hashSheets[sheet.uid];
+        sheet.markPositionCacheDirty();
+    }));
+    sheets.forEach(sheet => sheet.save(currentPiece, true));
+    await USER.saveChat();
+    selectedPosition = -1;
+    await BASE.refreshContextView();
+    renderSelectedPosition();
+    EDITOR.success(`已恢复第 ${messageIndex} 楼的表格`);
+}
+
+/**
+ * 将时间线中选中楼层的表格与另一个带有表格数据的楼层对比
+ * @description 默认对比最新的楼层，选中的已是最新楼层时对比上一个带有表格数据的楼层
+ */
+async function compareSelectedPosition() {
+    const indexes = getTableBearingIndexes();
+    const messageIndex = indexes[selectedPosition];
+    if (messageIndex === undefined) return;
+    const defaultIndex = selectedPosition === indexes.length - 1 ? indexes[selectedPosition - 1] : indexes[indexes.length - 1];
+    const input = await EDITOR.callGenericPopup(`将第 ${messageIndex} 楼的表格与第几楼对比？（可选：${indexes.join('、')}）`, EDITOR.POPUP_TYPE.INPUT, String(defaultIndex ?? ''));
+    if (!input || String(input).trim() === '') return;
+    const otherIndex = Number(String(input).trim());
+    if (!indexes.includes(otherIndex)) return EDITOR.warning(`第 ${String(input).trim()} 楼没有表格数据`);
+    if (otherIndex === messageIndex) return EDITOR.info('请选择另一个楼层');
+
+    // 楼层较早的一方作为对比基准
+    const [beforeIndex, afterIndex] = otherIndex < messageIndex ? [otherIndex, messageIndex] : [messageIndex, otherIndex];
+    const chat = USER.getContext().chat;
+    const beforeHashSheets = resolvePieceHashSheets(chat[beforeIndex], chat) ?? {};
+    const afterHashSheets = resolvePieceHashSheets(chat[afterIndex], chat) ?? {};
+    const tables = BASE.getChatSheets()
+        .filter(sheet => beforeHashSheets[sheet.uid]?.length > 0 || afterHashSheets[sheet.uid]?.length > 0)
+        .map(sheet => {
+            const before = beforeHashSheets[sheet.uid]?.length > 0 ? getSheetSnapshot(sheet, beforeHashSheets[sheet.uid]) : null;
+            const after = afterHashSheets[sheet.uid]?.length > 0 ? getSheetSnapshot(sheet, afterHashSheets[sheet.uid]) : null;
+            return {
+                name: sheet.name,
+                header: (after ?? before).header,
+                before,
+                after,
+                keyColumns: sheet.getKeyColumnIndexes().map(colIndex => colIndex - 1),
+            };
+        });
+    await openSheetComparePopup(tables, { before: `第 ${beforeIndex} 楼`, after: `第 ${afterIndex} 楼`, title: '对比楼层表格' });
+}
+
+/**
+ * 刷新时间线视图，选中位置重置为最新的楼层
+ */
+export function refreshTableTimelineView() {
+    if (!timelineView) return;
+    selectedPosition = -1;
+    renderSelectedPosition();
+}
+
+/**
+ * 获取表格时间线视图
+ * @description 拖动滑块可查看任意带有表格数据的楼层时的全部表格，并高亮相对上一个带有表格数据的楼层发生变化的单元格
+ * @returns {jQuery}
+ */
+export function getTableTimelineView() {
+    if (timelineView) return timelineView;
+    timelineView = $(`
+<div class="table-timeline">
+    ${timelineStyle}
+    <small>拖动滑块查看表格在每一个带有表格数据的楼层时的状态，高亮的单元格为相对上一楼层发生变化的内容。</small>
+    <div class="table-timeline-controls">
+        <i class="menu_button menu_button_icon fa-solid fa-chevron-left table-timeline-prev" title="上一楼层"></i>
+        <input type="range" class="table-timeline-slider" min="0" max="0" step="1" value="0">
+        <i class="menu_button menu_button_icon fa-solid fa-chevron-right table-timeline-next" title="下一楼层"></i>
+    </div>
+    <div class="table-timeline-info">
+        <span class="table-timeline-position"></span>
+        <div class="menu_button menu_button_icon table-timeline-compare"><i class="fa-solid fa-code-compare"></i>与其他楼层对比</div>
+        <div class="menu_button menu_button_icon table-timeline-restore"><i class="fa-solid fa-clock-rotate-left"></i>恢复为当前状态</div>
+    </div>
+    <div class="table-timeline-sheets"></div>
+</div>`);
+    timelineView.find('.table-timeline-slider').on('input', function () {
+        selectedPosition = Number($(this).val());
+        renderSelectedPosition();
+    });
+    timelineView.find('.table-timeline-prev').on('click', () => {
+        if (selectedPosition <= 0) return;
+        selectedPosition--;
+        renderSelectedPosition();
+    });
+    timelineView.find('.table-timeline-next').on('click', () => {
+        if (selectedPosition >= getTableBearingIndexes().length - 1) return;
+        selectedPosition++;
+        renderSelectedPosition();
+    });
+    timelineView.find('.table-timeline-compare').on('click', () => EDITOR.tryAsync(compareSelectedPosition, "对比表格失败"));
+    timelineView.find('.table-timeline-restore').on('click', () => EDITOR.tryAsync(restoreSelectedPosition, "恢复表格失败"));
+    renderSelectedPosition();
+    return timelineView;
+}
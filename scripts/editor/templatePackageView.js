@@ -0,0 +1,286 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import {
+    checkPackageSettings,
+    createTemplatePackage,
+    findTemplateConflicts,
+    getUniqueName,
+    migrateTemplatePackage,
+    newTemplateUid,
+    packageItemToTemplate,
+    TEMPLATE_PACKAGE_VERSION,
+} from '../../core/table/templatePackage.js';
+import { filterTableDataPopup } from '../../data/pluginSetting.js';
+import { previewStyle } from './tableEditPreview.js';
+import { downloadTextFile } from './sheetImportExport.js';
+
+const ConflictAction = {
+    replace: 'replace',
+    copy: 'copy',
+    skip: 'skip',
+};
+
+const packageStyle = `
+<style>
+.template-package-row {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 5px 10px;
+}
+.template-package-row select {
+    width: auto;
+    margin: 0;
+}
+</style>
+`;
+
+function conflictSelect(defaultAction) {
+    return $(`<select>
+        <option value="${ConflictAction.replace}">覆盖现有</option>
+        <option value="${ConflictAction.copy}">作为副本导入</option>
+        <option value="${ConflictAction.skip}">跳过</option>
+    </select>`).val(defaultAction);
+}
+
+function checkboxLabel(text, checked = true) {
+    const label = $('<label class="checkbox_label"><input type="checkbox"><span></span></label>');
+    label.find('input').prop('checked', checked);
+    label.find('span').text(text);
+    return label;
+}
+
+/**
+ * 导出模板包
+ * @description 可选择导出的模板、总结模板、分步填表提示词与其他插件设置
+ */
+export async function exportTemplatePackage() {
+    const templates = BASE.templates ?? [];
+    const container = $(`
+<div class="table-edit-preview">
+    ${previewStyle}${packageStyle}
+    <h3>导出模板包</h3>
+    <div class="template-package-row">
+        <label>名称</label>
+        <input type="text" class="text_pole template-package-name" placeholder="可选">
+    </div>
+    <h4>表格模板</h4>
+    <div class="template-package-templates"></div>
+    <h4>其他内容</h4>
+    <div class="template-package-extras"></div>
+</div>`);
+    const templateList = container.find('.template-package-templates');
+    templates.forEach(data => templateList.append(checkboxLabel(data.name).attr('data-uid', data.uid)));
+    if (templates.length === 0) templateList.append($('<small></small>').text('没有可导出的模板'));
+    const rebuildCheckbox = checkboxLabel(`表格总结模板（${Object.keys(USER.tableBaseSetting.rebuild_message_template_list ?? {}).length} 个）`);
+    const stepByStepCheckbox = checkboxLabel('分步填表提示词');
+    const settingsCheckbox = checkboxLabel('其他插件设置（下一步选择）', false);
+    container.find('.template-package-extras').append(rebuildCheckbox, stepByStepCheckbox, settingsCheckbox);
+
+    const popup = new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.CONFIRM, '', { wide: true, allowVerticalScrolling: true, okButton: "导出", cancelButton: "取消" });
+    await popup.show();
+    if (!popup.result) return;
+
+    let settings = null;
+    if (settingsCheckbox.find('input').prop('checked')) {
+        const { filterData, confirmation } = await filterTableDataPopup(USER.tableBaseSetting, "请选择需要一并导出的设置", "表格结构请在上一步中选择模板");
+        if (!confirmation) return;
+        settings = filterData;
+    }
+
+    try {
+        const name = container.find('.template-package-name').val().trim();
+        const templatePackage = createTemplatePackage({
+            name,
+            templateUids: templateList.find('label').filter((_, label) => $(label).find('input').prop('checked')).map((_, label) => $(label).attr('data-uid')).get(),
+            rebuildTemplates: rebuildCheckbox.find('input').prop('checked'),
+            stepByStep: stepByStepCheckbox.find('input').prop('checked'),
+            settings,
+        });
+        downloadTextFile(JSON.stringify(templatePackage, null, 2), `tableTemplatePackage-${name || SYSTEM.generateRandomString(8)}.json`, 'application/json');
+        EDITOR.success('导出成功');
+    } catch (error) {
+        EDITOR.error(`导出失败: ${error}`);
+    }
+}
+
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file, 'UTF-8');
+    });
+}
+
+function selectJsonFile() {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json';
+        input.addEventListener('change', event => resolve(event.target.files[0] ?? null));
+        input.click();
+    });
+}
+
+async function showPackageErrors(errors) {
+    const container = $('<div></div>');
+    container.append($('<p></p>').text('模板包校验失败，未导入任何内容：'));
+    const list = $('<ul class="redWarningText"></ul>');
+    errors.slice(0, 20).forEach(error => list.append($('<li></li>').text(error)));
+    if (errors.length > 20) list.append($('<li></li>').text(`…… 另有 ${errors.length - 20} 个错误`));
+    container.append(list);
+    await new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.TEXT, '', { allowVerticalScrolling: true }).show();
+}
+
+/**
+ * 渲染模板的导入选项，冲突的模板可选择覆盖、作为副本导入或跳过
+ */
+function renderTemplateChoices(element, templatePackage) {
+    const conflicts = findTemplateConflicts(templatePackage);
+    return templatePackage.templates.map(item => {
+        const conflict = conflicts.find(c => c.item === item);
+        const row = $('<div class="template-package-row"></div>');
+        const choice = { item, conflict };
+        if (conflict) {
+            // uid 相同通常是同一模板的新版本，名称相同则更可能是不同的模板
+            const select = conflictSelect(conflict.reason === 'uid' ? ConflictAction.replace : ConflictAction.copy);
+            const reason = conflict.reason === 'uid' ? '与现有模板 uid 相同' : '与现有模板名称相同';
+            row.append($('<b></b>').text(item.name), $('<small class="redWarningText"></small>').text(`${reason}：${conflict.existing.name}`), select);
+            choice.action = () => select.val();
+        } else {
+            const checkbox = checkboxLabel(`${item.name}（${item.columns.length} 列）`);
+            row.append(checkbox);
+            choice.action = () => checkbox.find('input').prop('checked') ? ConflictAction.replace : ConflictAction.skip;
+        }
+        element.append(row);
+        return choice;
+    });
+}
+
+function renderRebuildChoices(element, rebuildTemplates) {
+    const existing = USER.tableBaseSetting.rebuild_message_template_list ?? {};
+    return Object.entries(rebuildTemplates).map(([key, template]) => {
+        const row = $('<div class="template-package-row"></div>');
+        const choice = { key, template };
+        if (key in existing) {
+            const select = conflictSelect(ConflictAction.copy);
+            row.append($('<b></b>').text(key), $('<small class="redWarningText"></small>').text('与现有总结模板名称相同'), select);
+            choice.action = () => select.val();
+        } else {
+            const checkbox = checkboxLabel(key);
+            row.append(checkbox);
+            choice.action = () => checkbox.find('input').prop('checked') ? ConflictAction.replace : ConflictAction.skip;
+        }
+        element.append(row);
+        return choice;
+    });
+}
+
+function applyTemplateChoices(choices) {
+    const names = (BASE.templates ?? []).map(data => data.name);
+    const selectedSheets = USER.getSettings().table_selected_sheets ?? [];
+    let imported = 0;
+    choices.forEach(({ item, conflict, action }) => {
+        const selectedAction = action();
+        if (selectedAction === ConflictAction.skip) return;
+        let template;
+        if (selectedAction === ConflictAction.copy) {
+            template = packageItemToTemplate(item, newTemplateUid());
+            template.name = getUniqueName(item.name, names);
+        } else {
+            template = packageItemToTemplate(item, conflict?.existing.uid ?? item.uid);
+        }
+        names.push(template.name);
+        template.save(true);
+        if (!selectedSheets.includes(template.uid)) selectedSheets.push(template.uid);
+        imported++;
+    });
+    USER.getSettings().table_selected_sheets = selectedSheets;
+    return imported;
+}
+
+function applyRebuildChoices(choices) {
+    const list = USER.tableBaseSetting.rebuild_message_template_list ?? {};
+    choices.forEach(({ key, template, action }) => {
+        const selectedAction = action();
+        if (selectedAction === ConflictAction.skip) return;
+        const name = selectedAction === ConflictAction.copy ? getUniqueName(key, Object.keys(list)) : key;
+        list[name] = { ...template, name };
+    });
+    USER.tableBaseSetting.rebuild_message_template_list = list;
+}
+
+/**
+ * 导入模板包
+ * @description 旧版导出的插件设置与聊天表格数据会先迁移为当前版本的模板包，校验通过后显示导入内容与冲突报告
+ * @returns {Promise<boolean>} 是否完成导入
+ */
+export async function importTemplatePackage() {
+    const file = await selectJsonFile();
+    if (!file) return false;
+
+    let data;
+    try {
+        data = JSON.parse(await readFileAsText(file));
+    } catch (error) {
+        EDITOR.error('JSON 文件解析失败，请检查文件格式是否正确。');
+        console.error("文件读取或解析错误:", error);
+        return false;
+    }
+    const { package: templatePackage, version, notes, errors } = migrateTemplatePackage(data);
+    if (!templatePackage) {
+        await showPackageErrors(errors);
+        return false;
+    }
+
+    const container = $(`<div class="table-edit-preview">${previewStyle}${packageStyle}<h3>导入模板包</h3></div>`);
+    container.append($('<small style="display: block;"></small>').text(`${templatePackage.name ? `「${templatePackage.name}」，` : ''}格式版本 ${version}${version < TEMPLATE_PACKAGE_VERSION ? `，已迁移到版本 ${TEMPLATE_PACKAGE_VERSION}` : ''}`));
+    notes.forEach(note => container.append($('<small style="display: block;"></small>').text(note)));
+
+    const templateElement = $('<div></div>');
+    container.append($('<h4></h4>').text(`表格模板（${templatePackage.templates.length} 个）`), templateElement);
+    const templateChoices = renderTemplateChoices(templateElement, templatePackage);
+
+    let rebuildChoices = [];
+    if (templatePackage.rebuildTemplates && Object.keys(templatePackage.rebuildTemplates).length > 0) {
+        const rebuildElement = $('<div></div>');
+        container.append($('<h4>表格总结模板</h4>'), rebuildElement);
+        rebuildChoices = renderRebuildChoices(rebuildElement, templatePackage.rebuildTemplates);
+    }
+
+    const extras = $('<div></div>');
+    const stepByStepCheckbox = templatePackage.stepByStep ? checkboxLabel('覆盖当前的分步填表提示词') : null;
+    // 类型与当前设置不符的值不导入，避免写入无法使用的设置
+    const { valid: settings, rejected: rejectedSettings } = checkPackageSettings(templatePackage.settings);
+    const settingKeys = Object.keys(settings);
+    const settingsCheckbox = settingKeys.length > 0 ? checkboxLabel(`覆盖当前的插件设置：${settingKeys.join('、')}`, false) : null;
+    extras.append(stepByStepCheckbox, settingsCheckbox);
+    if (rejectedSettings.length > 0) {
+        extras.append($('<small class="redWarningText" style="display: block;"></small>').text(`以下设置不会导入：${rejectedSettings.join('；')}`));
+    }
+    if (stepByStepCheckbox || settingsCheckbox || rejectedSettings.length > 0) container.append($('<h4>其他内容</h4>'), extras);
+
+    const popup = new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.CONFIRM, '', { wide: true, allowVerticalScrolling: true, okButton: "导入", cancelButton: "取消" });
+    await popup.show();
+    if (!popup.result) return false;
+
+    try {
+        const imported = applyTemplateChoices(templateChoices);
+        applyRebuildChoices(rebuildChoices);
+        if (stepByStepCheckbox?.find('input').prop('checked')) {
+            const { userPrompt, editProtocol } = templatePackage.stepByStep;
+            if (userPrompt !== undefined) USER.tableBaseSetting.step_by_step_user_prompt = userPrompt;
+            if (editProtocol !== undefined) USER.tableBaseSetting.step_by_step_edit_protocol = editProtocol;
+        }
+        if (settingsCheckbox?.find('input').prop('checked')) {
+            settingKeys.forEach(key => USER.tableBaseSetting[key] = settings[key]);
+        }
+        USER.saveSettings();
+        EDITOR.success(`导入成功，已导入 ${imported} 个模板`);
+        return true;
+    } catch (error) {
+        EDITOR.error(`导入失败: ${error}`);
+        console.error("导入模板包失败:", error);
+        return false;
+    }
+}
@@ -0,0 +1,143 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import {
+    bindTemplateSet,
+    cloneTemplateSet,
+    createTemplateSet,
+    deleteTemplateSet,
+    getActiveTemplateSet,
+    getBoundTemplateSet,
+    getCurrentChatOwner,
+    getOwnerLabel,
+    getTemplateSets,
+    renameTemplateSet,
+    setActiveTemplateSet,
+    unbindTemplateSet,
+} from '../../core/table/templateSet.js';
+
+let controlsElement = null;
+let applySelection = null;
+
+const button = (icon, title) => $(`<i class="menu_button menu_button_icon fa-solid ${icon}" style="height: 30px; width: 30px"></i>`).attr('title', title);
+
+/**
+ * 渲染模板集的选择与管理按钮
+ */
+function renderControls() {
+    const element = $(controlsElement).empty();
+    const sets = getTemplateSets();
+    const active = getActiveTemplateSet();
+
+    const select = $('<select id="table_template_set" style="height: 30px; max-width: 200px; margin: 0"></select>');
+    select.append($('<option value="">（不使用模板集）</option>'));
+    sets.forEach(set => select.append($('<option></option>').val(set.uid).text(set.bindings.length > 0 ? `${set.name}（已绑定 ${set.bindings.length}）` : set.name)));
+    select.val(active?.uid ?? '');
+    select.on('change', () => EDITOR.tryAsync(async () => {
+        const uids = setActiveTemplateSet(select.val());
+        if (uids) await applySelection(uids);
+        renderControls();
+    }, "切换模板集失败"));
+
+    const createButton = button('fa-folder-plus', '以当前选择的模板新建模板集');
+    createButton.on('click', () => EDITOR.tryAsync(async () => {
+        const name = await EDITOR.callGenericPopup("输入模板集名称：", EDITOR.POPUP_TYPE.INPUT, '新模板集');
+        if (!name) return;
+        const set = createTemplateSet(String(name), USER.getSettings().table_selected_sheets ?? []);
+        setActiveTemplateSet(set.uid);
+        EDITOR.success(`已新建模板集「${set.name}」`);
+        renderControls();
+    }, "新建模板集失败"));
+    element.append($('<label for="table_template_set">模板集：</label>'), select, createButton);
+    if (!active) {
+        element.append(renderBoundHint());
+        return;
+    }
+
+    const renameButton = button('fa-pen', '重命名模板集');
+    renameButton.on('click', () => EDITOR.tryAsync(async () => {
+        const name = await EDITOR.callGenericPopup("修改模板集名称：", EDITOR.POPUP_TYPE.INPUT, active.name);
+        if (!name) return;
+        renameTemplateSet(active.uid, String(name));
+        renderControls();
+    }, "重命名模板集失败"));
+    const cloneButton = button('fa-clone', '复制模板集');
+    cloneButton.on('click', () => EDITOR.tryBlock(() => {
+        const set = cloneTemplateSet(active.uid);
+        setActiveTemplateSet(set.uid);
+        EDITOR.success(`已复制为「${set.name}」`);
+        renderControls();
+    }, "复制模板集失败"));
+    const bindButton = button('fa-link', '绑定到角色或群聊');
+    bindButton.on('click', () => EDITOR.tryAsync(openBindingPopup, "编辑模板集绑定失败", active));
+    const deleteButton = button('fa-trash-can redWarningBG', '删除模板集（不会删除其中的模板）');
+    deleteButton.on('click', () => EDITOR.tryAsync(async () => {
+        const confirmation = await EDITOR.callGenericPopup(`是否删除模板集「${active.name}」？其中的模板不会被删除。`, EDITOR.POPUP_TYPE.CONFIRM, '', { okButton: "删除", cancelButton: "取消" });
+        if (!confirmation) return;
+        deleteTemplateSet(active.uid);
+        renderControls();
+    }, "删除模板集失败"));
+    element.append(renameButton, cloneButton, bindButton, deleteButton, renderBoundHint());
+}
+
+function renderBoundHint() {
+    const owner = getCurrentChatOwner();
+    const bound = getBoundTemplateSet(owner);
+    if (!bound) return null;
+    return $('<small></small>').text(`${getOwnerLabel(owner)} 的新聊天使用「${bound.name}」`);
+}
+
+/**
+ * 编辑模板集绑定的角色与群聊
+ */
+async function openBindingPopup(set) {
+    const container = $('<div style="text-align: left"></div>');
+    const render = () => {
+        container.empty();
+        container.append($('<h3></h3>').text(`「${set.name}」的绑定`));
+        container.append($('<small style="display: block;"></small>').text('绑定的角色或群聊开始新聊天时，使用该模板集中的模板创建表格。每个角色或群聊只能绑定一个模板集。'));
+        if (set.bindings.length === 0) container.append($('<p>尚未绑定任何角色或群聊</p>'));
+        set.bindings.forEach(binding => {
+            const row = $('<div class="flex-container alignitemscenter" style="gap: 5px"></div>');
+            const removeButton = button('fa-link-slash', '解除绑定');
+            removeButton.on('click', () => {
+                unbindTemplateSet(set.uid, binding);
+                render();
+            });
+            row.append($('<span></span>').text(getOwnerLabel(binding)), removeButton);
+            container.append(row);
+        });
+        const owner = getCurrentChatOwner();
+        if (!owner) {
+            container.append($('<small></small>').text('打开一个角色或群聊的聊天后可将其绑定到该模板集'));
+        } else if (!set.bindings.some(binding => binding.type === owner.type && binding.id === owner.id)) {
+            const current = getBoundTemplateSet(owner);
+            const bindButton = $('<div class="menu_button menu_button_icon"><i class="fa-solid fa-link"></i><span></span></div>');
+            bindButton.find('span').text(`绑定到当前${getOwnerLabel(owner)}${current ? `（将解除与「${current.name}」的绑定）` : ''}`);
+            bindButton.on('click', () => EDITOR.tryBlock(() => {
+                bindTemplateSet(set.uid, owner);
+                render();
+            }, "绑定模板集失败"));
+            container.append(bindButton);
+        }
+    };
+    render();
+    await new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.TEXT, '', { allowVerticalScrolling: true }).show();
+    renderControls();
+}
+
+/**
+ * 初始化模板编辑器中的模板集控件
+ * @param {Element} element 控件容器
+ * @param {(templateUids: string[]) => Promise<void>} onApply 切换模板集后将其中的模板设为当前选择
+ */
+export function initTemplateSetControls(element, onApply) {
+    controlsElement = element;
+    applySelection = onApply;
+    renderControls();
+}
+
+/**
+ * 刷新模板集控件，切换聊天后更新绑定提示
+ */
+export function refreshTemplateSetControls() {
+    if (controlsElement) renderControls();
+}
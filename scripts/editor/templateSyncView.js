@@ -0,0 +1,156 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { applyTemplateSyncPlans, diffSheetWithTemplate, findDerivedSheets, findPendingTemplateSyncPlans, markTemplateSyncSeen } from '../runtime/templateSync.js';
+import { previewStyle } from './tableEditPreview.js';
+
+// 预览中显示的行数
+const PREVIEW_ROWS = 3;
+
+const syncStyle = `
+<style>
+.template-sync-changes {
+    margin: 5px 0;
+    padding-left: 20px;
+}
+.table-edit-preview-cell.inserted {
+    background-color: rgba(40, 167, 69, 0.3);
+}
+.table-edit-preview-cell.deleted {
+    background-color: rgba(211, 39, 39, 0.3);
+    text-decoration: line-through;
+}
+</style>
+`;
+
+/**
+ * 将差异转为可读的修改列表
+ */
+function describeDiff(diff) {
+    const changes = [];
+    if (diff.added.length > 0) changes.push(`新增列：${diff.added.join('、')}`);
+    if (diff.removed.length > 0) {
+        changes.push(`删除列：${diff.removed.map(column => column.filledCells > 0 ? `${column.name}（${column.filledCells} 个单元格有内容）` : column.name).join('、')}`);
+    }
+    if (diff.renamed.length > 0) changes.push(`重命名列：${diff.renamed.map(({ from, to }) => `${from} → ${to}`).join('、')}`);
+    if (diff.reordered) changes.push('调整列顺序');
+    if (diff.settingsChanged.length > 0) changes.push(`修改列设置：${diff.settingsChanged.join('、')}`);
+    if (diff.sourceData.length > 0) changes.push(`修改${diff.sourceData.map(({ label }) => label).join('、')}`);
+    diff.properties.forEach(({ label, from, to }) => changes.push(`${label}：${from ?? '无'} → ${to ?? '无'}`));
+    return changes;
+}
+
+/**
+ * 渲染同步后的表头与前几行，新增的列标为绿色，删除的列标为红色
+ */
+function renderPreviewTable(sheet, diff, removeColumns) {
+    const columns = [
+        ...diff.columns.map(column => ({ ...column, status: column.sheetIndex === -1 ? 'inserted' : column.renamedFrom ? 'changed' : '' })),
+        ...diff.removed.map(column => ({ name: column.name, sheetIndex: column.sheetIndex, status: removeColumns ? 'deleted' : '' })),
+    ];
+    const table = $('<table></table>');
+    const headerRow = $('<tr></tr>');
+    columns.forEach(column => {
+        const th = $('<th class="table-edit-preview-cell"></th>').addClass(column.status);
+        if (column.renamedFrom) th.append($('<span class="table-edit-preview-old"></span>').text(column.renamedFrom), ' → ');
+        th.append($('<span></span>').text(column.name));
+        headerRow.append(th);
+    });
+    table.append(headerRow);
+    sheet.hashSheet.slice(1, PREVIEW_ROWS + 1).forEach(row => {
+        const tr = $('<tr></tr>');
+        columns.forEach(column => {
+            const value = column.sheetIndex === -1 ? '' : sheet.cells.get(row[column.sheetIndex])?.data.value ?? '';
+            tr.append($('<td class="table-edit-preview-cell"></td>').addClass(column.status).text(value));
+        });
+        table.append(tr);
+    });
+    const more = sheet.getRowCount() - 1 - PREVIEW_ROWS;
+    if (more > 0) table.append($('<tr></tr>').append($('<td></td>').attr('colspan', columns.length).text(`…… 另有 ${more} 行，数据会一并保留`)));
+    return table;
+}
+
+function renderPlan(plan) {
+    const { sheet, template, diff } = plan;
+    const item = $('<div class="table-edit-preview-item"></div>');
+    const enableCheckbox = $('<label class="checkbox_label"><input type="checkbox" checked><b></b></label>');
+    enableCheckbox.find('b').text(sheet.name === template.name ? sheet.name : `${sheet.name}（模板：${template.name}）`);
+    const changes = $('<ul class="template-sync-changes"></ul>');
+    describeDiff(diff).forEach(change => changes.append($('<li></li>').text(change)));
+    const tableContainer = $('<div></div>');
+    item.append(enableCheckbox, changes);
+
+    // 删除的列有内容时默认保留，避免误删数据
+    let removeCheckbox = null;
+    if (diff.removed.length > 0) {
+        const hasContent = diff.removed.some(column => column.filledCells > 0);
+        removeCheckbox = $('<label class="checkbox_label"><input type="checkbox"><span>删除模板中已删除的列（不勾选时保留在表格末尾）</span></label>');
+        removeCheckbox.find('input').prop('checked', !hasContent);
+        item.append(removeCheckbox);
+    }
+    item.append(tableContainer);
+
+    const render = () => {
+        plan.enabled = enableCheckbox.find('input').prop('checked');
+        plan.removeColumns = removeCheckbox?.find('input').prop('checked') ?? true;
+        item.toggleClass('disabled', !plan.enabled);
+        tableContainer.empty().append(renderPreviewTable(sheet, diff, plan.removeColumns));
+    };
+    item.find('input').on('change', render);
+    render();
+    return item;
+}
+
+/**
+ * 预览并将模板的结构修改同步到当前聊天中由其创建的表格
+ * @description 只修改当前聊天的表格，关闭弹窗后记录已提示过的修改，其他聊天在打开时再提示同步
+ * @param {string[]} templateUids 要同步的模板，默认为全部模板
+ * @param {{pendingOnly: boolean}} options pendingOnly 为 true 时只显示还未提示过的修改，没有时不提示
+ * @returns {Promise<boolean>} 是否同步了表格
+ */
+export async function openTemplateSyncPopup(templateUids = BASE.templates.map(template => template.uid), { pendingOnly = false } = {}) {
+    if (!USER.getChatPiece().piece) {
+        if (!pendingOnly) EDITOR.warning('表格数据没有记录载体，请聊过一轮后再试');
+        return false;
+    }
+    const plans = pendingOnly
+        ? findPendingTemplateSyncPlans().filter(plan => templateUids.includes(plan.template.uid))
+        : templateUids.flatMap(uid => {
+            const template = new BASE.SheetTemplate(uid);
+            return findDerivedSheets(template).map(sheet => ({ sheet, template, diff: diffSheetWithTemplate(sheet, template) }));
+        }).filter(plan => plan.diff.hasChanges);
+    if (plans.length === 0) {
+        if (!pendingOnly) EDITOR.info('当前聊天的表格与模板结构一致');
+        return false;
+    }
+
+    const container = $(`<div class="table-edit-preview">${previewStyle}${syncStyle}</div>`);
+    container.append($('<h3>同步模板修改</h3>'));
+    container.append($('<small></small>').text('以下表格由修改过的模板创建。同步后表格的列与提示词与模板一致，已有行的数据按列保留。'));
+    container.append($('<br>'), $('<small></small>').text('同步只修改当前聊天的表格，其他由这些模板创建表格的聊天会在打开时提示同步。'));
+    plans.forEach(plan => container.append(renderPlan(plan)));
+
+    const popup = new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.CONFIRM, '', { large: true, wide: true, allowVerticalScrolling: true, okButton: "同步", cancelButton: "取消" });
+    await popup.show();
+    // 取消或未勾选的修改不再在打开聊天时重复提示，仍可在模板编辑中手动同步
+    const skipped = popup.result ? plans.filter(plan => !plan.enabled) : plans;
+    EDITOR.tryBlock(() => markTemplateSyncSeen(skipped), "记录模板同步状态失败");
+    if (!popup.result) return false;
+
+    const selected = plans.filter(plan => plan.enabled);
+    if (selected.length === 0) return false;
+    const synced = EDITOR.tryBlock(() => {
+        applyTemplateSyncPlans(selected);
+        return true;
+    }, "同步模板修改失败");
+    if (!synced) return false;
+    EDITOR.success(`已同步 ${selected.length} 个表格`);
+    BASE.refreshContextView();
+    return true;
+}
+
+/**
+ * 打开聊天时提示同步还未处理过的模板修改
+ */
+export function offerTemplateSyncOnChatLoad() {
+    if (USER.tableBaseSetting.isExtensionAble === false) return
+    EDITOR.tryAsync(openTemplateSyncPopup, "记忆插件：检查模板修改失败", undefined, { pendingOnly: true })
+}
@@ -0,0 +1,180 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { isArchiveSheet } from '../runtime/sheetArchive.js';
+import {
+    exportSheetToLorebook,
+    getLorebookNames,
+    getUnlinkedLorebookEntries,
+    getWorldInfoLink,
+    importLorebookEntries,
+    isWorldInfoAvailable,
+} from '../runtime/worldInfoBridge.js';
+
+const worldInfoStyle = `
+<style>
+.world-info-bridge {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    text-align: left;
+}
+.world-info-bridge-row {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 5px 10px;
+}
+.world-info-bridge-row select {
+    width: auto;
+    margin: 0;
+}
+.world-info-bridge-entries {
+    max-height: 300px;
+    overflow-y: auto;
+}
+</style>
+`;
+
+function columnCheckboxes(sheet, selectedUids) {
+    const element = $('<div class="world-info-bridge-row"></div>');
+    sheet.getHeader().forEach((name, index) => {
+        const uid = sheet.hashSheet[0][index + 1];
+        const label = $('<label class="checkbox_label"><input type="checkbox"><span></span></label>');
+        label.find('input').attr('data-uid', uid).prop('checked', selectedUids.includes(uid));
+        label.find('span').text(name);
+        element.append(label);
+    });
+    return element;
+}
+
+function checkedUids(element) {
+    return element.find('input:checked').map((_, input) => $(input).attr('data-uid')).get();
+}
+
+function columnSelect(sheet, selectedIndex) {
+    const select = $('<select></select>');
+    sheet.getHeader().forEach((name, index) => select.append($('<option></option>').val(index + 1).text(name)));
+    return select.val(String(selectedIndex));
+}
+
+function renderEntryList(element, entries) {
+    element.empty();
+    if (entries.length === 0) {
+        element.append($('<small></small>').text('该世界书中没有未关联的条目'));
+        return;
+    }
+    entries.forEach((entry, index) => {
+        const label = $('<label class="checkbox_label"><input type="checkbox" checked><span></span></label>');
+        label.find('input').attr('data-index', index);
+        label.find('span').text(`${entry.comment || `#${entry.uid}`}（${(entry.keys ?? []).join('、') || '无关键词'}）`);
+        element.append(label);
+    });
+}
+
+/**
+ * 渲染所选表格的导出与导入选项
+ */
+function renderSheetOptions(element, sheet, getBook, state) {
+    element.empty();
+    const link = getWorldInfoLink(sheet);
+    const linkedCount = Object.keys(link.links).length;
+
+    // 导出
+    element.append($('<h4>导出到世界书</h4>'));
+    element.append($('<small style="display: block;"></small>').text(`每行生成一个条目，关键词由关键词列的值按逗号、顿号、斜杠等拆分得到。${linkedCount > 0 ? `已有 ${linkedCount} 行关联了「${link.book}」中的条目，再次导出时会更新这些条目。` : ''}`));
+    const keyColumns = columnCheckboxes(sheet, link.keyColumns);
+    const contentColumns = columnCheckboxes(sheet, link.contentColumns);
+    const removeStale = $('<label class="checkbox_label"><input type="checkbox"><span>删除已被删除的行对应的条目</span></label>');
+    const exportButton = $('<div class="menu_button menu_button_icon"><i class="fa-solid fa-file-export"></i>导出到世界书</div>');
+    element.append($('<b>关键词列</b>'), keyColumns, $('<b>内容列</b>'), contentColumns, removeStale, exportButton);
+    exportButton.on('click', () => EDITOR.tryAsync(async () => {
+        const result = await exportSheetToLorebook(sheet, {
+            book: getBook(),
+            keyColumns: checkedUids(keyColumns),
+            contentColumns: checkedUids(contentColumns),
+            removeStale: removeStale.find('input').prop('checked'),
+        });
+        EDITOR.success(`新建 ${result.created} 个条目，更新 ${result.updated} 个，未变化 ${result.unchanged} 个${result.removed ? `，删除 ${result.removed} 个` : ''}${result.skipped ? `，${result.skipped} 行没有关键词已跳过` : ''}`);
+        renderSheetOptions(element, sheet, getBook, state);
+    }, "导出到世界书失败"));
+
+    // 导入
+    element.append($('<h4>从世界书导入</h4>'));
+    const keyColumn = columnSelect(sheet, 1);
+    const contentColumn = columnSelect(sheet, Math.min(2, sheet.getHeader().length));
+    const loadButton = $('<div class="menu_button menu_button_icon"><i class="fa-solid fa-book-open"></i>读取条目</div>');
+    const entryList = $('<div class="world-info-bridge-entries"></div>');
+    const importButton = $('<div class="menu_button menu_button_icon"><i class="fa-solid fa-file-import"></i>导入所选条目</div>').hide();
+    element.append(
+        $('<div class="world-info-bridge-row"></div>').append($('<label>关键词写入</label>'), keyColumn, $('<label>内容写入</label>'), contentColumn, loadButton),
+        entryList,
+        importButton,
+    );
+    let entries = [];
+    loadButton.on('click', () => EDITOR.tryAsync(async () => {
+        entries = await getUnlinkedLorebookEntries(sheet, getBook());
+        renderEntryList(entryList, entries);
+        importButton.toggle(entries.length > 0);
+    }, "读取世界书失败"));
+    importButton.on('click', () => EDITOR.tryBlock(() => {
+        const selected = entryList.find('input:checked').map((_, input) => entries[Number($(input).attr('data-index'))]).get();
+        if (selected.length === 0) return EDITOR.warning('没有选择要导入的条目');
+        const imported = importLorebookEntries(sheet, getBook(), selected, { keyColumn: Number(keyColumn.val()), contentColumn: Number(contentColumn.val()) });
+        state.imported = true;
+        EDITOR.success(`已导入 ${imported} 行`);
+        renderSheetOptions(element, sheet, getBook, state);
+    }, "从世界书导入失败"));
+}
+
+/**
+ * 打开表格与世界书同步的弹窗
+ * @returns {Promise<boolean>} 是否向表格导入了条目
+ */
+export async function openWorldInfoBridgePopup() {
+    if (!isWorldInfoAvailable()) {
+        EDITOR.error('读写世界书需要安装并启用酒馆助手（JS-Slash-Runner）');
+        return false;
+    }
+    const sheets = (DERIVED.any.renderingSheets ?? []).filter(sheet => sheet.enable && !isArchiveSheet(sheet));
+    if (sheets.length === 0) {
+        EDITOR.warning('当前对话没有可同步的表格');
+        return false;
+    }
+    const books = await EDITOR.tryAsync(getLorebookNames, "读取世界书列表失败");
+    if (!books) return false;
+    if (books.length === 0) {
+        EDITOR.warning('没有可用的世界书，请先在酒馆中创建世界书');
+        return false;
+    }
+
+    const container = $(`
+<div class="world-info-bridge">
+    ${worldInfoStyle}
+    <h3>与世界书同步</h3>
+    <div class="world-info-bridge-row">
+        <label>表格</label>
+        <select class="world-info-bridge-sheet"></select>
+        <label>世界书</label>
+        <select class="world-info-bridge-book"></select>
+    </div>
+    <div class="world-info-bridge-options"></div>
+</div>`);
+    const sheetSelect = container.find('.world-info-bridge-sheet');
+    const bookSelect = container.find('.world-info-bridge-book');
+    const options = container.find('.world-info-bridge-options');
+    sheets.forEach((sheet, index) => sheetSelect.append($('<option></option>').val(index).text(sheet.name)));
+    books.forEach(book => bookSelect.append($('<option></option>').val(book).text(book)));
+
+    const state = { imported: false };
+    const render = () => {
+        const sheet = sheets[Number(sheetSelect.val())];
+        const { book } = getWorldInfoLink(sheet);
+        if (books.includes(book)) bookSelect.val(book);
+        renderSheetOptions(options, sheet, () => bookSelect.val(), state);
+    };
+    sheetSelect.on('change', render);
+    render();
+
+    const popup = new EDITOR.Popup(container[0], EDITOR.POPUP_TYPE.TEXT, '', { large: true, wide: true, allowVerticalScrolling: true });
+    await popup.show();
+    return state.imported;
+}
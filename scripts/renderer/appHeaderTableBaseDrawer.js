@@ -1,6 +1,7 @@
 import {DERIVED, EDITOR, SYSTEM, USER} from "../../core/manager.js";
 import {getChatSheetsView} from "../editor/chatSheetsDataView.js";
 import {getEditView, updateTableContainerPosition} from "../editor/tableTemplateEditView.js";
+import {getTableTimelineView, refreshTableTimelineView} from "../editor/tableTimeline.js";
 
 // 全局变量定义 (保持不变)
 let tableDrawer = null;
@@ -9,6 +10,7 @@ let tableDrawerContent = null;
 let appHeaderTableContainer = null;
 let databaseButton = null;
 let editorButton = null;
+let timelineButton = null;
 let settingButton = null;
 let inlineDrawerHeaderContent = null;
 let tableDrawerContentHeader = null;
@@ -21,6 +23,7 @@ let settingContainer = null;
 let databaseContentDiv = null;
 let editorContentDiv = null;
 let settingContentDiv = null;
+let timelineContentDiv = null;
 
 const timeOut = 200;
 const easing = 'easeInOutCubic';
@@ -38,6 +41,7 @@ function updateButtonStates(selectedButton) {
     }
     databaseButton.css('opacity', '0.5');
     editorButton.css('opacity', '0.5');
+    timelineButton.css('opacity', '0.5');
     settingButton.css('opacity', '0.5');
     selectedButton.css('opacity', '1');
     currentActiveButton = selectedButton;
@@ -59,6 +63,7 @@ export async function initAppHeaderTableDrawer() {
     appHeaderTableContainer = $('#app_header_table_container');
     databaseButton = $('#database_button');
     editorButton = $('#editor_button');
+    timelineButton = $('#timeline_button');
     settingButton = $('#setting_button');
     inlineDrawerHeaderContent = $('#inline_drawer_header_content');
     tableDrawerContentHeader = $('#table_drawer_content_header');
@@ -85,16 +90,19 @@ export async function initAppHeaderTableDrawer() {
     databaseContentDiv = $(`<div id="database-content" style="width: 100%; height: 100%; overflow: hidden;"></div>`).append(tableViewDom);
     editorContentDiv = $(`<div id="editor-content" style="width: 100%; height: 100%; display: none; overflow: hidden;"></div>`).append(tableEditDom);
     settingContentDiv = $(`<div id="setting-content" style="width: 100%; height: 100%; display: none; overflow: hidden;"></div>`).append(settingContainer);
+    timelineContentDiv = $(`<div id="timeline-content" style="width: 100%; height: 100%; display: none; overflow: hidden;"></div>`).append(getTableTimelineView());
 
     // 将所有内容容器添加到 appHeaderTableContainer 中 (只执行一次)
     appHeaderTableContainer.append(databaseContentDiv);
     appHeaderTableContainer.append(editorContentDiv);
     appHeaderTableContainer.append(settingContentDiv);
+    appHeaderTableContainer.append(timelineContentDiv);
 
     // 初始时显示数据库内容 (只执行一次)
     databaseContentDiv.show(); // 直接使用缓存的对象
     editorContentDiv.hide();   // 直接使用缓存的对象
     settingContentDiv.hide();  // 直接使用缓存的对象
+    timelineContentDiv.hide();
 
     // 初始化按钮状态 (只执行一次)
     updateButtonStates(databaseButton);
@@ -117,6 +125,14 @@ export async function initAppHeaderTableDrawer() {
         }
     });
 
+    timelineButton.on('click', function() {
+        if (updateButtonStates(timelineButton)) {
+            // 每次打开时间线时重新读取聊天中的表格数据
+            refreshTableTimelineView();
+            switchContent(timelineContentDiv);
+        }
+    });
+
     settingButton.on('click', function() {
         if (updateButtonStates(settingButton)) {
             switchContent(settingContentDiv); // 传入缓存的 jQuery 对象
@@ -172,6 +188,8 @@ export async function openAppHeaderTableDrawer(target = undefined) {
                 settingButton.trigger('click');
             } else if (target === 'editor') {
                 editorButton.trigger('click');
+            } else if (target === 'timeline') {
+                timelineButton.trigger('click');
             }
         }
     } else {
@@ -1,106 +1,18 @@
 // absoluteRefresh.js
 import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
-import { findTableStructureByIndex, convertOldTablesToNewSheets, executeTableEditActions, getTableEditTag } from "../../index.js";
-import { insertRow, updateRow, deleteRow } from "../../core/table/oldTableActions.js";
+import { convertOldTablesToNewSheets, executeTableEditActions, applyTableEditActions, getTableEditTag } from "../../index.js";
 import JSON5 from '../../utils/json5.min.mjs'
 import { updateSystemMessageTableStatus } from "../renderer/tablePushToChat.js";
 import { TableTwoStepSummary } from "./separateTableUpdate.js";
-import { estimateTokenCount, handleCustomAPIRequest, handleMainAPIRequest } from "../settings/standaloneAPI.js";
+import { customApiCall, estimateTokenCount, handleCustomAPIRequest, handleMainAPIRequest } from "../settings/standaloneAPI.js";
 import { profile_prompts } from "../../data/profile_prompts.js";
 import { refreshContextView } from "../editor/chatSheetsDataView.js";
 import { Form } from '../../components/formManager.js';
 import {refreshRebuildTemplate} from "../settings/userExtensionSetting.js"
-
-// 在解析响应后添加验证
-function validateActions(actions) {
-    if (!Array.isArray(actions)) {
-        console.error('操作列表必须是数组');
-        return false;
-    }
-    return actions.every(action => {
-        // 检查必要字段
-        if (!action.action || !['insert', 'update', 'delete'].includes(action.action.toLowerCase())) {
-            console.error(`无效的操作类型: ${action.action}`);
-            return false;
-        }
-        if (typeof action.tableIndex !== 'number') {
-            console.error(`tableIndex 必须是数字: ${action.tableIndex}`);
-            return false;
-        }
-        if (action.action !== 'insert' && typeof action.rowIndex !== 'number') {
-            console.error(`rowIndex 必须是数字: ${action.rowIndex}`);
-            return false;
-        }
-        // 检查 data 字段
-        if (action.data && typeof action.data === 'object') {
-            const invalidKeys = Object.keys(action.data).filter(k => !/^\d+$/.test(k));
-            if (invalidKeys.length > 0) {
-                console.error(`发现非数字键: ${invalidKeys.join(', ')}`);
-                return false;
-            }
-        }
-        return true;
-    });
-}
-
-function confirmTheOperationPerformed(content) {
-    console.log('content:', content);
-    return `
-<div class="wide100p padding5 dataBankAttachments">
-    <div class="refresh-title-bar">
-        <h2 class="refresh-title"> 请确认以下操作 </h2>
-        <div>
-
-        </div>
-    </div>
-    <div id="tableRefresh" class="refresh-scroll-content">
-        <div>
-            <div class="operation-list-container"> ${content.map(table => {
-        return `
-<h3 class="operation-list-title">${table.tableName}</h3>
-<div class="operation-list">
-    <table class="tableDom sheet-table">
-        <thead>
-            <tr>
-                ${table.columns.map(column => `<th>${column}</th>`).join('')}
-            </tr>
-        </thead>
-        <tbody>
-            ${table.content.map(row => `
-            <tr>
-                ${row.map(cell => `<td>${cell}</td>`).join('')}
-            </tr>
-            `).join('')}
-        </tbody>
-    </table>
-</div>
-<hr>
-`;
-    }).join('')}
-            </div>
-        </div>
-    </div>
-</div>
-
-<style>
-    .operation-list-title {
-        text-align: left;
-        margin-top: 10px;
-    }
-    .operation-list-container {
-        display: flex;
-        flex-wrap: wrap;
-    }
-    .operation-list {
-        width: 100%;
-        max-width: 100%;
-        overflow: auto;
-    }
-</style>
-`;
-}
-
-
+import { CellSource } from "../../core/table/cell.js";
+import { diffSheets, matchSheetRows, tableToSheetRows } from "../../core/table/sheetDiff.js";
+import { openSheetMergePopup } from "../editor/sheetMergeView.js";
+import { TableEditProtocol, TableEditProtocolLabel, buildTableEditSchema, getStructuredEditPrompt, getStructuredRequestOptions, parseStructuredTableEdit, resolveTableEditProtocol } from "./structuredTableEdit.js";
 
 /**
  * 初始化表格刷新类型选择器
@@ -407,24 +319,39 @@ export async function rebuildTableActions(force = false, silentUpdate = USER.tab
                     table.tableName = oldTable[index].tableName
                 });
 
-                // 如果不是静默更新，显示操作确认
+                // 如果不是静默更新，逐行确认保留旧表还是采用新表
                 if (!silentUpdate) {
-                    // 将uniqueActions内容推送给用户确认是否继续
-                    const confirmContent = confirmTheOperationPerformed(clonedTables);
-                    const tableRefreshPopup = new EDITOR.Popup(confirmContent, EDITOR.POPUP_TYPE.TEXT, '', { okButton: "继续", cancelButton: "取消" });
+                    // 以请求前的表格为原始版本，与当前表格（等待期间可能被修改）和重整理结果进行三方合并
+                    const currentTables = sheetsToTables(latestTables);
+                    const mergeTables = clonedTables.map((table, index) => ({
+                        name: table.tableName,
+                        header: table.columns,
+                        base: tableToSheetRows(oldTable[index]),
+                        ours: tableToSheetRows(currentTables[index] ?? oldTable[index]),
+                        theirs: tableToSheetRows(table),
+                        keyColumns: latestTables[index]?.getKeyColumnIndexes().map(colIndex => colIndex - 1) ?? [],
+                    }));
                     EDITOR.clear();
-                    await tableRefreshPopup.show();
-                    if (!tableRefreshPopup.result) {
+                    const mergedContents = await openSheetMergePopup(mergeTables, { title: '请确认重整理结果', okButton: '继续' });
+                    if (!mergedContents) {
                         EDITOR.info('操作已取消');
                         return;
                     }
+                    clonedTables.forEach((table, index) => table.content = mergedContents[index]);
                 }
 
+                // 锁定的行与单元格不允许被重整理修改或删除
+                clonedTables.forEach((table, index) => {
+                    if (latestTables[index]) enforceTableLocks(latestTables[index], table);
+                });
+
                 // 更新聊天记录
                 const chat = USER.getContext().chat;
                 const {piece} = USER.getChatPiece()
                 if (piece) {
-                    convertOldTablesToNewSheets(clonedTables, piece)
+                    // 表格以事务方式重建，失败时所有表格恢复原状并抛出异常
+                    const provenance = { source: CellSource.rebuild, template: template.name ?? select, ...getApiProvenance(isUseMainAPI) }
+                    BASE.runWithCellProvenance(provenance, () => convertOldTablesToNewSheets(clonedTables, piece))
                     await USER.getContext().saveChat(); // 等待保存完成
                 } else {
                     throw new Error("聊天记录为空");
@@ -458,250 +385,6 @@ export async function rebuildTableActions(force = false, silentUpdate = USER.tab
     }
 }
 
-export async function refreshTableActions(force = false, silentUpdate = false, chatToBeUsed = '') {
-    if (!SYSTEM.lazy('refreshTableActions', 1000)) return;
-
-    // // 如果不是强制刷新，先确认是否继续
-    // if (!force) {
-    //     // 显示配置状态
-    //     const tableRefreshPopup = getRefreshTableConfigStatus();
-    //     const confirmation = await EDITOR.callGenericPopup(tableRefreshPopup, EDITOR.POPUP_TYPE.CONFIRM, '', { okButton: "继续", cancelButton: "取消" });
-    //     if (!confirmation) return;
-    // }
-
-    // 开始执行整理表格
-    const twoStepIsUseMainAPI = $('#step_by_step_use_main_api').prop('checked');
-
-    try {
-        const { piece } = BASE.getLastSheetsPiece();
-        if (!piece) {
-            throw new Error('findLastestTableData 未返回有效的表格数据');
-        }
-        const latestTables = BASE.hashSheetsToSheets(piece.hash_sheets);
-        DERIVED.any.waitingTable = latestTables;
-
-        let originText = '<表格内容>\n' + latestTables
-            .map((table, index) => table.getTableText(index, ['title', 'node', 'headers', 'rows']))
-            .join("\n");
-
-        // 获取最近clear_up_stairs条聊天记录
-        let chat = USER.getContext().chat;
-        const lastChats = chatToBeUsed === '' ? await getRecentChatHistory(chat, USER.tableBaseSetting.clear_up_stairs, USER.tableBaseSetting.ignore_user_sent) : chatToBeUsed;
-
-        // 构建AI提示
-        let systemPrompt = USER.tableBaseSetting.refresh_system_message_template;
-        let userPrompt = USER.tableBaseSetting.refresh_user_message_template;
-
-        // 搜索systemPrompt中的$0和$1字段，将$0替换成originText，将$1替换成lastChats
-        systemPrompt = systemPrompt.replace(/\$0/g, originText);
-        systemPrompt = systemPrompt.replace(/\$1/g, lastChats);
-
-        // 搜索userPrompt中的$0和$1字段，将$0替换成originText，将$1替换成lastChats
-        userPrompt = userPrompt.replace(/\$0/g, originText);
-        userPrompt = userPrompt.replace(/\$1/g, lastChats);
-
-        // 生成响应内容
-        let rawContent;
-        if (twoStepIsUseMainAPI) {
-            try {
-                rawContent = await handleMainAPIRequest(systemPrompt, userPrompt);
-                if (rawContent === 'suspended') {
-                    EDITOR.info('操作已取消');
-                    return 'suspended'
-                }
-            } catch (error) {
-                EDITOR.error('主API请求错误: ' + error.message);
-            }
-        }
-        else {
-            try {
-                rawContent = await handleCustomAPIRequest(systemPrompt, userPrompt);
-                if (rawContent === 'suspended') {
-                    EDITOR.info('操作已取消');
-                    return 'suspended'
-                }
-            } catch (error) {
-                EDITOR.error('自定义API请求错误: ' + error.message);
-            }
-        }
-
-        //统一清洗
-        let cleanContent = cleanApiResponse(rawContent);
-
-        // 解析响应内容
-        let actions;
-        try {
-            // 增强清洗逻辑
-            cleanContent = cleanContent
-                // 时间格式保护（最先处理！！！！！）
-                .replace(/(?<!")(\d{1,2}:\d{2})(?!")/g, '"$1"') // 使用负向断言确保不会重复处理
-                // 统一键名处理
-                .replace(/"([a-zA-Z_]\w*)"\s*:/g, '"$1":') // 仅处理合法键名格式
-                // 尾逗号修复
-                .replace(/,\s*([}\]])/g, '$1')
-                // 数字键处理（需在时间处理后执行）
-                .replace(/([{,]\s*)(\d+)(\s*:)/g, '$1"$2"$3')
-                // 其他处理
-                .replace(/\\\//g, '/')
-                .replace(/\/\/.*/g, ''); // 行注释移除
-
-            // 安全校验
-            if (!cleanContent || typeof cleanContent !== 'string') {
-                throw new Error('无效的响应内容');
-            }
-
-            actions = JSON5.parse(cleanContent);
-            if (!validateActions(actions)) {
-                throw new Error('AI返回了无效的操作格式');
-            }
-        } catch (parseError) {
-            // 添加错误位置容错处理
-            const position = parseError.position || 0;
-            console.error('[解析错误] 详细日志：', {
-                rawContent: cleanContent,
-                errorPosition: parseError.stack,
-                previewText: cleanContent.slice(
-                    Math.max(0, position - 50),
-                    position + 50
-                )
-            });
-            throw new Error(`JSON解析失败：${parseError.message}`);
-        }
-        console.log('清洗后的内容:', cleanContent);
-
-        // 去重并确保删除操作顺序
-        let uniqueActions = [];
-        const deleteActions = [];
-        const nonDeleteActions = [];
-        // 分离删除和非删除操作
-        actions.forEach(action => {
-            if (action.action.toLowerCase() === 'delete') {
-                deleteActions.push(action);
-            } else {
-                nonDeleteActions.push(action);
-            }
-        });
-
-        // 去重非删除操作，考虑表格现有内容
-        const uniqueNonDeleteActions = nonDeleteActions.filter((action, index, self) => {
-            if (action.action.toLowerCase() === 'insert') {
-                const table = DERIVED.any.waitingTable[action.tableIndex];
-
-                // 容错
-                if (!table) {
-                    console.warn(`表索引 ${action.tableIndex} 无效，跳过操作:`, action);
-                    return;
-                }
-                if (!table.content || !Array.isArray(table.content)) {
-                    const tableNameForLog = table.tableName ? `(名称: ${table.tableName})` : '';
-                    console.warn(`表索引 ${action.tableIndex} ${tableNameForLog} 的 'content' 属性无效或不是数组。将初始化为空数组。原始 'content':`, table.content);
-                    table.content = [];
-                }
-
-
-                const dataStr = JSON.stringify(action.data);
-                // 检查是否已存在完全相同的行
-                const existsInTable = table.content.some(row => JSON.stringify(row) === dataStr);
-                const existsInPreviousActions = self.slice(0, index).some(a =>
-                    a.action.toLowerCase() === 'insert' &&
-                    a.tableIndex === action.tableIndex &&
-                    JSON.stringify(a.data) === dataStr
-                );
-                return !existsInTable && !existsInPreviousActions;
-            }
-            return index === self.findIndex(a =>
-                a.action === action.action &&
-                a.tableIndex === action.tableIndex &&
-                a.rowIndex === action.rowIndex &&
-                JSON.stringify(a.data) === JSON.stringify(action.data)
-            );
-        });
-
-        // 去重删除操作并按 rowIndex 降序排序
-        const uniqueDeleteActions = deleteActions
-            .filter((action, index, self) =>
-                index === self.findIndex(a => (
-                    a.tableIndex === action.tableIndex &&
-                    a.rowIndex === action.rowIndex
-                ))
-            )
-            .sort((a, b) => b.rowIndex - a.rowIndex); // 降序排序，确保大 rowIndex 先执行
-
-        // 合并操作：先非删除，后删除
-        uniqueActions = [...uniqueNonDeleteActions, ...uniqueDeleteActions];
-
-        // 如果不是静默更新，显示操作确认
-        if (!silentUpdate) {
-            // 将uniqueActions内容推送给用户确认是否继续
-            const confirmContent = confirmTheOperationPerformed(uniqueActions);
-            const tableRefreshPopup = new EDITOR.Popup(confirmContent, EDITOR.POPUP_TYPE.TEXT, '', { okButton: "继续", cancelButton: "取消" });
-            EDITOR.clear();
-            await tableRefreshPopup.show();
-            if (!tableRefreshPopup.result) {
-                EDITOR.info('操作已取消');
-                return;
-            }
-        }
-
-        // 处理用户确认的操作
-        // 执行操作
-        uniqueActions.forEach(action => {
-            switch (action.action.toLowerCase()) {
-                case 'update':
-                    try {
-                        const targetRow = DERIVED.any.waitingTable[action.tableIndex].content[action.rowIndex];
-                        if (!targetRow || !targetRow[0]?.trim()) {
-                            console.log(`Skipped update: table ${action.tableIndex} row ${action.rowIndex} 第一列为空`);
-                            break;
-                        }
-                        updateRow(action.tableIndex, action.rowIndex, action.data);
-                        console.log(`Updated: table ${action.tableIndex}, row ${action.rowIndex}`, DERIVED.any.waitingTable[action.tableIndex].content[action.rowIndex]);
-                    } catch (error) {
-                        console.error(`Update操作失败: ${error.message}`);
-                    }
-                    break;
-                case 'insert':
-                    const requiredColumns = findTableStructureByIndex(action.tableIndex)?.columns || [];
-                    const isDataComplete = requiredColumns.every((_, index) => action.data.hasOwnProperty(index.toString()));
-                    if (!isDataComplete) {
-                        console.error(`插入失败：表 ${action.tableIndex} 缺少必填列数据`);
-                        break;
-                    }
-                    insertRow(action.tableIndex, action.data);
-                    break;
-                case 'delete':
-                    if (action.tableIndex === 0 || !USER.tableBaseSetting.bool_ignore_del) {
-                        const deletedRow = DERIVED.any.waitingTable[action.tableIndex].content[action.rowIndex];
-                        deleteRow(action.tableIndex, action.rowIndex);
-                        console.log(`Deleted: table ${action.tableIndex}, row ${action.rowIndex}`, deletedRow);
-                    } else {
-                        console.log(`Ignore: table ${action.tableIndex}, row ${action.rowIndex}`);
-                    }
-                    break;
-            }
-        });
-
-        if (USER.tableBaseSetting.bool_ignore_del) {
-            EDITOR.success('删除保护启用，已忽略了删除操作（可在插件设置中修改）');
-        }
-
-        // 更新聊天数据
-        chat = USER.getContext().chat[USER.getContext().chat.length - 1];
-        chat.dataTable = DERIVED.any.waitingTable;
-        USER.getContext().saveChat();
-        // 刷新 UI
-        const tableContainer = document.querySelector('#tableContainer');
-        refreshContextView();
-        updateSystemMessageTableStatus()
-        EDITOR.success('表格总结完成');
-    } catch (error) {
-        console.error('总结过程出错:', error);
-        EDITOR.error(`总结失败：${error.message}`);
-    } finally {
-
-    }
-}
-
 export async function rebuildSheets() {
     const container = document.createElement('div');
     console.log('测试开始');
@@ -821,6 +504,14 @@ export async function rebuildSheets() {
 
 
 
+/**
+ * 获取本次请求所用 API 的来源信息，记录到新单元格中
+ * @param {boolean} useMainAPI 是否使用主API
+ */
+function getApiProvenance(useMainAPI) {
+    return useMainAPI ? { api: 'main' } : { api: 'custom', model: USER.IMPORTANT_USER_PRIVACY_DATA.custom_model_name }
+}
+
 // 将Table数组序列化为字符串
 function tablesToString(sheets) {
     return JSON.stringify(sheetsToTables(sheets));
@@ -853,8 +544,65 @@ function tableDataToTables(tablesData) {
     });
 }
 
+/**
+ * 将锁定的内容写回重整理生成的表格
+ * @description 锁定的行按主键或内容相似度与新表格的行匹配，被修改的锁定单元格恢复原值，被删除的锁定行重新插入，被拒绝的修改记录至调试日志
+ * @description 结果中的 lockedRows（行序号）与 lockedCells（`行序号-列序号`）供 convertOldTablesToNewSheets 重新标记锁定
+ * @param {Sheet} sheet 重整理前的表格
+ * @param {{tableName: string, content: string[][]}} table 重整理生成的表格
+ */
+function enforceTableLocks(sheet, table) {
+    table.lockedRows = [];
+    table.lockedCells = [];
+    const locks = sheet.getLocks();
+    if (locks.rows.length === 0 && locks.cells.length === 0) return;
+
+    const oldContent = sheet.getContent();
+    const lockedColumns = new Map(locks.rows.map(rowIndex => [rowIndex, null]));
+    locks.cells.forEach(([rowIndex, colIndex]) => {
+        if (!lockedColumns.has(rowIndex)) lockedColumns.set(rowIndex, []);
+        lockedColumns.get(rowIndex).push(colIndex);
+    });
+    const keyColumns = sheet.getKeyColumnIndexes().map(colIndex => colIndex - 1);
+    const matches = matchSheetRows(oldContent.map(values => ({ values })), table.content.map(values => ({ values })), { keyColumns });
+    const newIndexByOld = new Map([...matches].map(([newIndex, oldIndex]) => [oldIndex, newIndex]));
+    const newRows = table.content.slice();
+    const rejected = [];
+
+    [...lockedColumns.keys()].sort((a, b) => a - b).forEach(rowIndex => {
+        const oldValues = oldContent[rowIndex - 1];
+        const columns = lockedColumns.get(rowIndex);
+        const newIndex = newIndexByOld.get(rowIndex - 1);
+        let row;
+        if (newIndex === undefined) {
+            // 锁定的行被删除：按原位置重新插入
+            row = oldValues.slice();
+            newRows.splice(Math.min(rowIndex - 1, newRows.length), 0, row);
+            rejected.push(`第${rowIndex - 1}行被删除`);
+        } else {
+            row = table.content[newIndex];
+            (columns ?? oldValues.map((_, colIndex) => colIndex + 1)).forEach(colIndex => {
+                if ((row[colIndex - 1] ?? '') === (oldValues[colIndex - 1] ?? '')) return;
+                row[colIndex - 1] = oldValues[colIndex - 1];
+                rejected.push(`第${rowIndex - 1}行第${colIndex - 1}列被修改`);
+            });
+        }
+        if (columns) columns.forEach(colIndex => table.lockedCells.push({ row, colIndex }));
+        else table.lockedRows.push(row);
+    });
+
+    table.content = newRows;
+    table.lockedRows = table.lockedRows.map(row => newRows.indexOf(row));
+    table.lockedCells = table.lockedCells.map(({ row, colIndex }) => `${newRows.indexOf(row)}-${colIndex - 1}`);
+    if (rejected.length > 0) {
+        EDITOR.warning('已拒绝修改锁定的内容', `${sheet.name}：${rejected.join('，')}`);
+        console.warn("重整理时拒绝修改锁定的内容", sheet.name, rejected);
+    }
+}
+
 /**
  * 标记表格变动的内容，用于render时标记颜色
+ * @description 行按内容相似度与旧表格匹配，因此行的顺序变化不会被标记为修改
  * @param {*} oldTables
  * @param {*} newTables  *
  */
@@ -862,27 +610,15 @@ function compareAndMarkChanges(oldTables, newTables) {
     console.log("标记变动：", oldTables, newTables);
     newTables.forEach((newTable, tableIndex) => {
         const oldTable = oldTables[tableIndex];
-        newTable.insertedRows = [];
-        newTable.updatedRows = [];
-
-        // 标记新增行（过滤空行）
-        newTable.content.filter(Boolean).forEach((_, rowIndex) => {
-            if (rowIndex >= oldTable.content.filter(Boolean).length) {
-                newTable.insertedRows.push(rowIndex);
-            }
-        });
-
-        // 标记更新单元格（只比较有效行）
-        oldTable.content.filter(Boolean).forEach((oldRow, rowIndex) => {
-            const newRow = newTable.content[rowIndex];
-            if (newRow) {
-                oldRow.forEach((oldCell, colIndex) => {
-                    if (newRow[colIndex] !== oldCell) {
-                        newTable.updatedRows.push(`${rowIndex}-${colIndex}`);
-                    }
-                });
-            }
-        });
+        newTable.content = (newTable.content ?? []).filter(Boolean);
+        if (!oldTable) {
+            newTable.insertedRows = newTable.content.map((_, rowIndex) => rowIndex);
+            newTable.updatedRows = [];
+            return;
+        }
+        const diff = diffSheets(tableToSheetRows(oldTable), tableToSheetRows(newTable));
+        newTable.insertedRows = diff.insertedIndexes;
+        newTable.updatedRows = diff.changed.flatMap(row => row.cells.map(cell => `${row.rowIndex}-${cell.colIndex}`));
     });
 }
 
@@ -1592,6 +1328,13 @@ export async function executeIncrementalUpdateFromSummary(
             content: replacePlaceholders(msg.content)
         }));
 
+        // 结构化输出模式下，根据当前表格生成编辑操作的 JSON Schema，并要求模型只输出 JSON
+        const editSheets = BASE.getChatSheets().filter(sheet => sheet.enable);
+        const { protocol: editProtocol, conflict } = resolveTableEditProtocol(editSheets, BASE.templates, USER.tableBaseSetting.step_by_step_edit_protocol ?? TableEditProtocol.tableEdit);
+        if (conflict) EDITOR.warning('表格对应的模板指定了不同的填表指令格式，本次使用默认格式', TableEditProtocolLabel[editProtocol]);
+        const structuredSchema = editProtocol === TableEditProtocol.tableEdit ? null : buildTableEditSchema(editSheets);
+        if (structuredSchema) processedMessages.push({ role: 'system', content: getStructuredEditPrompt(structuredSchema) });
+
         // 将处理后的完整消息数组传递给API请求处理函数
         systemPromptForApi = processedMessages;
         userPromptForApi = null; // 在这种情况下，userPromptForApi 不再需要
@@ -1631,7 +1374,10 @@ export async function executeIncrementalUpdateFromSummary(
             }
         } else { // Using Custom API
             try {
-                rawContent = await handleCustomAPIRequest(systemPromptForApi, userPromptForApi, true, isSilentMode);
+                // 自定义API可直接传递 Schema，主API只能通过提示词要求输出 JSON
+                rawContent = structuredSchema
+                    ? await customApiCall(systemPromptForApi, userPromptForApi, isSilentMode, false, null, getStructuredRequestOptions(structuredSchema, editProtocol))
+                    : await handleCustomAPIRequest(systemPromptForApi, userPromptForApi, true, isSilentMode);
                 if (rawContent === 'suspended') {
                     EDITOR.info('操作已取消 (自定义API)');
                     return 'suspended';
@@ -1647,20 +1393,35 @@ export async function executeIncrementalUpdateFromSummary(
             return 'error';
         }
         
+        // 结构化输出模式下优先按 JSON 解析，模型仍返回 <tableEdit> 标签时按原方式处理
+        const structured = structuredSchema ? parseStructuredTableEdit(rawContent) : null;
+        if (structured) {
+            structured.errors.forEach(error => EDITOR.warning('已跳过无效的表格编辑操作', error));
+            if (structured.actions.length === 0) {
+                EDITOR.info("AI未返回任何有效的表格编辑操作，表格内容未发生变化。");
+                return 'success';
+            }
+        }
+
         // **核心修复**: 使用与常规填表完全一致的 getTableEditTag 函数来提取指令
-        const { matches } = getTableEditTag(rawContent);
+        const { matches } = structured ? { matches: [] } : getTableEditTag(rawContent);
 
-        if (!matches || matches.length === 0) {
+        if (!structured && (!matches || matches.length === 0)) {
             EDITOR.info("AI未返回任何有效的<tableEdit>操作指令，表格内容未发生变化。");
             return 'success';
         }
 
         try{
-            // 将提取到的、未经修改的原始指令数组传递给执行器
-            executeTableEditActions(matches, referencePiece)
+            const provenance = { source: CellSource.stepByStep, protocol: editProtocol, ...getApiProvenance(useMainAPI) }
+            if (structured) {
+                await applyTableEditActions(structured.actions, provenance)
+            } else {
+                // 将提取到的、未经修改的原始指令数组传递给执行器
+                await executeTableEditActions(matches, referencePiece, provenance)
+            }
         }catch(e){
             EDITOR.error("执行表格操作指令时出错: " , e.message, e);
-            console.error("错误原文: ", matches.join('\n'));
+            console.error("错误原文: ", structured ? rawContent : matches.join('\n'));
         }
         USER.saveChat()
         refreshContextView();
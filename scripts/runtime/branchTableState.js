@@ -0,0 +1,133 @@
+import { APP, BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { hasPieceHashSheets, resolvePieceHashSheets } from '../../core/table/hashSheetsStorage.js';
+import { collectReferencedCellUids } from './cellHistoryCompaction.js';
+
+const BRANCH_KEY = 'sheets_branch';
+
+/**
+ * 获取当前聊天的分支信息
+ * @returns {{chatId: string, parentChatId?: string, createdAt?: number, messageCount?: number}|null}
+ */
+export function getBranchInfo() {
+    return USER.getContext().chatMetadata?.[BRANCH_KEY] ?? null;
+}
+
+/**
+ * 将复制自父聊天的表格数据整理为当前分支独立的状态
+ * @description 表格保存的 hashSheet 回退到分支中最后一条带表格数据的消息，并移除分支点之后才在父聊天中产生、且未被分支引用的单元格
+ * @description 角色域与全局域表格本就在聊天间共享，不做处理
+ * @param {number} messageCount 分支的消息数量
+ */
+function detachBranchSheets(messageCount) {
+    const chat = USER.getContext().chat;
+    const { piece } = BASE.getLastSheetsPiece();
+    const hashSheets = piece?.hash_sheets ?? {};
+    const sheets = BASE.getChatSheets().filter(sheet => BASE.getSheetsDataTarget(sheet.domain) === 'context');
+    sheets.forEach(sheet => {
+        if (hashSheets[sheet.uid]) sheet.hashSheet = hashSheets[sheet.uid].map(row => row.map(uid => uid));
+        else sheet.initHashSheet();
+        sheet.markPositionCacheDirty();
+    });
+    const referenced = collectReferencedCellUids(chat, sheets);
+    let removed = 0;
+    sheets.forEach(sheet => {
+        sheet.cellHistory = sheet.cellHistory.filter(cell => {
+            if (referenced.has(cell.uid) || !(cell.provenance?.messageIndex >= messageCount)) return true;
+            sheet.cells.delete(cell.uid);
+            removed++;
+            return false;
+        });
+        sheet.save(null, true);
+    });
+    return removed;
+}
+
+/**
+ * 加载聊天时检测分支与检查点
+ * @description SillyTavern 创建分支或检查点时会原样复制 chatMetadata 与消息，并将 main_chat 设为父聊天，据此识别并为其建立独立的表格状态。
+ * 重命名的聊天记录的 id 同样与当前聊天不同，但没有新的 main_chat，此时只更新记录的 id
+ */
+export function initBranchTableState() {
+    const context = USER.getContext();
+    const chatId = context.chatId;
+    const metadata = context.chatMetadata;
+    if (!chatId || !metadata || !metadata.sheets || metadata.sheets.length === 0) return;
+    const record = metadata[BRANCH_KEY];
+    if (record?.chatId === chatId) return;
+
+    const parentChatId = metadata.main_chat;
+    // 已建立过独立状态的分支被重命名时 main_chat 不变
+    if (!parentChatId || parentChatId === chatId || record?.parentChatId === parentChatId) {
+        metadata[BRANCH_KEY] = { ...record, chatId };
+        USER.saveChat();
+        return;
+    }
+    try {
+        const messageCount = context.chat.length;
+        const removed = detachBranchSheets(messageCount);
+        metadata[BRANCH_KEY] = { chatId, parentChatId, createdAt: Date.now(), messageCount };
+        USER.saveChat();
+        console.log("检测到聊天分支，已建立独立的表格状态", { chatId, parentChatId, removed });
+    } catch (error) {
+        EDITOR.error("记忆插件：初始化分支表格失败\n原因：", error.message, error);
+    }
+}
+
+/**
+ * 读取父聊天的聊天文件
+ * @param {string} parentChatId 父聊天的文件名
+ * @returns {Promise<{metadata: Object, chat: Object[]}>}
+ */
+async function fetchParentChat(parentChatId) {
+    const context = USER.getContext();
+    const group = context.groupId ? context.groups?.find(g => g.id === context.groupId) : null;
+    const character = context.groupId ? null : context.characters?.[context.characterId];
+    if (!group && !character) throw new Error('未选择角色或群聊');
+    const response = await fetch(group ? '/api/chats/group/get' : '/api/chats/get', {
+        method: 'POST',
+        headers: APP.getRequestHeaders(),
+        body: JSON.stringify(group ? { id: parentChatId } : { ch_name: character.name, file_name: parentChatId, avatar_url: character.avatar }),
+    });
+    if (!response.ok) throw new Error(`读取父聊天失败：${response.status}`);
+    const data = await response.json();
+    if (!Array.isArray(data) || data.length === 0) throw new Error('父聊天不存在或为空');
+    if (data[0]?.chat_metadata) return { metadata: data[0].chat_metadata, chat: data.slice(1) };
+    return { metadata: group?.past_metadata?.[parentChatId] ?? {}, chat: data };
+}
+
+/**
+ * 从聊天文件中的表格数据生成与 getSheetSnapshot 相同格式的快照
+ * @param {Object} sheetData chatMetadata.sheets 中的表格数据
+ * @param {string[][]} hashSheet 表格的单元格 uid 矩阵
+ */
+function getSnapshotFromSheetData(sheetData, hashSheet) {
+    const values = new Map((sheetData.cellHistory ?? []).map(cell => [cell.uid, cell.data?.value ?? '']));
+    const getValue = uid => values.get(uid) ?? '';
+    return {
+        header: hashSheet[0].slice(1).map(getValue),
+        rows: hashSheet.slice(1).map(row => ({ key: row[0], values: row.slice(1).map(getValue) })),
+    };
+}
+
+/**
+ * 读取父聊天最新的表格状态
+ * @returns {Promise<{parentChatId: string, sheets: {uid: string, name: string, snapshot: Object}[]}|null>} 当前聊天不是分支时返回 null
+ */
+export async function loadParentBranchSheets() {
+    const parentChatId = getBranchInfo()?.parentChatId ?? USER.getContext().chatMetadata?.main_chat;
+    if (!parentChatId) return null;
+    const { metadata, chat } = await fetchParentChat(parentChatId);
+    let lastHashSheets = {};
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (hasPieceHashSheets(chat[i])) {
+            lastHashSheets = resolvePieceHashSheets(chat[i], chat) ?? {};
+            break;
+        }
+    }
+    const sheets = (metadata.sheets ?? []).map(sheetData => {
+        const hashSheet = lastHashSheets[sheetData.uid] ?? sheetData.hashSheet;
+        if (!hashSheet || hashSheet.length === 0) return null;
+        return { uid: sheetData.uid, name: sheetData.name, snapshot: getSnapshotFromSheetData(sheetData, hashSheet) };
+    }).filter(Boolean);
+    return { parentChatId, sheets };
+}
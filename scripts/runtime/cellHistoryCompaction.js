@@ -0,0 +1,205 @@
+import { APP, BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { Cell } from '../../core/table/cell.js';
+import { resolvePieceHashSheets } from '../../core/table/hashSheetsStorage.js';
+
+// 旧版本将备份保存在 chatMetadata 中，读取备份时迁移到浏览器存储
+const LEGACY_BACKUP_KEY = 'cellHistoryBackup';
+const BACKUP_STORE_PREFIX = 'st-memory-enhancement_cellHistoryBackup_';
+// 每个聊天保留的压缩备份次数，超出时丢弃最早的一次
+const MAX_BACKUP_PASSES = 5;
+
+/**
+ * 获取聊天片段及其所有滑动记录中保存的 hash_sheets
+ * @param {Object} piece 单个聊天对象
+ * @returns {Object[]}
+ */
+function getPieceHashSheets(piece) {
+    const swipeHashSheets = (piece.swipe_info ?? []).map(info => info?.hash_sheets)
+    return [resolvePieceHashSheets(piece), ...swipeHashSheets].filter(Boolean)
+}
+
+/**
+ * 收集仍被引用的单元格 uid
+ * @description 包括所有消息（含所有滑动记录）的 hash_sheets 与表格当前的 hashSheet
+ * @param {Object[]} chat 聊天记录
+ * @param {Sheet[]} sheets 要压缩的表格
+ * @returns {Set<string>}
+ */
+export function collectReferencedCellUids(chat, sheets) {
+    const uids = new Set()
+    const addHashSheet = hashSheet => hashSheet?.forEach(row => row.forEach(uid => uids.add(uid)))
+    chat.forEach(piece => getPieceHashSheets(piece).forEach(hashSheets => Object.values(hashSheets).forEach(addHashSheet)))
+    sheets.forEach(sheet => addHashSheet(sheet.hashSheet))
+    return uids
+}
+
+function getByteSize(data) {
+    return new TextEncoder().encode(JSON.stringify(data)).length
+}
+
+/**
+ * 估算聊天文件的大小
+ * @description 聊天文件由 chatMetadata 与所有消息组成，表格数据保存在其中
+ */
+function getChatByteSize(context) {
+    return getByteSize(context.chatMetadata ?? {}) + getByteSize(context.chat ?? [])
+}
+
+function getBackupStoreKey(chatId) {
+    return `${BACKUP_STORE_PREFIX}${chatId}`
+}
+
+/**
+ * 读取聊天的压缩备份
+ * @description 备份保存在浏览器的 IndexedDB 中，不会增大聊天文件；更换浏览器或清除站点数据后备份会丢失
+ * @param {string} chatId
+ * @returns {Promise<Object[]>} 按压缩时间排序的备份
+ */
+async function loadBackup(chatId) {
+    const backup = (await APP.localforage.getItem(getBackupStoreKey(chatId))) ?? []
+    const metadata = USER.getContext().chatMetadata
+    const legacy = metadata?.[LEGACY_BACKUP_KEY]
+    if (Array.isArray(legacy) && legacy.length > 0 && USER.getContext().chatId === chatId) {
+        backup.unshift(...legacy)
+        await saveBackup(chatId, backup)
+        delete metadata[LEGACY_BACKUP_KEY]
+        USER.saveChat()
+    }
+    return backup.slice(-MAX_BACKUP_PASSES)
+}
+
+async function saveBackup(chatId, backup) {
+    if (backup.length === 0) return APP.localforage.removeItem(getBackupStoreKey(chatId))
+    await APP.localforage.setItem(getBackupStoreKey(chatId), backup.slice(-MAX_BACKUP_PASSES))
+}
+
+/**
+ * 获取可以压缩的表格
+ * @description 角色域与全局域表格在多个聊天间共享，当前聊天无法确认其单元格是否仍被其他聊天引用，因此只压缩聊天域表格
+ * @returns {Sheet[]}
+ */
+function getCompactableSheets() {
+    return BASE.getChatSheets().filter(sheet => BASE.getSheetsDataTarget(sheet.domain) === 'context')
+}
+
+/**
+ * 压缩单元格历史记录
+ * @description 移除不再被任何消息引用、且不在最近 recentWindow 楼内产生的单元格。移除的单元格先写入浏览器中的备份，
+ * 可通过 restoreCellHistoryBackup 恢复；备份写入失败时不压缩
+ * @param {number} recentWindow 保留最近多少楼内产生的全部历史单元格
+ * @returns {Promise<{removed: number, kept: number, savedBytes: number}|null>} savedBytes 为聊天文件减小的字节数，没有聊天记录时返回 null
+ */
+export async function compactCellHistory(recentWindow = USER.tableBaseSetting.cell_history_recent_window ?? 0) {
+    const context = USER.getContext()
+    const { chat, chatId } = context
+    if (!chat || chat.length === 0) return null
+
+    const sheets = getCompactableSheets()
+    const referenced = collectReferencedCellUids(chat, sheets)
+    const windowStart = chat.length - Math.max(0, Number(recentWindow) || 0)
+    const isRecent = cell => cell.provenance?.messageIndex !== undefined && cell.provenance.messageIndex >= windowStart
+
+    const sizeBefore = getChatByteSize(context)
+    const backupSheets = {}
+    const removedUids = new Map()
+    sheets.forEach(sheet => {
+        const savingHistory = sheet.filterSavingData(['cellHistory']).cellHistory
+        const removedCells = []
+        sheet.cellHistory.forEach((cell, index) => {
+            if (!referenced.has(cell.uid) && !isRecent(cell)) removedCells.push({ index, cell: savingHistory[index] })
+        })
+        if (removedCells.length === 0) return
+        backupSheets[sheet.uid] = removedCells
+        removedUids.set(sheet, new Set(removedCells.map(({ cell }) => cell.uid)))
+    })
+
+    let removed = 0
+    if (removedUids.size > 0) {
+        const backup = await loadBackup(chatId)
+        backup.push({ timestamp: Date.now(), sheets: backupSheets })
+        await saveBackup(chatId, backup)
+        // 写入备份期间切换了聊天时不再压缩
+        if (USER.getContext().chatId !== chatId) return null
+        removedUids.forEach((uids, sheet) => {
+            sheet.cellHistory = sheet.cellHistory.filter(cell => !uids.has(cell.uid))
+            uids.forEach(uid => sheet.cells.delete(uid))
+            removed += uids.size
+            sheet.save(null, true)
+        })
+        USER.saveChat()
+    }
+    const kept = sheets.reduce((sum, sheet) => sum + sheet.cellHistory.length, 0)
+    const savedBytes = sizeBefore - getChatByteSize(context)
+    console.log("压缩单元格历史记录", { removed, kept, savedBytes })
+    return { removed, kept, savedBytes }
+}
+
+/**
+ * 获取当前聊天的单元格历史备份信息
+ * @returns {Promise<{passes: number, cells: number, size: number}|null>} 没有备份时返回 null
+ */
+export async function getCellHistoryBackupInfo() {
+    const backup = await loadBackup(USER.getContext().chatId)
+    if (backup.length === 0) return null
+    const cells = backup.reduce((acc, pass) => acc + Object.values(pass.sheets).reduce((sum, list) => sum + list.length, 0), 0)
+    return { passes: backup.length, cells, size: getByteSize(backup) }
+}
+
+/**
+ * 从备份中恢复被压缩移除的单元格
+ * @description 按压缩的相反顺序将单元格插回原位置，压缩后新增的单元格仍保持在末尾
+ * @returns {Promise<number>} 恢复的单元格数量
+ */
+export async function restoreCellHistoryBackup() {
+    const chatId = USER.getContext().chatId
+    const backup = await loadBackup(chatId)
+    if (backup.length === 0 || USER.getContext().chatId !== chatId) return 0
+
+    let restored = 0
+    const touchedSheets = new Set()
+    backup.slice().reverse().forEach(pass => {
+        Object.entries(pass.sheets).forEach(([uid, removedCells]) => {
+            const sheet = BASE.getChatSheet(uid)
+            if (!sheet) return
+            removedCells.slice().sort((a, b) => a.index - b.index).forEach(({ index, cell: cellData }) => {
+                if (sheet.cells.has(cellData.uid)) return
+                const cell = new Cell(sheet)
+                Object.assign(cell, cellData)
+                sheet.cellHistory.splice(Math.min(index, sheet.cellHistory.length), 0, cell)
+                sheet.cells.set(cell.uid, cell)
+                restored++
+            })
+            touchedSheets.add(sheet)
+        })
+    })
+    touchedSheets.forEach(sheet => sheet.save(null, true))
+    USER.saveChat()
+    await saveBackup(chatId, [])
+    return restored
+}
+
+/**
+ * 删除单元格历史备份，删除后被压缩的单元格无法恢复
+ */
+export async function discardCellHistoryBackup() {
+    const context = USER.getContext()
+    if (context.chatMetadata?.[LEGACY_BACKUP_KEY]) {
+        delete context.chatMetadata[LEGACY_BACKUP_KEY]
+        USER.saveChat()
+    }
+    await saveBackup(context.chatId, [])
+}
+
+/**
+ * 加载聊天时按设置自动压缩单元格历史记录
+ */
+export function compactCellHistoryOnChatLoad() {
+    if (USER.tableBaseSetting.isExtensionAble === false || !USER.tableBaseSetting.bool_compact_cell_history_on_load) return
+    compactCellHistory().then(result => {
+        if (result?.removed > 0) {
+            EDITOR.info(`已压缩表格历史记录，移除 ${result.removed} 个单元格，聊天文件减小 ${(result.savedBytes / 1024).toFixed(2)} KB`)
+        }
+    }).catch(error => {
+        EDITOR.error("记忆插件：压缩表格历史记录失败\n原因：", error.message, error)
+    })
+}
@@ -0,0 +1,112 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { countTokens } from '../../services/tokenCounter.js';
+import { isArchiveSheet } from './sheetArchive.js';
+
+export const SheetBudgetMode = {
+    full: 'full',
+    truncated: 'truncated',
+    summarized: 'summarized',
+};
+
+/**
+ * 获取发送给AI的表格
+ * @param {Object} hashSheets 聊天片段中的 hash_sheets
+ * @returns {Sheet[]}
+ */
+export function getPromptSheets(hashSheets) {
+    return BASE.hashSheetsToSheets(hashSheets)
+        .filter(sheet => sheet.enable && !isArchiveSheet(sheet))
+        .filter(sheet => sheet.sendToContext !== false);
+}
+
+/**
+ * 获取表格的提示词优先级，数值越大越优先保留
+ * @param {Sheet} sheet
+ * @returns {number}
+ */
+export function getSheetPromptPriority(sheet) {
+    return Number(sheet.config?.promptPriority) || 0;
+}
+
+// 表格到其各行 token 数的缓存
+const rowTokenCache = new WeakMap();
+
+/**
+ * 获取表格中一行内容的 token 数
+ * @description 单元格每次编辑都会生成新的 uid，因此以行中单元格的 uid 作为缓存键，编辑后自然重新计数；
+ * 按相关度选择行与压缩表格提示词共用该结果，每行只计数一次
+ * @param {Sheet} sheet
+ * @param {number} rowIndex 行索引（第 0 行为表头）
+ * @returns {number}
+ */
+export function getRowTokenCount(sheet, rowIndex) {
+    if (!rowTokenCache.has(sheet)) rowTokenCache.set(sheet, new Map());
+    const cache = rowTokenCache.get(sheet);
+    const key = sheet.hashSheet[rowIndex].join(',');
+    if (!cache.has(key)) cache.set(key, countTokens(sheet.getCellsByRowIndex(rowIndex).slice(1).map(cell => cell.data.value ?? '').join(',')));
+    return cache.get(key);
+}
+
+/**
+ * 将表格提示词压缩到可用的 token 数内
+ * @description 先按从旧到新移除未固定的行，仍超出时只保留表格名与行数
+ */
+function fitSheetPrompt(entry, available, customParts, piece) {
+    const { sheet, index } = entry;
+    const kept = new Set(entry.rows ?? Array.from({ length: entry.totalRows }, (_, i) => i + 1));
+    const removable = [...kept].filter(rowIndex => !sheet.isRowPinned(rowIndex)).sort((a, b) => a - b);
+    let { text, tokens } = entry;
+    while (tokens > available && removable.length > 0) {
+        let excess = tokens - available;
+        while (excess > 0 && removable.length > 0) {
+            const rowIndex = removable.shift();
+            kept.delete(rowIndex);
+            excess -= getRowTokenCount(sheet, rowIndex);
+        }
+        text = sheet.getTableText(index, customParts, piece, kept);
+        tokens = countTokens(text);
+    }
+    if (tokens <= available) {
+        return Object.assign(entry, { text, tokens, shownRows: kept.size, mode: SheetBudgetMode.truncated });
+    }
+    text = `* ${index}:${sheet.name}\n（该表格共 ${entry.totalRows} 行，因表格提示词的 token 上限未显示内容，表格中的行仍然存在，请勿重复插入）\n`;
+    return Object.assign(entry, { text, tokens: countTokens(text), shownRows: 0, mode: SheetBudgetMode.summarized });
+}
+
+/**
+ * 在表格提示词 token 上限内构建各表格的提示词
+ * @description 超出上限时从优先级最低的表格开始压缩，同优先级时排在后面的表格先压缩，直到总量不超过上限
+ * @param {Sheet[]} sheets 要发送的表格
+ * @param {string[]} customParts 提示词包含的部分
+ * @param {Object} piece 聊天片段
+ * @param {Map<string, Set<number>>|null} selection 按相关度选择的行
+ * @param {number} budget token 上限，0 为不限制
+ * @returns {{text: string, total: number, budget: number, sheets: {sheet: Sheet, tokens: number, fullTokens: number, shownRows: number, totalRows: number, mode: string}[]}}
+ */
+export function buildSheetsPromptWithinBudget(sheets, customParts, piece, selection = null, budget = Number(USER.tableBaseSetting.table_prompt_token_budget) || 0) {
+    const entries = sheets.map((sheet, index) => {
+        const rows = selection?.get(sheet.uid) ?? null;
+        const text = sheet.getTableText(index, customParts, piece, rows);
+        const tokens = countTokens(text);
+        const totalRows = Math.max(0, sheet.getRowCount() - 1);
+        return { sheet, index, rows, text, tokens, fullTokens: tokens, totalRows, shownRows: rows ? rows.size : totalRows, mode: SheetBudgetMode.full };
+    });
+    let total = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+    if (budget > 0 && total > budget) {
+        const order = [...entries].sort((a, b) => getSheetPromptPriority(a.sheet) - getSheetPromptPriority(b.sheet) || b.index - a.index);
+        for (const entry of order) {
+            if (total <= budget) break;
+            if (entry.tokens === 0) continue;
+            total -= entry.tokens;
+            fitSheetPrompt(entry, budget - total, customParts, piece);
+            total += entry.tokens;
+        }
+        console.log(`表格提示词超出 ${budget} tokens 上限，压缩后为 ${total} tokens`, entries);
+    }
+    return {
+        text: entries.map(entry => entry.text).join('\n'),
+        total,
+        budget,
+        sheets: entries.map(({ sheet, tokens, fullTokens, shownRows, totalRows, mode }) => ({ sheet, tokens, fullTokens, shownRows, totalRows, mode })),
+    };
+}
@@ -0,0 +1,78 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { scoreRowsByRelevance, selectRowsWithinBudget } from '../../core/table/rowRelevance.js';
+import { getRowSemanticScores, isSemanticRetrievalEnabled, updateRowSemanticScores } from './rowEmbedding.js';
+import { isArchiveSheet } from './sheetArchive.js';
+import { getRowTokenCount } from './promptBudget.js';
+
+/**
+ * 获取用于计算相关度的最近聊天内容
+ * @param {Object[]} chat 聊天记录
+ * @returns {string}
+ */
+function getRecentChatText(chat) {
+    const count = Math.max(1, Math.floor(Number(USER.tableBaseSetting.relevance_context_messages) || 1));
+    return chat.filter(piece => !piece.is_system).slice(-count).map(piece => piece.mes ?? '').join('\n');
+}
+
+/**
+ * 生成回复前的准备，使用向量检索时计算各行的语义相似度
+ * @description 构建提示词的过程是同步的，因此需要在 onChatCompletionPromptReady 中提前完成请求
+ * @param {Object[]} chat 聊天记录
+ */
+export async function prepareRelevanceSelection(chat = USER.getContext().chat ?? []) {
+    if (!isSemanticRetrievalEnabled()) return;
+    const piece = BASE.getReferencePiece();
+    const sheets = BASE.hashSheetsToSheets(piece?.hash_sheets).filter(sheet => sheet.enable && !isArchiveSheet(sheet));
+    await updateRowSemanticScores(sheets, getRecentChatText(chat));
+}
+
+/**
+ * 按与最近聊天内容的相关度选择各表格中要注入的行
+ * @description 所有表格的行共同作为语料计算分数，固定的行总会被选中，其余行在每个表格与全部表格的 token 上限内按分数选择；
+ * 选择结果记录在 DERIVED.any.lastRelevanceSelection 中供设置界面查看
+ * @description 使用向量检索时以语义相似度作为分数，没有可用的相似度时返回 null，即注入全部行
+ * @param {Sheet[]} sheets 要注入的表格
+ * @param {Object[]} chat 聊天记录
+ * @returns {Map<string, Set<number>>|null} 表格 uid 到选中行索引（第 0 行为表头）的映射
+ */
+export function selectRelevantSheetRows(sheets, chat = USER.getContext().chat ?? []) {
+    const semanticScores = isSemanticRetrievalEnabled() ? getRowSemanticScores() : null;
+    if (isSemanticRetrievalEnabled() && !semanticScores) return null;
+    const queryText = getRecentChatText(chat);
+    const rows = sheets.flatMap(sheet => sheet.getContent().map((values, index) => ({
+        key: `${sheet.uid}:${index + 1}`,
+        group: sheet.uid,
+        sheet,
+        rowIndex: index + 1,
+        order: index,
+        values,
+        tokens: getRowTokenCount(sheet, index + 1),
+        pinned: sheet.isRowPinned(index + 1),
+    })));
+    const scores = scoreRowsByRelevance(rows.map(row => row.values.join(' ')), queryText);
+    rows.forEach((row, index) => Object.assign(row, scores[index]));
+    if (semanticScores) rows.forEach(row => {
+        row.semantic = semanticScores.get(row.sheet.hashSheet[row.rowIndex][0]) ?? 0;
+        row.score = row.semantic;
+    });
+    const selectedKeys = selectRowsWithinBudget(rows, {
+        groupBudget: Math.max(0, Number(USER.tableBaseSetting.relevance_sheet_token_budget) || 0),
+        totalBudget: Math.max(0, Number(USER.tableBaseSetting.relevance_total_token_budget) || 0),
+    });
+
+    const selection = new Map(sheets.map(sheet => [sheet.uid, new Set()]));
+    rows.forEach(row => selectedKeys.has(row.key) && selection.get(row.group).add(row.rowIndex));
+    DERIVED.any.lastRelevanceSelection = {
+        timestamp: Date.now(),
+        queryText,
+        sheets: sheets.map(sheet => ({
+            name: sheet.name,
+            header: sheet.getHeader(),
+            rows: rows.filter(row => row.sheet === sheet).map(({ rowIndex, values, tokens, pinned, bm25, overlap, semantic, score, key }) => ({
+                rowIndex, values, tokens, pinned, bm25, overlap, semantic, score, selected: selectedKeys.has(key),
+            })),
+        })),
+    };
+    console.log("按相关度选择的表格行", DERIVED.any.lastRelevanceSelection);
+    return selection;
+}
@@ -0,0 +1,237 @@
+import { APP, BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { addCellEditListener } from '../../core/table/cell.js';
+import { cosineSimilarity } from '../../core/table/rowRelevance.js';
+
+/**
+ * 表格行的语义检索
+ * @description 每个单元格以「列名: 值」的文本单独建立索引，缓存按单元格 uid 保存在 chatMetadata 中；
+ * 单元格每次编辑都会生成新的 uid，因此缓存不会过期，编辑后只需为新单元格建立索引；不再出现在任何表格中的旧单元格的索引在检索时移除。
+ * 检索时一行的相似度取其中相似度最高的单元格。
+ */
+
+const CACHE_KEY = 'row_embeddings';
+const INDEX_DELAY = 2000;
+
+export const RetrievalBackend = {
+    lexical: 'lexical',
+    sillytavern: 'sillytavern',
+    endpoint: 'endpoint',
+};
+
+function hashText(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+}
+
+/**
+ * 以向量相似度检索的后端，向量缓存在本地
+ * @param {string} signature 后端标识，改变时清空索引缓存
+ * @param {(texts: string[]) => Promise<number[][]>} embed 将文本转为向量
+ */
+export function createVectorBackend(signature, embed) {
+    return {
+        signature,
+        async index(entries) {
+            const vectors = await embed(entries.map(entry => entry.text));
+            return Object.fromEntries(entries.map((entry, index) => [entry.uid, vectors[index]]));
+        },
+        async search(queryText, entries, cache) {
+            const [queryVector] = await embed([queryText]);
+            return new Map(entries.map(entry => [entry.uid, cosineSimilarity(queryVector, cache[entry.uid])]));
+        },
+    };
+}
+
+async function embedByEndpoint(texts) {
+    const { embedding_api_url: url, embedding_api_key: key, embedding_model_name: model } = USER.IMPORTANT_USER_PRIVACY_DATA;
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(key ? { Authorization: `Bearer ${key}` } : {}) },
+        body: JSON.stringify({ model, input: texts }),
+    });
+    if (!response.ok) throw new Error(`向量接口请求失败：${response.status} ${response.statusText}`);
+    const json = await response.json();
+    const vectors = [...(json.data ?? [])].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map(item => item.embedding);
+    if (vectors.length !== texts.length) throw new Error('向量接口返回的数量与请求不一致');
+    return vectors;
+}
+
+/**
+ * 使用 SillyTavern 向量存储的后端
+ * @description 向量由 SillyTavern 按其向量存储设置生成并保存在服务器上，缓存中只记录已写入的单元格
+ */
+function createSillyTavernBackend() {
+    const source = APP.extension_settings?.vectors?.source ?? 'transformers';
+    const collectionId = `st-memory-enhancement_${USER.getContext().chatId}`.replace(/[^\w-]/g, '_');
+    const request = async (path, body) => {
+        const response = await fetch(`/api/vector/${path}`, {
+            method: 'POST',
+            headers: APP.getRequestHeaders(),
+            body: JSON.stringify({ collectionId, source, ...body }),
+        });
+        if (!response.ok) throw new Error(`SillyTavern 向量存储请求失败：${response.status} ${response.statusText}`);
+        return response;
+    };
+    return {
+        signature: `${RetrievalBackend.sillytavern}:${source}`,
+        async index(entries) {
+            await request('insert', { items: entries.map(entry => ({ hash: hashText(entry.uid), text: entry.text, index: 0 })) });
+            return Object.fromEntries(entries.map(entry => [entry.uid, true]));
+        },
+        async search(queryText, entries) {
+            const { hashes = [] } = await (await request('query', { searchText: queryText, topK: entries.length, threshold: 0 })).json();
+            const uidByHash = new Map(entries.map(entry => [hashText(entry.uid), entry.uid]));
+            // 向量存储只返回按相似度排序的结果，按名次换算为相似度
+            return new Map(hashes.filter(hash => uidByHash.has(hash)).map((hash, rank) => [uidByHash.get(hash), 1 - rank / hashes.length]));
+        },
+    };
+}
+
+/**
+ * 获取设置中选择的检索后端
+ * @returns {Object|null} 未选择向量检索或后端不可用时返回 null
+ */
+export function getRetrievalBackend() {
+    switch (USER.tableBaseSetting.relevance_retrieval_backend) {
+        case RetrievalBackend.sillytavern:
+            return APP.extension_settings?.vectors ? createSillyTavernBackend() : null;
+        case RetrievalBackend.endpoint:
+            if (!USER.IMPORTANT_USER_PRIVACY_DATA.embedding_api_url) return null;
+            return createVectorBackend(`${RetrievalBackend.endpoint}:${USER.IMPORTANT_USER_PRIVACY_DATA.embedding_api_url}:${USER.IMPORTANT_USER_PRIVACY_DATA.embedding_model_name ?? ''}`, embedByEndpoint);
+        default:
+            return null;
+    }
+}
+
+/**
+ * 是否使用向量检索选择注入的行
+ * @returns {boolean}
+ */
+export function isSemanticRetrievalEnabled() {
+    const backend = USER.tableBaseSetting.relevance_retrieval_backend;
+    return USER.tableBaseSetting.bool_relevance_injection === true && [RetrievalBackend.sillytavern, RetrievalBackend.endpoint].includes(backend);
+}
+
+/**
+ * 获取当前聊天的索引缓存，后端改变时清空
+ */
+function getEmbeddingCache(backend) {
+    const metadata = USER.getContext().chatMetadata;
+    if (!metadata) return null;
+    if (metadata[CACHE_KEY]?.signature !== backend.signature) metadata[CACHE_KEY] = { signature: backend.signature, cells: {} };
+    return metadata[CACHE_KEY].cells;
+}
+
+/**
+ * 获取单元格用于建立索引的文本
+ * @returns {{uid: string, text: string}|null} 表头、行头与空单元格返回 null
+ */
+function getCellEntry(cell) {
+    const [rowIndex, colIndex] = cell.position;
+    const value = String(cell.data?.value ?? '').trim();
+    if (rowIndex <= 0 || colIndex <= 0 || !value) return null;
+    return { uid: cell.uid, text: `${cell.parent.getHeader()[colIndex - 1] ?? ''}: ${value}` };
+}
+
+/**
+ * 为尚未建立索引的单元格建立索引
+ * @returns {Promise<boolean>} 是否有新的索引写入缓存
+ */
+async function indexEntries(backend, entries) {
+    const cache = getEmbeddingCache(backend);
+    if (!cache) return false;
+    const missing = entries.filter(entry => cache[entry.uid] === undefined);
+    if (missing.length === 0) return false;
+    Object.assign(cache, await backend.index(missing));
+    return true;
+}
+
+/**
+ * 移除已不在任何表格中的单元格的索引
+ * @param {Object} backend 检索后端
+ * @param {Sheet[]} sheets 除当前聊天的表格外仍在使用的表格
+ * @returns {boolean} 是否移除了索引
+ */
+function pruneEmbeddingCache(backend, sheets) {
+    const cache = getEmbeddingCache(backend);
+    if (!cache) return false;
+    const liveUids = new Set([...BASE.getChatSheets(), ...sheets].flatMap(sheet => sheet.hashSheet.flat()));
+    const staleUids = Object.keys(cache).filter(uid => !liveUids.has(uid));
+    staleUids.forEach(uid => delete cache[uid]);
+    return staleUids.length > 0;
+}
+
+const pendingCells = new Map();
+let indexTimer = null;
+
+async function flushPendingCells() {
+    indexTimer = null;
+    const backend = getRetrievalBackend();
+    const entries = [...pendingCells.values()].map(getCellEntry).filter(Boolean);
+    pendingCells.clear();
+    if (!backend || entries.length === 0) return;
+    try {
+        if (await indexEntries(backend, entries)) USER.saveChat();
+    } catch (e) {
+        console.warn('为编辑的单元格建立向量索引失败，将在下次检索时重试', e);
+    }
+}
+
+/**
+ * 单元格编辑后为新单元格建立索引
+ * @description 只处理当前聊天中的表格，预览时使用的复制表格不处理；多次编辑合并为一次请求
+ */
+function onCellEdited(cell) {
+    if (!isSemanticRetrievalEnabled() || BASE.getChatSheet(cell.parent.uid) !== cell.parent) return;
+    pendingCells.set(cell.uid, cell);
+    clearTimeout(indexTimer);
+    indexTimer = setTimeout(flushPendingCells, INDEX_DELAY);
+}
+
+/**
+ * 计算表格各行与查询文本的语义相似度
+ * @description 结果保存在 DERIVED.any.rowSemanticScores 中，供同步构建提示词时使用；后端不可用或请求失败时清空结果，
+ * 此时按相关度选择行会退回为注入全部行
+ * @param {Sheet[]} sheets 要注入的表格
+ * @param {string} queryText 查询文本
+ * @param {Object|null} backend 检索后端，默认为设置中选择的后端
+ * @returns {Promise<Map<string, number>|null>} 行头单元格 uid 到相似度的映射
+ */
+export async function updateRowSemanticScores(sheets, queryText, backend = getRetrievalBackend()) {
+    DERIVED.any.rowSemanticScores = null;
+    if (!backend) {
+        console.warn('未配置可用的向量检索后端，将注入全部行', USER.tableBaseSetting.relevance_retrieval_backend);
+        return null;
+    }
+    const rows = sheets.flatMap(sheet => sheet.hashSheet.slice(1).map((row, index) => ({
+        key: row[0],
+        entries: sheet.getCellsByRowIndex(index + 1).map(getCellEntry).filter(Boolean),
+    })));
+    const entries = rows.flatMap(row => row.entries);
+    try {
+        const indexed = await indexEntries(backend, entries);
+        if (pruneEmbeddingCache(backend, sheets) || indexed) USER.saveChat();
+        const cellScores = entries.length > 0 ? await backend.search(queryText, entries, getEmbeddingCache(backend)) : new Map();
+        const scores = new Map(rows.map(row => [row.key, Math.max(0, ...row.entries.map(entry => cellScores.get(entry.uid) ?? 0))]));
+        DERIVED.any.rowSemanticScores = { queryText, scores };
+        return scores;
+    } catch (e) {
+        EDITOR.warning('向量检索失败，本次将注入全部行', e.message, e);
+        return null;
+    }
+}
+
+/**
+ * 获取最近一次计算的语义相似度
+ * @returns {Map<string, number>|null}
+ */
+export function getRowSemanticScores() {
+    return DERIVED.any.rowSemanticScores?.scores ?? null;
+}
+
+export function initRowEmbedding() {
+    addCellEditListener(onCellEdited);
+}
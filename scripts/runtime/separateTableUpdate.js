@@ -3,6 +3,8 @@ import { executeIncrementalUpdateFromSummary, sheetsToTables } from "./absoluteR
 import { newPopupConfirm } from '../../components/popupConfirm.js';
 import { reloadCurrentChat } from "/script.js"
 import {getTablePrompt,initTableData, undoSheets} from "../../index.js"
+import { resolvePieceHashSheets } from "../../core/table/hashSheetsStorage.js";
+import { archiveOverflowingSheets } from "./sheetArchive.js";
 
 let toBeExecuted = [];
 
@@ -65,9 +67,7 @@ function handleMessages(string) {
 }
 
 function MarkChatAsWaiting(chat, swipeUid) {
-    console.log(USER.getContext().chat);
-    console.log('chat.two_step_links:',chat.two_step_links);
-    console.log('chat.two_step_waiting:',chat.two_step_waiting);
+    chat.two_step_waiting ??= {};
     chat.two_step_waiting[swipeUid] = true;
 }
 
@@ -107,7 +107,7 @@ export async function TableTwoStepSummary(mode) {
 
     if (confirmResult === false) {
         console.log('用户取消执行独立填表: ', `(${todoChats.length}) `, toBeExecuted);
-        MarkChatAsWaiting(currentPiece, swipeUid);
+        MarkChatAsWaiting(todoPiece, getSwipeUid(todoPiece));
     } else {
         // This block executes if confirmResult is true OR 'dont_remind_active'
         if (confirmResult === 'dont_remind_active') {
@@ -138,7 +138,8 @@ export async function manualSummaryChat(todoChats, confirmResult) {
     }
 
     // 只有当表格中已经有内容时，才执行“撤销并重做”
-    if (initialPiece.hash_sheets && Object.keys(initialPiece.hash_sheets).length > 0) {
+    const initialHashSheets = resolvePieceHashSheets(initialPiece);
+    if (initialHashSheets && Object.keys(initialHashSheets).length > 0) {
         console.log('[Memory Enhancement] 立即填表：检测到表格中有数据，执行恢复操作...');
         try {
             await undoSheets(0);
@@ -189,6 +190,7 @@ export async function manualSummaryChat(todoChats, confirmResult) {
             chat.two_step_links[chatSwipeUid].push(swipeUid);   // 标记已执行的两步总结
         });
         toBeExecuted = [];
+        await archiveOverflowingSheets(isSilentMode);
 
         // 保存并刷新UI
         await USER.saveChat();
@@ -0,0 +1,240 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { CellSource } from '../../core/table/cell.js';
+import { customApiCall, estimateTokenCount, handleMainAPIRequest } from '../settings/standaloneAPI.js';
+import JSON5 from '../../utils/json5.min.mjs';
+
+export const ArchiveStrategy = {
+    oldest: 'oldest',
+    importance: 'importance',
+};
+
+export const defaultArchivePolicy = {
+    enabled: false,
+    maxRows: 0,                         // 超过该行数时归档，0 表示不限制
+    maxTokens: 0,                       // 表格内容超过该 token 数时归档，0 表示不限制
+    strategy: ArchiveStrategy.oldest,   // 优先归档最早的行，或重要度列数值最低的行
+    importanceColumn: '',               // 重要度列的索引（不含行头），strategy 为 importance 时使用
+    summarySheet: '',                   // 写入总结的表格 uid（聊天中也可为模板 uid），留空则只移入归档表
+};
+
+const ARCHIVE_SYSTEM_PROMPT = '你是一个表格归档助手。请将用户提供的表格行总结为一行摘要，按摘要表的列顺序输出一个 JSON 字符串数组，每个元素为对应列的值。只输出该数组，不要输出其他内容。';
+
+let archiving = false;
+
+/**
+ * 获取表格的归档策略
+ * @param {Sheet} sheet
+ * @returns {typeof defaultArchivePolicy}
+ */
+export function getArchivePolicy(sheet) {
+    return { ...defaultArchivePolicy, ...(sheet.config?.archive ?? {}) };
+}
+
+/**
+ * 判断表格是否为归档表
+ * @param {Sheet} sheet
+ * @returns {boolean}
+ */
+export function isArchiveSheet(sheet) {
+    return !!sheet?.config?.archiveSource;
+}
+
+/**
+ * 获取表格对应的归档表
+ * @description 归档表与原表格列相同，额外记录归档时的楼层；归档表不启用，因此不会发送给AI，也不会被AI编辑
+ * @param {Sheet} source 原表格
+ * @param {boolean} create 不存在时是否创建
+ * @returns {Sheet|null}
+ */
+export function getArchiveSheet(source, create = false) {
+    const archive = BASE.getChatSheets().find(sheet => sheet.config?.archiveSource === source.uid);
+    if (archive || !create) return archive ?? null;
+    const newSheet = BASE.createChatSheet(2, 1);
+    newSheet.rebuildHashSheetByValueSheet([['', ...source.getHeader(), '归档楼层']]);
+    newSheet.markPositionCacheDirty();
+    newSheet.name = `${source.name}（归档）`;
+    newSheet.domain = source.domain;
+    newSheet.type = newSheet.SheetType.static;
+    newSheet.enable = false;
+    newSheet.config.archiveSource = source.uid;
+    newSheet.save(undefined, true);
+    return newSheet;
+}
+
+/**
+ * 查找归档策略中指定的总结表
+ * @description 由模板创建的表格会记录模板的 uid，因此在模板中设置的总结表在聊天中同样有效
+ */
+function findSummarySheet(source, policy, sheets) {
+    if (!policy.summarySheet) return null;
+    return sheets.find(sheet => sheet !== source && !isArchiveSheet(sheet)
+        && (sheet.uid === policy.summarySheet || (sheet.template?.uid ?? sheet.template) === policy.summarySheet)) ?? null;
+}
+
+/**
+ * 获取表格中超出归档策略限制、需要归档的行
+ * @description 锁定的行不会被归档
+ * @param {Sheet} sheet
+ * @returns {number[]} 需要归档的行在 hashSheet 中的索引
+ */
+export function getOverflowRowIndexes(sheet) {
+    const policy = getArchivePolicy(sheet);
+    if (!policy.enabled || isArchiveSheet(sheet)) return [];
+    const maxRows = Math.max(0, Math.floor(Number(policy.maxRows) || 0));
+    const maxTokens = Math.max(0, Math.floor(Number(policy.maxTokens) || 0));
+    if (maxRows === 0 && maxTokens === 0) return [];
+
+    const rows = sheet.getContent().map((values, index) => ({
+        rowIndex: index + 1,
+        tokens: estimateTokenCount(values.join(',')),
+        importance: Number(values[policy.importanceColumn]) || 0,
+    }));
+    const candidates = rows.filter(row => !sheet.hasLockedContent(row.rowIndex));
+    if (policy.strategy === ArchiveStrategy.importance && policy.importanceColumn !== '') {
+        candidates.sort((a, b) => a.importance - b.importance || a.rowIndex - b.rowIndex);
+    }
+
+    let rowCount = rows.length;
+    let tokens = rows.reduce((sum, row) => sum + row.tokens, 0);
+    const isOverflow = () => (maxRows > 0 && rowCount > maxRows) || (maxTokens > 0 && tokens > maxTokens);
+    const overflow = [];
+    for (const row of candidates) {
+        if (!isOverflow()) break;
+        overflow.push(row.rowIndex);
+        rowCount--;
+        tokens -= row.tokens;
+    }
+    return overflow;
+}
+
+/**
+ * 解析AI返回的总结，无法解析为数组时整段写入第一列
+ */
+function parseSummaryValues(rawContent, columnCount) {
+    const text = rawContent.trim();
+    const match = text.match(/\[[\s\S]*\]/);
+    try {
+        const values = match ? JSON5.parse(match[0]) : null;
+        if (Array.isArray(values)) return Array.from({ length: columnCount }, (_, index) => String(values[index] ?? ''));
+    } catch (e) {
+        console.warn('归档总结解析失败，已整段写入第一列', e);
+    }
+    return Array.from({ length: columnCount }, (_, index) => index === 0 ? text : '');
+}
+
+/**
+ * 请求AI总结需要归档的行
+ * @returns {Promise<string[]|null>} 总结表中新行的值，请求失败或取消时返回 null
+ */
+async function requestArchiveSummary(source, rows, summarySheet, isSilent) {
+    const summaryHeader = summarySheet.getHeader();
+    const userPrompt = `摘要表「${summarySheet.name}」的列：${summaryHeader.join(',')}\n`
+        + `需要总结的「${source.name}」表格行（列：${source.getHeader().join(',')}）：\n`
+        + rows.map(values => values.join(',')).join('\n');
+    let rawContent;
+    try {
+        rawContent = USER.tableBaseSetting.use_main_api
+            ? await handleMainAPIRequest(ARCHIVE_SYSTEM_PROMPT, userPrompt, isSilent)
+            : await customApiCall(ARCHIVE_SYSTEM_PROMPT, userPrompt, isSilent);
+    } catch (error) {
+        EDITOR.error(`归档「${source.name}」失败：总结请求错误`, error.message, error);
+        return null;
+    }
+    if (rawContent === 'suspended') {
+        EDITOR.info('已取消归档');
+        return null;
+    }
+    if (typeof rawContent !== 'string' || !rawContent.trim()) {
+        EDITOR.error(`归档「${source.name}」失败：API未返回有效的总结`);
+        return null;
+    }
+    return parseSummaryValues(rawContent, summaryHeader.length);
+}
+
+function getRowValues(sheet, rowIndex) {
+    return sheet.getCellsByRowIndex(rowIndex).slice(1).map(cell => cell.data.value ?? '');
+}
+
+/**
+ * 归档表格中的指定行
+ * @description 先请求总结，成功后在同一事务中写入总结、将原始行移入归档表并从原表格中删除。
+ * 等待总结期间表格可能被修改，因此按行头单元格的 uid 重新定位要归档的行，行被删除或内容变化时放弃本次归档
+ * @returns {Promise<boolean>} 是否完成归档
+ */
+async function archiveSheetRows(source, rowIndexes, sheets, piece, isSilent) {
+    const policy = getArchivePolicy(source);
+    const rowKeys = rowIndexes.map(rowIndex => source.hashSheet[rowIndex][0]);
+    const rows = rowIndexes.map(rowIndex => getRowValues(source, rowIndex));
+    const summarySheet = findSummarySheet(source, policy, sheets);
+    if (policy.summarySheet && !summarySheet) console.warn(`归档「${source.name}」时未找到总结表，只移入归档表`, policy.summarySheet);
+    let summaryValues = null;
+    if (summarySheet) {
+        summaryValues = await requestArchiveSummary(source, rows, summarySheet, isSilent);
+        if (!summaryValues) return false;
+    }
+    const currentIndexes = rowKeys.map(key => source.hashSheet.findIndex(row => row[0] === key));
+    const unchanged = currentIndexes.every((rowIndex, i) => rowIndex > 0 && JSON.stringify(getRowValues(source, rowIndex)) === JSON.stringify(rows[i]));
+    if (!unchanged) {
+        console.warn(`归档「${source.name}」时表格已被修改，已放弃本次归档`, rowIndexes, currentIndexes);
+        return false;
+    }
+
+    const archiveSheet = getArchiveSheet(source, true);
+    const messageIndex = USER.getChatPiece().deep;
+    const changedSheets = [source, archiveSheet, summarySheet].filter(Boolean);
+    BASE.runWithCellProvenance({ source: CellSource.archive }, () => BASE.runSheetsTransaction(changedSheets, () => {
+        if (summarySheet) summarySheet.appendRow(summaryValues);
+        rows.forEach(values => archiveSheet.appendRow([...values, String(messageIndex)]));
+        [...currentIndexes].sort((a, b) => b - a).forEach(rowIndex => {
+            const cell = source.findCellByPosition(rowIndex, 0);
+            cell.newAction(cell.CellAction.deleteSelfRow, {}, false);
+        });
+    }));
+    changedSheets.forEach(sheet => sheet.save(piece, true));
+    console.log(`已归档「${source.name}」的 ${rows.length} 行`, rowIndexes, summaryValues);
+    return true;
+}
+
+/**
+ * 检查所有启用的表格，将超出归档策略限制的行总结后移入归档表
+ * @param {boolean} isSilent 是否静默请求总结
+ * @returns {Promise<number>} 归档的行数
+ */
+export async function archiveOverflowingSheets(isSilent = true) {
+    if (archiving || USER.tableBaseSetting.isExtensionAble === false) return 0;
+    const { piece } = USER.getChatPiece();
+    const sheets = BASE.getLastestSheets();
+    if (!piece || !sheets) return 0;
+
+    archiving = true;
+    let archived = 0;
+    try {
+        for (const sheet of sheets.filter(sheet => sheet.enable && !isArchiveSheet(sheet))) {
+            const rowIndexes = getOverflowRowIndexes(sheet);
+            if (rowIndexes.length === 0) continue;
+            if (await archiveSheetRows(sheet, rowIndexes, sheets, piece, isSilent)) archived += rowIndexes.length;
+        }
+    } finally {
+        archiving = false;
+    }
+    if (archived > 0) {
+        await USER.saveChat();
+        BASE.refreshContextView();
+        if (!isSilent) EDITOR.success(`已归档 ${archived} 行`);
+    }
+    return archived;
+}
+
+/**
+ * 在所有归档表中搜索内容
+ * @param {string} query 搜索内容，为空时返回全部归档行
+ * @returns {{sheet: Sheet, header: string[], rows: string[][]}[]}
+ */
+export function searchArchivedRows(query = '') {
+    const keyword = query.trim().toLowerCase();
+    return (BASE.getLastestSheets() ?? []).filter(isArchiveSheet).map(sheet => ({
+        sheet,
+        header: sheet.getHeader(),
+        rows: sheet.getContent().filter(values => !keyword || values.some(value => String(value).toLowerCase().includes(keyword))),
+    }));
+}
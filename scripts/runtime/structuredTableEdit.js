@@ -0,0 +1,228 @@
+import JSON5 from '../../utils/json5.min.mjs';
+import { ColumnDataType, getColumnTypeHint, parseColumnOptions } from "../../core/table/utils.js";
+
+/**
+ * 填表指令格式
+ * @description tableEdit：在 <tableEdit> 标签内输出函数调用；json：通过 response_format 要求输出 JSON；tools：通过函数调用返回 JSON
+ */
+export const TableEditProtocol = {
+    tableEdit: 'tableEdit',
+    json: 'json',
+    tools: 'tools',
+};
+
+export const TableEditProtocolLabel = {
+    tableEdit: 'tableEdit 标签',
+    json: 'JSON（response_format）',
+    tools: 'JSON（函数调用）',
+};
+
+const STRUCTURED_EDIT_FUNCTION_NAME = 'edit_tables';
+
+const ActionAlias = {
+    insert: 'insert', insertrow: 'insert',
+    update: 'update', updaterow: 'update',
+    delete: 'delete', deleterow: 'delete',
+    upsert: 'upsert', upsertrow: 'upsert',
+};
+
+/**
+ * 获取本次填表使用的指令格式
+ * @description 模板可在 config.editProtocol 中指定格式，未指定时使用默认格式。一次请求只能使用一种格式，
+ * 参与填表的表格对应的模板指定了不同格式时使用默认格式
+ * @param {Sheet[]} sheets 参与填表的表格
+ * @param {Object[]} templates 模板数据
+ * @param {string} defaultProtocol 设置中的默认格式
+ * @returns {{protocol: string, conflict: boolean}} conflict 为 true 表示模板指定的格式不一致
+ */
+export function resolveTableEditProtocol(sheets, templates, defaultProtocol = TableEditProtocol.tableEdit) {
+    const templateByUid = new Map(templates.map(template => [template.uid, template]));
+    const protocols = new Set(sheets.map(sheet => {
+        const template = templateByUid.get(sheet.template?.uid ?? sheet.template);
+        // 模板已被删除时使用表格创建时复制的设置
+        const protocol = template ? template.config?.editProtocol : sheet.config?.editProtocol;
+        return TableEditProtocol[protocol] ?? defaultProtocol;
+    }));
+    if (protocols.size > 1) return { protocol: defaultProtocol, conflict: true };
+    return { protocol: [...protocols][0] ?? defaultProtocol, conflict: false };
+}
+
+/**
+ * 获取表格允许 AI 执行的操作
+ * @param {Sheet} sheet
+ * @returns {string[]}
+ */
+function getAllowedActions(sheet) {
+    const actions = ['insert', 'update', 'delete'].filter(action => !sheet.getOperationRejectReason(action));
+    if (actions.includes('insert') && sheet.getKeyColumnIndexes().length > 0) actions.push('upsert');
+    return actions;
+}
+
+function getColumnSchema(columnData = {}, header) {
+    const hint = getColumnTypeHint(columnData);
+    const schema = { type: 'string', description: hint ? `${header}（${hint}）` : header };
+    if (columnData.columnDataType === ColumnDataType.enum) {
+        const options = parseColumnOptions(columnData.columnOptions);
+        if (options.length > 0) schema.enum = options;
+    }
+    return schema;
+}
+
+/**
+ * 根据当前表格生成编辑操作的 JSON Schema
+ * @description 每个表格的每种允许操作对应一个分支，列序号作为 data 的键
+ * @param {Sheet[]} sheets 启用的表格，顺序与提示词中的 tableIndex 一致
+ * @returns {Object}
+ */
+export function buildTableEditSchema(sheets) {
+    const variants = [];
+    sheets.forEach((sheet, tableIndex) => {
+        const properties = {};
+        (sheet.hashSheet[0] ?? []).slice(1).forEach((cellUid, colIndex) => {
+            const headerCell = sheet.cells.get(cellUid);
+            properties[String(colIndex)] = getColumnSchema(headerCell?.data, headerCell?.data?.value ?? '');
+        });
+        const dataSchema = { type: 'object', description: `表格「${sheet.name}」的行数据，键为从 0 开始的列序号`, properties, additionalProperties: false };
+        getAllowedActions(sheet).forEach(action => {
+            const variant = {
+                type: 'object',
+                description: `${sheet.name}：${action}`,
+                properties: {
+                    action: { type: 'string', enum: [action] },
+                    tableIndex: { type: 'integer', enum: [tableIndex] },
+                },
+                required: ['action', 'tableIndex'],
+                additionalProperties: false,
+            };
+            if (action === 'update' || action === 'delete') {
+                variant.properties.rowIndex = { type: 'integer', minimum: 0, description: '从 0 开始的行序号' };
+                variant.required.push('rowIndex');
+            }
+            if (action !== 'delete') {
+                variant.properties.data = dataSchema;
+                variant.required.push('data');
+            }
+            variants.push(variant);
+        });
+    });
+    return {
+        type: 'object',
+        properties: {
+            operations: {
+                type: 'array',
+                description: '按顺序执行的表格编辑操作，无需修改时为空数组',
+                items: variants.length > 0 ? { anyOf: variants } : {},
+            },
+        },
+        required: ['operations'],
+        additionalProperties: false,
+    };
+}
+
+/**
+ * 生成要求模型输出 JSON 的提示词
+ * @param {Object} schema 编辑操作的 JSON Schema
+ * @returns {string}
+ */
+export function getStructuredEditPrompt(schema) {
+    return `请忽略上文中关于 <tableEdit> 标签与 insertRow/updateRow/deleteRow 函数的输出格式要求，改为只输出一个 JSON 对象，不要输出任何解释或其他文字。
+格式：{"operations": [{"action": "insert", "tableIndex": 0, "data": {"0": "值1", "1": "值2"}}, {"action": "update", "tableIndex": 1, "rowIndex": 3, "data": {"2": "新值"}}, {"action": "delete", "tableIndex": 0, "rowIndex": 5}]}
+- action 只能为 insert、update、delete 或 upsert（按主键插入或更新），且必须是该表格允许的操作
+- tableIndex 为从 0 开始的表格序号，rowIndex 为从 0 开始的行序号，data 的键为从 0 开始的列序号
+- 无需修改时输出 {"operations": []}
+JSON Schema：
+${JSON.stringify(schema)}`;
+}
+
+/**
+ * 生成 OpenAI 兼容接口的结构化输出参数
+ * @param {Object} schema 编辑操作的 JSON Schema
+ * @param {string} protocol TableEditProtocol.json 或 TableEditProtocol.tools
+ * @returns {Object} 合并进请求体的参数
+ */
+export function getStructuredRequestOptions(schema, protocol) {
+    if (protocol === TableEditProtocol.tools) {
+        return {
+            tools: [{
+                type: 'function',
+                function: { name: STRUCTURED_EDIT_FUNCTION_NAME, description: '编辑记忆表格', parameters: schema },
+            }],
+            tool_choice: { type: 'function', function: { name: STRUCTURED_EDIT_FUNCTION_NAME } },
+        };
+    }
+    if (protocol === TableEditProtocol.json) {
+        return { response_format: { type: 'json_schema', json_schema: { name: STRUCTURED_EDIT_FUNCTION_NAME, schema } } };
+    }
+    return {};
+}
+
+/**
+ * 将编辑指令中的值转换为单元格文本
+ * @description tableEdit 标签与 JSON 格式的指令共用，逗号会破坏表格的 CSV 格式，统一替换为「/」
+ * @param {*} value
+ * @returns {string}
+ */
+export function normalizeCellText(value) {
+    let text;
+    if (value === null || value === undefined) text = '';
+    else if (Array.isArray(value)) text = value.join('/');
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+    return text.trim().replace(/,/g, '/');
+}
+
+function extractJsonText(content) {
+    const fenced = content.match(/```(?:json5?|JSON)?\s*([\s\S]*?)```/);
+    const text = (fenced ? fenced[1] : content).trim();
+    const start = text.search(/[\[{]/);
+    if (start === -1) return null;
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    return end > start ? text.slice(start, end + 1) : null;
+}
+
+/**
+ * 将模型返回的 JSON 转换为编辑指令
+ * @description 兼容直接返回数组、返回 {operations: [...]}，以及 action 写作 insertRow 等形式
+ * @param {string} content 模型返回的文本或函数调用参数
+ * @returns {{actions: Object[], errors: string[]}|null} 无法解析为 JSON 时返回 null
+ */
+export function parseStructuredTableEdit(content) {
+    if (typeof content !== 'string') return null;
+    const jsonText = extractJsonText(content);
+    if (!jsonText) return null;
+    let parsed;
+    try {
+        parsed = JSON5.parse(jsonText);
+    } catch (e) {
+        console.warn('结构化填表结果解析失败', e, jsonText);
+        return null;
+    }
+    const operations = Array.isArray(parsed) ? parsed : parsed?.operations;
+    if (!Array.isArray(operations)) return null;
+
+    const actions = [];
+    const errors = [];
+    operations.forEach((operation, index) => {
+        const type = ActionAlias[String(operation?.action ?? operation?.op ?? operation?.type ?? '').toLowerCase()];
+        const tableIndex = Number(operation?.tableIndex ?? NaN);
+        if (!type || !Number.isInteger(tableIndex)) {
+            errors.push(`第${index + 1}条操作缺少有效的 action 或 tableIndex`);
+            return;
+        }
+        const action = { tableIndex };
+        if (operation.rowIndex !== undefined && operation.rowIndex !== null) {
+            const rowIndex = Number(operation.rowIndex);
+            if (!Number.isInteger(rowIndex)) {
+                errors.push(`第${index + 1}条操作的 rowIndex 无效`);
+                return;
+            }
+            action.rowIndex = rowIndex;
+        }
+        if (operation.data && typeof operation.data === 'object') {
+            action.data = {};
+            Object.entries(operation.data).forEach(([key, value]) => action.data[key] = normalizeCellText(value));
+        }
+        actions.push({ type, action });
+    });
+    return { actions, errors };
+}
@@ -0,0 +1,227 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { Cell, CellSource, createCellProvenance } from '../../core/table/cell.js';
+import { isArchiveSheet } from './sheetArchive.js';
+
+/**
+ * 将模板的结构修改同步到由其创建的聊天表格
+ * @description 由模板创建的表格与模板共用表头单元格的 coordUid，编辑单元格时 coordUid 不变，
+ * 因此按 coordUid 即可识别改名与移动过的列；没有对应 coordUid 的列再按列名匹配
+ */
+
+const SourceDataLabel = {
+    note: '表格说明',
+    initNode: '初始化提示词',
+    insertNode: '插入提示词',
+    deleteNode: '删除提示词',
+    updateNode: '更新提示词',
+};
+
+const PropertyLabel = {
+    type: '表格类型',
+    required: '是否必填',
+    triggerSend: '是否触发发送',
+    triggerSendDeep: '触发发送深度',
+};
+
+/**
+ * 获取表格对应的模板 uid
+ * @param {Sheet} sheet
+ * @returns {string|null}
+ */
+export function getSheetTemplateUid(sheet) {
+    return sheet.template?.uid ?? sheet.template ?? null;
+}
+
+function getHeaderColumns(sheet) {
+    return sheet.hashSheet[0].slice(1).map((uid, index) => {
+        const cell = sheet.cells.get(uid);
+        return { index: index + 1, coordUid: cell?.coordUid, name: String(cell?.data.value ?? ''), data: cell?.data ?? {} };
+    });
+}
+
+/**
+ * 比较时忽略列名与单元格状态，只比较列的设置
+ */
+function getColumnSettings(data) {
+    const { value, locked, pinned, validation, ...settings } = data;
+    return JSON.stringify(Object.keys(settings).sort().map(key => [key, settings[key]]));
+}
+
+/**
+ * 表格是否由模板创建
+ * @param {Sheet} sheet
+ * @param {SheetTemplate} template
+ * @returns {boolean}
+ */
+export function isDerivedFromTemplate(sheet, template) {
+    if (getSheetTemplateUid(sheet) === template.uid) return true;
+    // 旧版保存时可能丢失了模板 uid，此时按共用的表格原点单元格识别
+    const origin = sheet.source?.coordUid;
+    return !getSheetTemplateUid(sheet) && !!origin && origin === template.source?.coordUid;
+}
+
+/**
+ * 获取当前聊天中由模板创建的表格
+ * @param {SheetTemplate} template
+ * @returns {Sheet[]}
+ */
+export function findDerivedSheets(template) {
+    return BASE.getChatSheets().filter(sheet => !isArchiveSheet(sheet) && isDerivedFromTemplate(sheet, template));
+}
+
+/**
+ * 计算表格与模板的结构差异
+ * @param {Sheet} sheet
+ * @param {SheetTemplate} template
+ * @returns {{
+ *   columns: {name: string, sheetIndex: number, templateCoordUid: string, templateData: Object, renamedFrom: string|null, settingsChanged: boolean}[],
+ *   added: string[], removed: {sheetIndex: number, name: string, filledCells: number}[], renamed: {from: string, to: string}[],
+ *   reordered: boolean, settingsChanged: string[], sourceData: {key: string, label: string}[], properties: {key: string, label: string, from: *, to: *}[],
+ *   hasChanges: boolean
+ * }} columns 为同步后模板中各列的来源，sheetIndex 为 -1 表示新增的列
+ */
+export function diffSheetWithTemplate(sheet, template) {
+    const sheetColumns = getHeaderColumns(sheet);
+    const templateColumns = getHeaderColumns(template);
+    const matched = new Set();
+    const match = predicate => {
+        const column = sheetColumns.find(c => !matched.has(c.index) && predicate(c));
+        if (column) matched.add(column.index);
+        return column;
+    };
+    const byCoord = new Map(templateColumns.map(column => [column, match(c => c.coordUid && c.coordUid === column.coordUid)]));
+    const columns = templateColumns.map(column => {
+        const source = byCoord.get(column) ?? match(c => c.name.trim() === column.name.trim());
+        return {
+            name: column.name,
+            sheetIndex: source?.index ?? -1,
+            templateCoordUid: column.coordUid,
+            templateData: column.data,
+            renamedFrom: source && source.name !== column.name ? source.name : null,
+            settingsChanged: !!source && getColumnSettings(source.data) !== getColumnSettings(column.data),
+            coordChanged: !!source && source.coordUid !== column.coordUid,
+        };
+    });
+
+    const removed = sheetColumns.filter(column => !matched.has(column.index)).map(column => ({
+        sheetIndex: column.index,
+        name: column.name,
+        filledCells: sheet.hashSheet.slice(1).filter(row => String(sheet.cells.get(row[column.index])?.data.value ?? '').trim() !== '').length,
+    }));
+    const keptOrder = columns.filter(column => column.sheetIndex !== -1).map(column => column.sheetIndex);
+    const sourceData = Object.keys(SourceDataLabel)
+        .filter(key => (template.source.data[key] ?? '') !== (sheet.source.data[key] ?? ''))
+        .map(key => ({ key, label: SourceDataLabel[key] }));
+    const properties = Object.keys(PropertyLabel)
+        .filter(key => template[key] !== sheet[key])
+        .map(key => ({ key, label: PropertyLabel[key], from: sheet[key], to: template[key] }));
+
+    const diff = {
+        columns,
+        added: columns.filter(column => column.sheetIndex === -1).map(column => column.name),
+        removed,
+        renamed: columns.filter(column => column.renamedFrom !== null).map(column => ({ from: column.renamedFrom, to: column.name })),
+        reordered: keptOrder.some((sheetIndex, index) => index > 0 && sheetIndex < keptOrder[index - 1]),
+        settingsChanged: columns.filter(column => column.settingsChanged).map(column => column.name),
+        sourceData,
+        properties,
+    };
+    diff.hasChanges = diff.added.length > 0 || diff.removed.length > 0 || diff.renamed.length > 0 || diff.reordered
+        || diff.settingsChanged.length > 0 || diff.sourceData.length > 0 || diff.properties.length > 0
+        || columns.some(column => column.coordChanged);
+    return diff;
+}
+
+/**
+ * 差异的摘要，用于记录用户已处理过的模板修改
+ * @param {Object} diff diffSheetWithTemplate 的结果
+ * @returns {string}
+ */
+export function getTemplateDiffSignature(diff) {
+    const summary = JSON.stringify([
+        diff.columns.map(column => [column.templateCoordUid, column.name, column.sheetIndex, column.renamedFrom, column.settingsChanged]),
+        diff.removed.map(column => column.name),
+        diff.sourceData.map(({ key }) => key),
+        diff.properties.map(({ key, to }) => [key, to]),
+    ]);
+    let hash = 0;
+    for (let i = 0; i < summary.length; i++) hash = (hash * 31 + summary.charCodeAt(i)) | 0;
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * 获取当前聊天中结构与模板不一致、且这次的修改还未向用户提示过的表格
+ * @description 同步只作用于打开的聊天，其他聊天在打开时通过这里发现模板的修改
+ * @returns {{sheet: Sheet, template: SheetTemplate, diff: Object}[]}
+ */
+export function findPendingTemplateSyncPlans() {
+    return BASE.templates.flatMap(template => findDerivedSheets(template)
+        .map(sheet => ({ sheet, template, diff: diffSheetWithTemplate(sheet, template) }))
+        .filter(({ sheet, diff }) => diff.hasChanges && sheet.config?.templateSyncSignature !== getTemplateDiffSignature(diff)));
+}
+
+/**
+ * 记录用户已处理过这些表格当前的模板修改，之后打开聊天时不再提示
+ * @param {{sheet: Sheet, diff: Object}[]} plans
+ */
+export function markTemplateSyncSeen(plans) {
+    const { piece } = USER.getChatPiece();
+    if (!piece || plans.length === 0) return;
+    plans.forEach(({ sheet, diff }) => {
+        sheet.config.templateSyncSignature = getTemplateDiffSignature(diff);
+        sheet.save(piece, true);
+    });
+    USER.saveChat();
+}
+
+function createCell(sheet, type, data = {}, coordUid = null) {
+    const cell = new Cell(sheet);
+    cell.type = type;
+    if (coordUid) cell.coordUid = coordUid;
+    cell.data = JSON.parse(JSON.stringify(data));
+    cell.provenance = createCellProvenance();
+    sheet.cells.set(cell.uid, cell);
+    sheet.cellHistory.push(cell);
+    return cell;
+}
+
+/**
+ * 按差异将模板的结构应用到表格，保留已有行的数据
+ * @description 表头单元格使用模板的数据与 coordUid 重新创建，原单元格保留在 cellHistory 中
+ * @param {Sheet} sheet
+ * @param {SheetTemplate} template
+ * @param {Object} diff diffSheetWithTemplate 的结果
+ * @param {{removeColumns: boolean}} options removeColumns 为 false 时模板中已删除的列保留在表格末尾
+ */
+export function applyTemplateDiff(sheet, template, diff, { removeColumns = true } = {}) {
+    const { CellType } = sheet.source;
+    const columns = [...diff.columns, ...(removeColumns ? [] : diff.removed.map(column => ({ sheetIndex: column.sheetIndex, keep: true })))];
+    BASE.runWithCellProvenance({ source: CellSource.templateSync, template: template.name }, () => BASE.runSheetsTransaction([sheet], () => {
+        const header = sheet.hashSheet[0];
+        const newHeader = [header[0], ...columns.map(column => {
+            const unchanged = column.sheetIndex !== -1 && (column.keep || (!column.renamedFrom && !column.settingsChanged && !column.coordChanged));
+            return unchanged ? header[column.sheetIndex] : createCell(sheet, CellType.column_header, column.templateData, column.templateCoordUid).uid;
+        })];
+        const rows = sheet.hashSheet.slice(1).map(row => [
+            row[0],
+            ...columns.map(column => column.sheetIndex === -1 ? createCell(sheet, CellType.cell).uid : row[column.sheetIndex]),
+        ]);
+        sheet.hashSheet = [newHeader, ...rows];
+        sheet.markPositionCacheDirty();
+    }));
+    diff.sourceData.forEach(({ key }) => sheet.source.data[key] = template.source.data[key]);
+    diff.properties.forEach(({ key, to }) => sheet[key] = to);
+    if (!getSheetTemplateUid(sheet)) sheet.template = template.uid;
+}
+
+/**
+ * 同步多个表格并保存
+ * @param {{sheet: Sheet, template: SheetTemplate, diff: Object, removeColumns: boolean}[]} plans
+ */
+export function applyTemplateSyncPlans(plans) {
+    const { piece } = USER.getChatPiece();
+    if (!piece) throw new Error('表格数据没有记录载体，请聊过一轮后再试');
+    plans.forEach(({ sheet, template, diff, removeColumns }) => applyTemplateDiff(sheet, template, diff, { removeColumns }));
+    plans.forEach(({ sheet }) => sheet.save(piece, true));
+    USER.saveChat();
+}
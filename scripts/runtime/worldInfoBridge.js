@@ -0,0 +1,251 @@
+import { BASE, DERIVED, EDITOR, SYSTEM, USER } from '../../core/manager.js';
+import { CellSource } from '../../core/table/cell.js';
+
+/**
+ * 表格与世界书（World Info）的双向同步
+ * @description 通过酒馆助手（JS-Slash-Runner）提供的 TavernHelper 读写世界书。
+ * 行与条目的关联按行头单元格 uid 与条目 uid 保存在表格的 config 中，随表格保存在其所在的域；
+ * 角色域与全局域表格在多个聊天间共享关联，再次导出时更新已关联的条目而不是重复创建
+ */
+
+// 旧版本将关联保存在 chatMetadata 的该字段中
+const LEGACY_LINK_KEY = 'sheet_world_info';
+
+// 生成关键词时忽略的占位值
+const IGNORED_KEYWORDS = ['未知', '无', '暂无', '-', '—', 'none', 'unknown'];
+
+/**
+ * 获取 TavernHelper
+ * @returns {Object}
+ */
+function getTavernHelper() {
+    const helper = window.TavernHelper;
+    if (!helper?.getLorebookEntries) throw new Error('读写世界书需要安装并启用酒馆助手（JS-Slash-Runner）');
+    return helper;
+}
+
+/**
+ * 世界书功能是否可用
+ * @returns {boolean}
+ */
+export function isWorldInfoAvailable() {
+    return !!window.TavernHelper?.getLorebookEntries;
+}
+
+/**
+ * 获取可选择的世界书，当前角色绑定的世界书排在前面
+ * @returns {Promise<string[]>}
+ */
+export async function getLorebookNames() {
+    const helper = getTavernHelper();
+    const names = [];
+    try {
+        const charLorebooks = await helper.getCharLorebooks({ type: 'all' });
+        if (charLorebooks?.primary) names.push(charLorebooks.primary);
+        if (charLorebooks?.additional) names.push(...charLorebooks.additional);
+    } catch (e) {
+        console.warn('[Memory Enhancement] 获取角色世界书失败', e);
+    }
+    const all = (await helper.getLorebooks?.()) ?? [];
+    return [...new Set([...names, ...all])];
+}
+
+/**
+ * 获取表格的世界书同步设置与行关联
+ * @param {Sheet} sheet
+ * @returns {{book: string, keyColumns: string[], contentColumns: string[], links: Object<string, number>}}
+ * keyColumns 与 contentColumns 为表头单元格 uid，links 为行头单元格 uid 到条目 uid 的映射
+ */
+export function getWorldInfoLink(sheet) {
+    if (!sheet.config.worldInfo) {
+        const legacyLink = USER.getContext().chatMetadata?.[LEGACY_LINK_KEY]?.[sheet.uid];
+        sheet.config.worldInfo = legacyLink ?? { book: '', keyColumns: sheet.hashSheet[0].slice(1, 2), contentColumns: sheet.hashSheet[0].slice(1), links: {} };
+    }
+    return sheet.config.worldInfo;
+}
+
+/**
+ * 保存表格的世界书同步设置与行关联
+ * @description 随表格保存到其所在的域，聊天域的表格需要同时保存聊天
+ * @param {Sheet} sheet
+ * @param {Object} piece 同时保存表格内容的聊天片段，只保存设置时不传
+ */
+function saveWorldInfoLink(sheet, piece = undefined) {
+    sheet.save(piece, true);
+    const legacyLinks = USER.getContext().chatMetadata?.[LEGACY_LINK_KEY];
+    if (legacyLinks?.[sheet.uid]) delete legacyLinks[sheet.uid];
+    USER.saveChat();
+}
+
+/**
+ * 表头单元格 uid 转为列索引，忽略已删除的列
+ */
+function toColumnIndexes(sheet, columnUids) {
+    return columnUids.map(uid => sheet.hashSheet[0].indexOf(uid)).filter(index => index > 0);
+}
+
+/**
+ * 将单元格的值拆分为关键词
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function splitKeywords(value) {
+    return String(value ?? '')
+        .split(/[,，、;；|/\n]+/)
+        .map(keyword => keyword.trim())
+        .filter(keyword => keyword && !IGNORED_KEYWORDS.includes(keyword.toLowerCase()));
+}
+
+/**
+ * 生成行对应的世界书条目
+ * @param {Sheet} sheet
+ * @param {number} rowIndex
+ * @param {number[]} keyColumns 关键词列的索引
+ * @param {number[]} contentColumns 内容列的索引
+ * @returns {{comment: string, keys: string[], content: string}|null} 没有关键词时返回 null
+ */
+export function rowToLorebookEntry(sheet, rowIndex, keyColumns, contentColumns) {
+    const header = sheet.getHeader();
+    const value = colIndex => String(sheet.findCellByPosition(rowIndex, colIndex)?.data.value ?? '').trim();
+    const keys = [...new Set(keyColumns.flatMap(colIndex => splitKeywords(value(colIndex))))];
+    if (keys.length === 0) return null;
+    // 只有一个内容列时直接使用单元格的值，使导入的条目再次导出时内容不变
+    const content = contentColumns.length === 1
+        ? value(contentColumns[0])
+        : contentColumns
+            .filter(colIndex => value(colIndex) !== '')
+            .map(colIndex => `${header[colIndex - 1]}: ${value(colIndex)}`)
+            .join('\n');
+    return { comment: `${sheet.name} - ${keys[0]}`, keys, content };
+}
+
+async function createEntries(helper, book, entries) {
+    if (entries.length === 0) return [];
+    if (helper.createLorebookEntries) {
+        const result = await helper.createLorebookEntries(book, entries);
+        return result.new_uids;
+    }
+    // 旧版酒馆助手只能逐个创建
+    const uids = [];
+    for (const entry of entries) uids.push(await helper.createLorebookEntry(book, entry));
+    return uids;
+}
+
+async function deleteEntries(helper, book, uids) {
+    if (uids.length === 0) return;
+    if (helper.deleteLorebookEntries) return await helper.deleteLorebookEntries(book, uids);
+    for (const uid of uids) await helper.deleteLorebookEntry(book, uid);
+}
+
+/**
+ * 将表格的行导出为世界书条目
+ * @description 已关联且仍存在的条目会被更新，其余的行新建条目；没有关键词的行会被跳过
+ * @param {Sheet} sheet
+ * @param {{book: string, keyColumns: string[], contentColumns: string[], removeStale: boolean}} options
+ * removeStale 为 true 时删除关联行已被删除的条目
+ * @returns {Promise<{created: number, updated: number, unchanged: number, skipped: number, removed: number}>}
+ */
+export async function exportSheetToLorebook(sheet, { book, keyColumns, contentColumns, removeStale = false }) {
+    const helper = getTavernHelper();
+    if (!book) throw new Error('请选择世界书');
+    const keyIndexes = toColumnIndexes(sheet, keyColumns);
+    const contentIndexes = toColumnIndexes(sheet, contentColumns);
+    if (keyIndexes.length === 0) throw new Error('请至少选择一个关键词列');
+
+    // 在副本上修改关联，请求失败时表格中保存的关联不变；更换世界书后原有的关联失效
+    const link = getWorldInfoLink(sheet);
+    const links = link.book === book ? { ...link.links } : {};
+    const existing = new Map((await helper.getLorebookEntries(book)).map(entry => [entry.uid, entry]));
+
+    const result = { created: 0, updated: 0, unchanged: 0, skipped: 0, removed: 0 };
+    const updates = [];
+    const creations = [];
+    const rowUids = new Set();
+    for (let rowIndex = 1; rowIndex < sheet.getRowCount(); rowIndex++) {
+        const rowUid = sheet.hashSheet[rowIndex][0];
+        rowUids.add(rowUid);
+        const entry = rowToLorebookEntry(sheet, rowIndex, keyIndexes, contentIndexes);
+        if (!entry) {
+            result.skipped++;
+            continue;
+        }
+        const linked = existing.get(links[rowUid]);
+        if (!linked) {
+            creations.push({ rowUid, entry: { ...entry, enabled: true, type: 'selective' } });
+        } else if (linked.content !== entry.content || linked.comment !== entry.comment || linked.keys.join('\n') !== entry.keys.join('\n')) {
+            updates.push({ uid: linked.uid, ...entry });
+        } else {
+            result.unchanged++;
+        }
+    }
+
+    if (updates.length > 0) await helper.setLorebookEntries(book, updates);
+    result.updated = updates.length;
+    const newUids = await createEntries(helper, book, creations.map(creation => creation.entry));
+    creations.forEach((creation, index) => links[creation.rowUid] = newUids[index]);
+    result.created = creations.length;
+    // 条目已创建，之后的请求失败时也需保留新条目的关联，避免再次导出时重复创建
+    Object.assign(link, { book, keyColumns, contentColumns, links });
+
+    const stale = Object.keys(links).filter(rowUid => !rowUids.has(rowUid));
+    if (removeStale) {
+        const staleUids = stale.map(rowUid => links[rowUid]).filter(uid => existing.has(uid));
+        await deleteEntries(helper, book, staleUids);
+        result.removed = staleUids.length;
+    }
+    stale.forEach(rowUid => {
+        if (removeStale || !existing.has(links[rowUid])) delete links[rowUid];
+    });
+    saveWorldInfoLink(sheet);
+    return result;
+}
+
+/**
+ * 获取世界书中尚未与表格关联的条目
+ * @param {Sheet} sheet
+ * @param {string} book
+ * @returns {Promise<Object[]>}
+ */
+export async function getUnlinkedLorebookEntries(sheet, book) {
+    const helper = getTavernHelper();
+    const link = getWorldInfoLink(sheet);
+    const linkedUids = new Set(link.book === book ? Object.values(link.links) : []);
+    return (await helper.getLorebookEntries(book)).filter(entry => !linkedUids.has(entry.uid));
+}
+
+/**
+ * 将世界书条目导入为表格的行，并与条目关联
+ * @description 关键词以「、」连接写入关键词列，内容写入内容列，同时将这两列设为再次导出时使用的列
+ * @param {Sheet} sheet
+ * @param {string} book
+ * @param {Object[]} entries 要导入的条目
+ * @param {{keyColumn: number, contentColumn: number}} columns 列索引
+ * @returns {number} 导入的行数
+ */
+export function importLorebookEntries(sheet, book, entries, { keyColumn, contentColumn }) {
+    const { piece } = USER.getChatPiece();
+    if (!piece) throw new Error('表格数据没有记录载体，请聊过一轮后再试');
+    if (keyColumn === contentColumn) throw new Error('关键词列与内容列不能相同');
+    const width = sheet.getHeader().length;
+    const rowLinks = [];
+    BASE.runWithCellProvenance({ source: CellSource.import }, () => BASE.runSheetsTransaction([sheet], () => {
+        entries.forEach(entry => {
+            const values = Array.from({ length: width }, () => '');
+            values[keyColumn - 1] = (entry.keys ?? []).join('、');
+            values[contentColumn - 1] = entry.content ?? '';
+            sheet.appendRow(values);
+            rowLinks.push([sheet.hashSheet[sheet.getRowCount() - 1][0], entry.uid]);
+        });
+    }));
+    // 事务回滚时不会执行到这里，关联只在导入成功后修改；更换世界书后原有的关联失效
+    const link = getWorldInfoLink(sheet);
+    if (link.book !== book) {
+        link.links = {};
+        link.book = book;
+    }
+    link.keyColumns = [sheet.hashSheet[0][keyColumn]];
+    link.contentColumns = [sheet.hashSheet[0][contentColumn]];
+    rowLinks.forEach(([rowUid, entryUid]) => link.links[rowUid] = entryUid);
+    saveWorldInfoLink(sheet, piece);
+    return entries.length;
+}
@@ -2,6 +2,7 @@
 import {BASE, DERIVED, EDITOR, SYSTEM, USER} from '../../core/manager.js';
 import LLMApiService from "../../services/llmApi.js";
 import {PopupConfirm} from "../../components/popupConfirm.js";
+import {countTokens} from "../../services/tokenCounter.js";
 
 let loadingToast = null;
 let currentApiKeyIndex = 0;// 用于记录当前使用的API Key的索引
@@ -214,15 +215,40 @@ export async function testApiConnection(apiUrl, apiKeys, modelName) {
     return results;
 }
 
+/**主API调用
+ * @param {string|Array<object>} systemPrompt - 系统提示或消息数组
+ * @param {string|null} userPrompt - 用户提示，systemPrompt 为消息数组时忽略
+ * @param {boolean} isSilent - 是否静默模式
+ * @returns {Promise<string>} API响应，用户中止时返回 'suspended'
+ */
+export async function handleMainAPIRequest(systemPrompt, userPrompt, isSilent = false) {
+    let suspended = false;
+    createLoadingToast(true, isSilent).then((r) => {
+        if (loadingToast) loadingToast.close();
+        suspended = r;
+    })
+
+    try {
+        // 主API无法中途取消请求，用户中止后丢弃返回的结果
+        const response = Array.isArray(systemPrompt)
+            ? await EDITOR.generateRaw(systemPrompt, null, false, false)
+            : await EDITOR.generateRaw(userPrompt ?? '', null, false, false, systemPrompt);
+        return suspended ? 'suspended' : response;
+    } finally {
+        loadingToast?.close();
+    }
+}
+
 /**自定义API调用
  * @param {string|Array<object>} systemPrompt - 系统提示或消息数组
  * @param {string} userPrompt - 用户提示
  * @param {boolean} isSilent - 是否静默模式
  * @param {boolean} isStream - 是否流式传输
  * @param {function} onDataCallback - 流式数据回调函数
+ * @param {object} requestOptions - 合并进请求体的额外参数，如 tools、response_format
  * @returns {Promise<string>} API响应
  */
-export async function customApiCall(systemPrompt, userPrompt, isSilent = false, isStream = false, onDataCallback = null) {
+export async function customApiCall(systemPrompt, userPrompt, isSilent = false, isStream = false, onDataCallback = null, requestOptions = {}) {
     const USER_API_URL = USER.IMPORTANT_USER_PRIVACY_DATA.custom_api_url;
     const apiKeysString = getDecryptedApiKey(); // 直接获取API密钥
     const USER_API_MODEL = USER.IMPORTANT_USER_PRIVACY_DATA.custom_model_name;
@@ -282,9 +308,9 @@ export async function customApiCall(systemPrompt, userPrompt, isSilent = false,
             });
 
             if (Array.isArray(promptData)) {
-                response = await llmService.callLLM(promptData, onDataCallback);
+                response = await llmService.callLLM(promptData, onDataCallback, requestOptions);
             } else {
-                response = await llmService.callLLM(userPrompt, onDataCallback);
+                response = await llmService.callLLM(userPrompt, onDataCallback, requestOptions);
             }
 
             loadingToast?.close();
@@ -506,21 +532,13 @@ export async function updateModelList() {
     }
 }
 /**
- * 估算 Token 数量
- * @param {string} text - 要估算 token 数量的文本
- * @returns {number} 估算的 token 数量
+ * 计算 Token 数量
+ * @description 使用 SillyTavern 的分词器，不可用时使用后备计数，见 services/tokenCounter.js
+ * @param {string} text - 要计算 token 数量的文本
+ * @returns {number} token 数量
  */
 export function estimateTokenCount(text) {
-    // 统计中文字符数量
-    let chineseCount = (text.match(/[\u4e00-\u9fff]/g) || []).length;
-
-    // 统计英文单词数量
-    let englishWords = text.match(/\b\w+\b/g) || [];
-    let englishCount = englishWords.length;
-
-    // 估算 token 数量
-    let estimatedTokenCount = chineseCount + Math.floor(englishCount * 1.2);
-    return estimatedTokenCount;
+    return countTokens(text);
 }
 /**
  * @description
@@ -9,6 +9,10 @@ import {rollbackVersion} from "../../services/debugs.js";
 import {customSheetsStylePopup} from "../editor/customSheetsStyle.js";
 import {openAppHeaderTableDrawer} from "../renderer/appHeaderTableBaseDrawer.js";
 import { processApiKey, isLegacyEncryptedData } from './standaloneAPI.js';
+import {migrateChatHashSheets} from "../../core/table/hashSheetsStorage.js";
+import {openRelevanceSelectionPopup} from "../editor/relevanceSelectionView.js";
+import {exportTemplatePackage, importTemplatePackage} from "../editor/templatePackageView.js";
+import {TableEditProtocolLabel} from "../runtime/structuredTableEdit.js";
 
 /**
  * 格式化深度设置
@@ -126,73 +130,13 @@ function tableStructureToSettingDOM(tableStructure) {
 
 /**
  * 导入插件设置
+ * @description 以模板包的形式导入，旧版导出的插件设置会先迁移为模板包
  */
 async function importTableSet() {
-    // 创建一个 input 元素，用于选择文件
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = 'application/json'; // 限制文件类型为 JSON
-
-    // 监听 input 元素的 change 事件，当用户选择文件后触发
-    input.addEventListener('change', async (event) => {
-        const file = event.target.files[0]; // 获取用户选择的文件
-
-        if (!file) {
-            return; // 用户未选择文件，直接返回
-        }
-
-        const reader = new FileReader(); // 创建 FileReader 对象来读取文件内容
-
-        reader.onload = async (e) => {
-            try {
-                const importedData = JSON.parse(e.target.result); // 解析 JSON 文件内容
-
-                // 获取导入 JSON 的第一级 key
-                const firstLevelKeys = Object.keys(importedData);
-
-                // 构建展示第一级 key 的 HTML 结构
-                let keyListHTML = '<ul>';
-                firstLevelKeys.forEach(key => {
-                    keyListHTML += `<li>${key}</li>`;
-                });
-                keyListHTML += '</ul>';
-
-                const tableInitPopup = $(`<div>
-                    <p>即将导入的设置项 (第一级):</p>
-                    ${keyListHTML}
-                    <p>是否继续导入并重置这些设置？</p>
-                </div>`);
-
-                const confirmation = await EDITOR.callGenericPopup(tableInitPopup, EDITOR.POPUP_TYPE.CONFIRM, '导入设置确认', { okButton: "继续导入", cancelButton: "取消" });
-                if (!confirmation) return; // 用户取消导入
-
-                // 用户确认导入后，进行数据应用
-                // 注意：这里假设你需要将 importedData 的所有内容都合并到 USER.tableBaseSetting 中
-                // 你可能需要根据实际需求调整数据合并逻辑，例如只合并第一级 key 对应的数据，或者进行更细粒度的合并
-                for (let key in importedData) {
-                    USER.tableBaseSetting[key] = importedData[key];
-                }
-
-                renderSetting(); // 重新渲染设置界面，应用新的设置
-                // 重新转换模板
-                initTableStructureToTemplate()
-                BASE.refreshTempView(true) // 刷新模板视图
-                EDITOR.success('导入成功并已重置所选设置'); // 提示用户导入成功
-
-            } catch (error) {
-                EDITOR.error('JSON 文件解析失败，请检查文件格式是否正确。'); // 提示 JSON 解析失败
-                console.error("文件读取或解析错误:", error); // 打印详细错误信息到控制台
-            }
-        };
-
-        reader.onerror = (error) => {
-            EDITOR.error(`文件读取失败: ${error}`); // 提示文件读取失败
-        };
-
-        reader.readAsText(file); // 以文本格式读取文件内容
-    });
-
-    input.click(); // 模拟点击 input 元素，弹出文件选择框
+    if (!await importTemplatePackage()) return;
+    renderSetting(); // 重新渲染设置界面，应用新的设置
+    refreshRebuildTemplate();
+    BASE.refreshTempView(true) // 刷新模板视图
 }
 
 
@@ -200,22 +144,7 @@ async function importTableSet() {
  * 导出插件设置
  */
 async function exportTableSet() {
-    templateToTableStructure()
-    const { filterData, confirmation } = await filterTableDataPopup(USER.tableBaseSetting,"请选择需要导出的数据","")
-    if (!confirmation) return;
-
-    try {
-        const blob = new Blob([JSON.stringify(filterData)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a')
-        a.href = url;
-        a.download = `tableCustomConfig-${SYSTEM.generateRandomString(8)}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
-        EDITOR.success('导出成功');
-    } catch (error) {
-        EDITOR.error(`导出失败: ${error}`);
-    }
+    await exportTemplatePackage();
 }
 
 /**
@@ -266,6 +195,55 @@ function InitBinging() {
         USER.tableBaseSetting.tableDebugModeAble = this.checked;
         EDITOR.success(this.checked ? '调试模式已开启' : '调试模式已关闭');
     });
+    // 加载聊天时压缩单元格历史记录
+    $('#compact_cell_history_on_load').change(function () {
+        USER.tableBaseSetting.bool_compact_cell_history_on_load = this.checked;
+    });
+    $('#cell_history_recent_window').on('input', function () {
+        USER.tableBaseSetting.cell_history_recent_window = Math.max(0, Number($(this).val()) || 0);
+    });
+    // 表格数据增量储存
+    $('#hash_sheets_delta_storage').change(function () {
+        USER.tableBaseSetting.bool_hash_sheets_delta_storage = this.checked;
+        if (migrateChatHashSheets()) {
+            USER.saveChat();
+            EDITOR.success(this.checked ? '当前聊天的表格数据已转换为增量储存' : '当前聊天的表格数据已转换为完整储存');
+        }
+    });
+    $('#hash_sheets_keyframe_interval').on('input', function () {
+        USER.tableBaseSetting.hash_sheets_keyframe_interval = Math.max(1, Number($(this).val()) || 1);
+    });
+    // 按相关度选择注入的行
+    $('#relevance_injection_switch').change(function () {
+        USER.tableBaseSetting.bool_relevance_injection = this.checked;
+    });
+    $('#relevance_context_messages').on('input', function () {
+        USER.tableBaseSetting.relevance_context_messages = Math.max(1, Number($(this).val()) || 1);
+    });
+    $('#relevance_sheet_token_budget').on('input', function () {
+        USER.tableBaseSetting.relevance_sheet_token_budget = Math.max(0, Number($(this).val()) || 0);
+    });
+    $('#relevance_total_token_budget').on('input', function () {
+        USER.tableBaseSetting.relevance_total_token_budget = Math.max(0, Number($(this).val()) || 0);
+    });
+    $('#relevance_selection_button').on('click', () => EDITOR.tryAsync(openRelevanceSelectionPopup, "打开相关度选择结果失败"));
+    $('#relevance_retrieval_backend').change(function () {
+        USER.tableBaseSetting.relevance_retrieval_backend = $(this).val();
+        $('#embedding_endpoint_options').css('display', $(this).val() === 'endpoint' ? 'flex' : 'none');
+    });
+    // 向量接口
+    $('#embedding_api_url').on('input', function () {
+        USER.IMPORTANT_USER_PRIVACY_DATA.embedding_api_url = $(this).val();
+        USER.saveSettings && USER.saveSettings(); // 保存设置
+    });
+    $('#embedding_api_key').on('input', function () {
+        USER.IMPORTANT_USER_PRIVACY_DATA.embedding_api_key = $(this).val();
+        USER.saveSettings && USER.saveSettings(); // 保存设置
+    });
+    $('#embedding_model_name').on('input', function () {
+        USER.IMPORTANT_USER_PRIVACY_DATA.embedding_model_name = $(this).val();
+        USER.saveSettings && USER.saveSettings(); // 保存设置
+    });
     // 插件读表开关
     $('#table_read_switch').change(function () {
         USER.tableBaseSetting.isAiReadTable = this.checked;
@@ -276,6 +254,10 @@ function InitBinging() {
         USER.tableBaseSetting.isAiWriteTable = this.checked;
         EDITOR.success(this.checked ? 'AI的更改现在会被写入表格' : 'AI的更改现在不会被写入表格');
     });
+    // 表格编辑预览开关
+    $('#table_edit_preview').change(function () {
+        USER.tableBaseSetting.bool_table_edit_preview = this.checked;
+    });
 
     // 表格插入模式
     $('#dataTable_injection_mode').change(function (event) {
@@ -288,6 +270,19 @@ function InitBinging() {
         $('#step_by_step_options').toggle(step_by_step);
         USER.tableBaseSetting.step_by_step = step_by_step;
     })
+    // 分步填表指令格式
+    $('#step_by_step_edit_protocol').change(function() {
+        USER.tableBaseSetting.step_by_step_edit_protocol = $(this).val();
+    })
+    // 展开时重新渲染，以包含模板编辑器中新建的模板
+    $('#step_by_step_template_protocols').on('toggle', function() {
+        if (this.open) renderTemplateEditProtocols();
+    })
+    $(document).on('change', '.step_by_step_template_protocol', function() {
+        const template = new BASE.SheetTemplate($(this).data('uid'));
+        template.config.editProtocol = $(this).val();
+        template.save();
+    })
     // 确认执行
     $('#confirm_before_execution').change(function() {
         USER.tableBaseSetting.confirm_before_execution = $(this).prop('checked');
@@ -421,6 +416,10 @@ $('#custom_api_key').on('input', SYSTEM.debounce(function() {
         const value = $(this).val();
         USER.tableBaseSetting.deep = Math.abs(value);
     })
+    // 表格提示词token上限
+    $('#table_prompt_token_budget').on('input', function () {
+        USER.tableBaseSetting.table_prompt_token_budget = Math.max(0, Math.floor(Number($(this).val()) || 0));
+    });
     // 分步填表提示词
     $('#step_by_step_user_prompt').on('input', function() {
         USER.tableBaseSetting.step_by_step_user_prompt = $(this).val();
@@ -514,6 +513,21 @@ $('#custom_api_key').on('input', SYSTEM.debounce(function() {
 
 }
 
+/**
+ * 渲染各模板的分步填表指令格式
+ */
+function renderTemplateEditProtocols() {
+    const list = $('#step_by_step_template_protocol_list').empty();
+    if (BASE.templates.length === 0) list.append($('<small></small>').text('暂无模板'));
+    BASE.templates.forEach(template => {
+        const select = $('<select class="step_by_step_template_protocol"></select>').attr('data-uid', template.uid);
+        select.append($('<option value="">使用默认格式</option>'));
+        Object.entries(TableEditProtocolLabel).forEach(([value, label]) => select.append($('<option></option>').val(value).text(label)));
+        select.val(template.config?.editProtocol ?? '');
+        list.append($('<div class="flex-container alignitemscenter" style="gap: 10px"></div>').append($('<span></span>').text(template.name), select));
+    });
+}
+
 /**
  * 渲染设置
  */
@@ -524,6 +538,7 @@ export function renderSetting() {
     $(`#table_cell_width_mode option[value="${USER.tableBaseSetting.table_cell_width_mode}"]`).prop('selected', true);
     $('#dataTable_message_template').val(USER.tableBaseSetting.message_template);
     $('#dataTable_deep').val(USER.tableBaseSetting.deep);
+    $('#table_prompt_token_budget').val(USER.tableBaseSetting.table_prompt_token_budget);
     $('#clear_up_stairs').val(USER.tableBaseSetting.clear_up_stairs);
     $('#clear_up_stairs_value').text(USER.tableBaseSetting.clear_up_stairs);
     $('#rebuild_token_limit').val(USER.tableBaseSetting.rebuild_token_limit_value);
@@ -532,6 +547,8 @@ export function renderSetting() {
     $('#custom_temperature_value').text(USER.tableBaseSetting.custom_temperature);
     // Load step-by-step user prompt
     $('#step_by_step_user_prompt').val(USER.tableBaseSetting.step_by_step_user_prompt || '');
+    $('#step_by_step_edit_protocol').val(USER.tableBaseSetting.step_by_step_edit_protocol || 'tableEdit');
+    renderTemplateEditProtocols();
     // 分步填表读取的上下文层数
     $('#separateReadContextLayers').val(USER.tableBaseSetting.separateReadContextLayers);
     // 分步填表是否读取世界书
@@ -552,12 +569,26 @@ if (currentApiKey && isLegacyEncryptedData(currentApiKey)) {
     $('#custom_model_name').val(USER.IMPORTANT_USER_PRIVACY_DATA.custom_model_name || '');
     $('#table_proxy_address').val(USER.IMPORTANT_USER_PRIVACY_DATA.table_proxy_address || '');
     $('#table_proxy_key').val(USER.IMPORTANT_USER_PRIVACY_DATA.table_proxy_key || '');
+    $('#embedding_api_url').val(USER.IMPORTANT_USER_PRIVACY_DATA.embedding_api_url || '');
+    $('#embedding_api_key').val(USER.IMPORTANT_USER_PRIVACY_DATA.embedding_api_key || '');
+    $('#embedding_model_name').val(USER.IMPORTANT_USER_PRIVACY_DATA.embedding_model_name || '');
 
     // 初始化开关状态
     updateSwitch('#table_switch', USER.tableBaseSetting.isExtensionAble);
     updateSwitch('#table_switch_debug_mode', USER.tableBaseSetting.tableDebugModeAble);
     updateSwitch('#table_read_switch', USER.tableBaseSetting.isAiReadTable);
     updateSwitch('#table_edit_switch', USER.tableBaseSetting.isAiWriteTable);
+    updateSwitch('#table_edit_preview', USER.tableBaseSetting.bool_table_edit_preview);
+    updateSwitch('#compact_cell_history_on_load', USER.tableBaseSetting.bool_compact_cell_history_on_load);
+    $('#cell_history_recent_window').val(USER.tableBaseSetting.cell_history_recent_window);
+    updateSwitch('#hash_sheets_delta_storage', USER.tableBaseSetting.bool_hash_sheets_delta_storage);
+    $('#hash_sheets_keyframe_interval').val(USER.tableBaseSetting.hash_sheets_keyframe_interval);
+    updateSwitch('#relevance_injection_switch', USER.tableBaseSetting.bool_relevance_injection);
+    $('#relevance_context_messages').val(USER.tableBaseSetting.relevance_context_messages);
+    $('#relevance_sheet_token_budget').val(USER.tableBaseSetting.relevance_sheet_token_budget);
+    $('#relevance_total_token_budget').val(USER.tableBaseSetting.relevance_total_token_budget);
+    $('#relevance_retrieval_backend').val(USER.tableBaseSetting.relevance_retrieval_backend || 'lexical');
+    $('#embedding_endpoint_options').css('display', USER.tableBaseSetting.relevance_retrieval_backend === 'endpoint' ? 'flex' : 'none');
     updateSwitch('#table_to_chat', USER.tableBaseSetting.isTableToChat);
     // updateSwitch('#advanced_settings', USER.tableBaseSetting.advanced_settings);
     updateSwitch('#confirm_before_execution', USER.tableBaseSetting.confirm_before_execution);
@@ -642,30 +673,6 @@ export function initTableStructureToTemplate() {
     USER.saveSettings()
 }
 
-function templateToTableStructure() {
-    const tableTemplates = BASE.templates.map((templateData, index) => {
-        const template = new BASE.SheetTemplate(templateData.uid)
-        return {
-            tableIndex: index,
-            tableName: template.name,
-            columns: template.hashSheet[0].slice(1).map(cellUid => template.cells.get(cellUid).data.value),
-            note: template.data.note,
-            initNode: template.data.initNode,
-            deleteNode: template.data.deleteNode,
-            updateNode: template.data.updateNode,
-            insertNode: template.data.insertNode,
-            config: JSON.parse(JSON.stringify(template.config)),
-            Required: template.required,
-            tochat: template.tochat,
-            enable: template.enable,
-            triggerSend: template.triggerSend,
-            triggerSendDeep: template.triggerSendDeep,
-        }
-    })
-    USER.tableBaseSetting.tableStructure = tableTemplates
-    USER.saveSettings()
-}
-
 /**
  * 刷新重整理模板
  */
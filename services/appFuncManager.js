@@ -1,5 +1,5 @@
 import { saveSettingsDebounced, saveSettings, getSlideToggleOptions, generateRaw, saveChat, eventSource, event_types, getRequestHeaders } from '/script.js';
-import { DOMPurify, Bowser, slideToggle } from '/lib.js';
+import { DOMPurify, Bowser, slideToggle, localforage } from '/lib.js';
 import { extension_settings, getContext, renderExtensionTemplateAsync } from '/scripts/extensions.js';
 import { POPUP_TYPE, Popup, callGenericPopup } from '/scripts/popup.js';
 import { power_user, applyPowerUserSettings, getContextSettings, loadPowerUserSettings } from "/scripts/power-user.js";
@@ -25,6 +25,7 @@ const applicationFunctionManager = {
     DOMPurify,
     Bowser,
     slideToggle,
+    localforage,
 
     // scripts/extensions.js 模块
     extension_settings,
@@ -1,4 +1,6 @@
 import { SYSTEM, USER} from "../core/manager.js";
+import { runAllTests } from "./testSuites.js";
+import { deletePieceHashSheets } from "../core/table/hashSheetsStorage.js";
 
 // /**______________________请注意不要把填写后的API密钥上传了______________________*/
 // /**
@@ -24,7 +26,7 @@ export async function rollbackVersion() {
         const context_chat = USER.getContext().chat
         if (context_chat) {
             for (let piece of context_chat) {
-                delete piece.hash_sheets
+                deletePieceHashSheets(piece)
                 delete piece.two_step_links
                 delete piece.two_step_waiting
             }
@@ -43,6 +45,7 @@ export async function rollbackVersion() {
 /**______________________请注意不要把填写后的API密钥上传了______________________*/
 export function functionToBeRegistered() {
     SYSTEM.f(rollbackVersion, "回退上一版本")
+    SYSTEM.f(runAllTests, "运行全部测试")
     // SYSTEM.f(()=>{
     //     let sourceData = {}
     //     const s = BASE.sheetsData.context
@@ -21,7 +21,14 @@ export class LLMApiService {
         };
     }
 
-    async callLLM(prompt, streamCallback = null) {
+    /**
+     * 调用模型
+     * @param {string|Object[]} prompt 提示词或消息数组
+     * @param {Function|null} streamCallback 流式回调，为空时不使用流式传输
+     * @param {Object} requestOptions 合并进请求体的额外参数，如 tools、tool_choice、response_format
+     * @returns {Promise<string>} 模型返回的文本，使用函数调用时返回函数参数
+     */
+    async callLLM(prompt, streamCallback = null, requestOptions = {}) {
         if (!prompt) {
             throw new Error("输入内容不能为空");
         }
@@ -66,6 +73,7 @@ export class LLMApiService {
                     custom_url: this.config.api_url,
                     reverse_proxy: USER.IMPORTANT_USER_PRIVACY_DATA.table_proxy_address,
                     proxy_password: USER.IMPORTANT_USER_PRIVACY_DATA.table_proxy_key || null,
+                    ...requestOptions,
                 };
 
                 if (this.config.stream) {
@@ -110,7 +118,8 @@ export class LLMApiService {
                 messages: messages,
                 temperature: this.config.temperature,
                 max_tokens: this.config.max_tokens,
-                stream: this.config.stream
+                stream: this.config.stream,
+                ...requestOptions,
             };
 
             try {
@@ -143,12 +152,13 @@ export class LLMApiService {
 
         const responseData = await response.json();
 
-        if (!responseData.choices || responseData.choices.length === 0 ||
-            !responseData.choices[0].message || !responseData.choices[0].message.content) {
+        // 使用函数调用时，结果位于 tool_calls 的参数中
+        const message = responseData.choices?.[0]?.message;
+        const translatedText = message?.content || message?.tool_calls?.[0]?.function?.arguments;
+        if (!translatedText) {
             throw new Error("API返回无效的响应结构");
         }
 
-        let translatedText = responseData.choices[0].message.content;
         return this.#cleanResponse(translatedText);
     }
 
@@ -208,8 +218,8 @@ export class LLMApiService {
                             // Optional: Log parsed structure if needed for deep debugging
                             // console.log('[Stream] Custom API parsed JSON:', JSON.stringify(jsonData));
 
-                            if (jsonData.choices?.[0]?.delta?.content) {
-                                const content = jsonData.choices[0].delta.content;
+                            const content = this.#getDeltaText(jsonData);
+                            if (content) {
                                 fullResponse += content;
                                 // console.log(`[Stream] Custom API extracted content: "${content}"`); // Log extracted content if needed
                                 streamCallback(content); // Pass content to the callback
@@ -239,8 +249,8 @@ export class LLMApiService {
                             const jsonData = JSON.parse(dataStr);
                              // Optional: Log parsed structure if needed
                              // console.log('[Stream] Custom API parsed final buffer JSON:', JSON.stringify(jsonData));
-                            if (jsonData.choices?.[0]?.delta?.content) {
-                                const content = jsonData.choices[0].delta.content;
+                            const content = this.#getDeltaText(jsonData);
+                            if (content) {
                                 fullResponse += content;
                                 // console.log(`[Stream] Custom API extracted final buffer content: "${content}"`);
                                 streamCallback(content);
@@ -269,6 +279,11 @@ export class LLMApiService {
         }
     }
 
+    #getDeltaText(jsonData) {
+        const delta = jsonData.choices?.[0]?.delta;
+        return delta?.content || delta?.tool_calls?.[0]?.function?.arguments || '';
+    }
+
     #cleanResponse(text) {
         // 清理响应文本，移除可能的前缀或后缀
         return text.trim();
@@ -0,0 +1,165 @@
+import { BASE, DERIVED, USER } from "../core/manager.js";
+import { cosineSimilarity, deterministicEmbedding } from "../core/table/rowRelevance.js";
+import { createVectorBackend, RetrievalBackend, updateRowSemanticScores } from "../scripts/runtime/rowEmbedding.js";
+import { selectRelevantSheetRows } from "../scripts/runtime/relevanceInjection.js";
+import { countTokens } from "./tokenCounter.js";
+
+const QUERY = '悠悠在学校的图书馆里看书';
+
+// 以确定性向量代替向量服务，只在测试中使用
+const testBackend = createVectorBackend('test', async texts => texts.map(text => deterministicEmbedding(text)));
+
+/**
+ * 创建不登记到聊天中的测试表格
+ */
+function createTestSheet() {
+    const sheet = new BASE.Sheet();
+    sheet.createNewSheet(3, 1, false);
+    sheet.rebuildHashSheetByValueSheet([['', '地点', '物品'], ['', '学校图书馆', '书'], ['', '海边', '红色雨伞']]);
+    sheet.markPositionCacheDirty();
+    return sheet;
+}
+
+/**
+ * 在测试用的聊天与设置下执行用例，结束后恢复
+ * @description 聊天元数据与保存操作替换为内存中的对象，不会写入当前聊天
+ */
+async function runWithTestChat(settings, cb) {
+    const savedSettings = USER.getSettings().muyoo_dataTable ?? {};
+    const originalSettings = Object.fromEntries(Object.keys(settings).map(key => [key, Object.getOwnPropertyDescriptor(savedSettings, key)]));
+    const { getContext, saveChat } = USER;
+    const { rowSemanticScores, lastRelevanceSelection } = DERIVED.any;
+    const testChat = { chatMetadata: {}, chat: [{ mes: QUERY }], saves: 0 };
+    Object.entries(settings).forEach(([key, value]) => USER.tableBaseSetting[key] = value);
+    USER.getContext = () => ({ ...getContext(), chatMetadata: testChat.chatMetadata, chat: testChat.chat });
+    USER.saveChat = async () => { testChat.saves++; };
+    try {
+        return await cb(testChat);
+    } finally {
+        USER.getContext = getContext;
+        USER.saveChat = saveChat;
+        DERIVED.any.rowSemanticScores = rowSemanticScores;
+        DERIVED.any.lastRelevanceSelection = lastRelevanceSelection;
+        Object.entries(originalSettings).forEach(([key, descriptor]) => {
+            if (descriptor) USER.getSettings().muyoo_dataTable[key] = descriptor.value;
+            else delete USER.getSettings().muyoo_dataTable[key];
+        });
+    }
+}
+
+const semanticSettings = {
+    bool_relevance_injection: true,
+    relevance_retrieval_backend: RetrievalBackend.endpoint,
+    relevance_context_messages: 1,
+    relevance_sheet_token_budget: 0,
+    relevance_total_token_budget: 0,
+};
+
+function getDataCellUids(sheet) {
+    return sheet.hashSheet.slice(1).flatMap(row => row.slice(1));
+}
+
+/**
+ * 语义检索测试用例
+ * @description 使用确定性向量后端，`run` 返回问题描述，没有问题时返回空字符串
+ */
+const rowEmbeddingCases = [
+    {
+        name: '确定性向量对相同文本结果一致',
+        run: () => isEqual(deterministicEmbedding('地点: 学校'), deterministicEmbedding('地点: 学校')) ? '' : '两次结果不同',
+    },
+    {
+        name: '确定性向量已归一化',
+        run: () => {
+            const norm = Math.sqrt(deterministicEmbedding('角色: 悠悠 心情: 开心').reduce((sum, value) => sum + value * value, 0));
+            return Math.abs(norm - 1) < 1e-9 ? '' : `模长为 ${norm}`;
+        },
+    },
+    {
+        name: '空文本与维度不同的向量相似度为 0',
+        run: () => {
+            const empty = cosineSimilarity(deterministicEmbedding(''), deterministicEmbedding('学校'));
+            const mismatch = cosineSimilarity([1, 0], [1, 0, 0]);
+            return empty === 0 && mismatch === 0 ? '' : `相似度为 ${empty}、${mismatch}`;
+        },
+    },
+    {
+        name: '语义检索优先选择含有相同内容的行',
+        run: () => {
+            const query = deterministicEmbedding('悠悠在学校的图书馆里看书');
+            const rows = ['地点: 学校图书馆', '物品: 红色雨伞', '角色: 悠悠'].map(text => cosineSimilarity(query, deterministicEmbedding(text)));
+            return rows[0] > rows[1] && rows[2] > rows[1] ? '' : `相似度为 ${rows.map(score => score.toFixed(3)).join('、')}`;
+        },
+    },
+    {
+        name: '没有可用的向量后端时注入全部行',
+        run: () => runWithTestChat(semanticSettings, async ({ chat }) => {
+            const sheet = createTestSheet();
+            const scores = await updateRowSemanticScores([sheet], QUERY, null);
+            const selection = selectRelevantSheetRows([sheet], chat);
+            return scores === null && selection === null ? '' : `相似度为 ${scores}，选择结果为 ${selection}`;
+        }),
+    },
+    {
+        name: '向量按单元格 uid 缓存，再次检索时使用缓存',
+        run: () => runWithTestChat(semanticSettings, async (testChat) => {
+            const sheet = createTestSheet();
+            await updateRowSemanticScores([sheet], QUERY, testBackend);
+            const cache = testChat.chatMetadata.row_embeddings?.cells ?? {};
+            const uids = getDataCellUids(sheet);
+            if (!isEqual(Object.keys(cache).sort(), [...uids].sort())) return `缓存了 ${Object.keys(cache).join('、')}`;
+            if (testChat.saves === 0) return '建立索引后没有保存聊天';
+
+            // 替换缓存中的向量后，再次检索的结果应由缓存决定
+            const [, seaUid] = sheet.hashSheet[2];
+            cache[seaUid] = deterministicEmbedding(QUERY);
+            const scores = await updateRowSemanticScores([sheet], QUERY, testBackend);
+            const [libraryScore, seaScore] = [1, 2].map(rowIndex => scores.get(sheet.hashSheet[rowIndex][0]));
+            return Math.abs(seaScore - 1) < 1e-9 && seaScore > libraryScore ? '' : `相似度为 ${libraryScore}、${seaScore}`;
+        }),
+    },
+    {
+        name: '移除不在任何表格中的单元格的索引',
+        run: () => runWithTestChat(semanticSettings, async (testChat) => {
+            const sheet = createTestSheet();
+            testChat.chatMetadata.row_embeddings = { signature: testBackend.signature, cells: { stale_cell: [1] } };
+            await updateRowSemanticScores([sheet], QUERY, testBackend);
+            const cache = testChat.chatMetadata.row_embeddings.cells;
+            return cache.stale_cell === undefined && getDataCellUids(sheet).every(uid => cache[uid]) ? '' : `缓存了 ${Object.keys(cache).join('、')}`;
+        }),
+    },
+    {
+        name: '按语义相似度选择预算内的行',
+        run: () => runWithTestChat({ ...semanticSettings, relevance_sheet_token_budget: countTokens('学校图书馆,书') }, async ({ chat }) => {
+            const sheet = createTestSheet();
+            await updateRowSemanticScores([sheet], QUERY, testBackend);
+            const selected = selectRelevantSheetRows([sheet], chat)?.get(sheet.uid);
+            return isEqual([...(selected ?? [])], [1]) ? '' : `选中了 ${[...(selected ?? [])].join('、')}`;
+        }),
+    },
+];
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * 运行语义检索测试
+ * @returns {Promise<{passed: number, failed: string[]}>}
+ */
+export async function runRowEmbeddingTests() {
+    const failed = [];
+    for (const testCase of rowEmbeddingCases) {
+        let problem;
+        try {
+            problem = await testCase.run();
+        } catch (e) {
+            problem = `抛出错误 ${e.message}`;
+        }
+        if (problem) failed.push(`${testCase.name}：${problem}`);
+    }
+    const passed = rowEmbeddingCases.length - failed.length;
+    console.log(`语义检索测试：通过 ${passed}/${rowEmbeddingCases.length}`, failed);
+    if (failed.length) throw new Error(`语义检索测试失败：\n${failed.join('\n')}`);
+    return { passed, failed };
+}
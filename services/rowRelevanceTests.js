@@ -0,0 +1,70 @@
+import { scoreRowsByRelevance, selectRowsWithinBudget, tokenizeForRelevance } from "../core/table/rowRelevance.js";
+
+/**
+ * 行相关度测试用例
+ * @description `run` 返回问题描述，没有问题时返回空字符串
+ */
+const rowRelevanceCases = [
+    {
+        name: '中文按相邻两字切分，英文按单词切分',
+        run: () => {
+            const terms = tokenizeForRelevance('悠悠的书包 School a 1');
+            return isEqual(terms, ['school', '1', '悠悠', '悠的', '的书', '书包']) ? '' : `切分为 ${terms.join('、')}`;
+        },
+    },
+    {
+        name: 'BM25 优先选择与聊天内容重合的行',
+        run: () => {
+            const [related, unrelated] = scoreRowsByRelevance(['悠悠 学校 图书馆', '红色 雨伞'], '悠悠去了学校');
+            return related.score > unrelated.score && unrelated.score === 0 ? '' : `分数为 ${related.score}、${unrelated.score}`;
+        },
+    },
+    {
+        name: '覆盖率为行中的词出现在查询中的比例',
+        run: () => {
+            const [row] = scoreRowsByRelevance(['学校 雨伞'], '悠悠去了学校');
+            return row.overlap === 0.5 && row.score === row.bm25 + row.overlap ? '' : `覆盖率为 ${row.overlap}，分数为 ${row.score}`;
+        },
+    },
+    {
+        name: '分数相同时优先选择较新的行',
+        run: () => {
+            const selected = selectRowsWithinBudget([
+                { key: 'old', group: 's', tokens: 10, score: 1, order: 0 },
+                { key: 'new', group: 's', tokens: 10, score: 1, order: 1 },
+            ], { groupBudget: 15 });
+            return isEqual([...selected], ['new']) ? '' : `选中了 ${[...selected].join('、')}`;
+        },
+    },
+    {
+        name: '固定的行总会被选中，其余行受预算限制',
+        run: () => {
+            const selected = selectRowsWithinBudget([
+                { key: 'a', group: 's', tokens: 30, score: 0, order: 0, pinned: true },
+                { key: 'b', group: 's', tokens: 20, score: 2, order: 1 },
+                { key: 'c', group: 's', tokens: 10, score: 1, order: 2 },
+                { key: 'd', group: 't', tokens: 10, score: 0.5, order: 0 },
+            ], { groupBudget: 45, totalBudget: 50 });
+            return isEqual([...selected].sort(), ['a', 'c', 'd']) ? '' : `选中了 ${[...selected].join('、')}`;
+        },
+    },
+];
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * 运行行相关度测试
+ * @returns {{passed: number, failed: string[]}}
+ */
+export function runRowRelevanceTests() {
+    const failed = rowRelevanceCases
+        .map(testCase => [testCase.name, testCase.run()])
+        .filter(([, problem]) => problem)
+        .map(([name, problem]) => `${name}：${problem}`);
+    const passed = rowRelevanceCases.length - failed.length;
+    console.log(`行相关度测试：通过 ${passed}/${rowRelevanceCases.length}`, failed);
+    if (failed.length) throw new Error(`行相关度测试失败：\n${failed.join('\n')}`);
+    return { passed, failed };
+}
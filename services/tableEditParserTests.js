@@ -0,0 +1,126 @@
+import { parseTableEditText } from "../utils/tableEditParser.js";
+
+/**
+ * tableEdit 解析器测试语料
+ * @description 收集自模型实际输出的格式错误样例，`expected` 为应解析出的语句，`errors`/`warnings` 为应产生的错误与警告数量
+ */
+const tableEditCorpus = [
+    {
+        name: '标准格式',
+        input: `<!--\ninsertRow(0, {0:"2024-01-01", 1:"12:00", 2:"学校"})\n-->`,
+        expected: [{ type: 'insert', args: [0, { 0: '2024-01-01', 1: '12:00', 2: '学校' }] }],
+    },
+    {
+        name: '未加引号的键与单引号字符串',
+        input: `updateRow(1, 0, {3: '悠悠', "4": "开心"})`,
+        expected: [{ type: 'update', args: [1, 0, { 3: '悠悠', 4: '开心' }] }],
+    },
+    {
+        name: '字符串中的花括号与逗号',
+        input: `insertRow(2, {0:"状态{中毒}", 1:"苹果,香蕉"})`,
+        expected: [{ type: 'insert', args: [2, { 0: '状态{中毒}', 1: '苹果,香蕉' }] }],
+    },
+    {
+        name: '转义引号',
+        input: `insertRow(0, {0:"他说\\"你好\\"", 1:'It\\'s'})`,
+        expected: [{ type: 'insert', args: [0, { 0: '他说"你好"', 1: "It's" }] }],
+    },
+    {
+        name: '未转义的内部引号',
+        input: `updateRow(1, 2, {3: "他说"你好"然后离开"})`,
+        expected: [{ type: 'update', args: [1, 2, { 3: '他说"你好"然后离开' }] }],
+    },
+    {
+        name: '多行值',
+        input: `insertRow(1, {0: "第一行\n第二行"})`,
+        expected: [{ type: 'insert', args: [1, { 0: '第一行\n第二行' }] }],
+    },
+    {
+        name: '全角标点与中文引号',
+        input: `insertRow（0，{0：“悠悠”， 1：“学校”}）`,
+        expected: [{ type: 'insert', args: [0, { 0: '悠悠', 1: '学校' }] }],
+    },
+    {
+        name: '尾随逗号、注释与 JSON5 数字',
+        input: `insertRow(1, {0:'x', /* 注释 */ 1: 0x1F, 2: +1, 3: .5,}, ) // 行尾注释`,
+        expected: [{ type: 'insert', args: [1, { 0: 'x', 1: 31, 2: 1, 3: 0.5 }] }],
+    },
+    {
+        name: '未加引号的值',
+        input: `insertRow(0, {0: 冬天 下雪, 1: 学校})`,
+        expected: [{ type: 'insert', args: [0, { 0: '冬天 下雪', 1: '学校' }] }],
+    },
+    {
+        name: '字符串形式的索引',
+        input: `deleteRow("2", "3")`,
+        expected: [{ type: 'delete', args: ['2', '3'] }],
+    },
+    {
+        name: '同一行多条语句与分号',
+        input: `deleteRow(2, 3);deleteRow(2, 4);`,
+        expected: [{ type: 'delete', args: [2, 3] }, { type: 'delete', args: [2, 4] }],
+    },
+    {
+        name: '函数名大小写错误',
+        input: `InsertRow(0, {0: "a"})\nUPSERTROW(1, {0: "b"})`,
+        expected: [{ type: 'insert', args: [0, { 0: 'a' }] }, { type: 'upsert', args: [1, { 0: 'b' }] }],
+    },
+    {
+        name: '夹杂说明文字与代码块',
+        input: "以下是表格更新：\n```\ninsertRow(0, {0: \"a\"})\n```\n完成。",
+        expected: [{ type: 'insert', args: [0, { 0: 'a' }] }],
+    },
+    {
+        name: '缺少右括号时自动补全',
+        input: `insertRow(0, {0: "a"}\nupdateRow(0, 1, {0: "b"})`,
+        expected: [{ type: 'insert', args: [0, { 0: 'a' }] }, { type: 'update', args: [0, 1, { 0: 'b' }] }],
+        warnings: 1,
+    },
+    {
+        name: '缺少右花括号时跳过该语句',
+        input: `insertRow(0, {0:"a"\nupdateRow(0, 1, {0: "b"})`,
+        expected: [{ type: 'update', args: [0, 1, { 0: 'b' }] }],
+        errors: 1,
+    },
+    {
+        name: '字符串未闭合时跳过该语句',
+        input: `insertRow(0, {0:"未闭合})\ninsertRow(1, {0:"ok"})`,
+        expected: [{ type: 'insert', args: [1, { 0: 'ok' }] }],
+        errors: 1,
+    },
+    {
+        name: '缺少值时跳过该语句',
+        input: `updateRow(0, 1, {0: , 1: "a"})\ndeleteRow(0, 1)`,
+        expected: [{ type: 'delete', args: [0, 1] }],
+        errors: 1,
+        errorPosition: { line: 1, column: 21 },
+    },
+];
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * 运行 tableEdit 解析器测试
+ * @returns {{passed: number, failed: string[]}}
+ */
+export function runTableEditParserTests() {
+    const failed = [];
+    tableEditCorpus.forEach(testCase => {
+        const { statements, errors, warnings } = parseTableEditText(testCase.input);
+        const actual = statements.map(s => ({ type: s.type, args: s.args }));
+        const problems = [];
+        if (!isEqual(actual, testCase.expected)) problems.push(`语句不符：${JSON.stringify(actual)}`);
+        if (errors.length !== (testCase.errors ?? 0)) problems.push(`错误数量为 ${errors.length}`);
+        if (warnings.length !== (testCase.warnings ?? 0)) problems.push(`警告数量为 ${warnings.length}`);
+        if (testCase.errorPosition && !isEqual({ line: errors[0]?.line, column: errors[0]?.column }, testCase.errorPosition)) {
+            problems.push(`错误位置为 ${errors[0]?.line}:${errors[0]?.column}`);
+        }
+        if (problems.length) failed.push(`${testCase.name}：${problems.join('；')}`);
+    });
+    const passed = tableEditCorpus.length - failed.length;
+    console.log(`tableEdit 解析器测试：通过 ${passed}/${tableEditCorpus.length}`, failed);
+    if (failed.length) throw new Error(`tableEdit 解析器测试失败：\n${failed.join('\n')}`);
+    return { passed, failed };
+}
@@ -0,0 +1,41 @@
+import { EDITOR, USER } from "../core/manager.js";
+import { runTableEditParserTests } from "./tableEditParserTests.js";
+import { runRowRelevanceTests } from "./rowRelevanceTests.js";
+import { runRowEmbeddingTests } from "./rowEmbeddingTests.js";
+
+/**
+ * 插件的测试套件
+ * @description 每个套件的 `run` 全部通过时返回 `{passed, failed}`，有失败的用例时抛出错误
+ */
+const testSuites = [
+    { name: 'tableEdit 解析器', run: runTableEditParserTests },
+    { name: '行相关度', run: runRowRelevanceTests },
+    { name: '语义检索', run: runRowEmbeddingTests },
+];
+
+/**
+ * 依次运行全部测试套件并提示结果
+ * @returns {Promise<{passed: number, failed: string[]}>} failed 为失败的套件及原因
+ */
+export async function runAllTests() {
+    let passed = 0;
+    const failed = [];
+    for (const suite of testSuites) {
+        try {
+            passed += (await suite.run()).passed;
+        } catch (e) {
+            failed.push(`${suite.name}：${e.message}`);
+        }
+    }
+    if (failed.length) EDITOR.error(`${failed.length} 个测试套件未通过`, failed.join('\n'));
+    else EDITOR.success(`全部测试通过（${passed} 个用例）`);
+    return { passed, failed };
+}
+
+/**
+ * 开启调试模式时，插件加载后自动运行全部测试
+ */
+export function runTestsInDebugMode() {
+    if (!USER.tableBaseSetting.tableDebugModeAble) return;
+    runAllTests().then();
+}
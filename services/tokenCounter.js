@@ -0,0 +1,83 @@
+import { USER } from "../core/manager.js";
+
+/**
+ * Token 计数
+ * @description 优先使用 SillyTavern 当前 API 对应的分词器，不可用时使用后备计数函数。
+ * 构建提示词的过程是同步的，因此同步计数使用 SillyTavern 带缓存的 getTokenCount，异步计数使用 getTokenCountAsync
+ */
+
+/**
+ * 粗略估算 token 数量，不依赖分词器
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokenCountByChars(text) {
+    // 统计中文字符数量
+    const chineseCount = (text.match(/[\u4e00-\u9fff]/g) || []).length;
+    // 统计英文单词数量
+    const englishCount = (text.match(/\b\w+\b/g) || []).length;
+    return chineseCount + Math.floor(englishCount * 1.2);
+}
+
+let fallbackCounter = estimateTokenCountByChars;
+
+/**
+ * 设置分词器不可用时使用的计数函数
+ * @param {((text: string) => number)|null} counter 传入 null 恢复为默认的估算
+ */
+export function setFallbackTokenCounter(counter) {
+    fallbackCounter = typeof counter === 'function' ? counter : estimateTokenCountByChars;
+}
+
+function getTokenizer(name) {
+    const tokenizer = USER.getContext()?.[name];
+    return typeof tokenizer === 'function' ? tokenizer : null;
+}
+
+/**
+ * 当前使用的计数方式
+ * @returns {string}
+ */
+export function getTokenCounterName() {
+    return getTokenizer('getTokenCount') ? 'SillyTavern 分词器' : fallbackCounter === estimateTokenCountByChars ? '字数估算' : '自定义计数';
+}
+
+/**
+ * 计算 token 数量
+ * @param {string} text
+ * @returns {number}
+ */
+export function countTokens(text) {
+    text = String(text ?? '');
+    if (!text) return 0;
+    const tokenizer = getTokenizer('getTokenCount');
+    if (tokenizer) {
+        try {
+            const count = tokenizer(text);
+            if (Number.isFinite(count)) return count;
+        } catch (e) {
+            console.warn('SillyTavern 分词器计数失败，使用后备计数', e);
+        }
+    }
+    return fallbackCounter(text);
+}
+
+/**
+ * 异步计算 token 数量，可使用需要请求服务器的分词器
+ * @param {string} text
+ * @returns {Promise<number>}
+ */
+export async function countTokensAsync(text) {
+    text = String(text ?? '');
+    if (!text) return 0;
+    const tokenizer = getTokenizer('getTokenCountAsync');
+    if (tokenizer) {
+        try {
+            const count = await tokenizer(text);
+            if (Number.isFinite(count)) return count;
+        } catch (e) {
+            console.warn('SillyTavern 分词器计数失败，使用后备计数', e);
+        }
+    }
+    return countTokens(text);
+}
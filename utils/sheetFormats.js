@@ -0,0 +1,277 @@
+/**
+ * 表格文件格式的转换
+ * @description 表格统一表示为 {name: string, rows: string[][]}，rows 第一行为表头。
+ * 支持 RFC 4180 CSV、Markdown 表格与 Excel 可打开的 SpreadsheetML（XML 电子表格 2003）工作簿
+ */
+
+export const SheetFileFormat = {
+    json: 'json',
+    csv: 'csv',
+    markdown: 'markdown',
+    spreadsheetML: 'spreadsheetML',
+};
+
+export const SheetFileExtension = {
+    json: 'json',
+    csv: 'csv',
+    markdown: 'md',
+    spreadsheetML: 'xml',
+};
+
+const SPREADSHEET_NS = 'urn:schemas-microsoft-com:office:spreadsheet';
+
+function stripBom(text) {
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+/**
+ * 按文件名与内容判断表格文件的格式
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {string} SheetFileFormat 中的值
+ */
+export function detectSheetFileFormat(fileName, text) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension === 'json') return SheetFileFormat.json;
+    if (['csv', 'tsv'].includes(extension)) return SheetFileFormat.csv;
+    if (['md', 'markdown'].includes(extension)) return SheetFileFormat.markdown;
+    if (['xml', 'xls'].includes(extension)) return SheetFileFormat.spreadsheetML;
+    const content = stripBom(text).trimStart();
+    if (content.startsWith('{')) return SheetFileFormat.json;
+    if (content.startsWith('<')) return SheetFileFormat.spreadsheetML;
+    if (content.split(/\r?\n/).some(line => /^\s*\|.*\|\s*$/.test(line))) return SheetFileFormat.markdown;
+    return SheetFileFormat.csv;
+}
+
+/**
+ * 转换为 RFC 4180 CSV，含有分隔符、引号、换行或首尾空白的字段使用引号包裹
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+export function toCSV(rows) {
+    const quote = value => {
+        const text = String(value ?? '');
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+function detectCSVDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+    return counts.reduce((best, current) => current[1] > best[1] ? current : best)[0];
+}
+
+/**
+ * 解析 CSV，支持引号中的分隔符、换行与转义引号，分隔符自动识别为逗号、分号或制表符
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCSV(text) {
+    text = stripBom(text);
+    const delimiter = detectCSVDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== '"') field += char;
+            else if (text[i + 1] === '"') field += text[++i];
+            else quoted = false;
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * 转换为 Markdown 表格，每个表格前以二级标题标注表格名
+ * @param {{name: string, rows: string[][]}[]} tables
+ * @returns {string}
+ */
+export function toMarkdown(tables) {
+    const escape = value => String(value ?? '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    const line = row => `| ${row.map(escape).join(' | ')} |`;
+    return tables.map(({ name, rows }) => {
+        const [header = [], ...body] = rows;
+        return [`## ${name}`, '', line(header), line(header.map(() => '---')), ...body.map(line)].join('\n');
+    }).join('\n\n') + '\n';
+}
+
+function splitMarkdownRow(line) {
+    const cells = [];
+    let cell = '';
+    const content = line.trim().replace(/^\|/, '');
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (char === '\\' && (content[i + 1] === '|' || content[i + 1] === '\\')) {
+            cell += content[++i];
+        } else if (char === '|') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell.trim() !== '') cells.push(cell);
+    return cells.map(value => value.trim().replace(/<br\s*\/?>/gi, '\n'));
+}
+
+/**
+ * 解析文本中的所有 Markdown 表格，表格名取表格上方最近的标题
+ * @param {string} text
+ * @returns {{name: string, rows: string[][]}[]}
+ */
+export function parseMarkdownTables(text) {
+    const tables = [];
+    let heading = '';
+    let current = null;
+    stripBom(text).split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('|')) {
+            const cells = splitMarkdownRow(trimmed);
+            if (!current) {
+                current = { name: heading, rows: [] };
+                tables.push(current);
+            }
+            // 跳过表头下方的分隔行
+            if (current.rows.length === 1 && cells.length > 0 && cells.every(value => /^:?-+:?$/.test(value))) return;
+            current.rows.push(cells);
+            return;
+        }
+        current = null;
+        const match = trimmed.match(/^#{1,6}\s+(.+)$/);
+        if (match) heading = match[1].trim();
+    });
+    return tables;
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\r?\n/g, '&#10;');
+}
+
+/**
+ * 转换为 SpreadsheetML 工作簿，每个表格为一个工作表，可由 Excel、WPS 与 LibreOffice 打开并另存为 xlsx
+ * @param {{name: string, rows: string[][]}[]} tables
+ * @returns {string}
+ */
+export function toSpreadsheetML(tables) {
+    const usedNames = new Set();
+    const worksheetName = name => {
+        // 工作表名最长 31 个字符，且不能包含 []:*?/\
+        const base = (String(name ?? '').replace(/[[\]:*?/\\]/g, '_').trim() || 'Sheet').slice(0, 31);
+        let result = base;
+        for (let i = 2; usedNames.has(result); i++) result = `${base.slice(0, 31 - String(i).length - 1)}_${i}`;
+        usedNames.add(result);
+        return result;
+    };
+    const worksheets = tables.map(({ name, rows }) => {
+        const rowsXml = rows.map(row => `   <Row>${row.map(value => `<Cell><Data ss:Type="String">${escapeXml(value)}</Data></Cell>`).join('')}</Row>`).join('\n');
+        return ` <Worksheet ss:Name="${escapeXml(worksheetName(name))}">\n  <Table>\n${rowsXml}\n  </Table>\n </Worksheet>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<?mso-application progid="Excel.Sheet"?>',
+        `<Workbook xmlns="${SPREADSHEET_NS}" xmlns:ss="${SPREADSHEET_NS}">`,
+        ...worksheets,
+        '</Workbook>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * 解析 SpreadsheetML 工作簿，支持跳过空单元格与空行的 ss:Index
+ * @param {string} text
+ * @returns {{name: string, rows: string[][]}[]}
+ */
+export function parseSpreadsheetML(text) {
+    const doc = new DOMParser().parseFromString(stripBom(text), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('无法解析 XML 电子表格文件');
+    const children = (element, name) => [...element.children].filter(child => child.localName === name);
+    const indexOf = element => Number(element.getAttributeNS(SPREADSHEET_NS, 'Index') || element.getAttribute('ss:Index')) || 0;
+    return [...doc.getElementsByTagNameNS(SPREADSHEET_NS, 'Worksheet')].map(worksheet => {
+        const rows = [];
+        children(worksheet, 'Table').flatMap(table => children(table, 'Row')).forEach(rowElement => {
+            const rowIndex = indexOf(rowElement);
+            while (rowIndex > 0 && rows.length < rowIndex - 1) rows.push([]);
+            const row = [];
+            children(rowElement, 'Cell').forEach(cellElement => {
+                const colIndex = indexOf(cellElement);
+                while (colIndex > 0 && row.length < colIndex - 1) row.push('');
+                row.push(children(cellElement, 'Data')[0]?.textContent ?? '');
+            });
+            rows.push(row);
+        });
+        return { name: worksheet.getAttributeNS(SPREADSHEET_NS, 'Name') || worksheet.getAttribute('ss:Name') || '', rows };
+    });
+}
+
+/**
+ * 解析 CSV、Markdown 或 SpreadsheetML 文件中的表格
+ * @param {string} fileName 文件名，CSV 文件以文件名作为表格名
+ * @param {string} text 文件内容
+ * @returns {{name: string, rows: string[][]}[]} 去除了全空的行
+ */
+export function parseSheetFile(fileName, text) {
+    const baseName = fileName.replace(/\.[^.]*$/, '');
+    let tables;
+    switch (detectSheetFileFormat(fileName, text)) {
+        case SheetFileFormat.markdown:
+            tables = parseMarkdownTables(text).map((table, index, all) => ({ ...table, name: table.name || (all.length > 1 ? `${baseName} ${index + 1}` : baseName) }));
+            break;
+        case SheetFileFormat.spreadsheetML:
+            tables = parseSpreadsheetML(text);
+            break;
+        case SheetFileFormat.csv:
+            tables = [{ name: baseName, rows: parseCSV(text) }];
+            break;
+        default:
+            throw new Error('不支持的文件格式');
+    }
+    return tables
+        .map(table => ({ ...table, rows: table.rows.filter(row => row.some(value => String(value).trim() !== '')) }))
+        .filter(table => table.rows.length > 0);
+}
+
+/**
+ * 按列名将来源表头匹配到目标表头
+ * @description 先精确匹配，再忽略大小写与空白匹配，每个来源列只会被使用一次
+ * @param {string[]} sourceHeader
+ * @param {string[]} targetHeader
+ * @returns {number[]} 与 targetHeader 对应的来源列索引，未匹配为 -1
+ */
+export function matchColumns(sourceHeader, targetHeader) {
+    const normalize = value => String(value ?? '').toLowerCase().replace(/\s+/g, '');
+    const used = new Set();
+    const find = (target, transform) => sourceHeader.findIndex((source, index) => !used.has(index) && transform(source) === transform(target) && transform(target) !== '');
+    return targetHeader.map(target => {
+        let index = find(target, value => String(value ?? '').trim());
+        if (index === -1) index = find(target, normalize);
+        if (index !== -1) used.add(index);
+        return index;
+    });
+}
@@ -38,74 +38,3 @@ export function truncateAfterLastParenthesis(str) {
     }
     return str.trim();
 }
-
-/**
- * 解析字符串字典为对象
- * @param {*} str
- * @returns object
- */
-export function parseLooseDict(str) {
-    const result = {};
-    const content = str.replace(/\s+/g,'').slice(1, -1); // 去除最外层 {}
-    console.log("解析",content)
-    let i = 0;
-    const len = content.length;
-
-    while (i < len) {
-        // 读取 key
-        let key = '';
-        while (i < len && content[i] !== ':') {
-            key += content[i++];
-        }
-        key = key.trim().replace(/^["']|["']$/g, ''); // 去除引号
-        i++; // 跳过冒号
-
-        // 读取 value
-        let value = '';
-        let quoteChar = null;
-        let inString = false;
-
-        // 判断起始引号（可以没有）
-        if (content[i] === '"' || content[i] === "'") {
-            quoteChar = content[i];
-            inString = true;
-            i++;
-        }
-
-        while (i < len) {
-            const char = content[i];
-
-            if (inString) {
-                // 如果遇到嵌套引号，替换为另一种
-                if (char === quoteChar) {
-                    if (content[i + 1] === ','||content[i + 1] == null) {
-                        i++; // 跳过结尾引号
-                        break;
-                    } else {
-                        value += char === '"' ? "'" : '"'
-                        i++;
-                        continue;
-                    }
-                }
-
-                value += char;
-            } else {
-                // 无引号字符串，直到逗号结束
-                if (char === ',') break;
-                value += char;
-            }
-
-            i++;
-        }
-
-        result[key] = value.trim().replace(/,/g, '/'); // 替换逗号
-
-        // 跳过分隔符和空格
-        while (i < len && (content[i] === ',' || content[i] === ' ')) {
-            i++;
-        }
-    }
-    console.log('解析后的对象:', result);
-
-    return result;
-}
@@ -0,0 +1,366 @@
+/**
+ * tableEdit 指令解析器
+ * @description 将 <tableEdit> 标签内的 insertRow/updateRow/deleteRow/upsertRow 调用解析为结构化语句
+ * @description 语法：statement := NAME '(' [value {',' value} [',']] ')' [';']
+ * @description value := number | string | object | array | true | false | null | 裸词
+ * @description object 兼容 JSON5 写法：未加引号的键、单引号字符串、尾随逗号、注释、十六进制数字等
+ * @description 单条语句解析失败时记录行列号，并从下一条语句继续解析
+ */
+
+const FUNCTION_NAME_REGEX = /\b(insert|update|delete|upsert)Row\s*[(（]/gi
+
+const PUNCTUATION = {
+    '(': '(', ')': ')', '{': '{', '}': '}', '[': '[', ']': ']', ',': ',', ':': ':', ';': ';',
+    '（': '(', '）': ')', '，': ',', '：': ':', '；': ';',
+}
+const QUOTES = { '"': '"', "'": "'", '`': '`', '“': '”', '‘': '’' }
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' }
+// 字符串结束引号之后允许出现的字符，用于区分结束引号与未转义的内部引号
+const STRING_TERMINATORS = new Set([',', '}', ']', ')', ':', ';', '，', '）', '：', '；'])
+const NUMBER_REGEX = /^[+-]?(?:0[xX][0-9a-fA-F]+|Infinity|NaN|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/
+
+/**
+ * tableEdit 语法错误
+ * @description `offset` 为错误在原文中的位置，由解析器转换为行列号
+ */
+export class TableEditSyntaxError extends Error {
+    constructor(message, offset) {
+        super(message);
+        this.name = 'TableEditSyntaxError';
+        this.offset = offset;
+    }
+}
+
+/**
+ * 将原文中的位置转换为行列号（均从 1 开始）
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{line: number, column: number}}
+ */
+export function getLineAndColumn(text, offset) {
+    const before = text.slice(0, offset);
+    const lines = before.split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+function isWhitespace(ch) {
+    return /\s/.test(ch) || ch === '　' || ch === '﻿';
+}
+
+function isWordBoundary(ch) {
+    return ch === undefined || isWhitespace(ch) || ch in PUNCTUATION || ch in QUOTES;
+}
+
+/**
+ * 词法分析器，按需从原文中读取 token
+ */
+class TableEditLexer {
+    constructor(text, position = 0) {
+        this.text = text;
+        this.position = position;
+        this.peeked = null;
+        this.lastEnd = position;
+    }
+
+    peek() {
+        if (!this.peeked) this.peeked = this.#read();
+        return this.peeked;
+    }
+
+    next() {
+        const token = this.peek();
+        this.peeked = null;
+        this.lastEnd = token.end;
+        return token;
+    }
+
+    #skipWhitespaceAndComments() {
+        const text = this.text;
+        while (this.position < text.length) {
+            const ch = text[this.position];
+            if (isWhitespace(ch)) {
+                this.position++;
+            } else if (text.startsWith('//', this.position)) {
+                const end = text.indexOf('\n', this.position);
+                this.position = end === -1 ? text.length : end + 1;
+            } else if (text.startsWith('/*', this.position)) {
+                const end = text.indexOf('*/', this.position + 2);
+                if (end === -1) throw new TableEditSyntaxError('注释未闭合', this.position);
+                this.position = end + 2;
+            } else if (text.startsWith('<!--', this.position)) {
+                this.position += 4;
+            } else if (text.startsWith('-->', this.position)) {
+                this.position += 3;
+            } else {
+                break;
+            }
+        }
+    }
+
+    #read() {
+        this.#skipWhitespaceAndComments();
+        const text = this.text;
+        const start = this.position;
+        if (start >= text.length) return { type: 'eof', start, end: start };
+
+        const ch = text[start];
+        if (ch in PUNCTUATION) {
+            this.position++;
+            return { type: PUNCTUATION[ch], start, end: this.position };
+        }
+        if (ch in QUOTES) {
+            return this.#readString(ch);
+        }
+
+        const numberMatch = text.slice(start, start + 64).match(NUMBER_REGEX);
+        if (numberMatch && isWordBoundary(text[start + numberMatch[0].length])) {
+            this.position += numberMatch[0].length;
+            const raw = numberMatch[0];
+            const unsigned = raw.replace(/^[+-]/, '');
+            let value = /^0[xX]/.test(unsigned) ? parseInt(unsigned, 16) : Number(unsigned);
+            if (raw.startsWith('-')) value = -value;
+            return { type: 'number', value, start, end: this.position };
+        }
+
+        while (this.position < text.length && !isWordBoundary(text[this.position])) {
+            if (text.startsWith('-->', this.position) || text.startsWith('<!--', this.position)) break;
+            this.position++;
+        }
+        if (this.position === start) this.position++;
+        return { type: 'word', value: text.slice(start, this.position), start, end: this.position };
+    }
+
+    #readString(open) {
+        const text = this.text;
+        const close = QUOTES[open];
+        const start = this.position;
+        let value = '';
+        this.position++;
+        while (this.position < text.length) {
+            const ch = text[this.position];
+            if (ch === '\\') {
+                const escaped = text[this.position + 1];
+                if (escaped === undefined) break;
+                if (escaped === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(this.position + 2, this.position + 6))) {
+                    value += String.fromCharCode(parseInt(text.slice(this.position + 2, this.position + 6), 16));
+                    this.position += 6;
+                } else if (escaped === 'x' && /^[0-9a-fA-F]{2}$/.test(text.slice(this.position + 2, this.position + 4))) {
+                    value += String.fromCharCode(parseInt(text.slice(this.position + 2, this.position + 4), 16));
+                    this.position += 4;
+                } else if (escaped === '\n' || escaped === '\r') {
+                    // JSON5 续行
+                    this.position += text.startsWith('\r\n', this.position + 1) ? 3 : 2;
+                } else {
+                    value += ESCAPES[escaped] ?? escaped;
+                    this.position += 2;
+                }
+                continue;
+            }
+            if (ch === '\n' && this.#isStatementStart(this.position + 1)) break;
+            if (ch === close && this.#isStringEnd(this.position + 1)) {
+                this.position++;
+                return { type: 'string', value, start, end: this.position };
+            }
+            value += ch;
+            this.position++;
+        }
+        throw new TableEditSyntaxError('字符串缺少结束引号', start);
+    }
+
+    /**
+     * 字符串内某行以函数调用开头时，视为字符串未闭合，避免吞掉后续语句
+     */
+    #isStatementStart(position) {
+        const line = this.text.slice(position, position + 64).trimStart();
+        return new RegExp('^' + FUNCTION_NAME_REGEX.source, 'i').test(line);
+    }
+
+    /**
+     * 判断引号之后的内容是否表明字符串已结束，跨行或遇到分隔符时视为结束，否则视为未转义的内部引号
+     */
+    #isStringEnd(position) {
+        const text = this.text;
+        while (position < text.length) {
+            const ch = text[position];
+            if (ch === '\n') return true;
+            if (!isWhitespace(ch)) return STRING_TERMINATORS.has(ch) || text.startsWith('-->', position);
+            position++;
+        }
+        return true;
+    }
+}
+
+/**
+ * 语法分析器，解析单条函数调用语句
+ */
+class TableEditStatementParser {
+    constructor(text, start, warnings) {
+        this.text = text;
+        this.lexer = new TableEditLexer(text, start);
+        this.warnings = warnings;
+    }
+
+    #warn(message, offset) {
+        this.warnings.push({ message, offset, ...getLineAndColumn(this.text, offset) });
+    }
+
+    #expect(type, message) {
+        const token = this.lexer.next();
+        if (token.type !== type) throw new TableEditSyntaxError(message ?? `此处应为“${type}”`, token.start);
+        return token;
+    }
+
+    #isValueStart(token) {
+        return ['{', '[', 'string', 'number', 'word'].includes(token.type);
+    }
+
+    #isNextStatement(token) {
+        if (token.type !== 'word') return false;
+        FUNCTION_NAME_REGEX.lastIndex = 0;
+        const match = FUNCTION_NAME_REGEX.exec(this.text.slice(token.start, token.start + 64));
+        return match?.index === 0;
+    }
+
+    parseStatement() {
+        const nameToken = this.#expect('word', '此处应为函数名');
+        this.#expect('(', '函数名后应为“(”');
+        const args = [];
+        while (true) {
+            const token = this.lexer.peek();
+            if (token.type === ')') {
+                this.lexer.next();
+                break;
+            }
+            if (token.type === 'eof' || this.#isNextStatement(token)) {
+                this.#warn('函数调用缺少“)”，已自动补全', token.start);
+                break;
+            }
+            args.push(this.#parseValue());
+            const separator = this.lexer.peek();
+            if (separator.type === ',') {
+                this.lexer.next();
+            } else if (separator.type !== ')' && separator.type !== 'eof' && !this.#isNextStatement(separator)) {
+                if (!this.#isValueStart(separator)) throw new TableEditSyntaxError('参数之间应为“,”', separator.start);
+                this.#warn('参数之间缺少“,”，已自动补全', separator.start);
+            }
+        }
+        if (this.lexer.peek().type === ';') this.lexer.next();
+        const end = this.lexer.lastEnd;
+        return { name: nameToken.value, args, end };
+    }
+
+    #parseValue() {
+        const token = this.lexer.next();
+        switch (token.type) {
+            case '{':
+                return this.#parseObject(token);
+            case '[':
+                return this.#parseArray(token);
+            case 'string':
+            case 'number':
+                return this.#parseBareText(token);
+            case 'word':
+                if (token.value === 'true') return true;
+                if (token.value === 'false') return false;
+                if (token.value === 'null' || token.value === 'undefined') return null;
+                return this.#parseBareText(token);
+            default:
+                throw new TableEditSyntaxError(`此处应为值，实际为“${this.text.slice(token.start, token.end) || '结尾'}”`, token.start);
+        }
+    }
+
+    /**
+     * 连续出现的裸词、字符串、数字视为同一个文本值，例如 `{0: 冬天 下雪}`
+     */
+    #parseBareText(first) {
+        let last = first;
+        while (['word', 'string', 'number'].includes(this.lexer.peek().type) && !this.#isNextStatement(this.lexer.peek())) {
+            last = this.lexer.next();
+        }
+        if (last === first) return first.value;
+        return this.text.slice(first.start, last.end).trim();
+    }
+
+    #parseObject(open) {
+        const result = {};
+        while (true) {
+            const token = this.lexer.next();
+            if (token.type === '}') return result;
+            if (token.type === 'eof' || this.#isNextStatement(token)) throw new TableEditSyntaxError('对象缺少“}”', open.start);
+            if (!['string', 'word', 'number'].includes(token.type)) {
+                throw new TableEditSyntaxError(`此处应为键名，实际为“${this.text.slice(token.start, token.end)}”`, token.start);
+            }
+            const key = String(token.value);
+            this.#expect(':', `键“${key}”之后应为“:”`);
+            result[key] = this.#parseValue();
+
+            const separator = this.lexer.peek();
+            if (separator.type === ',') {
+                this.lexer.next();
+            } else if (separator.type !== '}') {
+                if (this.#isNextStatement(separator)) throw new TableEditSyntaxError('对象缺少“}”', open.start);
+                if (!['string', 'word', 'number'].includes(separator.type)) {
+                    throw new TableEditSyntaxError('对象成员之间应为“,”', separator.start);
+                }
+                this.#warn('对象成员之间缺少“,”，已自动补全', separator.start);
+            }
+        }
+    }
+
+    #parseArray(open) {
+        const result = [];
+        while (true) {
+            const token = this.lexer.peek();
+            if (token.type === ']') {
+                this.lexer.next();
+                return result;
+            }
+            if (token.type === 'eof') throw new TableEditSyntaxError('数组缺少“]”', open.start);
+            result.push(this.#parseValue());
+            const separator = this.lexer.peek();
+            if (separator.type === ',') this.lexer.next();
+            else if (separator.type !== ']') throw new TableEditSyntaxError('数组元素之间应为“,”', separator.start);
+        }
+    }
+}
+
+/**
+ * 解析 tableEdit 文本中的全部编辑语句
+ * @param {string} text <tableEdit> 标签内的文本
+ * @returns {{statements: {type: string, args: *[], index: number, length: number, line: number, column: number}[], errors: {message: string, line: number, column: number, statementLine: number, source: string}[], warnings: {message: string, line: number, column: number}[]}}
+ */
+export function parseTableEditText(text = '') {
+    const statements = [];
+    const errors = [];
+    const warnings = [];
+    const regex = new RegExp(FUNCTION_NAME_REGEX.source, 'gi');
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        const start = match.index;
+        const statementPosition = getLineAndColumn(text, start);
+        try {
+            const parser = new TableEditStatementParser(text, start, warnings);
+            const { args, end } = parser.parseStatement();
+            statements.push({
+                type: match[1].toLowerCase(),
+                args,
+                index: start,
+                length: end - start,
+                ...statementPosition,
+            });
+            regex.lastIndex = Math.max(end, start + match[0].length);
+        } catch (e) {
+            if (!(e instanceof TableEditSyntaxError)) throw e;
+            const lineEnd = text.indexOf('\n', start);
+            errors.push({
+                message: e.message,
+                ...getLineAndColumn(text, e.offset),
+                statementLine: statementPosition.line,
+                source: text.slice(start, lineEnd === -1 ? text.length : lineEnd).trim(),
+            });
+            // 从函数名之后继续查找下一条语句
+            regex.lastIndex = start + match[0].length;
+        }
+    }
+    return { statements, errors, warnings };
+}